@@ -3,8 +3,10 @@ USE bo0qdeicu7wycnbnek7j;
 
 CREATE TABLE IF NOT EXISTS roles (
     role_id INT AUTO_INCREMENT PRIMARY KEY,
-    name VARCHAR(60) NOT NULL UNIQUE
+    name VARCHAR(60) NOT NULL UNIQUE,
+    require_two_factor BOOLEAN NOT NULL DEFAULT FALSE -- members must enroll in TOTP before they can log in
 );
+-- Existing databases: ALTER TABLE roles ADD COLUMN require_two_factor BOOLEAN NOT NULL DEFAULT FALSE;
 
 CREATE TABLE IF NOT EXISTS users (
     user_id INT AUTO_INCREMENT PRIMARY KEY,
@@ -32,11 +34,19 @@ CREATE TABLE IF NOT EXISTS candidates (
     occupation VARCHAR(100),
     summary TEXT,
     experience JSON,
+    experience_years INT NULL, -- derived from experience by the app, used by searches such as experience>=5
     skills JSON,
     languages JSON,
     education JSON,
-    notes TEXT
+    experience_text TEXT NULL, -- derived from experience by the app for the full-text index
+    education_text TEXT NULL, -- derived from education by the app for the full-text index
+    anonymized_at DATETIME NULL, -- set once the personal data of the candidate was stripped
+    FULLTEXT INDEX ft_candidates_profile (occupation, summary, experience_text, education_text)
 );
+-- Existing databases: ALTER TABLE candidates ADD COLUMN experience_years INT NULL AFTER experience; then run `npm run backfill:candidates`
+-- Existing databases: ALTER TABLE candidates ADD COLUMN experience_text TEXT NULL AFTER education, ADD COLUMN education_text TEXT NULL AFTER experience_text, ADD FULLTEXT INDEX ft_candidates_profile (occupation, summary, experience_text, education_text); then run `npm run backfill:candidates`
+-- Existing databases: create candidate_notes and candidate_note_edits, run `npm run migrate:notes` to move the notes column into candidate_notes, then ALTER TABLE candidates DROP COLUMN notes;
+-- Existing databases: ALTER TABLE candidates ADD COLUMN anonymized_at DATETIME NULL AFTER education_text;
 
 CREATE TABLE IF NOT EXISTS applications (
     application_id INT AUTO_INCREMENT PRIMARY KEY,
@@ -67,3 +77,347 @@ CREATE TABLE IF NOT EXISTS candidate_shares (
     FOREIGN KEY (vacancy_id) REFERENCES vacancies(vacancy_id) ON DELETE SET NULL,
     UNIQUE (candidate_id, sender_id, receiver_id, application_id, vacancy_id)
 );
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    family_id CHAR(36) NOT NULL, -- one family per login session
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the raw token
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    replaced_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX (family_id),
+    INDEX (user_id)
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+    permission_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(60) NOT NULL UNIQUE, -- 'resource:action', e.g. 'vacancy:write'
+    description VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INT NOT NULL,
+    permission_id INT NOT NULL,
+    PRIMARY KEY (role_id, permission_id),
+    FOREIGN KEY (role_id) REFERENCES roles(role_id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(permission_id) ON DELETE CASCADE
+);
+
+-- Default roles and permissions are seeded from config/permissions.js with `npm run seed:roles`
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    token_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the emailed token
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS login_throttles (
+    throttle_id INT AUTO_INCREMENT PRIMARY KEY,
+    scope ENUM('account', 'ip') NOT NULL,
+    identifier VARCHAR(255) NOT NULL, -- lower-cased email or client IP address
+    failed_attempts INT NOT NULL DEFAULT 0,
+    last_failed_at DATETIME NOT NULL,
+    locked_until DATETIME NULL,
+    ip_addresses JSON NULL, -- for 'account', the IP addresses its failures came from, cleared with it by an admin unlock
+    UNIQUE (scope, identifier)
+);
+
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id INT PRIMARY KEY,
+    secret_encrypted VARCHAR(255) NOT NULL, -- AES-256-GCM encrypted TOTP secret
+    enabled_at DATETIME NULL, -- NULL while enrollment is not confirmed
+    last_used_step BIGINT NULL, -- last accepted TOTP time step, prevents code replay
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    code_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL, -- SHA-256 of the recovery code
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX (user_id)
+);
+
+CREATE TABLE IF NOT EXISTS invitations (
+    invitation_id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    role_id INT NOT NULL,
+    invited_by INT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token in the invitation link
+    expires_at DATETIME NOT NULL,
+    accepted_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (role_id) REFERENCES roles(role_id) ON DELETE RESTRICT,
+    FOREIGN KEY (invited_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX (email)
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    key_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    prefix VARCHAR(12) NOT NULL, -- first characters of the key, for display
+    key_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the key
+    scopes JSON NOT NULL, -- permission names, e.g. ["vacancy:write", "application:read"]
+    expires_at DATETIME NULL,
+    last_used_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX (user_id)
+);
+
+-- Append-only: the application never deletes rows and only updates them to erase the personal data of a candidate
+-- (anonymization and erasure requests); grant the app user INSERT, SELECT and UPDATE only if possible
+CREATE TABLE IF NOT EXISTS audit_logs (
+    audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    actor_user_id INT NULL, -- no foreign key so entries outlive deleted users
+    api_key_id INT NULL,
+    entity VARCHAR(50) NOT NULL, -- 'candidate', 'vacancy', 'application', 'user', ...
+    entity_id VARCHAR(64) NOT NULL,
+    action ENUM('create', 'update', 'delete', 'anonymize', 'erase') NOT NULL,
+    `before` JSON NULL, -- changed fields before the write (full record for deletes)
+    `after` JSON NULL, -- changed fields after the write (full record for creates)
+    ip_address VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (entity, entity_id),
+    INDEX (actor_user_id),
+    INDEX (created_at)
+);
+-- Existing databases: ALTER TABLE audit_logs MODIFY action ENUM('create', 'update', 'delete', 'anonymize', 'erase') NOT NULL;
+
+-- Pairs of candidates that look like the same person, for the duplicate review queue
+CREATE TABLE IF NOT EXISTS candidate_duplicates (
+    duplicate_id INT AUTO_INCREMENT PRIMARY KEY,
+    candidate_id INT NOT NULL, -- lower ID of the pair
+    other_candidate_id INT NOT NULL, -- higher ID of the pair
+    score DECIMAL(4,3) NOT NULL, -- 0 to 1
+    reasons JSON NOT NULL, -- e.g. ["phone", "similar_experience"]
+    status ENUM('pending','dismissed') NOT NULL DEFAULT 'pending',
+    reviewed_by INT NULL,
+    reviewed_at DATETIME NULL,
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (candidate_id) REFERENCES candidates(candidate_id) ON DELETE CASCADE,
+    FOREIGN KEY (other_candidate_id) REFERENCES candidates(candidate_id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    UNIQUE (candidate_id, other_candidate_id),
+    INDEX (other_candidate_id),
+    INDEX (status)
+);
+
+-- Merges of duplicate candidates, with what is needed to undo them
+CREATE TABLE IF NOT EXISTS candidate_merges (
+    merge_id INT AUTO_INCREMENT PRIMARY KEY,
+    survivor_id INT NULL,
+    merged_candidate_id INT NOT NULL, -- no foreign key: the candidate is deleted by the merge and recreated by an undo
+    changes JSON NOT NULL, -- survivor fields before/after, the deleted candidate, moved and removed applications and shares
+    merged_by INT NULL,
+    undone_at DATETIME NULL,
+    undone_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (survivor_id) REFERENCES candidates(candidate_id) ON DELETE SET NULL,
+    FOREIGN KEY (merged_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (undone_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX (survivor_id),
+    INDEX (merged_candidate_id)
+);
+
+-- Profile of a candidate after each change, for its version history
+CREATE TABLE IF NOT EXISTS candidate_revisions (
+    revision_id INT AUTO_INCREMENT PRIMARY KEY,
+    candidate_id INT NOT NULL, -- no foreign key: a merge deletes the candidate and its undo recreates it with its history
+    version INT NOT NULL, -- 1, 2, ... per candidate
+    source ENUM('baseline','upload','edit','merge','restore') NOT NULL, -- 'baseline' is the profile before history was kept
+    profile JSON NOT NULL, -- name, contact details, occupation, summary, experience, skills, languages, education
+    changed_fields JSON NOT NULL, -- fields that differ from the previous version
+    restored_version INT NULL, -- version brought back by a 'restore'
+    author_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (author_id) REFERENCES users(user_id) ON DELETE SET NULL,
+    UNIQUE (candidate_id, version)
+);
+
+-- Notes about candidates, replaces the former candidates.notes column (see `npm run migrate:notes`)
+CREATE TABLE IF NOT EXISTS candidate_notes (
+    note_id INT AUTO_INCREMENT PRIMARY KEY,
+    candidate_id INT NOT NULL,
+    parent_note_id INT NULL, -- note this one replies to; replies are one level deep
+    author_id INT NULL, -- null for migrated notes
+    content TEXT NOT NULL,
+    visibility ENUM('team','private') NOT NULL DEFAULT 'team', -- 'private' notes are only visible to their author
+    application_id INT NULL,
+    vacancy_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- set by the app on edits only, so merges do not mark notes as edited
+    FOREIGN KEY (candidate_id) REFERENCES candidates(candidate_id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_note_id) REFERENCES candidate_notes(note_id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (application_id) REFERENCES applications(application_id) ON DELETE SET NULL,
+    FOREIGN KEY (vacancy_id) REFERENCES vacancies(vacancy_id) ON DELETE SET NULL,
+    INDEX (candidate_id),
+    INDEX (parent_note_id),
+    INDEX (application_id),
+    INDEX (vacancy_id)
+);
+
+-- Previous versions of edited notes
+CREATE TABLE IF NOT EXISTS candidate_note_edits (
+    edit_id INT AUTO_INCREMENT PRIMARY KEY,
+    note_id INT NOT NULL,
+    content TEXT NOT NULL, -- content, visibility and links the edit replaced
+    visibility ENUM('team','private') NOT NULL,
+    application_id INT NULL,
+    vacancy_id INT NULL,
+    edited_by INT NULL,
+    edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (note_id) REFERENCES candidate_notes(note_id) ON DELETE CASCADE,
+    FOREIGN KEY (edited_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX (note_id)
+);
+
+-- Content of uploaded files, stored once per SHA-256 in the STORAGE_DRIVER storage (local disk or S3)
+CREATE TABLE IF NOT EXISTS stored_files (
+    file_id INT AUTO_INCREMENT PRIMARY KEY,
+    sha256 CHAR(64) NOT NULL UNIQUE,
+    storage_key VARCHAR(255) NOT NULL, -- key of the content in the storage driver
+    content_type VARCHAR(100) NOT NULL,
+    size INT NOT NULL, -- bytes
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP -- also when an upload reuses the content
+);
+
+-- Files of candidates, such as the CVs they were uploaded from
+CREATE TABLE IF NOT EXISTS candidate_files (
+    candidate_file_id INT AUTO_INCREMENT PRIMARY KEY,
+    candidate_id INT NOT NULL,
+    file_id INT NOT NULL,
+    application_id INT NULL, -- application the file was uploaded for
+    original_name VARCHAR(255) NOT NULL, -- download name
+    uploaded_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (candidate_id) REFERENCES candidates(candidate_id) ON DELETE CASCADE,
+    FOREIGN KEY (file_id) REFERENCES stored_files(file_id),
+    FOREIGN KEY (application_id) REFERENCES applications(application_id) ON DELETE SET NULL,
+    FOREIGN KEY (uploaded_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX (candidate_id),
+    INDEX (file_id),
+    INDEX (application_id)
+);
+
+-- Labels put on candidates, e.g. "silver medalist" or "relocation ok"
+CREATE TABLE IF NOT EXISTS tags (
+    tag_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    color VARCHAR(7) NULL, -- #RRGGBB
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Tags of each candidate
+CREATE TABLE IF NOT EXISTS candidate_tags (
+    candidate_id INT NOT NULL,
+    tag_id INT NOT NULL,
+    tagged_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (candidate_id, tag_id),
+    FOREIGN KEY (candidate_id) REFERENCES candidates(candidate_id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(tag_id) ON DELETE CASCADE,
+    FOREIGN KEY (tagged_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX (tag_id)
+);
+
+-- Named groups of candidates: kept by hand ('static') or the matches of a saved search query ('query')
+CREATE TABLE IF NOT EXISTS talent_pools (
+    pool_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT NULL,
+    type ENUM('static','query') NOT NULL DEFAULT 'static',
+    query TEXT NULL, -- candidate search query of 'query' pools
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Candidates of static talent pools
+CREATE TABLE IF NOT EXISTS talent_pool_candidates (
+    pool_id INT NOT NULL,
+    candidate_id INT NOT NULL,
+    added_by INT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (pool_id, candidate_id),
+    FOREIGN KEY (pool_id) REFERENCES talent_pools(pool_id) ON DELETE CASCADE,
+    FOREIGN KEY (candidate_id) REFERENCES candidates(candidate_id) ON DELETE CASCADE,
+    FOREIGN KEY (added_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX (candidate_id)
+);
+
+-- Requests to erase a candidate (right to erasure), completed or rejected by a user with candidate:privacy
+CREATE TABLE IF NOT EXISTS erasure_requests (
+    request_id INT AUTO_INCREMENT PRIMARY KEY,
+    candidate_id INT NOT NULL, -- no foreign key: the request outlives the candidate it erased
+    reason TEXT NULL,
+    status ENUM('pending','completed','rejected') NOT NULL DEFAULT 'pending',
+    requested_by INT NULL,
+    resolved_by INT NULL,
+    resolved_at DATETIME NULL,
+    resolution_note TEXT NULL,
+    erased JSON NULL, -- number of records erased by kind, e.g. {"notes": 3, "applications": 2, ...}
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (requested_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (resolved_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX (candidate_id),
+    INDEX (status)
+);
+
+-- Uploads of CVs for a vacancy, processed in the background by the CV worker (npm run worker:cv)
+CREATE TABLE IF NOT EXISTS cv_jobs (
+    job_id INT AUTO_INCREMENT PRIMARY KEY,
+    vacancy_id INT NULL,
+    vacancy_title VARCHAR(255) NULL,
+    vacancy_filter TEXT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (vacancy_id) REFERENCES vacancies(vacancy_id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- CVs of each job; the queued ones are the queue of the CV worker
+CREATE TABLE IF NOT EXISTS cv_job_files (
+    job_file_id INT AUTO_INCREMENT PRIMARY KEY,
+    job_id INT NOT NULL,
+    file_id INT NULL, -- cleared once the CV is saved with its candidate
+    original_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NULL,
+    state ENUM('queued','extracting','scoring','saved','failed') NOT NULL DEFAULT 'queued',
+    outcome ENUM('created','updated','duplicate','skipped-no-email','extraction-failed','model-failed','save-failed','too-many-attempts') NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    error TEXT NULL,
+    warnings JSON NULL, -- e.g. ["No name was found in the CV"]
+    candidate_id INT NULL,
+    application_id INT NULL,
+    locked_at DATETIME NULL, -- when a worker took the file
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (job_id) REFERENCES cv_jobs(job_id) ON DELETE CASCADE,
+    FOREIGN KEY (file_id) REFERENCES stored_files(file_id),
+    FOREIGN KEY (candidate_id) REFERENCES candidates(candidate_id) ON DELETE SET NULL,
+    FOREIGN KEY (application_id) REFERENCES applications(application_id) ON DELETE SET NULL,
+    INDEX (job_id),
+    INDEX (state),
+    INDEX (candidate_id)
+);
+-- Existing databases: ALTER TABLE cv_job_files ADD COLUMN outcome ENUM('created','updated','duplicate','skipped-no-email','extraction-failed','model-failed','save-failed') NULL AFTER state, ADD COLUMN warnings JSON NULL AFTER error;
@@ -1,10 +1,58 @@
 import * as usersModel from '../app/models/services/UserServices.js';
+import { verifyToken, requirePermission } from '../app/middleware/authMiddleware.js';
+import { runWithAuditContext } from '../app/middleware/auditContext.js';
+import { listQuery, sendList } from '../app/middleware/listQuery.js';
+import { registerAuditHooks } from '../app/models/services/AuditServices.js';
+
+registerAuditHooks();
+
+const userList = listQuery({
+  primaryKey: 'user_id',
+  sortable: ['user_id', 'name', 'email', 'role_id'],
+  fields: ['user_id', 'name', 'email', 'role_id']
+});
+
+// Same permissions as app/routes/UsersRouter.js
+const METHOD_PERMISSIONS = {
+  GET: 'user:read',
+  POST: 'user:admin',
+  DELETE: 'user:admin'
+};
+
+export default function handler(req, res) {
+  // Writes below are audited with the user and IP of this request
+  return runWithAuditContext(req, () => handleUsers(req, res));
+}
+
+/**
+ * Runs an Express middleware outside a router
+ * @param {Function} middleware - The middleware
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<boolean>} True if it called next, false if it answered the request itself
+ */
+async function passes(middleware, req, res) {
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return passed;
+}
+
+async function handleUsers(req, res) {
+  const permission = METHOD_PERMISSIONS[req.method];
+  if (!permission) {
+    return res.status(405).json({ error: 'Método no permitido' });
+  }
+
+  // verifyToken answers with 401 and requirePermission with 403 themselves
+  if (!await passes(verifyToken, req, res) || !await passes(requirePermission(permission), req, res)) return;
 
-export default async function handler(req, res) {
   if (req.method === 'GET') {
+    // listQuery answers with 400 itself when the page parameters are invalid
+    if (!await passes(userList, req, res)) return;
+
     try {
-      const allUsers = await usersModel.getAllUsers();
-      res.status(200).json(allUsers);
+      const result = await usersModel.getAllUsers(req.listQuery);
+      sendList(req, res, result);
     } catch (error) {
       console.error('Error fetching users:', error);
       res.status(500).json({ error: 'Error fetching users' });
@@ -22,7 +70,7 @@ export default async function handler(req, res) {
       console.error('Error creating or updating user:', error);
       res.status(500).json({ error: 'Error creating or updating user' });
     }
-  } else if (req.method === 'DELETE') {
+  } else {
     try {
       const { id } = req.query;
       const deletedCount = await usersModel.deleteUser(id);
@@ -35,7 +83,5 @@ export default async function handler(req, res) {
       console.error('Error deleting user:', error);
       res.status(500).json({ error: 'Error deleting user' });
     }
-  } else {
-    res.status(405).json({ error: 'Método no permitido' });
   }
 }
@@ -11,6 +11,15 @@ import candidatesController from './app/routes/CandidatesRouter.js'
 import usersController from './app/routes/UsersRouter.js'
 import candidateSharesController from './app/routes/CandidateSharesRouter.js'
 import authController from './app/routes/AuthRouter.js'
+import rolesController from './app/routes/RolesRouter.js'
+import auditController from './app/routes/AuditRouter.js'
+import tagsController from './app/routes/TagsRouter.js'
+import talentPoolsController from './app/routes/TalentPoolsRouter.js'
+import cvJobsController from './app/routes/CvJobsRouter.js'
+import { verifyToken } from './app/middleware/authMiddleware.js'
+import { auditContext } from './app/middleware/auditContext.js'
+import { registerAuditHooks } from './app/models/services/AuditServices.js'
+import { registerRevisionHooks } from './app/models/services/CandidateRevisionServices.js'
 
 
 // Load environment variables from .env file
@@ -26,13 +35,29 @@ app.use(cors());
 // Is a middleware that processes incoming requests with a JSON body so that req.body can be accessed as a JavaScript object.
 app.use(express.json());
 
+// Number of proxy hops in front of the app (e.g. 1 on Vercel), so req.ip is the client address used for login throttling
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || false);
+
+// Every create, update and delete is written to the audit log with the user and IP of the request,
+// and every change to a candidate profile is kept as a revision
+registerAuditHooks();
+registerRevisionHooks();
+app.use(auditContext);
+
 // Configure routes for the endpoint
-app.use('/api/aicv', CvController);
-app.use('/api/vacancies', vacanciesControllers);
-app.use('/api/applications', applicationsController);
-app.use('/api/candidates', candidatesController);
-app.use('/api/users', usersController);
-app.use('/api/shares', candidateSharesController);
+// Every route except /api/auth requires a valid access token
+// Jobs go before /api/aicv, whose candidate routes would take 'jobs' for a candidate ID
+app.use('/api/aicv/jobs', verifyToken, cvJobsController);
+app.use('/api/aicv', verifyToken, CvController);
+app.use('/api/vacancies', verifyToken, vacanciesControllers);
+app.use('/api/applications', verifyToken, applicationsController);
+app.use('/api/candidates', verifyToken, candidatesController);
+app.use('/api/users', verifyToken, usersController);
+app.use('/api/shares', verifyToken, candidateSharesController);
+app.use('/api/roles', verifyToken, rolesController);
+app.use('/api/audit', verifyToken, auditController);
+app.use('/api/tags', verifyToken, tagsController);
+app.use('/api/pools', verifyToken, talentPoolsController);
 app.use('/api/auth', authController);
 
 // Configure the application port, taking the environment variable or the default value (3000)
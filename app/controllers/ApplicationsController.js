@@ -1,4 +1,7 @@
 import * as applicationsModel from "../models/services/ApplicationServices.js";
+import { sendList } from "../middleware/listQuery.js";
+
+const APPLICATION_STATUSES = ["pending", "interview", "offered", "accepted", "rejected"];
 
 /**
  * Controller function to retrieve all applications with related candidate and vacancy information.
@@ -7,7 +10,8 @@ import * as applicationsModel from "../models/services/ApplicationServices.js";
  * @function getAllApplications
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns HTTP response with applications array including candidate and vacancy data, or error message
+ * @returns {Promise<Object>} Returns HTTP response with a page of applications including candidate and vacancy data
+ * in the list envelope, or error message
  * @throws {Error} Returns 500 status with error message if database query fails
  * 
  * @description This controller handles GET requests to retrieve all applications from the database.
@@ -15,25 +19,30 @@ import * as applicationsModel from "../models/services/ApplicationServices.js";
  * - Application: application_id, status, ai_reason
  * - Candidate: name
  * - Vacancy: title
+ * Page, sort and fields come from the listQuery middleware.
  * 
  * @example
  * // Example request
  * GET /api/applications
  * 
  * // Success response (200)
- * [
- *   {
- *     "application_id": 1,
- *     "status": "pending",
- *     "ai_reason": "Strong technical background matches requirements",
- *     "Candidate": {
- *       "name": "John Doe"
- *     },
- *     "Vacancy": {
- *       "title": "Software Engineer"
+ * {
+ *   "data": [
+ *     {
+ *       "application_id": 1,
+ *       "status": "pending",
+ *       "ai_reason": "Strong technical background matches requirements",
+ *       "Candidate": {
+ *         "name": "John Doe"
+ *       },
+ *       "Vacancy": {
+ *         "title": "Software Engineer"
+ *       }
  *     }
- *   }
- * ]
+ *   ],
+ *   "meta": { "total": 1, "page": 1, "pages": 1, "limit": 20, "next_cursor": null },
+ *   "links": { "self": "/api/applications", "next": null, "prev": null }
+ * }
  * 
  * // Error response (500)
  * {
@@ -42,8 +51,8 @@ import * as applicationsModel from "../models/services/ApplicationServices.js";
  */
 export const getAllApplications = async (req, res) => {
     try {
-        const applications = await applicationsModel.getApplications();
-        return res.status(200).json(applications);
+        const result = await applicationsModel.getApplications(req.listQuery);
+        return sendList(req, res, result);
     } catch (error) {
         console.error("Error fetching applications:", error);
         return res.status(500).json({ error: "Error fetching applications" });
@@ -56,31 +65,40 @@ export const getAllApplications = async (req, res) => {
  * @async
  * @function getAllApplicationsColumn
  * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.candidate_id] - Only the applications of this candidate
+ * @param {string} [req.query.vacancy_id] - Only the applications to this vacancy
+ * @param {string} [req.query.status] - Only applications with this status
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns HTTP response with complete applications array or error message
+ * @returns {Promise<Object>} Returns HTTP response with a page of complete applications in the list envelope or error message
  * @throws {Error} Returns 500 status with error message if database query fails
  * 
  * @description This controller handles GET requests to retrieve all applications with all database columns.
  * It calls the applicationsModel.getAllApplicationsColumn() service which returns raw application data
  * without any joins or related data. This is useful for getting complete application records
- * when you need all fields from the Application table.
+ * when you need all fields from the Application table. Returns 400 if a filter is invalid.
  * 
  * @example
  * // Example request
- * GET /api/applications/columns
+ * GET /api/applications/column
+ * GET /api/applications/column?vacancy_id=456&status=interview&limit=1
  * 
  * // Success response (200)
- * [
- *   {
- *     "application_id": 1,
- *     "candidate_id": 123,
- *     "vacancy_id": 456,
- *     "status": "pending",
- *     "ai_reason": "Strong technical background matches requirements",
- *     "created_at": "2024-01-15T10:30:00.000Z",
- *     "updated_at": "2024-01-15T10:30:00.000Z"
- *   }
- * ]
+ * {
+ *   "data": [
+ *     {
+ *       "application_id": 1,
+ *       "candidate_id": 123,
+ *       "vacancy_id": 456,
+ *       "status": "pending",
+ *       "ai_reason": "Strong technical background matches requirements",
+ *       "created_at": "2024-01-15T10:30:00.000Z",
+ *       "updated_at": "2024-01-15T10:30:00.000Z"
+ *     }
+ *   ],
+ *   "meta": { "total": 1, "page": 1, "pages": 1, "limit": 20, "next_cursor": null },
+ *   "links": { "self": "/api/applications/column", "next": null, "prev": null }
+ * }
  * 
  * // Error response (500)
  * {
@@ -88,9 +106,25 @@ export const getAllApplications = async (req, res) => {
  * }
  */
 export const getAllApplicationsColumn = async (req, res) => {
+    const { candidate_id: candidateId, vacancy_id: vacancyId, status } = req.query;
+    const filters = {};
+    for (const [field, value] of [["candidate_id", candidateId], ["vacancy_id", vacancyId]]) {
+        if (value === undefined) continue;
+        if (!/^[1-9]\d*$/.test(String(value))) {
+            return res.status(400).json({ error: `${field} must be a positive integer` });
+        }
+        filters[field] = Number(value);
+    }
+    if (status !== undefined) {
+        if (!APPLICATION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${APPLICATION_STATUSES.join(", ")}` });
+        }
+        filters.status = status;
+    }
+
     try {
-        const applications = await applicationsModel.getAllApplicationsColumn();
-        return res.status(200).json(applications);
+        const result = await applicationsModel.getAllApplicationsColumn(req.listQuery, filters);
+        return sendList(req, res, result);
     } catch (error) {
         console.error("Error fetching applications:", error);
         return res.status(500).json({ error: "Error fetching applications" });
@@ -106,7 +140,7 @@ export const getAllApplicationsColumn = async (req, res) => {
  * @param {Object} req.params - Route parameters
  * @param {string|number} req.params.id - The vacancy ID to filter applications by
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns HTTP response with applications array for the specified vacancy or error message
+ * @returns {Promise<Object>} Returns HTTP response with a page of applications for the specified vacancy in the list envelope or error message
  * @throws {Error} Returns 500 status with error message if database query fails
  * 
  * @description This controller handles GET requests to retrieve applications for a specific vacancy.
@@ -118,23 +152,27 @@ export const getAllApplicationsColumn = async (req, res) => {
  * 
  * @example
  * // Example request
- * GET /api/applications/vacancy/456
+ * GET /api/applications/456
  * 
  * // Success response (200)
- * [
- *   {
- *     "application_id": 1,
- *     "status": "pending",
- *     "ai_reason": "Strong technical background matches requirements",
- *     "Candidate": {
- *       "name": "John Doe"
- *     },
- *     "Vacancy": {
- *       "vacancy_id": 456,
- *       "title": "Software Engineer"
+ * {
+ *   "data": [
+ *     {
+ *       "application_id": 1,
+ *       "status": "pending",
+ *       "ai_reason": "Strong technical background matches requirements",
+ *       "Candidate": {
+ *         "name": "John Doe"
+ *       },
+ *       "Vacancy": {
+ *         "vacancy_id": 456,
+ *         "title": "Software Engineer"
+ *       }
  *     }
- *   }
- * ]
+ *   ],
+ *   "meta": { "total": 1, "page": 1, "pages": 1, "limit": 20, "next_cursor": null },
+ *   "links": { "self": "/api/applications/456", "next": null, "prev": null }
+ * }
  * 
  * // Error response (500)
  * {
@@ -144,9 +182,9 @@ export const getAllApplicationsColumn = async (req, res) => {
 export const getApplicationsForVacancyId = async (req, res) => {
     try {
         const id = req.params.id;
-        const applicationsForVacancy = await applicationsModel.getApplicationsForVacancyId(id);
+        const result = await applicationsModel.getApplicationsForVacancyId(id, req.listQuery);
         
-        return res.status(200).json(applicationsForVacancy);
+        return sendList(req, res, result);
     } catch (error) {
         console.error("Error fetching applications:", error);
         return res.status(500).json({ error: "Error fetching applications" });
@@ -164,7 +202,7 @@ export const getApplicationsForVacancyId = async (req, res) => {
  * @param {string|number} req.params.id - The vacancy ID to filter applications by
  * @param {string} req.params.status - The application status to filter by (e.g., 'pending', 'approved', 'rejected', 'interview')
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns HTTP response with filtered applications array or error message
+ * @returns {Promise<Object>} Returns HTTP response with a page of filtered applications in the list envelope or error message
  * @throws {Error} Returns 500 status with error message if database query fails
  * 
  * @description This controller handles GET requests to retrieve applications for a specific vacancy with a specific status.
@@ -177,23 +215,27 @@ export const getApplicationsForVacancyId = async (req, res) => {
  * 
  * @example
  * // Example request
- * GET /api/applications/vacancy/456/status/pending
+ * GET /api/applications/456/pending
  * 
  * // Success response (200)
- * [
- *   {
- *     "application_id": 1,
- *     "status": "pending",
- *     "ai_reason": "Strong technical background matches requirements",
- *     "Candidate": {
- *       "name": "John Doe"
- *     },
- *     "Vacancy": {
- *       "vacancy_id": 456,
- *       "title": "Software Engineer"
+ * {
+ *   "data": [
+ *     {
+ *       "application_id": 1,
+ *       "status": "pending",
+ *       "ai_reason": "Strong technical background matches requirements",
+ *       "Candidate": {
+ *         "name": "John Doe"
+ *       },
+ *       "Vacancy": {
+ *         "vacancy_id": 456,
+ *         "title": "Software Engineer"
+ *       }
  *     }
- *   }
- * ]
+ *   ],
+ *   "meta": { "total": 1, "page": 1, "pages": 1, "limit": 20, "next_cursor": null },
+ *   "links": { "self": "/api/applications/456/pending", "next": null, "prev": null }
+ * }
  * 
  * // Error response (500)
  * {
@@ -204,9 +246,9 @@ export const getApplicationsForVacancyIdAndStatus = async (req, res) => {
     try {
         const id = req.params.id;
         const status = req.params.status;
-        const applicationsForVacancy = await applicationsModel.getApplicationsForVacancyIdAndStatus(id, status);
+        const result = await applicationsModel.getApplicationsForVacancyIdAndStatus(id, status, req.listQuery);
         
-        return res.status(200).json(applicationsForVacancy);
+        return sendList(req, res, result);
     } catch (error) {
         console.error("Error fetching applications:", error);
         return res.status(500).json({ error: "Error fetching applications" });
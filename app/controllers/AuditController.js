@@ -0,0 +1,74 @@
+import * as auditModel from "../models/services/AuditServices.js";
+import { sendList } from "../middleware/listQuery.js";
+
+const AUDIT_ACTIONS = ["create", "update", "delete", "anonymize", "erase"];
+
+/**
+ * Parses an optional date query parameter
+ * @param {string|undefined} value - Query parameter value
+ * @returns {Date|null|undefined} The date, undefined when absent, null when invalid
+ */
+const parseDateParam = (value) => {
+    if (value === undefined) return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Retrieves audit log entries a page at a time, most recent first unless sorted otherwise (admin only)
+ * @async
+ * @function getAuditLogsController
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Filters, all optional
+ * @param {string} [req.query.actor_user_id] - Only changes made by this user
+ * @param {string} [req.query.entity] - Only this kind of record, e.g. 'candidate', 'vacancy', 'application', 'user'
+ * @param {string} [req.query.entity_id] - Only this record
+ * @param {string} [req.query.action] - 'create', 'update', 'delete', 'anonymize' or 'erase'
+ * @param {string} [req.query.from] - ISO date, only changes made at or after it
+ * @param {string} [req.query.to] - ISO date, only changes made at or before it
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} JSON response with a page of entries in the list envelope (page, limit, cursor and sort
+ * are read by the listQuery middleware)
+ * @description
+ * - Returns 200 with the matching entries
+ * - Returns 400 if a filter is invalid
+ * - Returns 500 status if an error occurs during the operation
+ *
+ * @example
+ * // Example request
+ * GET /api/audit?entity=candidate&entity_id=42&action=update&cursor=
+ */
+export const getAuditLogsController = async (req, res) => {
+    const { actor_user_id, entity, entity_id, action } = req.query;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+
+    const errors = [];
+    if (actor_user_id !== undefined && !/^\d+$/.test(actor_user_id)) {
+        errors.push("actor_user_id must be a user ID");
+    }
+    if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+        errors.push(`action must be one of: ${AUDIT_ACTIONS.join(", ")}`);
+    }
+    if (from === null || to === null) {
+        errors.push("from and to must be valid dates");
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid filters", errors });
+    }
+
+    try {
+        const result = await auditModel.getAuditLogs({
+            actor_user_id: actor_user_id === undefined ? undefined : Number(actor_user_id),
+            entity,
+            entity_id,
+            action,
+            from,
+            to
+        }, req.listQuery);
+        return sendList(req, res, result);
+    } catch (error) {
+        console.error("Error fetching audit logs:", error);
+        return res.status(500).json({ error: "Error fetching audit logs" });
+    }
+};
@@ -1,4 +1,22 @@
 import AuthServices from '../models/services/AuthServices.js';
+import * as RefreshTokenServices from '../models/services/RefreshTokenServices.js';
+import * as TwoFactorServices from '../models/services/TwoFactorServices.js';
+import * as InvitationServices from '../models/services/InvitationServices.js';
+
+/**
+ * Answers a throttled login attempt with 429 and a Retry-After header
+ * @param {Object} res - Express response object
+ * @param {Error} error - 'Too many failed login attempts' error carrying `retryAfter` in seconds
+ * @returns {Object} Express response
+ */
+const sendTooManyAttempts = (res, error) => {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts, please try again later',
+        retryAfter: error.retryAfter
+    });
+};
 
 /**
  * Authentication controller handling login and registration requests
@@ -6,7 +24,8 @@ import AuthServices from '../models/services/AuthServices.js';
 export default class AuthController {
     
     /**
-     * Handles user registration
+     * Handles open self-registration (only when ALLOW_OPEN_REGISTRATION is enabled).
+     * Self-registered users always get the DEFAULT_ROLE role; other roles are assigned through invitations.
      * @async
      * @function register
      * @param {Object} req - Express request object
@@ -16,7 +35,15 @@ export default class AuthController {
      */
     static async register(req, res) {
         try {
-            const userData = req.body;
+            if (!AuthServices.isOpenRegistrationEnabled()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Open registration is disabled, ask an administrator for an invitation'
+                });
+            }
+            
+            const { name, email, password } = req.body;
+            const userData = { name, email, password };
             
             // Validate input
             const validation = AuthServices.validateRegistration(userData);
@@ -55,6 +82,98 @@ export default class AuthController {
         }
     }
     
+    /**
+     * Returns the email and role of a pending invitation so the invitee can see what they are joining
+     * @async
+     * @function getInvitation
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Route parameters
+     * @param {string} req.params.token - Token from the invitation link
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response with the invitation email, role and expiry, or 404
+     */
+    static async getInvitation(req, res) {
+        try {
+            const invitation = await InvitationServices.getPendingInvitationByToken(req.params.token);
+            
+            if (!invitation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Invalid or expired invitation'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: invitation
+            });
+            
+        } catch (error) {
+            console.error('Get invitation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error while fetching invitation'
+            });
+        }
+    }
+    
+    /**
+     * Handles invitation acceptance: creates the account with the invited email and role
+     * @async
+     * @function acceptInvitation
+     * @param {Object} req - Express request object
+     * @param {Object} req.body - Acceptance data
+     * @param {string} req.body.token - Token from the invitation link
+     * @param {string} req.body.name - User's full name
+     * @param {string} req.body.password - Password chosen by the invitee
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response with the created user or error
+     */
+    static async acceptInvitation(req, res) {
+        try {
+            const { token, name, password } = req.body;
+            
+            const validation = AuthServices.validateInvitationAcceptance({ token, name, password });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: validation.errors
+                });
+            }
+            
+            const user = await AuthServices.acceptInvitation(token, { name, password });
+            
+            res.status(201).json({
+                success: true,
+                message: 'Account created, you can now log in',
+                data: user
+            });
+            
+        } catch (error) {
+            console.error('Accept invitation error:', error);
+            
+            if (error.message === 'Invalid or expired invitation') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            if (error.message === 'User already exists with this email') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error while accepting invitation'
+            });
+        }
+    }
+    
     /**
      * Handles user login
      * @async
@@ -62,7 +181,7 @@ export default class AuthController {
      * @param {Object} req - Express request object
      * @param {Object} req.body - Login credentials
      * @param {Object} res - Express response object
-     * @returns {Promise<Object>} JSON response with user data or error
+     * @returns {Promise<Object>} JSON response with user data, access token and refresh token or error
      */
     static async login(req, res) {
         try {
@@ -79,17 +198,38 @@ export default class AuthController {
             }
             
             // Authenticate user
-            const user = await AuthServices.loginUser(email, password);
+            const user = await AuthServices.loginUser(email, password, req.ip);
+            
+            // Users with 2FA (or whose role requires it) get a challenge instead of a session
+            const challenge = await AuthServices.getTwoFactorChallenge(user);
+            if (challenge) {
+                return res.json({
+                    success: true,
+                    message: challenge.twoFactorRequired
+                        ? 'Two-factor code required'
+                        : 'Two-factor authentication must be set up before logging in',
+                    ...challenge
+                });
+            }
+            
+            // Start a session: short-lived access token plus rotating refresh token
+            const { token, refreshToken } = await AuthServices.createSession(user);
             
             res.json({
                 success: true,
                 message: 'Login successful',
-                data: user
+                data: user,
+                token,
+                refreshToken
             });
             
         } catch (error) {
             console.error('Login error:', error);
             
+            if (error.message === 'Too many failed login attempts') {
+                return sendTooManyAttempts(res, error);
+            }
+            
             // Check for authentication errors
             if (error.message === 'Invalid email or password') {
                 return res.status(401).json({
@@ -106,17 +246,352 @@ export default class AuthController {
     }
     
     /**
-     * Handles user logout (stateless, mainly for consistency)
+     * Handles the second step of a login for users with two-factor authentication
+     * @async
+     * @function loginTwoFactor
+     * @param {Object} req - Express request object
+     * @param {Object} req.body - Second factor
+     * @param {string} req.body.challengeToken - Token returned by POST /api/auth/login
+     * @param {string} [req.body.code] - Code from the authenticator app
+     * @param {string} [req.body.recoveryCode] - One-time recovery code
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response with user data, access token and refresh token or error
+     */
+    static async loginTwoFactor(req, res) {
+        try {
+            const { challengeToken, code, recoveryCode } = req.body;
+            
+            if (!challengeToken || (!code && !recoveryCode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Challenge token and a code or recovery code are required'
+                });
+            }
+            
+            const user = await AuthServices.verifyTwoFactorLogin(challengeToken, { code, recoveryCode }, req.ip);
+            const { token, refreshToken } = await AuthServices.createSession(user);
+            
+            res.json({
+                success: true,
+                message: 'Login successful',
+                data: user,
+                token,
+                refreshToken
+            });
+            
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            
+            if (error.message === 'Too many failed login attempts') {
+                return sendTooManyAttempts(res, error);
+            }
+            
+            if (error.message === 'Invalid or expired challenge token' || error.message === 'Invalid two-factor code') {
+                return res.status(401).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during login'
+            });
+        }
+    }
+    
+    /**
+     * Returns the two-factor status of the authenticated user
+     * @async
+     * @function getTwoFactorStatus
+     * @param {Object} req - Express request object (req.user set by verifyToken)
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response with enabled, pending, required and recoveryCodesRemaining
+     */
+    static async getTwoFactorStatus(req, res) {
+        try {
+            const status = await TwoFactorServices.getTwoFactorStatus(req.user.user_id);
+            const required = await TwoFactorServices.isTwoFactorRequiredForRole(req.user.role_id);
+            
+            res.json({
+                success: true,
+                data: { ...status, required }
+            });
+            
+        } catch (error) {
+            console.error('Two-factor status error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error while fetching two-factor status'
+            });
+        }
+    }
+    
+    /**
+     * Starts two-factor enrollment and returns the secret and provisioning URI
+     * @async
+     * @function setupTwoFactor
+     * @param {Object} req - Express request object (req.user set by verifyTokenOrSetupChallenge)
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response with the secret and the otpauth:// URI to show as a QR code
+     */
+    static async setupTwoFactor(req, res) {
+        try {
+            const { secret, otpauthUrl } = await TwoFactorServices.startEnrollment(req.user);
+            
+            res.json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app, then confirm with a code',
+                data: { secret, otpauthUrl }
+            });
+            
+        } catch (error) {
+            console.error('Two-factor setup error:', error);
+            
+            if (error.message === 'Two-factor authentication is already enabled') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during two-factor setup'
+            });
+        }
+    }
+    
+    /**
+     * Confirms two-factor enrollment with a code and returns the recovery codes.
+     * When enrollment was forced at login (challenge token), a session is started as well.
+     * @async
+     * @function enableTwoFactor
+     * @param {Object} req - Express request object (req.user set by verifyTokenOrSetupChallenge)
+     * @param {Object} req.body - Confirmation data
+     * @param {string} req.body.code - Code from the authenticator app
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response with the recovery codes (and tokens after a forced enrollment)
+     */
+    static async enableTwoFactor(req, res) {
+        try {
+            const { code } = req.body;
+            
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Code is required'
+                });
+            }
+            
+            const recoveryCodes = await TwoFactorServices.confirmEnrollment(req.user.user_id, code);
+            
+            const response = {
+                success: true,
+                message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are shown only once',
+                recoveryCodes
+            };
+            
+            if (req.twoFactorSetupChallenge) {
+                const { token, refreshToken } = await AuthServices.createSession(req.user);
+                Object.assign(response, { data: req.user, token, refreshToken });
+            }
+            
+            res.json(response);
+            
+        } catch (error) {
+            console.error('Enable two-factor error:', error);
+            
+            if (error.message === 'Invalid two-factor code' || error.message === 'Two-factor enrollment has not been started') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            if (error.message === 'Two-factor authentication is already enabled') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error while enabling two-factor authentication'
+            });
+        }
+    }
+    
+    /**
+     * Turns two-factor authentication off for the authenticated user
+     * @async
+     * @function disableTwoFactor
+     * @param {Object} req - Express request object (req.user set by verifyToken)
+     * @param {Object} req.body - Confirmation data
+     * @param {string} req.body.password - Current password
+     * @param {string} req.body.code - Code from the authenticator app
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response confirming two-factor authentication was disabled
+     */
+    static async disableTwoFactor(req, res) {
+        try {
+            const { password, code } = req.body;
+            
+            if (!password || !code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Password and code are required'
+                });
+            }
+            
+            await AuthServices.disableTwoFactor(req.user, password, code);
+            
+            res.json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+            
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            
+            if (error.message === 'Two-factor authentication is required for your role') {
+                return res.status(403).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            if (error.message === 'Current password is incorrect' || error.message === 'Invalid two-factor code') {
+                return res.status(401).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error while disabling two-factor authentication'
+            });
+        }
+    }
+    
+    /**
+     * Replaces the recovery codes of the authenticated user
+     * @async
+     * @function regenerateRecoveryCodes
+     * @param {Object} req - Express request object (req.user set by verifyToken)
+     * @param {Object} req.body - Confirmation data
+     * @param {string} req.body.code - Code from the authenticator app
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response with the new recovery codes
+     */
+    static async regenerateRecoveryCodes(req, res) {
+        try {
+            const { code } = req.body;
+            
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Code is required'
+                });
+            }
+            
+            if (!(await TwoFactorServices.verifyTotp(req.user.user_id, code))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid two-factor code'
+                });
+            }
+            
+            const recoveryCodes = await TwoFactorServices.regenerateRecoveryCodes(req.user.user_id);
+            
+            res.json({
+                success: true,
+                message: 'Recovery codes regenerated, previous codes no longer work',
+                recoveryCodes
+            });
+            
+        } catch (error) {
+            console.error('Regenerate recovery codes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error while regenerating recovery codes'
+            });
+        }
+    }
+    
+    /**
+     * Handles access token renewal using a refresh token
+     * @async
+     * @function refresh
+     * @param {Object} req - Express request object
+     * @param {Object} req.body - Refresh data
+     * @param {string} req.body.refreshToken - Refresh token issued by login or a previous refresh
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response with a new access token and refresh token or error
+     */
+    static async refresh(req, res) {
+        try {
+            const { refreshToken } = req.body;
+            
+            if (!refreshToken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refresh token is required'
+                });
+            }
+            
+            const { token, refreshToken: newRefreshToken } = await AuthServices.refreshSession(refreshToken);
+            
+            res.json({
+                success: true,
+                message: 'Token refreshed successfully',
+                token,
+                refreshToken: newRefreshToken
+            });
+            
+        } catch (error) {
+            console.error('Refresh token error:', error);
+            
+            if (['Invalid refresh token', 'Refresh token expired', 'Refresh token reuse detected'].includes(error.message)) {
+                return res.status(401).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during token refresh'
+            });
+        }
+    }
+    
+    /**
+     * Handles user logout by revoking the session of the given refresh token
      * @async
      * @function logout
      * @param {Object} req - Express request object
+     * @param {Object} req.body - Logout data
+     * @param {string} req.body.refreshToken - Refresh token of the session to end
      * @param {Object} res - Express response object
      * @returns {Promise<Object>} JSON response confirming logout
      */
     static async logout(req, res) {
         try {
-            // For stateless authentication, logout is handled on the frontend
-            // This endpoint exists for consistency and future token invalidation if needed
+            const { refreshToken } = req.body;
+            
+            if (!refreshToken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refresh token is required'
+                });
+            }
+            
+            // Unknown tokens are ignored so logout stays idempotent
+            await RefreshTokenServices.revokeTokenFamily(refreshToken);
+            
             res.json({
                 success: true,
                 message: 'Logout successful'
@@ -130,6 +605,122 @@ export default class AuthController {
         }
     }
     
+    /**
+     * Handles logout from every session of the authenticated user
+     * @async
+     * @function logoutAll
+     * @param {Object} req - Express request object
+     * @param {Object} req.user - Authenticated user set by verifyToken
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response confirming logout of all sessions
+     */
+    static async logoutAll(req, res) {
+        try {
+            await RefreshTokenServices.revokeAllUserTokens(req.user.user_id);
+            
+            res.json({
+                success: true,
+                message: 'All sessions logged out successfully'
+            });
+        } catch (error) {
+            console.error('Logout all error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during logout'
+            });
+        }
+    }
+    
+    /**
+     * Handles forgotten password requests by emailing a reset link
+     * @async
+     * @function forgotPassword
+     * @param {Object} req - Express request object
+     * @param {Object} req.body - Request data
+     * @param {string} req.body.email - Email address of the account
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response that is the same whether or not the account exists
+     */
+    static async forgotPassword(req, res) {
+        try {
+            const { email } = req.body;
+            
+            if (typeof email !== 'string' || !email.includes('@')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid email is required'
+                });
+            }
+            
+            await AuthServices.requestPasswordReset(email);
+            
+            res.json({
+                success: true,
+                message: 'If an account exists for this email, a password reset link has been sent'
+            });
+            
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during password reset request'
+            });
+        }
+    }
+    
+    /**
+     * Handles password reset with a token from the reset email
+     * @async
+     * @function resetPassword
+     * @param {Object} req - Express request object
+     * @param {Object} req.body - Reset data
+     * @param {string} req.body.token - Token from the reset link
+     * @param {string} req.body.newPassword - New password
+     * @param {Object} res - Express response object
+     * @returns {Promise<Object>} JSON response confirming the password reset
+     */
+    static async resetPassword(req, res) {
+        try {
+            const { token, newPassword } = req.body;
+            
+            if (!token || !newPassword || typeof token !== 'string' || typeof newPassword !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Token and new password are required'
+                });
+            }
+            
+            if (newPassword.length < 6) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'New password must be at least 6 characters long'
+                });
+            }
+            
+            await AuthServices.resetPassword(token, newPassword);
+            
+            res.json({
+                success: true,
+                message: 'Password reset successfully'
+            });
+            
+        } catch (error) {
+            console.error('Reset password error:', error);
+            
+            if (error.message === 'Invalid or expired reset token') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during password reset'
+            });
+        }
+    }
+    
     /**
      * Handles password change requests
      * @async
@@ -159,7 +750,7 @@ export default class AuthController {
             }
             
             // Verify current credentials
-            await AuthServices.loginUser(email, currentPassword);
+            const user = await AuthServices.loginUser(email, currentPassword, req.ip);
             
             // Hash new password and update user
             const User = (await import('../models/entities/UserEntity.js')).default;
@@ -170,6 +761,9 @@ export default class AuthController {
                 { where: { email } }
             );
             
+            // A changed password ends every existing session
+            await RefreshTokenServices.revokeAllUserTokens(user.user_id);
+            
             res.json({
                 success: true,
                 message: 'Password changed successfully'
@@ -178,6 +772,10 @@ export default class AuthController {
         } catch (error) {
             console.error('Change password error:', error);
             
+            if (error.message === 'Too many failed login attempts') {
+                return sendTooManyAttempts(res, error);
+            }
+            
             if (error.message === 'Invalid email or password') {
                 return res.status(401).json({
                     success: false,
@@ -0,0 +1,207 @@
+import * as duplicatesModel from "../models/services/CandidateDuplicateServices.js";
+import { redactCandidatePii } from "../models/services/CandidateServices.js";
+import { sendList } from "../middleware/listQuery.js";
+
+// Statuses of the review queue that can be listed
+const DUPLICATE_STATUSES = ["pending", "dismissed"];
+
+/**
+ * Checks that a route parameter or body field is an ID (a positive integer)
+ * @param {*} id - Value to check
+ * @returns {boolean} True when the ID is valid
+ */
+const isValidId = (id) => /^[1-9]\d*$/.test(String(id));
+
+/**
+ * Hides the contact details of both candidates of a pair from users without candidate:read_pii
+ * @param {Object} req - Express request object (req.permissions is set by requirePermission)
+ * @param {Object} duplicate - Pair from the review queue
+ * @returns {Object} The pair as the user may see it
+ */
+const toVisibleDuplicate = (req, duplicate) => {
+  if (req.permissions?.includes("candidate:read_pii")) {
+    return duplicate;
+  }
+  return {
+    ...duplicate,
+    ...(duplicate.candidate && { candidate: redactCandidatePii(duplicate.candidate) }),
+    ...(duplicate.other_candidate && { other_candidate: redactCandidatePii(duplicate.other_candidate) })
+  };
+};
+
+/**
+ * Controller function to list the review queue of possible duplicate candidates
+ * @async
+ * @function getCandidateDuplicatesController
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status=pending] - 'pending' or 'dismissed'
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns a page of pairs with `score`, `reasons`, `candidate` and `other_candidate`
+ * in the list envelope or error message
+ * @description
+ * - Contact details of the candidates are null unless the user has candidate:read_pii
+ * - Returns 400 if the status is unknown
+ */
+export const getCandidateDuplicatesController = async (req, res) => {
+  const { status = "pending" } = req.query;
+  if (!DUPLICATE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${DUPLICATE_STATUSES.join(", ")}` });
+  }
+
+  try {
+    const result = await duplicatesModel.getCandidateDuplicates(status, req.listQuery);
+    return sendList(req, res, result, duplicate => toVisibleDuplicate(req, duplicate));
+  } catch (error) {
+    console.error("Error fetching candidate duplicates:", error);
+    return res.status(500).json({ error: "Error fetching candidate duplicates" });
+  }
+};
+
+/**
+ * Controller function to run the duplicate detection job now and refresh the review queue
+ * @async
+ * @function detectCandidateDuplicatesController
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns { scanned, pending, created, removed } or error message
+ */
+export const detectCandidateDuplicatesController = async (req, res) => {
+  try {
+    const summary = await duplicatesModel.detectCandidateDuplicates();
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error("Error detecting candidate duplicates:", error);
+    return res.status(500).json({ error: "Error detecting candidate duplicates" });
+  }
+};
+
+/**
+ * Controller function to take a pair off the review queue because its candidates are different people
+ * @async
+ * @function dismissCandidateDuplicateController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.duplicateId - ID of the pair
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the dismissed pair, 404 if it does not exist, or error message
+ */
+export const dismissCandidateDuplicateController = async (req, res) => {
+  const { duplicateId } = req.params;
+  if (!isValidId(duplicateId)) {
+    return res.status(400).json({ error: "Invalid duplicate ID" });
+  }
+
+  try {
+    const duplicate = await duplicatesModel.dismissCandidateDuplicate(duplicateId, req.user?.user_id ?? null);
+    if (!duplicate) {
+      return res.status(404).json({ error: "Duplicate not found" });
+    }
+    return res.status(200).json(duplicate);
+  } catch (error) {
+    console.error("Error dismissing candidate duplicate:", error);
+    return res.status(500).json({ error: "Error dismissing candidate duplicate" });
+  }
+};
+
+/**
+ * Controller function to merge another candidate into this one, field by field
+ * @async
+ * @function mergeCandidateController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - ID of the candidate that is kept
+ * @param {Object} req.body - Merge data
+ * @param {number} req.body.candidate_id - ID of the candidate merged into it (deleted by the merge)
+ * @param {Object<string, string>} [req.body.fields] - For each field to decide, 'survivor' or 'duplicate'
+ * (see duplicatesModel.MERGE_FIELDS); by default the kept candidate's value wins unless it is empty
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns { merge, candidate } with the merge record (its merge_id undoes it) and the updated candidate
+ * @description
+ * - Applications, shares, notes, files, tags and talent pool memberships of the merged candidate move to the kept one
+ * - Returns 400 on invalid IDs or fields, 404 if either candidate does not exist
+ * @example
+ * // Example request
+ * POST /api/candidates/12/merge
+ * { "candidate_id": 48, "fields": { "email": "duplicate", "experience": "duplicate" } }
+ */
+export const mergeCandidateController = async (req, res) => {
+  const { id } = req.params;
+  const { candidate_id: mergedId, fields = {} } = req.body ?? {};
+  if (!isValidId(id) || !isValidId(mergedId)) {
+    return res.status(400).json({ error: "The route ID and candidate_id must be candidate IDs" });
+  }
+  if (typeof fields !== "object" || fields === null || Array.isArray(fields)) {
+    return res.status(400).json({ error: "fields must be an object" });
+  }
+
+  try {
+    const result = await duplicatesModel.mergeCandidates(id, mergedId, fields, req.user?.user_id ?? null);
+    if (!result) {
+      return res.status(404).json({ error: "Candidate not found" });
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    if (error.message === "Invalid merge fields") {
+      return res.status(400).json({ error: error.message, fields: error.fields, allowedFields: duplicatesModel.MERGE_FIELDS });
+    }
+    if (error.message === "Cannot merge a candidate into itself") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error merging candidates:", error);
+    return res.status(500).json({ error: "Error merging candidates" });
+  }
+};
+
+/**
+ * Controller function to list the recorded merges
+ * @async
+ * @function getCandidateMergesController
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns a page of merges (without their recorded changes) in the list envelope or error message
+ */
+export const getCandidateMergesController = async (req, res) => {
+  try {
+    const result = await duplicatesModel.getCandidateMerges(req.listQuery);
+    return sendList(req, res, result);
+  } catch (error) {
+    console.error("Error fetching candidate merges:", error);
+    return res.status(500).json({ error: "Error fetching candidate merges" });
+  }
+};
+
+/**
+ * Controller function to undo a merge
+ * @async
+ * @function undoCandidateMergeController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.mergeId - ID of the merge
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns { merge, kept }, kept listing the fields of the kept candidate edited since the merge
+ * and therefore left as they are
+ * @description
+ * - Returns 404 if the merge does not exist
+ * - Returns 409 if it was already undone, the kept candidate was deleted or another candidate took the email
+ */
+export const undoCandidateMergeController = async (req, res) => {
+  const { mergeId } = req.params;
+  if (!isValidId(mergeId)) {
+    return res.status(400).json({ error: "Invalid merge ID" });
+  }
+
+  try {
+    const result = await duplicatesModel.undoCandidateMerge(mergeId, req.user?.user_id ?? null);
+    if (!result) {
+      return res.status(404).json({ error: "Merge not found" });
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    if (["Merge already undone", "Surviving candidate no longer exists", "Email of the merged candidate is in use"].includes(error.message)) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Error undoing candidate merge:", error);
+    return res.status(500).json({ error: "Error undoing candidate merge" });
+  }
+};
@@ -0,0 +1,94 @@
+import * as filesModel from "../models/services/CandidateFileServices.js";
+import { sendList } from "../middleware/listQuery.js";
+
+/**
+ * Checks that a route parameter is an ID (a positive integer)
+ * @param {*} id - Value to check
+ * @returns {boolean} True when the ID is valid
+ */
+const isValidId = (id) => /^[1-9]\d*$/.test(String(id));
+
+/**
+ * Builds a Content-Disposition header that keeps a non-ASCII file name: an ASCII `filename` for old clients
+ * and the exact name in `filename*` (RFC 6266)
+ * @param {string} name - Download name
+ * @returns {string} Header value
+ */
+const attachmentHeader = (name) => {
+  const asciiName = name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encodedName = encodeURIComponent(name).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+};
+
+/**
+ * Controller function to list the files kept for a candidate, such as the CVs it was uploaded from
+ * @async
+ * @function getCandidateFilesController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns a page of files with `original_name`, `application_id`, `uploaded_by`, `created_at`
+ * and `file` (file_id, content_type, size) in the list envelope, or error message
+ */
+export const getCandidateFilesController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
+
+  try {
+    const result = await filesModel.getCandidateFiles(id, req.listQuery);
+    return sendList(req, res, result);
+  } catch (error) {
+    console.error("Error fetching candidate files:", error);
+    return res.status(500).json({ error: "Error fetching candidate files" });
+  }
+};
+
+/**
+ * Controller function to download a file of a candidate
+ * @async
+ * @function getCandidateFileController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {string} req.params.fileId - ID of the file (`file.file_id` in the list)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends the file with its content type and its uploaded name as download name,
+ * 404 if it is not a file of the candidate, or error message
+ * @description
+ * - The route also needs candidate:read_pii, as a CV holds the candidate's contact details
+ * @example
+ * // Example request
+ * GET /api/candidates/12/files/3
+ *
+ * // Success response (200)
+ * Content-Type: application/pdf
+ * Content-Disposition: attachment; filename="CV Ana Lopez.pdf"; filename*=UTF-8''CV%20Ana%20Lopez.pdf
+ */
+export const getCandidateFileController = async (req, res) => {
+  const { id, fileId } = req.params;
+  if (!isValidId(id) || !isValidId(fileId)) {
+    return res.status(400).json({ error: "Invalid candidate or file ID" });
+  }
+
+  try {
+    const file = await filesModel.getCandidateFileContent(id, fileId);
+    if (!file) {
+      return res.status(404).json({ error: "File not found" });
+    }
+    res.set({
+      "Content-Type": file.content_type,
+      "Content-Disposition": attachmentHeader(file.name),
+      "X-Content-Type-Options": "nosniff"
+    });
+    return res.status(200).send(file.body);
+  } catch (error) {
+    console.error("Error fetching candidate file:", error);
+    return res.status(500).json({ error: "Error fetching candidate file" });
+  }
+};
@@ -0,0 +1,265 @@
+import * as notesModel from "../models/services/CandidateNoteServices.js";
+import { sendList } from "../middleware/listQuery.js";
+
+// Longest note accepted
+const MAX_NOTE_LENGTH = 10000;
+
+// Errors of the note services caused by the request rather than the server
+const INVALID_NOTE_ERRORS = [
+  "Parent note not found",
+  "Cannot reply to a reply",
+  "Replies to a private note must be private",
+  "Application not found for this candidate",
+  "Application is for another vacancy",
+  "Vacancy not found"
+];
+
+/**
+ * Checks that a route parameter or body field is an ID (a positive integer)
+ * @param {*} id - Value to check
+ * @returns {boolean} True when the ID is valid
+ */
+const isValidId = (id) => /^[1-9]\d*$/.test(String(id));
+
+/**
+ * Checks the fields of a note sent by the client
+ * @param {Object} body - Request body
+ * @param {boolean} partial - True for an edit, where every field is optional
+ * @returns {Array<string>} Problems found, empty when the note is valid
+ */
+const validateNote = (body, partial) => {
+  const errors = [];
+  const { content, visibility, application_id, vacancy_id, parent_note_id } = body;
+  if (content !== undefined || !partial) {
+    if (typeof content !== "string" || !content.trim()) {
+      errors.push("content must be a non-empty string");
+    } else if (content.length > MAX_NOTE_LENGTH) {
+      errors.push(`content must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+  }
+  if (visibility !== undefined && !notesModel.NOTE_VISIBILITIES.includes(visibility)) {
+    errors.push(`visibility must be one of: ${notesModel.NOTE_VISIBILITIES.join(", ")}`);
+  }
+  for (const [field, value] of Object.entries({ application_id, vacancy_id, parent_note_id })) {
+    if (value !== undefined && value !== null && !isValidId(value)) {
+      errors.push(`${field} must be an ID or null`);
+    }
+  }
+  if (partial && parent_note_id !== undefined) {
+    errors.push("parent_note_id cannot be changed");
+  }
+  return errors;
+};
+
+/**
+ * Controller function to list the notes of a candidate the user may read
+ * @async
+ * @function getCandidateNotesController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.application_id] - Only notes about this application
+ * @param {string} [req.query.vacancy_id] - Only notes about this vacancy
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns a page of notes (team notes and the user's private ones) with `author`, `edited`
+ * and `parent_note_id` for replies, in the list envelope, or error message
+ */
+export const getCandidateNotesController = async (req, res) => {
+  const { id } = req.params;
+  const { application_id, vacancy_id } = req.query;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
+  if ((application_id !== undefined && !isValidId(application_id)) || (vacancy_id !== undefined && !isValidId(vacancy_id))) {
+    return res.status(400).json({ error: "application_id and vacancy_id must be IDs" });
+  }
+
+  try {
+    const result = await notesModel.getCandidateNotes(id, req.user?.user_id ?? null, { application_id, vacancy_id }, req.listQuery);
+    return sendList(req, res, result);
+  } catch (error) {
+    console.error("Error fetching candidate notes:", error);
+    return res.status(500).json({ error: "Error fetching candidate notes" });
+  }
+};
+
+/**
+ * Controller function to get one note of a candidate
+ * @async
+ * @function getCandidateNoteController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {string} req.params.noteId - ID of the note
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the note, 404 if it does not exist or is another user's private note, or error message
+ */
+export const getCandidateNoteController = async (req, res) => {
+  const { id, noteId } = req.params;
+  if (!isValidId(id) || !isValidId(noteId)) {
+    return res.status(400).json({ error: "Invalid candidate or note ID" });
+  }
+
+  try {
+    const note = await notesModel.getCandidateNote(id, noteId, req.user?.user_id ?? null);
+    if (!note) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+    return res.status(200).json(note);
+  } catch (error) {
+    console.error("Error fetching candidate note:", error);
+    return res.status(500).json({ error: "Error fetching candidate note" });
+  }
+};
+
+/**
+ * Controller function to list the previous versions of a note
+ * @async
+ * @function getCandidateNoteEditsController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {string} req.params.noteId - ID of the note
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns a page of versions with `edited_at` and `editor` in the list envelope,
+ * 404 if the note does not exist or is another user's private note, or error message
+ */
+export const getCandidateNoteEditsController = async (req, res) => {
+  const { id, noteId } = req.params;
+  if (!isValidId(id) || !isValidId(noteId)) {
+    return res.status(400).json({ error: "Invalid candidate or note ID" });
+  }
+
+  try {
+    const result = await notesModel.getCandidateNoteEdits(id, noteId, req.user?.user_id ?? null, req.listQuery);
+    if (!result) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+    return sendList(req, res, result);
+  } catch (error) {
+    console.error("Error fetching candidate note edits:", error);
+    return res.status(500).json({ error: "Error fetching candidate note edits" });
+  }
+};
+
+/**
+ * Controller function to write a note about a candidate or reply to one
+ * @async
+ * @function createCandidateNoteController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {Object} req.body - Note data
+ * @param {string} req.body.content - Text of the note
+ * @param {string} [req.body.visibility=team] - 'team' or 'private' (only the author sees it)
+ * @param {number} [req.body.parent_note_id] - Note replied to
+ * @param {number} [req.body.application_id] - Application of the candidate the note is about
+ * @param {number} [req.body.vacancy_id] - Vacancy the note is about, by default the application's
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 201 with the note, 404 if the candidate does not exist, or error message
+ * @example
+ * // Example request
+ * POST /api/candidates/12/notes
+ * { "content": "Strong system design answers", "application_id": 7, "visibility": "team" }
+ */
+export const createCandidateNoteController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
+  const errors = validateNote(req.body ?? {}, false);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid note", errors });
+  }
+
+  try {
+    const note = await notesModel.createCandidateNote(id, req.body, req.user?.user_id ?? null);
+    if (!note) {
+      return res.status(404).json({ error: "Candidate not found" });
+    }
+    return res.status(201).json(note);
+  } catch (error) {
+    if (INVALID_NOTE_ERRORS.includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error creating candidate note:", error);
+    return res.status(500).json({ error: "Error creating candidate note" });
+  }
+};
+
+/**
+ * Controller function to edit a note; the previous version is kept in its history
+ * @async
+ * @function updateCandidateNoteController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {string} req.params.noteId - ID of the note
+ * @param {Object} req.body - Fields to change: content, visibility, application_id, vacancy_id
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the updated note or error message
+ * @description
+ * - Returns 403 if the user is not the author (notes without author, e.g. migrated ones, can be edited by anyone)
+ * - Returns 404 if the note does not exist or is another user's private note
+ */
+export const updateCandidateNoteController = async (req, res) => {
+  const { id, noteId } = req.params;
+  if (!isValidId(id) || !isValidId(noteId)) {
+    return res.status(400).json({ error: "Invalid candidate or note ID" });
+  }
+  const errors = validateNote(req.body ?? {}, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid note", errors });
+  }
+
+  try {
+    const note = await notesModel.updateCandidateNote(id, noteId, req.body, req.user?.user_id ?? null);
+    if (!note) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+    return res.status(200).json(note);
+  } catch (error) {
+    if (error.message === "Only the author can change this note") {
+      return res.status(403).json({ error: error.message });
+    }
+    if (INVALID_NOTE_ERRORS.includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error updating candidate note:", error);
+    return res.status(500).json({ error: "Error updating candidate note" });
+  }
+};
+
+/**
+ * Controller function to delete a note and the replies to it
+ * @async
+ * @function deleteCandidateNoteController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {string} req.params.noteId - ID of the note
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 204 on success, 403 if the user is not the author,
+ * 404 if the note does not exist or is another user's private note, or error message
+ */
+export const deleteCandidateNoteController = async (req, res) => {
+  const { id, noteId } = req.params;
+  if (!isValidId(id) || !isValidId(noteId)) {
+    return res.status(400).json({ error: "Invalid candidate or note ID" });
+  }
+
+  try {
+    const deleted = await notesModel.deleteCandidateNote(id, noteId, req.user?.user_id ?? null);
+    if (!deleted) {
+      return res.status(404).json({ error: "Note not found" });
+    }
+    return res.status(204).send();
+  } catch (error) {
+    if (error.message === "Only the author can change this note") {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error("Error deleting candidate note:", error);
+    return res.status(500).json({ error: "Error deleting candidate note" });
+  }
+};
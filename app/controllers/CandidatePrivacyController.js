@@ -0,0 +1,252 @@
+import archiver from "archiver";
+import * as privacyModel from "../models/services/CandidatePrivacyServices.js";
+import { sendList } from "../middleware/listQuery.js";
+
+const EXPORT_FORMATS = ["json", "zip"];
+
+/**
+ * Checks that a route parameter is an ID (a positive integer)
+ * @param {*} id - Value to check
+ * @returns {boolean} True when the ID is valid
+ */
+const isValidId = (id) => /^[1-9]\d*$/.test(String(id));
+
+/**
+ * Sends the answer to an erasure request service error
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {string} message - Message of the 500 response
+ * @returns {Object} HTTP response
+ */
+const sendErasureError = (res, error, message) => {
+  if (["Candidate already has a pending erasure request", "Erasure request is not pending"].includes(error.message)) {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({ error: message });
+};
+
+/**
+ * Controller function to export everything held about a candidate (data subject access request)
+ * @async
+ * @function exportCandidateDataController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.format=json] - 'json' for the bundle alone, 'zip' for candidate.json and the files
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends the bundle as a download, 404 if the candidate does not exist, or error message
+ * @description
+ * - The bundle holds the profile, applications with their vacancy and AI reason, every note (private ones included)
+ *   with its edits, shares, files, revisions, tags and talent pools
+ * - The route needs candidate:read_pii and candidate:privacy
+ * @example
+ * // Example request
+ * GET /api/candidates/12/export?format=zip
+ *
+ * // Success response (200)
+ * Content-Type: application/zip
+ * Content-Disposition: attachment; filename="candidate-12-export.zip"
+ */
+export const exportCandidateDataController = async (req, res) => {
+  const { id } = req.params;
+  const { format = "json" } = req.query;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+  }
+
+  let exported;
+  try {
+    exported = await privacyModel.exportCandidateData(id, { withFileContents: format === "zip" });
+    if (!exported) {
+      return res.status(404).json({ error: "Candidate not found" });
+    }
+  } catch (error) {
+    console.error("Error exporting candidate data:", error);
+    return res.status(500).json({ error: "Error exporting candidate data" });
+  }
+
+  res.set({
+    "Content-Disposition": `attachment; filename="candidate-${id}-export.${format}"`,
+    "Cache-Control": "no-store"
+  });
+  if (format === "json") {
+    return res.status(200).json(exported.data);
+  }
+
+  // Everything is read before the first byte is sent, so a failure here can only be a broken stream
+  const archive = archiver("zip");
+  archive.on("error", (error) => {
+    console.error("Error writing candidate export archive:", error);
+    res.destroy(error);
+  });
+  res.status(200).type("application/zip");
+  archive.pipe(res);
+  archive.append(JSON.stringify(exported.data, null, 2), { name: "candidate.json" });
+  for (const file of exported.files) {
+    archive.append(file.body, { name: file.path });
+  }
+  await archive.finalize();
+};
+
+/**
+ * Controller function to anonymize a candidate: statistics are kept, personal data is stripped
+ * @async
+ * @function anonymizeCandidateController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the anonymized candidate, 404 if it does not exist, 409 if it is already anonymized,
+ * or error message
+ * @description
+ * - Name, contact details and summary are cleared; experience keeps positions and years, education keeps degrees;
+ *   occupation, skills, languages, applications (without AI reasons), tags and pools are kept
+ * - Notes, files, CV uploads, revisions and duplicate pairs are deleted and the personal data in the audit log is erased
+ * - This cannot be undone
+ */
+export const anonymizeCandidateController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
+
+  try {
+    const candidate = await privacyModel.anonymizeCandidate(id);
+    if (!candidate) {
+      return res.status(404).json({ error: "Candidate not found" });
+    }
+    return res.status(200).json(candidate);
+  } catch (error) {
+    if (error.message === "Candidate is already anonymized") {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Error anonymizing candidate:", error);
+    return res.status(500).json({ error: "Error anonymizing candidate" });
+  }
+};
+
+/**
+ * Controller function to list erasure requests
+ * @async
+ * @function getErasureRequestsController
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - 'pending', 'completed' or 'rejected'; every request when omitted
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns a page of requests with `requester` and `resolver` in the list envelope,
+ * 400 if the status is unknown, or error message
+ */
+export const getErasureRequestsController = async (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !privacyModel.ERASURE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${privacyModel.ERASURE_STATUSES.join(", ")}` });
+  }
+
+  try {
+    const result = await privacyModel.getErasureRequests(status, req.listQuery);
+    return sendList(req, res, result);
+  } catch (error) {
+    console.error("Error fetching erasure requests:", error);
+    return res.status(500).json({ error: "Error fetching erasure requests" });
+  }
+};
+
+/**
+ * Controller function to file a request to erase a candidate
+ * @async
+ * @function createErasureRequestController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.reason] - How the request came in
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 201 with the request, 404 if the candidate does not exist, 409 if a request for
+ * the candidate is already pending, or error message
+ * @example
+ * // Example request
+ * POST /api/candidates/12/erasure-requests
+ * { "reason": "Email from the candidate on 2026-10-02" }
+ */
+export const createErasureRequestController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
+
+  try {
+    const request = await privacyModel.createErasureRequest(id, req.body ?? {}, req.user?.user_id ?? null);
+    if (!request) {
+      return res.status(404).json({ error: "Candidate not found" });
+    }
+    return res.status(201).json(request);
+  } catch (error) {
+    return sendErasureError(res, error, "Error creating erasure request");
+  }
+};
+
+/**
+ * Controller function to complete an erasure request: the candidate and everything linked to it are deleted
+ * @async
+ * @function completeErasureRequestController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.requestId - ID of the request
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the completed request with the number of records erased by kind in `erased`,
+ * 404 if it does not exist, 409 if it is not pending, or error message
+ * @description
+ * - The personal data in the audit log is erased, and an 'erase' entry is left as a tombstone
+ * - This cannot be undone
+ */
+export const completeErasureRequestController = async (req, res) => {
+  const { requestId } = req.params;
+  if (!isValidId(requestId)) {
+    return res.status(400).json({ error: "Invalid erasure request ID" });
+  }
+
+  try {
+    const request = await privacyModel.completeErasureRequest(requestId, req.user?.user_id ?? null);
+    if (!request) {
+      return res.status(404).json({ error: "Erasure request not found" });
+    }
+    return res.status(200).json(request);
+  } catch (error) {
+    return sendErasureError(res, error, "Error completing erasure request");
+  }
+};
+
+/**
+ * Controller function to reject an erasure request
+ * @async
+ * @function rejectErasureRequestController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.requestId - ID of the request
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.note] - Why the request is rejected, e.g. a legal hold
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the rejected request, 404 if it does not exist, 409 if it is not pending,
+ * or error message
+ */
+export const rejectErasureRequestController = async (req, res) => {
+  const { requestId } = req.params;
+  if (!isValidId(requestId)) {
+    return res.status(400).json({ error: "Invalid erasure request ID" });
+  }
+
+  try {
+    const request = await privacyModel.rejectErasureRequest(requestId, req.body ?? {}, req.user?.user_id ?? null);
+    if (!request) {
+      return res.status(404).json({ error: "Erasure request not found" });
+    }
+    return res.status(200).json(request);
+  } catch (error) {
+    return sendErasureError(res, error, "Error rejecting erasure request");
+  }
+};
@@ -0,0 +1,176 @@
+import * as revisionsModel from "../models/services/CandidateRevisionServices.js";
+import { PII_FIELDS, redactCandidatePii } from "../models/services/CandidateServices.js";
+import { sendList } from "../middleware/listQuery.js";
+
+/**
+ * Checks that a route parameter or query value is an ID or version (a positive integer)
+ * @param {*} value - Value to check
+ * @returns {boolean} True when the value is valid
+ */
+const isValidNumber = (value) => /^[1-9]\d*$/.test(String(value));
+
+/**
+ * Hides the contact details kept in a revision from users without candidate:read_pii
+ * @param {Object} req - Express request object (req.permissions is set by requirePermission)
+ * @param {Object} revision - Revision instance or plain object
+ * @returns {Object} The revision as the user may see it
+ */
+const toVisibleRevision = (req, revision) => {
+  const data = typeof revision.toJSON === "function" ? revision.toJSON() : revision;
+  if (req.permissions?.includes("candidate:read_pii") || !data.profile) {
+    return data;
+  }
+  return { ...data, profile: redactCandidatePii(data.profile) };
+};
+
+/**
+ * Controller function to list the revisions of a candidate's profile
+ * @async
+ * @function getCandidateRevisionsController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns a page of revisions with `version`, `source`, `profile`, `changed_fields`, `author`
+ * and `created_at` in the list envelope, or error message
+ * @description
+ * - Contact details in the profiles are null unless the user has candidate:read_pii
+ * - Revisions of deleted candidates are deleted with them, so an unknown candidate gives an empty list
+ */
+export const getCandidateRevisionsController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidNumber(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
+
+  try {
+    const result = await revisionsModel.getCandidateRevisions(id, req.listQuery);
+    return sendList(req, res, result, revision => toVisibleRevision(req, revision));
+  } catch (error) {
+    console.error("Error fetching candidate revisions:", error);
+    return res.status(500).json({ error: "Error fetching candidate revisions" });
+  }
+};
+
+/**
+ * Controller function to get one revision of a candidate's profile
+ * @async
+ * @function getCandidateRevisionController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {string} req.params.version - Version of the revision
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the revision, 404 if it does not exist, or error message
+ */
+export const getCandidateRevisionController = async (req, res) => {
+  const { id, version } = req.params;
+  if (!isValidNumber(id) || !isValidNumber(version)) {
+    return res.status(400).json({ error: "Invalid candidate ID or version" });
+  }
+
+  try {
+    const revision = await revisionsModel.getCandidateRevision(id, version);
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    return res.status(200).json(toVisibleRevision(req, revision));
+  } catch (error) {
+    console.error("Error fetching candidate revision:", error);
+    return res.status(500).json({ error: "Error fetching candidate revision" });
+  }
+};
+
+/**
+ * Controller function to compare two revisions of a candidate's profile
+ * @async
+ * @function diffCandidateRevisionsController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.from - Version to compare from
+ * @param {string} [req.query.to] - Version to compare to, the latest one by default
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns { candidate_id, from, to, changes }, changes listing { field, from, to }
+ * for every field that differs, 404 if either revision does not exist, or error message
+ * @description
+ * - Changed contact details are listed with null values unless the user has candidate:read_pii
+ * @example
+ * // Example request
+ * GET /api/candidates/12/revisions/diff?from=1&to=3
+ *
+ * // Success response (200)
+ * {
+ *   "candidate_id": 12,
+ *   "from": { "version": 1, "source": "upload", ... },
+ *   "to": { "version": 3, "source": "edit", ... },
+ *   "changes": [{ "field": "occupation", "from": "Developer", "to": "Senior Developer" }]
+ * }
+ */
+export const diffCandidateRevisionsController = async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+  if (!isValidNumber(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
+  if (!isValidNumber(from) || (to !== undefined && !isValidNumber(to))) {
+    return res.status(400).json({ error: "from and to must be revision versions" });
+  }
+
+  try {
+    const diff = await revisionsModel.diffCandidateRevisions(id, from, to);
+    if (!diff) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    if (!req.permissions?.includes("candidate:read_pii")) {
+      diff.changes = diff.changes.map(change => PII_FIELDS.includes(change.field)
+        ? { ...change, from: null, to: null }
+        : change);
+    }
+    return res.status(200).json(diff);
+  } catch (error) {
+    console.error("Error comparing candidate revisions:", error);
+    return res.status(500).json({ error: "Error comparing candidate revisions" });
+  }
+};
+
+/**
+ * Controller function to bring a candidate's profile back to an earlier revision
+ * @async
+ * @function restoreCandidateRevisionController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {string} req.params.version - Version to restore
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns { candidate, revision } with the updated candidate and the new revision recording
+ * the restore (null if the profile already matched), or error message
+ * @description
+ * - Returns 404 if the candidate or revision does not exist
+ * - Returns 409 if another candidate has taken the email of the revision
+ */
+export const restoreCandidateRevisionController = async (req, res) => {
+  const { id, version } = req.params;
+  if (!isValidNumber(id) || !isValidNumber(version)) {
+    return res.status(400).json({ error: "Invalid candidate ID or version" });
+  }
+
+  try {
+    const result = await revisionsModel.restoreCandidateRevision(id, version);
+    if (!result) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    const canReadPii = req.permissions?.includes("candidate:read_pii");
+    return res.status(200).json({
+      candidate: canReadPii ? result.candidate : redactCandidatePii(result.candidate),
+      revision: result.revision && toVisibleRevision(req, result.revision)
+    });
+  } catch (error) {
+    if (error.message === "Email of the revision is in use") {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Error restoring candidate revision:", error);
+    return res.status(500).json({ error: "Error restoring candidate revision" });
+  }
+};
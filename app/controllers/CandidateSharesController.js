@@ -1,10 +1,21 @@
 import * as candidateSharesModel from '../models/services/CandidateSharesServices.js';
+import { redactCandidatePii } from '../models/services/CandidateServices.js';
+import { sendList } from '../middleware/listQuery.js';
 
 export const getCandidateSharesController = async (req, res) => {
     try {
         const senderId = req.params.senderId;
-        const candidateShares = await candidateSharesModel.getCandidateSharesByUserId(senderId);
-        return res.status(200).json(candidateShares);
+        const result = await candidateSharesModel.getCandidateSharesByUserId(senderId, req.listQuery);
+        if (!req.permissions?.includes('candidate:read_pii')) {
+            return sendList(req, res, result, (share) => {
+                const data = share.toJSON();
+                if (data.Candidate) {
+                    data.Candidate = redactCandidatePii(data.Candidate);
+                }
+                return data;
+            });
+        }
+        return sendList(req, res, result);
     } catch (error) {
         console.error("Error fetching candidate shares:", error);
         return res.status(500).json({ error: "Error fetching candidate shares" });
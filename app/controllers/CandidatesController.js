@@ -1,4 +1,84 @@
 import * as candidatesModel from "../models/services/CandidateServices.js";
+import { parseCandidateQuery } from "../models/services/CandidateQueryServices.js";
+import { getTalentPoolById } from "../models/services/TalentPoolServices.js";
+import { LIST_PARAMS, sendList } from "../middleware/listQuery.js";
+
+/**
+ * Checks that a route parameter is a candidate ID (a positive integer)
+ * @param {string} id - Route parameter
+ * @returns {boolean} True when the ID is valid
+ */
+const isValidCandidateId = (id) => /^[1-9]\d*$/.test(id);
+
+// Longest text accepted by the full-text search
+const MAX_FULLTEXT_LENGTH = 200;
+
+/**
+ * Hides contact details from users whose role lacks the candidate:read_pii permission
+ * @param {Object} req - Express request object (req.permissions is set by requirePermission)
+ * @param {Object} candidate - Candidate model instance
+ * @returns {Object} The candidate as the user may see it
+ */
+const toVisibleCandidate = (req, candidate) => req.permissions?.includes("candidate:read_pii")
+  ? candidate
+  : candidatesModel.redactCandidatePii(candidate);
+
+/**
+ * Reads the tag, pool and query filters of the candidate list
+ * @async
+ * @param {Object} req - Express request object (req.permissions is set by requirePermission)
+ * @returns {Promise<Object>} { filters } for getAllCandidates, or { status, body } of the response refusing the request
+ */
+const getListFilters = async (req) => {
+  const { tag, pool, q } = req.query;
+  const filters = { includePii: req.permissions?.includes("candidate:read_pii") };
+
+  if (tag !== undefined) {
+    const tagIds = String(tag).split(",").map(id => id.trim());
+    if (!tagIds.every(id => /^[1-9]\d*$/.test(id))) {
+      return { status: 400, body: { error: "tag must be a comma-separated list of tag IDs" } };
+    }
+    filters.tagIds = tagIds.map(Number);
+  }
+
+  if (pool !== undefined) {
+    if (!/^[1-9]\d*$/.test(String(pool))) {
+      return { status: 400, body: { error: "pool must be a talent pool ID" } };
+    }
+    const talentPool = await getTalentPoolById(pool);
+    if (!talentPool) {
+      return { status: 404, body: { error: "Talent pool not found" } };
+    }
+    if (talentPool.type === "static") {
+      filters.poolId = talentPool.pool_id;
+    } else {
+      const { ast, fields } = parseCandidateQuery(talentPool.query);
+      // The saved query may have been written by a user allowed to search contact details
+      if (!filters.includePii && candidatesModel.PII_FIELDS.some(field => fields.includes(field))) {
+        return { status: 403, body: { error: "This pool searches contact details, which requires the candidate:read_pii permission" } };
+      }
+      filters.poolQuery = ast;
+    }
+  }
+
+  if (typeof q === "string" && q.trim()) {
+    let parsed;
+    try {
+      parsed = parseCandidateQuery(q);
+    } catch (error) {
+      if (error.message !== "Invalid search query") {
+        throw error;
+      }
+      return { status: 400, body: { error: error.message, errors: error.errors } };
+    }
+    if (!filters.includePii && candidatesModel.PII_FIELDS.some(field => parsed.fields.includes(field))) {
+      return { status: 403, body: { error: "Searching by contact details requires the candidate:read_pii permission" } };
+    }
+    filters.query = parsed.ast;
+  }
+
+  return { filters };
+};
 
 /**
  * Controller function to retrieve all candidates from the database.
@@ -6,28 +86,39 @@ import * as candidatesModel from "../models/services/CandidateServices.js";
  * @async
  * @function getAllCandidatesController
  * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.tag] - Comma-separated tag IDs; only candidates with every one of these tags
+ * @param {string} [req.query.pool] - Talent pool ID; only the candidates of this pool
+ * @param {string} [req.query.q] - Only candidates matching this query, as for searchCandidatesController
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} Returns HTTP response with all candidates array or error message
  * @throws {Error} Returns 500 status with error message if database query fails
  * 
- * @description This controller handles GET requests to retrieve all candidates.
- * It calls the candidatesModel.getAllCandidates() service function and returns
- * the results ordered by most recent first (candidate_id DESC).
+ * @description This controller handles GET requests to list candidates a page at a time.
+ * It calls the candidatesModel.getAllCandidates() service function with the page, sort and fields
+ * parsed by the listQuery middleware; by default the most recent come first (candidate_id DESC).
+ * Contact details are returned as null unless the user has the candidate:read_pii permission.
+ * Returns 400 for malformed tag, pool or q parameters, 404 for an unknown pool, and 403 for a query pool
+ * or a q searching contact details when the user lacks candidate:read_pii.
  * 
  * @example
  * // Example request
- * GET /api/candidates
+ * GET /api/candidates?page=2&limit=20&sort=name:asc&fields=name,occupation
+ * GET /api/candidates?tag=3,5&pool=2
+ * GET /api/candidates?pool=2&q=skill:react AND lang:English>=B2
  * 
  * // Success response (200)
- * [
- *   {
- *     "candidate_id": 123,
- *     "name": "John Doe",
- *     "email": "john.doe@example.com",
- *     "occupation": "Software Engineer",
- *     "skills": "JavaScript, React, Node.js"
+ * {
+ *   "data": [
+ *     { "candidate_id": 123, "name": "John Doe", "occupation": "Software Engineer" }
+ *   ],
+ *   "meta": { "total": 41, "page": 2, "pages": 3, "limit": 20, "next_cursor": null },
+ *   "links": {
+ *     "self": "/api/candidates?page=2&limit=20&sort=name:asc&fields=name,occupation",
+ *     "next": "/api/candidates?page=3&limit=20&sort=name:asc&fields=name,occupation",
+ *     "prev": "/api/candidates?page=1&limit=20&sort=name:asc&fields=name,occupation"
  *   }
- * ]
+ * }
  * 
  * // Error response (500)
  * {
@@ -36,14 +127,52 @@ import * as candidatesModel from "../models/services/CandidateServices.js";
  */
 export const getAllCandidatesController = async (req, res) => {
   try {
-    const allCandidates = await candidatesModel.getAllCandidates();
-    return res.status(200).json(allCandidates);
+    const { filters, status, body } = await getListFilters(req);
+    if (!filters) {
+      return res.status(status).json(body);
+    }
+    const result = await candidatesModel.getAllCandidates(req.listQuery, filters);
+    return sendList(req, res, result, candidate => toVisibleCandidate(req, candidate));
   } catch (error) {
     console.error("Error fetching candidates:", error);
     return res.status(500).json({ error: "Error fetching candidates" });
   }
 };
 
+/**
+ * Controller function to summarize the candidates for the candidate list page.
+ * 
+ * @async
+ * @function getCandidateFacetsController
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns HTTP response with the summary or error message
+ * 
+ * @description Returns the number of candidates, how many have applied to a vacancy, and the occupations and
+ * skills found among them (for the filters of the list), so the page does not need every candidate.
+ * 
+ * @example
+ * // Example request
+ * GET /api/candidates/facets
+ * 
+ * // Success response (200)
+ * {
+ *   "total": 41,
+ *   "with_applications": 17,
+ *   "occupations": ["Data Analyst", "Software Engineer"],
+ *   "skills": ["Node.js", "React", "SQL"]
+ * }
+ */
+export const getCandidateFacetsController = async (req, res) => {
+  try {
+    const facets = await candidatesModel.getCandidateFacets();
+    return res.status(200).json(facets);
+  } catch (error) {
+    console.error("Error fetching candidate facets:", error);
+    return res.status(500).json({ error: "Error fetching candidate facets" });
+  }
+};
+
 /**
  * Controller function to retrieve a specific candidate by their unique ID.
  * 
@@ -59,6 +188,8 @@ export const getAllCandidatesController = async (req, res) => {
  * @description This controller handles GET requests to retrieve a candidate by their ID.
  * It extracts the ID from request parameters, calls the candidatesModel.getCandidateById() service,
  * and returns the candidate data if found, or a 404 error if not found.
+ * Returns 400 if the ID is not a positive integer.
+ * Contact details are returned as null unless the user has the candidate:read_pii permission.
  * 
  * @example
  * // Example request
@@ -85,12 +216,15 @@ export const getAllCandidatesController = async (req, res) => {
  */
 export const getCandidateByIdController = async (req, res) => {
   const { id } = req.params;
+  if (!isValidCandidateId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
   try {
     const candidate = await candidatesModel.getCandidateById(id);
     if (!candidate) {
       return res.status(404).json({ error: "Candidate not found" });
     }
-    return res.status(200).json(candidate);
+    return res.status(200).json(toVisibleCandidate(req, candidate));
   } catch (error) {
     console.error("Error fetching candidate by ID:", error);
     return res.status(500).json({ error: "Error fetching candidate by ID" });
@@ -113,6 +247,7 @@ export const getCandidateByIdController = async (req, res) => {
  * It extracts the email from request parameters, calls the candidatesModel.getCandidateByEmail() service,
  * and returns the candidate data if found, or a 404 error if not found.
  * Email addresses should be unique in the system.
+ * The route requires the candidate:read_pii permission, since it looks candidates up by contact details.
  * 
  * @example
  * // Example request
@@ -139,6 +274,9 @@ export const getCandidateByIdController = async (req, res) => {
  */
 export const getCandidateByEmailController = async (req, res) => {
   const { email } = req.params;
+  if (!email?.trim()) {
+    return res.status(400).json({ error: "Email is required" });
+  }
   try {
     const candidate = await candidatesModel.getCandidateByEmail(email);
     if (!candidate) {
@@ -168,6 +306,7 @@ export const getCandidateByEmailController = async (req, res) => {
  * and returns the candidate data if found, or a 404 error if not found.
  * Note: If multiple candidates have the same name, this returns only the first match found.
  * For more comprehensive name searches, consider using the search functionality.
+ * Contact details are returned as null unless the user has the candidate:read_pii permission.
  * 
  * @example
  * // Example request
@@ -194,12 +333,15 @@ export const getCandidateByEmailController = async (req, res) => {
  */
 export const getCandidateByNameController = async (req, res) => {
   const { name } = req.params;
+  if (!name?.trim()) {
+    return res.status(400).json({ error: "Name is required" });
+  }
   try {
     const candidate = await candidatesModel.getCandidateByName(name);
     if (!candidate) {
       return res.status(404).json({ error: "Candidate not found" });
     }
-    return res.status(200).json(candidate);
+    return res.status(200).json(toVisibleCandidate(req, candidate));
   } catch (error) {
     console.error("Error fetching candidate by name:", error);
     return res.status(500).json({ error: "Error fetching candidate by name" });
@@ -259,7 +401,7 @@ export const getCandidateByNameController = async (req, res) => {
 export const createCandidateController = async (req, res) => {
   const candidateData = req.body;
   try {
-    const candidateId = await candidatesModel.createCandidate(candidateData);
+    const candidateId = await candidatesModel.createCandidate(candidateData, "edit");
     return res.status(201).json({ candidate_id: candidateId });
   } catch (error) {
     console.error("Error creating candidate:", error);
@@ -294,7 +436,7 @@ export const createCandidateController = async (req, res) => {
  * It extracts the candidate ID from route parameters and updated data from the request body,
  * calls the candidatesModel.updateCandidateById() service, and returns the update result.
  * Only the fields provided in the request body will be modified.
- * Returns 404 if no candidate is found with the given ID.
+ * Returns 400 if the ID is not a positive integer and 404 if no candidate is found with the given ID.
  * 
  * @example
  * // Example request
@@ -327,12 +469,16 @@ export const createCandidateController = async (req, res) => {
 export const updateCandidateController = async (req, res) => {
   const { id } = req.params;
   const updatedData = req.body;
+  if (!isValidCandidateId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
   try {
-    const updatedCandidate = await candidatesModel.updateCandidateById(id, updatedData);
+    const updatedRows = await candidatesModel.updateCandidateById(id, updatedData);
+    const updatedCandidate = updatedRows > 0 ? await candidatesModel.getCandidateById(id) : null;
     if (!updatedCandidate) {
       return res.status(404).json({ error: "Candidate not found" });
     }
-    return res.status(200).json(updatedCandidate);
+    return res.status(200).json(toVisibleCandidate(req, updatedCandidate));
   } catch (error) {
     console.error("Error updating candidate:", error);
     return res.status(500).json({ error: "Error updating candidate" });
@@ -354,7 +500,8 @@ export const updateCandidateController = async (req, res) => {
  * @description This controller handles DELETE requests to permanently remove a candidate.
  * It extracts the candidate ID from route parameters, calls the candidatesModel.deleteCandidateById() service,
  * and returns a 204 No Content status on successful deletion.
- * Returns 404 if no candidate is found with the given ID.
+ * Returns 400 if the ID is not a positive integer and 404 if no candidate is found with the given ID.
+ * Applications and shares of the candidate are kept with their candidate_id set to null.
  * This operation is irreversible, so use with caution.
  * 
  * @example
@@ -376,6 +523,9 @@ export const updateCandidateController = async (req, res) => {
  */
 export const deleteCandidateController = async (req, res) => {
   const { id } = req.params;
+  if (!isValidCandidateId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
   try {
     const result = await candidatesModel.deleteCandidateById(id);
     if (!result) {
@@ -389,141 +539,148 @@ export const deleteCandidateController = async (req, res) => {
 };
 
 /**
- * Controller function to get candidates filtered by skill, location, and experience
+ * Controller function to search candidates with the candidate query language.
+ * 
  * @async
- * @function getCandidatesByFilterController
+ * @function searchCandidatesController
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
- * @param {string} [req.query.skill] - Skill to filter candidates by
- * @param {string} [req.query.location] - Location to filter candidates by
- * @param {string} [req.query.experience] - Experience level to filter candidates by
+ * @param {string} req.query.q - Query, see parseCandidateQuery; a bare word is looked for in name, email, occupation, skills and languages
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns filtered candidates array or error message
- * @throws {Error} Returns 500 status with error message if filtering fails
- * @example
- * // Example request
- * GET /candidates?skill=JavaScript&location=Remote&experience=Senior
- *
+ * @returns {Promise<Object>} Returns a page of matching candidates in the list envelope or error message
+ * 
+ * @description
+ * - Returns 400 if q is missing, and 400 with the problems and their positions if q is not a valid query
+ * - Returns 403 when searching email: or phone: without candidate:read_pii; free text only
+ *   looks in the email, and returns it, for users with that permission
+ * 
  * @example
- * const filter = {
- *    [Op.or]: [
- *        { occupation: "Software Developer" },
- *        { occupation: "Data Scientist" }
- *    ]
- * };
- * const techCandidates = await getCandidatesByFilter(filter);
+ * // Example requests
+ * GET /api/candidates/search?q=python
+ * GET /api/candidates/search?q=skill:"Node.js" AND lang:English>=B2 AND experience>=5 AND NOT occupation:intern
+ * GET /api/candidates/search?q=(skill:react OR skill:vue) AND NOT lang:Spanish
  */
-export const getCandidatesByFilterController = async (req, res) => {
-  const { skill, location, experience } = req.query;
+export const searchCandidatesController = async (req, res) => {
+  const { q } = req.query;
+  if (typeof q !== "string" || !q.trim()) {
+    return res.status(400).json({ error: "Query parameter q is required" });
+  }
+
+  let parsed;
   try {
-    const filteredCandidates = await candidatesModel.getCandidatesByFilter({
-      skill,
-      location,
-      experience,
-    });
-    return res.status(200).json(filteredCandidates);
+    parsed = parseCandidateQuery(q);
   } catch (error) {
-    console.error("Error fetching candidates by filter:", error);
-    return res.status(500).json({ error: "Error fetching candidates by filter" });
+    if (error.message === "Invalid search query") {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error("Error parsing candidate search:", error);
+    return res.status(500).json({ error: "Error searching candidates" });
+  }
+
+  const canReadPii = req.permissions?.includes("candidate:read_pii");
+  if (!canReadPii && candidatesModel.PII_FIELDS.some(field => parsed.fields.includes(field))) {
+    return res.status(403).json({ error: "Searching by contact details requires the candidate:read_pii permission" });
+  }
+
+  try {
+    const result = await candidatesModel.searchCandidates(parsed.ast, { includePii: canReadPii }, req.listQuery);
+    return sendList(req, res, result, candidate => toVisibleCandidate(req, candidate));
+  } catch (error) {
+    console.error("Error searching candidates:", error);
+    return res.status(500).json({ error: "Error searching candidates" });
   }
 };
 
 /**
- * Controller function to get notes for a specific candidate.
+ * Controller function to search the occupation, summary, experience and education of candidates,
+ * most relevant first.
  * 
  * @async
- * @function getCandidateNotesController
+ * @function fullTextSearchCandidatesController
  * @param {Object} req - Express request object
- * @param {Object} req.params - Route parameters
- * @param {string|number} req.params.id - The unique candidate ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.q - Words to look for (at most MAX_FULLTEXT_LENGTH characters)
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns HTTP response with notes or error message
- * @throws {Error} Returns 500 status with error message if database query fails
+ * @returns {Promise<Object>} Returns a page of candidates with `score` and `highlights` in the list envelope or error message
  * 
- * @description This controller handles GET requests to retrieve notes for a specific candidate.
- * Returns only the notes field to optimize data transfer.
+ * @description
+ * - Sorted by `score` (descending) unless another sort is given
+ * - `highlights` holds a snippet per matching field with the searched words in <mark>, the rest HTML-escaped
+ * - Returns 400 if q is missing or too long
  * 
  * @example
  * // Example request
- * GET /api/candidates/123/notes
- * 
- * // Success response (200)
- * {
- *   "notes": "This candidate has excellent communication skills..."
- * }
- * 
- * // Not found response (404)
- * {
- *   "error": "Candidate not found"
- * }
+ * GET /api/candidates/fulltext?q=payments microservices&limit=10
  */
-export const getCandidateNotesController = async (req, res) => {
-  const { id } = req.params;
+export const fullTextSearchCandidatesController = async (req, res) => {
+  const { q } = req.query;
+  if (typeof q !== "string" || !q.trim()) {
+    return res.status(400).json({ error: "Query parameter q is required" });
+  }
+  if (q.length > MAX_FULLTEXT_LENGTH) {
+    return res.status(400).json({ error: `Query parameter q must be at most ${MAX_FULLTEXT_LENGTH} characters` });
+  }
+
   try {
-    const candidate = await candidatesModel.getCandidateById(id);
-    if (!candidate) {
-      return res.status(404).json({ error: "Candidate not found" });
-    }
-    return res.status(200).json({ notes: candidate.notes || "" });
+    const result = await candidatesModel.searchCandidatesFullText(q.trim(), req.listQuery);
+    return sendList(req, res, result, candidate => toVisibleCandidate(req, candidate));
   } catch (error) {
-    console.error("Error fetching candidate notes:", error);
-    return res.status(500).json({ error: "Error fetching candidate notes" });
+    console.error("Error running full-text candidate search:", error);
+    return res.status(500).json({ error: "Error searching candidates" });
   }
 };
 
 /**
- * Controller function to update notes for a specific candidate.
- * 
+ * Controller function to get candidates matching every given filter
  * @async
- * @function updateCandidateNotesController
+ * @function getCandidatesByFilterController
  * @param {Object} req - Express request object
- * @param {Object} req.params - Route parameters
- * @param {string|number} req.params.id - The unique candidate ID
- * @param {Object} req.body - Request body containing notes data
- * @param {string} req.body.notes - The notes content to save
+ * @param {Object} req.query - Filters; each must be one of candidatesModel.CANDIDATE_FILTERS (list parameters such as page aside)
+ * @param {string} [req.query.name] - Part of the name
+ * @param {string} [req.query.email] - Exact email (requires candidate:read_pii)
+ * @param {string} [req.query.phone] - Exact phone (requires candidate:read_pii)
+ * @param {string} [req.query.occupation] - Part of the occupation
+ * @param {string} [req.query.skill] - Skill to filter candidates by
+ * @param {string} [req.query.language] - Language to filter candidates by
+ * @param {string} [req.query.experience] - Text found in the work experience
+ * @param {string} [req.query.education] - Text found in the education
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns HTTP response with success message or error
- * @throws {Error} Returns 500 status with error message if database update fails
- * 
- * @description This controller handles PUT requests to update only the notes field
- * for a specific candidate. This is more efficient than updating the entire candidate record.
- * 
+ * @returns {Promise<Object>} Returns a page of filtered candidates in the list envelope or error message
+ * @description
+ * - Returns 400 if no filter is given, a field is unknown or a value is empty
+ * - Returns 403 when filtering by contact details without candidate:read_pii
  * @example
  * // Example request
- * PUT /api/candidates/123/notes
- * Content-Type: application/json
- * 
- * {
- *   "notes": "Updated notes about this candidate..."
- * }
- * 
- * // Success response (200)
- * {
- *   "message": "Notes updated successfully",
- *   "notes": "Updated notes about this candidate..."
- * }
- * 
- * // Not found response (404)
- * {
- *   "error": "Candidate not found"
- * }
+ * GET /api/candidates/filter?skill=JavaScript&language=English
  */
-export const updateCandidateNotesController = async (req, res) => {
-  const { id } = req.params;
-  const { notes } = req.body;
-  
-  try {
-    const updatedRows = await candidatesModel.updateCandidateById(id, { notes });
-    if (updatedRows === 0) {
-      return res.status(404).json({ error: "Candidate not found" });
-    }
-    return res.status(200).json({ 
-      message: "Notes updated successfully",
-      notes: notes || ""
+export const getCandidatesByFilterController = async (req, res) => {
+  const filters = Object.fromEntries(
+    Object.entries(req.query).filter(([field]) => !LIST_PARAMS.includes(field))
+  );
+  if (Object.keys(filters).length === 0) {
+    return res.status(400).json({
+      error: "At least one filter is required",
+      allowedFields: Object.keys(candidatesModel.CANDIDATE_FILTERS)
     });
+  }
+
+  const canReadPii = req.permissions?.includes("candidate:read_pii");
+  if (!canReadPii && candidatesModel.PII_FIELDS.some(field => field in filters)) {
+    return res.status(403).json({ error: "Filtering by contact details requires the candidate:read_pii permission" });
+  }
+
+  try {
+    const result = await candidatesModel.getCandidatesByFilter(filters, req.listQuery);
+    return sendList(req, res, result, candidate => toVisibleCandidate(req, candidate));
   } catch (error) {
-    console.error("Error updating candidate notes:", error);
-    return res.status(500).json({ error: "Error updating candidate notes" });
+    if (error.message === "Unknown filter fields" || error.message === "Filter values must be non-empty strings") {
+      return res.status(400).json({
+        error: error.message,
+        fields: error.fields,
+        allowedFields: Object.keys(candidatesModel.CANDIDATE_FILTERS)
+      });
+    }
+    console.error("Error fetching candidates by filter:", error);
+    return res.status(500).json({ error: "Error fetching candidates by filter" });
   }
 };
-
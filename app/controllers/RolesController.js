@@ -0,0 +1,274 @@
+import * as rolesModel from '../models/services/RolesServices.js';
+import * as permissionsModel from '../models/services/PermissionServices.js';
+import { sendList } from '../middleware/listQuery.js';
+
+/**
+ * Validates the body of a create/update role request.
+ * @param {Object} body - Request body
+ * @param {boolean} requireName - Whether the name field is mandatory
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+const validateRoleBody = (body, requireName) => {
+    const errors = [];
+    const { name, permissions, require_two_factor } = body;
+
+    if ((requireName || name !== undefined) && (typeof name !== 'string' || !name.trim() || name.length > 60)) {
+        errors.push('Name is required and must be at most 60 characters long');
+    }
+
+    if (permissions !== undefined && (!Array.isArray(permissions) || permissions.some(p => typeof p !== 'string'))) {
+        errors.push('Permissions must be an array of permission names');
+    }
+
+    if (require_two_factor !== undefined && typeof require_two_factor !== 'boolean') {
+        errors.push('require_two_factor must be a boolean');
+    }
+
+    return errors;
+};
+
+/**
+ * Controller function to retrieve all roles with their permissions.
+ *
+ * @async
+ * @function getAllRolesController
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns HTTP response with a page of roles in the list envelope or error message
+ *
+ * @example
+ * // Example request
+ * GET /api/roles
+ *
+ * // Success response (200)
+ * {
+ *   "data": [
+ *     {
+ *       "role_id": 1,
+ *       "name": "admin",
+ *       "Permissions": [{ "permission_id": 1, "name": "vacancy:read" }]
+ *     }
+ *   ],
+ *   "meta": { "total": 1, "page": 1, "pages": 1, "limit": 20, "next_cursor": null },
+ *   "links": { "self": "/api/roles", "next": null, "prev": null }
+ * }
+ */
+export const getAllRolesController = async (req, res) => {
+    try {
+        const result = await rolesModel.getAllRoles(req.listQuery);
+        return sendList(req, res, result);
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        return res.status(500).json({ error: 'Error fetching roles' });
+    }
+};
+
+/**
+ * Controller function to retrieve every permission that can be granted to a role.
+ *
+ * @async
+ * @function getAllPermissionsController
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns HTTP response with a page of permissions in the list envelope or error message
+ *
+ * @example
+ * // Example request
+ * GET /api/roles/permissions?limit=100
+ *
+ * // Success response (200)
+ * {
+ *   "data": [
+ *     { "permission_id": 4, "name": "application:change_status", "description": "Change the status of an application" }
+ *   ],
+ *   "meta": { "total": 1, "page": 1, "pages": 1, "limit": 100, "next_cursor": null },
+ *   "links": { "self": "/api/roles/permissions?limit=100", "next": null, "prev": null }
+ * }
+ */
+export const getAllPermissionsController = async (req, res) => {
+    try {
+        const result = await permissionsModel.getAllPermissions(req.listQuery);
+        return sendList(req, res, result);
+    } catch (error) {
+        console.error('Error fetching permissions:', error);
+        return res.status(500).json({ error: 'Error fetching permissions' });
+    }
+};
+
+/**
+ * Controller function to retrieve a role by ID with its permissions.
+ *
+ * @async
+ * @function getRoleByIdController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Role ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns HTTP response with the role, 404 if not found, or error message
+ */
+export const getRoleByIdController = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const role = await rolesModel.getRoleById(id);
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        return res.status(200).json(role);
+    } catch (error) {
+        console.error('Error fetching role:', error);
+        return res.status(500).json({ error: 'Error fetching role' });
+    }
+};
+
+/**
+ * Controller function to create a role.
+ *
+ * @async
+ * @function createRoleController
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Role data
+ * @param {string} req.body.name - Unique role name
+ * @param {Array<string>} [req.body.permissions] - Permission names to grant
+ * @param {boolean} [req.body.require_two_factor=false] - Whether members must use two-factor authentication
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 201 with the created role, 400 on invalid data, 409 if the name is taken
+ *
+ * @example
+ * // Example request
+ * POST /api/roles
+ * {
+ *   "name": "sourcer",
+ *   "permissions": ["candidate:read", "candidate:write"],
+ *   "require_two_factor": true
+ * }
+ */
+export const createRoleController = async (req, res) => {
+    const errors = validateRoleBody(req.body, true);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    try {
+        const role = await rolesModel.createRole({
+            name: req.body.name.trim(),
+            permissions: req.body.permissions,
+            require_two_factor: req.body.require_two_factor
+        });
+        return res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            data: role
+        });
+    } catch (error) {
+        if (error.message === 'Role already exists') {
+            return res.status(409).json({ success: false, message: error.message });
+        }
+        if (error.message === 'Unknown permissions') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Error creating role:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error creating role',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Controller function to rename a role, replace its permissions and/or change its two-factor requirement.
+ *
+ * @async
+ * @function updateRoleController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Role ID
+ * @param {Object} req.body - Fields to update
+ * @param {string} [req.body.name] - New role name
+ * @param {Array<string>} [req.body.permissions] - Full list of permission names the role should have
+ * @param {boolean} [req.body.require_two_factor] - Whether members must use two-factor authentication
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 200 with the updated role, 400 on invalid data, 404 if not found, 409 if the name is taken
+ */
+export const updateRoleController = async (req, res) => {
+    const { id } = req.params;
+    const errors = validateRoleBody(req.body, false);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    try {
+        const role = await rolesModel.updateRole(id, {
+            name: req.body.name?.trim(),
+            permissions: req.body.permissions,
+            require_two_factor: req.body.require_two_factor
+        });
+        if (!role) {
+            return res.status(404).json({ success: false, message: 'Role not found' });
+        }
+        return res.status(200).json({
+            success: true,
+            message: 'Role updated successfully',
+            data: role
+        });
+    } catch (error) {
+        if (error.message === 'Role already exists') {
+            return res.status(409).json({ success: false, message: error.message });
+        }
+        if (error.message === 'Unknown permissions') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Error updating role:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating role',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Controller function to delete a role. Roles still assigned to users are refused.
+ *
+ * @async
+ * @function deleteRoleController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Role ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 200 on success, 404 if not found, 409 if users still have the role
+ */
+export const deleteRoleController = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deleted = await rolesModel.deleteRole(id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Role not found' });
+        }
+        return res.status(200).json({
+            success: true,
+            message: 'Role deleted successfully'
+        });
+    } catch (error) {
+        if (error.message === 'Role has assigned users') {
+            return res.status(409).json({
+                success: false,
+                message: 'Role is still assigned to users; reassign them before deleting it'
+            });
+        }
+        console.error('Error deleting role:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error deleting role',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,321 @@
+import * as tagsModel from "../models/services/TagServices.js";
+import { sendList } from "../middleware/listQuery.js";
+
+// Most candidates a bulk request may tag or untag at once
+const MAX_BULK_CANDIDATES = 1000;
+
+// Errors of the tag services caused by the request rather than the server
+const INVALID_TAG_ERRORS = [
+  "Tag name is required",
+  "Tag name is too long",
+  "Tag color must be #RRGGBB"
+];
+
+/**
+ * Checks that a route parameter or body field is an ID (a positive integer)
+ * @param {*} id - Value to check
+ * @returns {boolean} True when the ID is valid
+ */
+const isValidId = (id) => /^[1-9]\d*$/.test(String(id));
+
+/**
+ * Checks the candidate IDs of a bulk request
+ * @param {*} candidateIds - req.body.candidate_ids
+ * @returns {string|null} The problem found, or null when the list is valid
+ */
+const validateCandidateIds = (candidateIds) => {
+  if (!Array.isArray(candidateIds) || candidateIds.length === 0 || !candidateIds.every(isValidId)) {
+    return "candidate_ids must be a non-empty array of candidate IDs";
+  }
+  if (candidateIds.length > MAX_BULK_CANDIDATES) {
+    return `candidate_ids must have at most ${MAX_BULK_CANDIDATES} IDs`;
+  }
+  return null;
+};
+
+/**
+ * Sends the answer to a tag service error
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {string} message - Message of the 500 response
+ * @returns {Object} HTTP response
+ */
+const sendTagError = (res, error, message) => {
+  if (INVALID_TAG_ERRORS.includes(error.message)) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.message === "Tag name already exists") {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({ error: message });
+};
+
+/**
+ * Controller function to list the tags
+ * @async
+ * @function getTagsController
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns a page of tags with `candidate_count` in the list envelope, or error message
+ */
+export const getTagsController = async (req, res) => {
+  try {
+    const result = await tagsModel.getTags(req.listQuery);
+    return sendList(req, res, result);
+  } catch (error) {
+    console.error("Error fetching tags:", error);
+    return res.status(500).json({ error: "Error fetching tags" });
+  }
+};
+
+/**
+ * Controller function to create a tag
+ * @async
+ * @function createTagController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.body - Tag data
+ * @param {string} req.body.name - Name of the tag, unique ignoring case
+ * @param {string} [req.body.color] - Display color as #RRGGBB
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 201 with the tag, 409 if the name is taken, or error message
+ * @example
+ * // Example request
+ * POST /api/tags
+ * { "name": "Silver medalist", "color": "#c0c0c0" }
+ */
+export const createTagController = async (req, res) => {
+  try {
+    const tag = await tagsModel.createTag(req.body ?? {}, req.user?.user_id ?? null);
+    return res.status(201).json(tag);
+  } catch (error) {
+    return sendTagError(res, error, "Error creating tag");
+  }
+};
+
+/**
+ * Controller function to rename or recolor a tag
+ * @async
+ * @function updateTagController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the tag
+ * @param {Object} req.body - Fields to change: name, color (null removes it)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the updated tag, 404 if it does not exist, 409 if the name is taken, or error message
+ */
+export const updateTagController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid tag ID" });
+  }
+
+  try {
+    const tag = await tagsModel.updateTag(id, req.body ?? {});
+    if (!tag) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+    return res.status(200).json(tag);
+  } catch (error) {
+    return sendTagError(res, error, "Error updating tag");
+  }
+};
+
+/**
+ * Controller function to delete a tag; it is taken off every candidate
+ * @async
+ * @function deleteTagController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the tag
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 204, 404 if the tag does not exist, or error message
+ */
+export const deleteTagController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid tag ID" });
+  }
+
+  try {
+    if (!await tagsModel.deleteTag(id)) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+    return res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting tag:", error);
+    return res.status(500).json({ error: "Error deleting tag" });
+  }
+};
+
+/**
+ * Controller function to tag many candidates at once
+ * @async
+ * @function tagCandidatesController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the tag
+ * @param {Object} req.body - Request body
+ * @param {Array<number>} req.body.candidate_ids - IDs of the candidates (at most MAX_BULK_CANDIDATES)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns { tagged, already_tagged, not_found } (IDs of missing candidates, which are skipped),
+ * 404 if the tag does not exist, or error message
+ * @example
+ * // Example request
+ * POST /api/tags/4/candidates
+ * { "candidate_ids": [12, 15, 18] }
+ *
+ * // Success response (200)
+ * { "tagged": 2, "already_tagged": 1, "not_found": [] }
+ */
+export const tagCandidatesController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid tag ID" });
+  }
+  const problem = validateCandidateIds(req.body?.candidate_ids);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  try {
+    const result = await tagsModel.tagCandidates(id, req.body.candidate_ids, req.user?.user_id ?? null);
+    if (!result) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error("Error tagging candidates:", error);
+    return res.status(500).json({ error: "Error tagging candidates" });
+  }
+};
+
+/**
+ * Controller function to take a tag off many candidates at once
+ * @async
+ * @function untagCandidatesController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the tag
+ * @param {Object} req.body - Request body
+ * @param {Array<number>} req.body.candidate_ids - IDs of the candidates (at most MAX_BULK_CANDIDATES)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns { untagged }, 404 if the tag does not exist, or error message
+ */
+export const untagCandidatesController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid tag ID" });
+  }
+  const problem = validateCandidateIds(req.body?.candidate_ids);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  try {
+    const result = await tagsModel.untagCandidates(id, req.body.candidate_ids);
+    if (!result) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error("Error untagging candidates:", error);
+    return res.status(500).json({ error: "Error untagging candidates" });
+  }
+};
+
+/**
+ * Controller function to list the tags of a candidate
+ * @async
+ * @function getCandidateTagsController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the tags of the candidate, 404 if the candidate does not exist, or error message
+ */
+export const getCandidateTagsController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
+
+  try {
+    const tags = await tagsModel.getCandidateTags(id);
+    if (!tags) {
+      return res.status(404).json({ error: "Candidate not found" });
+    }
+    return res.status(200).json(tags);
+  } catch (error) {
+    console.error("Error fetching candidate tags:", error);
+    return res.status(500).json({ error: "Error fetching candidate tags" });
+  }
+};
+
+/**
+ * Controller function to tag a candidate, with an existing tag or with a tag named on the fly
+ * @async
+ * @function tagCandidateController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {Object} req.body - The tag: tag_id, or name (the tag is created if no tag has this name)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the tags of the candidate, 404 if the candidate or the tag does not exist, or error message
+ * @example
+ * // Example requests
+ * POST /api/candidates/12/tags
+ * { "tag_id": 4 }
+ * { "name": "Relocation ok" }
+ */
+export const tagCandidateController = async (req, res) => {
+  const { id } = req.params;
+  const { tag_id, name } = req.body ?? {};
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid candidate ID" });
+  }
+  if ((tag_id === undefined) === (name === undefined) || (tag_id !== undefined && !isValidId(tag_id))) {
+    return res.status(400).json({ error: "Send either tag_id (a tag ID) or name" });
+  }
+
+  try {
+    const tags = await tagsModel.tagCandidate(id, { tag_id, name }, req.user?.user_id ?? null);
+    if (!tags) {
+      return res.status(404).json({ error: "Candidate not found" });
+    }
+    return res.status(200).json(tags);
+  } catch (error) {
+    if (error.message === "Tag not found") {
+      return res.status(404).json({ error: error.message });
+    }
+    return sendTagError(res, error, "Error tagging candidate");
+  }
+};
+
+/**
+ * Controller function to take a tag off a candidate
+ * @async
+ * @function untagCandidateController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the candidate
+ * @param {string} req.params.tagId - ID of the tag
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 204, 404 if the candidate does not have the tag, or error message
+ */
+export const untagCandidateController = async (req, res) => {
+  const { id, tagId } = req.params;
+  if (!isValidId(id) || !isValidId(tagId)) {
+    return res.status(400).json({ error: "Invalid candidate or tag ID" });
+  }
+
+  try {
+    if (!await tagsModel.untagCandidate(id, tagId)) {
+      return res.status(404).json({ error: "Candidate does not have this tag" });
+    }
+    return res.status(204).send();
+  } catch (error) {
+    console.error("Error untagging candidate:", error);
+    return res.status(500).json({ error: "Error untagging candidate" });
+  }
+};
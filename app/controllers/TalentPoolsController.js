@@ -0,0 +1,289 @@
+import * as poolsModel from "../models/services/TalentPoolServices.js";
+import { PII_FIELDS } from "../models/services/CandidateServices.js";
+import { parseCandidateQuery } from "../models/services/CandidateQueryServices.js";
+import { sendList } from "../middleware/listQuery.js";
+
+// Most candidates a request may add to or remove from a pool at once
+const MAX_BULK_CANDIDATES = 1000;
+
+// Errors of the pool services caused by the request rather than the server
+const INVALID_POOL_ERRORS = [
+  "Pool name is required",
+  "Pool name is too long",
+  "Invalid pool type",
+  "Query pools need a query",
+  "Only query pools have a query",
+  "Pool type cannot be changed",
+  "Only static pools have members"
+];
+
+/**
+ * Checks that a route parameter or body field is an ID (a positive integer)
+ * @param {*} id - Value to check
+ * @returns {boolean} True when the ID is valid
+ */
+const isValidId = (id) => /^[1-9]\d*$/.test(String(id));
+
+/**
+ * Checks the candidate IDs of a membership request
+ * @param {*} candidateIds - req.body.candidate_ids
+ * @returns {string|null} The problem found, or null when the list is valid
+ */
+const validateCandidateIds = (candidateIds) => {
+  if (!Array.isArray(candidateIds) || candidateIds.length === 0 || !candidateIds.every(isValidId)) {
+    return "candidate_ids must be a non-empty array of candidate IDs";
+  }
+  if (candidateIds.length > MAX_BULK_CANDIDATES) {
+    return `candidate_ids must have at most ${MAX_BULK_CANDIDATES} IDs`;
+  }
+  return null;
+};
+
+/**
+ * Tells whether a user without candidate:read_pii is saving a query that searches contact details,
+ * which would let them find candidates by email or phone through the pool
+ * @param {Object} req - Express request object (req.permissions is set by requirePermission)
+ * @returns {boolean} True when the request must be refused
+ */
+const savesPiiQuery = (req) => {
+  const { query } = req.body ?? {};
+  if (typeof query !== "string" || !query.trim() || req.permissions?.includes("candidate:read_pii")) {
+    return false;
+  }
+  try {
+    return PII_FIELDS.some(field => parseCandidateQuery(query).fields.includes(field));
+  } catch {
+    // Reported by the service with the problems found
+    return false;
+  }
+};
+
+/**
+ * Sends the answer to a pool service error
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {string} message - Message of the 500 response
+ * @returns {Object} HTTP response
+ */
+const sendPoolError = (res, error, message) => {
+  if (error.message === "Invalid search query") {
+    return res.status(400).json({ error: error.message, errors: error.errors });
+  }
+  if (INVALID_POOL_ERRORS.includes(error.message)) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.message === "Pool name already exists") {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({ error: message });
+};
+
+/**
+ * Controller function to list the talent pools
+ * @async
+ * @function getTalentPoolsController
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns a page of pools with `candidate_count` (null for query pools) in the list envelope,
+ * or error message
+ * @description The candidates of a pool are listed with GET /api/candidates?pool=<pool_id>
+ */
+export const getTalentPoolsController = async (req, res) => {
+  try {
+    const result = await poolsModel.getTalentPools(req.listQuery);
+    return sendList(req, res, result);
+  } catch (error) {
+    console.error("Error fetching talent pools:", error);
+    return res.status(500).json({ error: "Error fetching talent pools" });
+  }
+};
+
+/**
+ * Controller function to retrieve a talent pool
+ * @async
+ * @function getTalentPoolController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the pool
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the pool, 404 if it does not exist, or error message
+ */
+export const getTalentPoolController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid pool ID" });
+  }
+
+  try {
+    const pool = await poolsModel.getTalentPoolById(id);
+    if (!pool) {
+      return res.status(404).json({ error: "Talent pool not found" });
+    }
+    return res.status(200).json(pool);
+  } catch (error) {
+    console.error("Error fetching talent pool:", error);
+    return res.status(500).json({ error: "Error fetching talent pool" });
+  }
+};
+
+/**
+ * Controller function to create a talent pool
+ * @async
+ * @function createTalentPoolController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.body - Pool data
+ * @param {string} req.body.name - Name of the pool, unique ignoring case
+ * @param {string} [req.body.description] - What the pool is for
+ * @param {string} [req.body.type=static] - 'static' (candidates are added by hand) or 'query' (the candidates matching `query`)
+ * @param {string} [req.body.query] - Search query of a query pool, in the syntax of GET /api/candidates/search
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 201 with the pool, 400 with the problems if the query is invalid, 403 if the query
+ * searches contact details without candidate:read_pii, 409 if the name is taken, or error message
+ * @example
+ * // Example requests
+ * POST /api/pools
+ * { "name": "Silver medalists 2024", "type": "static" }
+ * { "name": "Q3 backend pool", "type": "query", "query": "skill:\"Node.js\" AND experience>=3" }
+ */
+export const createTalentPoolController = async (req, res) => {
+  if (savesPiiQuery(req)) {
+    return res.status(403).json({ error: "Searching by contact details requires the candidate:read_pii permission" });
+  }
+
+  try {
+    const pool = await poolsModel.createTalentPool(req.body ?? {}, req.user?.user_id ?? null);
+    return res.status(201).json(pool);
+  } catch (error) {
+    return sendPoolError(res, error, "Error creating talent pool");
+  }
+};
+
+/**
+ * Controller function to change the name, description or query of a talent pool
+ * @async
+ * @function updateTalentPoolController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the pool
+ * @param {Object} req.body - Fields to change: name, description, query (query pools only); the type cannot change
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the updated pool, 404 if it does not exist, or the errors of createTalentPoolController
+ */
+export const updateTalentPoolController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid pool ID" });
+  }
+  if (savesPiiQuery(req)) {
+    return res.status(403).json({ error: "Searching by contact details requires the candidate:read_pii permission" });
+  }
+
+  try {
+    const pool = await poolsModel.updateTalentPool(id, req.body ?? {});
+    if (!pool) {
+      return res.status(404).json({ error: "Talent pool not found" });
+    }
+    return res.status(200).json(pool);
+  } catch (error) {
+    return sendPoolError(res, error, "Error updating talent pool");
+  }
+};
+
+/**
+ * Controller function to delete a talent pool; its candidates are not affected
+ * @async
+ * @function deleteTalentPoolController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the pool
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 204, 404 if the pool does not exist, or error message
+ */
+export const deleteTalentPoolController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid pool ID" });
+  }
+
+  try {
+    if (!await poolsModel.deleteTalentPool(id)) {
+      return res.status(404).json({ error: "Talent pool not found" });
+    }
+    return res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting talent pool:", error);
+    return res.status(500).json({ error: "Error deleting talent pool" });
+  }
+};
+
+/**
+ * Controller function to add candidates to a static talent pool
+ * @async
+ * @function addTalentPoolCandidatesController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the pool
+ * @param {Object} req.body - Request body
+ * @param {Array<number>} req.body.candidate_ids - IDs of the candidates (at most MAX_BULK_CANDIDATES)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns { added, already_in_pool, not_found } (IDs of missing candidates, which are skipped),
+ * 400 for a query pool, 404 if the pool does not exist, or error message
+ * @example
+ * // Example request
+ * POST /api/pools/2/candidates
+ * { "candidate_ids": [12, 15] }
+ */
+export const addTalentPoolCandidatesController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid pool ID" });
+  }
+  const problem = validateCandidateIds(req.body?.candidate_ids);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  try {
+    const result = await poolsModel.addTalentPoolCandidates(id, req.body.candidate_ids, req.user?.user_id ?? null);
+    if (!result) {
+      return res.status(404).json({ error: "Talent pool not found" });
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    return sendPoolError(res, error, "Error adding candidates to talent pool");
+  }
+};
+
+/**
+ * Controller function to remove candidates from a static talent pool
+ * @async
+ * @function removeTalentPoolCandidatesController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the pool
+ * @param {Object} req.body - Request body
+ * @param {Array<number>} req.body.candidate_ids - IDs of the candidates (at most MAX_BULK_CANDIDATES)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns { removed }, 400 for a query pool, 404 if the pool does not exist, or error message
+ */
+export const removeTalentPoolCandidatesController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid pool ID" });
+  }
+  const problem = validateCandidateIds(req.body?.candidate_ids);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  try {
+    const result = await poolsModel.removeTalentPoolCandidates(id, req.body.candidate_ids);
+    if (!result) {
+      return res.status(404).json({ error: "Talent pool not found" });
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    return sendPoolError(res, error, "Error removing candidates from talent pool");
+  }
+};
@@ -1,214 +1,156 @@
 import multer from "multer";
-import pdf from "pdf-extraction";
-import OpenAI from "openai";
+import * as cvJobsModel from "../models/services/CvJobServices.js";
 
 const storage = multer.memoryStorage();
 export const uploadMiddleware = multer({ storage }).array("cv[]", 50);
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_KEY });
-
-function cleanText(text) {
-  return text
-    .replace(/\s{2,}/g, " ")
-    .replace(/•|·/g, "-")
-    .replace(/\n{2,}/g, "\n")
-    .trim();
-}
-
-async function extractTextFromPdf(buffer) {
-  const data = await pdf(buffer);
-  return cleanText(data.text);
-}
-
-function createPrompt(cvs, vacancy, filters) {
-  return `
-      You are an assistant that extracts structured data from resumes.  
-      Each CV is separated by ---CV---.  
-
-      Return ONLY a valid JSON array of objects, no text outside JSON.  
-
-      Schema for each candidate:
-      {
-        "name": "Full name (e.g., Juan David Barrera Fernandez)",
-        "email": "Email address",
-        "date_of_birth": "YYYY-MM-DD or empty if unknown",
-        "phone": "Phone number",
-        "occupation": "Current or main profession",
-        "summary": "large professional summary",
-        "experience": [
-          { "company": "", "position": "", "description": "", "years": YYYY-YYYY }
-        ],
-        "skills": ["Skill1", "Skill2"],
-        "languages": [{ "language": "", "level": "" }],
-        "education": [{ "degree": "", "institution": "", "years": "YYYY-YYYY" }],
-        "references": [{ "name": "", "occupation": "", "phone": "" }],
-        "general_experience": 0,
-        "status": "approved | rejected",
-        "ai_reason": "Reason why approved or rejected"
-      }
-
-      Rules:
-      - Always return an array, even if there is only one CV.
-      - If years of experience are not explicit, estimate based on text.
-      - general_experience = sum of all experience.years.
-      - status = "approved" if the candidate meets vacancy requirements (${vacancy}) and has knowledge in ${filters}, else "rejected".
-      - ai_reason must justify the status clearly in 1–2 sentences.
-
-      Schema for each candidate (example below) don't use this data, it's just an example: 
-        [
-          {
-            "name": "Juan Guillermo Barrera Fernandez",
-            "email": "juan.barrera@gmail.com",
-            "date_of_birth": "1990-05-14",
-            "phone": "+57 3001234567",
-            "occupation": "Software Engineer",
-            "summary": "Software engineer with 8+ years of experience in full-stack web development...",
-            "experience": [
-              { "company": "Tech Solutions", "position": "Backend Developer", "description": "Developed APIs with Node.js", "years": "2015-2018" },
-              { "company": "GlobalSoft", "position": "Senior Engineer", "description": "Led a team of 5 developers", "years": "2018-2023" }
-            ],
-            "skills": ["Node.js", "React", "SQL", "AWS"],
-            "languages": [{ "language": "Spanish", "level": "Native" }, { "language": "English", "level": "Advanced" }],
-            "education": [{ "degree": "BSc Computer Science", "institution": "Universidad de Medellín", "years": "2008-2012" }],
-            "references": [{ "name": "Carlos Perez", "occupation": "CTO", "phone": "+57 3109876543" }],
-            "general_experience": 8,
-            "status": "approved",
-            "ai_reason": "The candidate has over 8 years of experience in full-stack development and matches the vacancy requirements."
-          }
-        ]
-
-
-      CVs:
-      ${cvs.map((cv) => `---CV---\n${cv}`).join("\n")}
-`;
-}
+/**
+ * Checks that a route parameter or body field is an ID (a positive integer)
+ * @param {*} id - Value to check
+ * @returns {boolean} True when the ID is valid
+ */
+const isValidId = (id) => /^[1-9]\d*$/.test(String(id));
+
+/**
+ * Controller function to upload CVs (PDF, DOCX, ODT, RTF, HTML or plain text) for a vacancy: they are queued
+ * as a job for the CV worker, which extracts, scores and saves the candidates in the background
+ * @async
+ * @function processUploadedCVsController
+ * @param {Object} req - Express request object (req.user set by verifyToken, req.files set by uploadMiddleware)
+ * @param {Object} req.body - Multipart form fields
+ * @param {string} [req.body.vacancy_id] - ID of the vacancy the candidates apply to
+ * @param {string} [req.body.vacancyTitle] - Title of the vacancy given to the model (the title of the vacancy when omitted)
+ * @param {string} [req.body.vacancy_filter] - Knowledge the candidates must have
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 202 with the job and its URL in the Location header, 400 if no file was sent,
+ * 404 if the vacancy does not exist, or error message
+ * @description Progress is followed with GET /api/aicv/jobs/:id
+ * @example
+ * // Example request (multipart/form-data)
+ * POST /api/aicv
+ * cv[]=<pdf>, cv[]=<docx>, vacancy_id=3, vacancy_filter=Node.js
+ *
+ * // Success response (202)
+ * { "job_id": 8, "status": "queued", "total": 2, "counts": { "queued": 2, ... }, "files": [...] }
+ */
+export const processUploadedCVsController = async (req, res) => {
+  const files = req.files;
+  const vacancyId = req.body?.vacancy_id;
 
-// Helper para dividir en lotes
-function chunkArray(array, size) {
-  const result = [];
-  for (let i = 0; i < array.length; i += size) {
-    result.push(array.slice(i, i + size));
+  if (!files || files.length === 0) {
+    return res.status(400).json({ error: "No se recibieron archivos" });
+  }
+  if (vacancyId !== undefined && vacancyId !== "" && !isValidId(vacancyId)) {
+    return res.status(400).json({ error: "Invalid vacancy ID" });
   }
-  return result;
-}
 
-export const processUploadedCVsController = async (req, res) => {
   try {
-    const files = req.files;
-    const vacancy = req.body.vacancyTitle;
-    const filters = req.body.vacancy_filter;
-    const vacancyId = req.body.vacancy_id;
-
-    if (!files || files.length === 0) {
-      return res.status(400).json({ error: "No se recibieron archivos" });
-    }
-
-    // 1. Extraer texto de todos los PDFs
-    const cvsText = [];
-    for (const file of files) {
-      const text = await extractTextFromPdf(file.buffer);
-      cvsText.push(text);
+    const job = await cvJobsModel.createCvJob(
+      {
+        files: files.map((file) => ({
+          buffer: file.buffer,
+          // multer entrega el nombre en latin1; los navegadores lo envían en UTF-8
+          originalName: Buffer.from(file.originalname, "latin1").toString("utf8"),
+          contentType: file.mimetype,
+        })),
+        vacancyId: vacancyId || null,
+        vacancyTitle: req.body.vacancyTitle,
+        vacancyFilter: req.body.vacancy_filter,
+      },
+      req.user?.user_id ?? null
+    );
+    return res.status(202).location(`/api/aicv/jobs/${job.job_id}`).json(job);
+  } catch (error) {
+    if (error.message === "Vacancy not found") {
+      return res.status(404).json({ error: error.message });
     }
+    console.error("Error procesando CVs:", error);
+    return res.status(500).json({ error: "Error procesando CVs" });
+  }
+};
 
-    // 2. Procesar en lotes de 5
-    const chunks = chunkArray(cvsText, 5);
-    let allCandidates = [];
-
-    for (const chunk of chunks) {
-      const prompt = createPrompt(chunk, vacancy, filters);
-
-      const result = await openai.chat.completions.create({
-        model: "gpt-4.1",
-        messages: [{ role: "user", content: prompt }],
-        response_format: { type: "json_object" },
-        max_tokens: 5000,
-        temperature: 0,
-      });
-
-      let parsedResponse = JSON.parse(result.choices[0].message.content);
-
-      // Normalizar si GPT devuelve { candidates: [...] }
-      if (parsedResponse.candidates) {
-        parsedResponse = parsedResponse.candidates;
-      }
-
-      const candidates = Array.isArray(parsedResponse)
-        ? parsedResponse
-        : [parsedResponse];
+/**
+ * Controller function to follow a CV job
+ * @async
+ * @function getCvJobController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the job
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns the job with `status`, `counts` by state, `outcomes` and `files`, 404 if it does not
+ * exist, or error message
+ * @description
+ * - The job is 'queued', 'processing', 'completed', 'completed_with_errors' or 'failed'
+ * - Each file is 'queued', 'extracting', 'scoring', 'saved' (with `candidate_id` and `application_id`)
+ *   or 'failed' (with `error`)
+ * - Once processed, each file has an `outcome`: 'created', 'updated' or 'duplicate' when saved; 'skipped-no-email',
+ *   'extraction-failed', 'model-failed', 'save-failed' or 'too-many-attempts' when failed; and `warnings` to check
+ * @example
+ * // Success response (200)
+ * {
+ *   "job_id": 8, "vacancy_id": 3, "status": "processing", "total": 2,
+ *   "counts": { "queued": 0, "extracting": 0, "scoring": 1, "saved": 1, "failed": 0 },
+ *   "outcomes": { "created": 1, "updated": 0, ... },
+ *   "files": [{ "job_file_id": 15, "original_name": "cv-ana.pdf", "state": "saved", "outcome": "created",
+ *     "warnings": ["No name was found in the CV"], "candidate_id": 40, ... }, ...]
+ * }
+ */
+export const getCvJobController = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid job ID" });
+  }
 
-      allCandidates = allCandidates.concat(candidates);
+  try {
+    const job = await cvJobsModel.getCvJobById(id);
+    if (!job) {
+      return res.status(404).json({ error: "CV job not found" });
     }
+    return res.status(200).json(job);
+  } catch (error) {
+    console.error("Error fetching CV job:", error);
+    return res.status(500).json({ error: "Error fetching CV job" });
+  }
+};
 
-    // 3. Filtrar candidatos vacíos (sin nombre o email)
-    const validCandidates = allCandidates.filter((c) => c && c.name && c.email);
-
-    // 4. Guardar en la DB
-    const Candidate = (await import("../models/entities/CandidateEntity.js"))
-      .default;
-    const { createCandidate } = await import(
-      "../models/services/CandidateServices.js"
-    );
-    const { createApplication } = await import(
-      "../models/services/ApplicationServices.js"
-    );
-    const Application = (
-      await import("../models/entities/ApplicationEntity.js")
-    ).default;
-
-    const created = [];
-
-    for (const candidateData of validCandidates) {
-      const candidateId = await createCandidate({
-        name: candidateData.name,
-        email: candidateData.email,
-        phone: candidateData.phone_number || candidateData.phone || "",
-        date_of_birth: candidateData.date_of_birth,
-        occupation: candidateData.occupation,
-        summary: candidateData.summary,
-        experience: candidateData.experience || null,
-        skills: candidateData.skills || null,
-        languages: candidateData.languages || null,
-        education: candidateData.education || null,
-      });
-
-      const candidate = await Candidate.findByPk(candidateId);
-
-      let application;
-      try {
-        application = await createApplication({
-          candidate_id: candidate.candidate_id,
-          vacancy_id: vacancyId,
-          status: candidateData.status?.toLowerCase() || "pending",
-          ai_reason: candidateData.ai_reason || "",
-        });
-      } catch (err) {
-        application = await Application.findOne({
-          where: {
-            candidate_id: candidate.candidate_id,
-            vacancy_id: vacancyId,
-          },
-        });
-      }
+/**
+ * Controller function to queue the failed files of a CV job again
+ * @async
+ * @function retryCvJobController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - ID of the job
+ * @param {Object} [req.body] - Request body
+ * @param {Array<number>} [req.body.job_file_ids] - Files to retry; every failed file of the job when omitted
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Returns 202 with the job and the number of files queued in `requeued`, 404 if the job
+ * does not exist, 409 if none of the files is failed, or error message
+ * @example
+ * // Example request
+ * POST /api/aicv/jobs/8/retry
+ * { "job_file_ids": [16] }
+ */
+export const retryCvJobController = async (req, res) => {
+  const { id } = req.params;
+  const { job_file_ids } = req.body ?? {};
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Invalid job ID" });
+  }
+  if (job_file_ids !== undefined && (!Array.isArray(job_file_ids) || job_file_ids.length === 0 || !job_file_ids.every(isValidId))) {
+    return res.status(400).json({ error: "job_file_ids must be a non-empty array of file IDs" });
+  }
 
-      // Evitar duplicados en el array de respuesta
-      if (
-        !created.find(
-          (c) =>
-            c.candidate.email === candidate.email &&
-            c.application.vacancy_id === vacancyId
-        )
-      ) {
-        created.push({ candidate, application });
-      }
+  try {
+    const job = await cvJobsModel.retryCvJobFiles(id, job_file_ids);
+    if (!job) {
+      return res.status(404).json({ error: "CV job not found" });
     }
-
-    return res.status(201).json({
-      success: true,
-      message: "CVs procesados en lotes y registrados en la base de datos",
-      data: created,
-    });
+    return res.status(202).json(job);
   } catch (error) {
-    console.error("Error procesando CVs:", error);
-    return res.status(500).json({ error: "Error procesando CVs" });
+    if (error.message === "No failed files to retry") {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Error retrying CV job:", error);
+    return res.status(500).json({ error: "Error retrying CV job" });
   }
 };
@@ -1,18 +1,24 @@
 import * as usersModel from "../models/services/UserServices.js";
+import * as loginThrottleModel from "../models/services/LoginThrottleServices.js";
+import * as invitationsModel from "../models/services/InvitationServices.js";
+import * as apiKeysModel from "../models/services/ApiKeyServices.js";
+import { sendList } from "../middleware/listQuery.js";
+
+const INVITATION_STATUSES = ["pending", "accepted", "revoked", "expired"];
 
 /**
- * Controller function to retrieve all users from the database
+ * Controller function to retrieve users from the database a page at a time
  * @async
  * @function getAllUsersController
- * @param {Object} req - Express request object
+ * @param {Object} req - Express request object (req.listQuery set by the listQuery middleware)
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns a JSON response with all users or an error message
+ * @returns {Promise<Object>} Returns a page of users in the list envelope or an error message
  * @throws {Error} Returns 500 status code with error message if database operation fails
  */
 export const getAllUsersController = async (req, res) => {
     try {
-        const allUsers = await usersModel.getAllUsers();
-        return res.status(200).json(allUsers);
+        const result = await usersModel.getAllUsers(req.listQuery);
+        return sendList(req, res, result);
     } catch (error) {
         console.error("Error fetching users:", error);
         return res.status(500).json({ error: "Error fetching users" });
@@ -47,6 +53,314 @@ export const createUserController = async (req, res) => {
     }
 };
 
+/**
+ * Reassigns the role of a user (admin only)
+ * @async
+ * @function updateUserRoleController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - User ID whose role changes
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.role_id - Role to assign
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} JSON response with the updated user
+ * @description
+ * - Returns 200 with the updated user on success
+ * - Returns 400 if role_id is missing, the role does not exist or the admin targets their own account
+ * - Returns 404 if the user does not exist
+ * - Returns 500 status if an error occurs during the operation
+ */
+export const updateUserRoleController = async (req, res) => {
+    const { id } = req.params;
+    const { role_id } = req.body;
+
+    if (!role_id) {
+        return res.status(400).json({ error: "role_id is required" });
+    }
+
+    // Prevents admins from locking themselves out of role management
+    if (Number(id) === req.user.user_id) {
+        return res.status(400).json({ error: "You cannot change your own role" });
+    }
+
+    try {
+        const user = await usersModel.updateUserRole(id, role_id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+        return res.status(200).json(user);
+    } catch (error) {
+        if (error.message === "Role not found") {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("Error updating user role:", error);
+        return res.status(500).json({ error: "Error updating user role" });
+    }
+};
+
+/**
+ * Lifts the login lockout of a user and clears their failed login counter (admin only)
+ * @async
+ * @function unlockUserController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - User ID to unlock
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} JSON response with user_id and whether a lock or failed attempts were cleared, for the account
+ * or the IP addresses its failed logins came from
+ * @description
+ * - Returns 200 on success, also when the account was not locked
+ * - Returns 404 if the user does not exist
+ * - Returns 500 status if an error occurs during the operation
+ */
+export const unlockUserController = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const user = await usersModel.getUserById(id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+        const cleared = await loginThrottleModel.unlockAccount(user.email);
+        return res.status(200).json({ user_id: user.user_id, cleared });
+    } catch (error) {
+        console.error("Error unlocking user:", error);
+        return res.status(500).json({ error: "Error unlocking user" });
+    }
+};
+
+/**
+ * Lists invitations (admin only)
+ * @async
+ * @function getAllInvitationsController
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - Only list invitations with this status (pending, accepted, revoked, expired)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} JSON response with a page of invitations in the list envelope
+ * @description
+ * - Returns 200 with the invitations, most recent first unless sorted otherwise
+ * - Returns 400 if the status filter is unknown
+ * - Returns 500 status if an error occurs during the operation
+ */
+export const getAllInvitationsController = async (req, res) => {
+    const { status } = req.query;
+    if (status && !INVITATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${INVITATION_STATUSES.join(", ")}` });
+    }
+
+    try {
+        const result = await invitationsModel.getAllInvitations(status, req.listQuery);
+        return sendList(req, res, result);
+    } catch (error) {
+        console.error("Error fetching invitations:", error);
+        return res.status(500).json({ error: "Error fetching invitations" });
+    }
+};
+
+/**
+ * Invites a person by email with a pre-assigned role (admin only)
+ * @async
+ * @function createInvitationController
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Invitation data
+ * @param {string} req.body.email - Email address to invite
+ * @param {number} req.body.role_id - Role the new user will get
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} JSON response with the created invitation
+ * @description
+ * - Returns 201 with the invitation; the link is emailed to the invitee
+ * - Returns 400 if the email or role is missing or the role does not exist
+ * - Returns 409 if a user with the email exists or an invitation is already pending
+ * - Returns 500 status if an error occurs during the operation
+ */
+export const createInvitationController = async (req, res) => {
+    const { email, role_id } = req.body;
+
+    if (!email || !email.includes("@") || !role_id) {
+        return res.status(400).json({ error: "A valid email and role_id are required" });
+    }
+
+    try {
+        const invitation = await invitationsModel.createInvitation({
+            email,
+            role_id,
+            invited_by: req.user.user_id
+        });
+        return res.status(201).json(invitation);
+    } catch (error) {
+        if (error.message === "Role not found") {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.message === "User already exists with this email" || error.message === "Invitation already pending") {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error("Error creating invitation:", error);
+        return res.status(500).json({ error: "Error creating invitation" });
+    }
+};
+
+/**
+ * Sends an invitation again with a new link and expiry (admin only)
+ * @async
+ * @function resendInvitationController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - Invitation ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} JSON response with the updated invitation
+ * @description
+ * - Returns 200 with the invitation; previous links stop working
+ * - Returns 404 if the invitation does not exist
+ * - Returns 409 if the invitation was accepted or revoked
+ * - Returns 500 status if an error occurs during the operation
+ */
+export const resendInvitationController = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const invitation = await invitationsModel.resendInvitation(id);
+        if (!invitation) {
+            return res.status(404).json({ error: "Invitation not found" });
+        }
+        return res.status(200).json(invitation);
+    } catch (error) {
+        if (error.message === "Invitation already accepted" || error.message === "Invitation has been revoked") {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error("Error resending invitation:", error);
+        return res.status(500).json({ error: "Error resending invitation" });
+    }
+};
+
+/**
+ * Revokes an invitation so its link can no longer be used (admin only)
+ * @async
+ * @function revokeInvitationController
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - Invitation ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} JSON response with the revoked invitation
+ * @description
+ * - Returns 200 with the invitation
+ * - Returns 404 if the invitation does not exist
+ * - Returns 409 if the invitation was already accepted
+ * - Returns 500 status if an error occurs during the operation
+ */
+export const revokeInvitationController = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const invitation = await invitationsModel.revokeInvitation(id);
+        if (!invitation) {
+            return res.status(404).json({ error: "Invitation not found" });
+        }
+        return res.status(200).json(invitation);
+    } catch (error) {
+        if (error.message === "Invitation already accepted") {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error("Error revoking invitation:", error);
+        return res.status(500).json({ error: "Error revoking invitation" });
+    }
+};
+
+/**
+ * Lists the API keys of the authenticated user
+ * @async
+ * @function getMyApiKeysController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} JSON response with a page of keys in the list envelope (prefix, scopes, expiry, last use;
+ * never the key itself)
+ */
+export const getMyApiKeysController = async (req, res) => {
+    try {
+        const result = await apiKeysModel.getApiKeysByUser(req.user.user_id, req.listQuery);
+        return sendList(req, res, result);
+    } catch (error) {
+        console.error("Error fetching API keys:", error);
+        return res.status(500).json({ error: "Error fetching API keys" });
+    }
+};
+
+/**
+ * Creates an API key for the authenticated user. The key is returned once and cannot be retrieved later.
+ * @async
+ * @function createMyApiKeyController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.body - Key data
+ * @param {string} req.body.name - Label of the key
+ * @param {Array<string>} req.body.scopes - Permission names the key may use
+ * @param {string} [req.body.expires_at] - ISO date after which the key stops working
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} JSON response with the key and its data
+ * @description
+ * - Returns 201 with `key` (shown once) and `data`
+ * - Returns 400 on invalid data or scopes the user's role does not grant
+ * - Returns 500 status if an error occurs during the operation
+ */
+export const createMyApiKeyController = async (req, res) => {
+    const { name, scopes, expires_at } = req.body;
+    const errors = [];
+
+    if (typeof name !== "string" || !name.trim() || name.length > 100) {
+        errors.push("Name is required and must be at most 100 characters long");
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => typeof scope !== "string")) {
+        errors.push("Scopes must be a non-empty array of permission names");
+    }
+    const expiresAt = expires_at ? new Date(expires_at) : null;
+    if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) {
+        errors.push("expires_at must be a date in the future");
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: "Validation failed", errors });
+    }
+
+    try {
+        const { key, apiKey } = await apiKeysModel.createApiKey(req.user, {
+            name: name.trim(),
+            scopes,
+            expiresAt
+        });
+        return res.status(201).json({
+            message: "Store this key now, it will not be shown again",
+            key,
+            data: apiKey
+        });
+    } catch (error) {
+        if (error.message === "Scopes exceed your permissions") {
+            return res.status(400).json({ error: error.message, invalidScopes: error.invalidScopes });
+        }
+        console.error("Error creating API key:", error);
+        return res.status(500).json({ error: "Error creating API key" });
+    }
+};
+
+/**
+ * Revokes an API key of the authenticated user
+ * @async
+ * @function revokeMyApiKeyController
+ * @param {Object} req - Express request object (req.user set by verifyToken)
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.keyId - ID of the key to revoke
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} JSON response with the revoked key, or 404 if the user has no such key
+ */
+export const revokeMyApiKeyController = async (req, res) => {
+    const { keyId } = req.params;
+    try {
+        const apiKey = await apiKeysModel.revokeApiKey(req.user.user_id, keyId);
+        if (!apiKey) {
+            return res.status(404).json({ error: "API key not found" });
+        }
+        return res.status(200).json(apiKey);
+    } catch (error) {
+        console.error("Error revoking API key:", error);
+        return res.status(500).json({ error: "Error revoking API key" });
+    }
+};
+
 /**
  * Deletes a user by ID
  * @async
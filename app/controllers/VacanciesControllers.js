@@ -1,4 +1,35 @@
 import * as vacanciesModel from '../models/services/VacanciesServices.js';
+import { redactCandidatePii } from '../models/services/CandidateServices.js';
+import { sendList } from '../middleware/listQuery.js';
+
+const VACANCY_STATUSES = ["open", "closed", "paused"];
+const APPLICATION_STATUSES = ["pending", "interview", "offered", "accepted", "rejected"];
+
+/**
+ * Reads the filters of the vacancy lists
+ * @param {Object} req - Express request object
+ * @returns {Object} { filters } for the services, or { error } when a filter is invalid
+ */
+const getVacancyFilters = (req) => {
+    const { vacancy_id: vacancyId, status, q } = req.query;
+    const filters = {};
+    if (vacancyId !== undefined) {
+        if (!/^[1-9]\d*$/.test(String(vacancyId))) {
+            return { error: "vacancy_id must be a vacancy ID" };
+        }
+        filters.vacancyId = Number(vacancyId);
+    }
+    if (status !== undefined) {
+        if (!VACANCY_STATUSES.includes(status)) {
+            return { error: `status must be one of: ${VACANCY_STATUSES.join(", ")}` };
+        }
+        filters.status = status;
+    }
+    if (typeof q === "string" && q.trim()) {
+        filters.search = q.trim();
+    }
+    return { filters };
+};
 
 /**
  * Controller function to retrieve all vacancies from the database.
@@ -6,28 +37,41 @@ import * as vacanciesModel from '../models/services/VacanciesServices.js';
  * @async
  * @function getAllVacanciesController
  * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.vacancy_id] - Only this vacancy
+ * @param {string} [req.query.status] - Only vacancies with this status (open, closed, paused)
+ * @param {string} [req.query.q] - Only vacancies with this text in the title or the description
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns HTTP response with all vacancies array or error message
+ * @returns {Promise<Object>} Returns HTTP response with a page of vacancies in the list envelope or error message
  * @throws {Error} Returns 500 status with error message if database query fails
  * 
- * @description This controller handles GET requests to retrieve all vacancies.
- * It calls the vacanciesModel.getAllVacancies() service function and returns
- * the results ordered by most recent first (vacancy_id DESC).
+ * @description This controller handles GET requests to list vacancies a page at a time.
+ * It calls the vacanciesModel.getAllVacancies() service function with the filters and the page, sort and fields
+ * parsed by the listQuery middleware; by default the most recent come first (vacancy_id DESC).
+ * Returns 400 if a filter is invalid.
  * 
  * @example
  * // Example request
- * GET /api/vacancies
+ * GET /api/vacancies?limit=10&sort=title:asc
  * 
  * // Success response (200)
- * [
- *   {
- *     "vacancy_id": 123,
- *     "title": "Senior Software Engineer",
- *     "description": "Looking for an experienced software engineer...",
- *     "salary": 80000,
- *     "status": "open"
+ * {
+ *   "data": [
+ *     {
+ *       "vacancy_id": 123,
+ *       "title": "Senior Software Engineer",
+ *       "description": "Looking for an experienced software engineer...",
+ *       "salary": 80000,
+ *       "status": "open"
+ *     }
+ *   ],
+ *   "meta": { "total": 12, "page": 1, "pages": 2, "limit": 10, "next_cursor": null },
+ *   "links": {
+ *     "self": "/api/vacancies?limit=10&sort=title:asc",
+ *     "next": "/api/vacancies?limit=10&sort=title:asc&page=2",
+ *     "prev": null
  *   }
- * ]
+ * }
  * 
  * // Error response (500)
  * {
@@ -35,9 +79,13 @@ import * as vacanciesModel from '../models/services/VacanciesServices.js';
  * }
  */
 export const getAllVacanciesController = async (req, res) => {
+    const { filters, error } = getVacancyFilters(req);
+    if (error) {
+        return res.status(400).json({ error });
+    }
     try {
-        const allVacancies = await vacanciesModel.getAllVacancies();
-        return res.status(200).json(allVacancies);
+        const result = await vacanciesModel.getAllVacancies(req.listQuery, filters);
+        return sendList(req, res, result);
     } catch (error) {
         console.error('Error fetching vacancies:', error);
         return res.status(500).json({ error: 'Error fetching vacancies:', error });
@@ -53,7 +101,7 @@ export const getAllVacanciesController = async (req, res) => {
  * @param {Object} req.query - Query parameters
  * @param {string} req.query.title - The title or partial title to search for (required)
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns HTTP response with matching vacancies array or error message
+ * @returns {Promise<Object>} Returns HTTP response with a page of matching vacancies in the list envelope or error message
  * @throws {Error} Returns 500 status with error message if database query fails
  * 
  * @description This controller handles GET requests to search for vacancies by title.
@@ -63,11 +111,10 @@ export const getAllVacanciesController = async (req, res) => {
  * 
  * @example
  * // Example request
- * GET /api/vacancies/search?title=engineer
+ * GET /api/vacancies/find?title=engineer
  * 
  * // Success response (200)
  * {
- *   "success": true,
  *   "data": [
  *     {
  *       "vacancy_id": 123,
@@ -76,7 +123,9 @@ export const getAllVacanciesController = async (req, res) => {
  *       "salary": 80000,
  *       "status": "open"
  *     }
- *   ]
+ *   ],
+ *   "meta": { "total": 1, "page": 1, "pages": 1, "limit": 20, "next_cursor": null },
+ *   "links": { "self": "/api/vacancies/find?title=engineer", "next": null, "prev": null }
  * }
  * 
  * // Missing parameter response (400)
@@ -109,19 +158,16 @@ export const getAllVacanciesByNameController = async (req, res) => {
             });
         }
 
-        const vacancies = await vacanciesModel.getVacanciesByName(title);
+        const result = await vacanciesModel.getVacanciesByName(title, req.listQuery);
 
-        if (!vacancies || vacancies.length === 0) {
+        if (result.total === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'There is no vacancy with that name',
             });
         };
 
-        return res.status(200).json({
-            success: true,
-            data: vacancies
-        });
+        return sendList(req, res, result);
     } catch (error) {
         console.error('Error fetching vacancy:', error);
         return res.status(500).json({
@@ -219,39 +265,45 @@ export const upsertVacancyController = async (req, res) => {
  * @async
  * @function getAllVacanciesWithCount
  * @param {Object} req - Express request object
+ * @param {Object} req.query - Filters, as for getAllVacanciesController (vacancy_id, status, q)
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns HTTP response with vacancies array including application counts or error message
+ * @returns {Promise<Object>} Returns HTTP response with a page of vacancies including application counts in the list envelope or error message
  * @throws {Error} Returns 500 status with error message if database query fails
  * 
  * @description This controller handles GET requests to retrieve all vacancies with application statistics.
  * It calls the vacanciesModel.getAllVacanciesWithCount() service which performs a JOIN query
  * with the Application table to count applications per vacancy. Each vacancy object includes
  * an 'applicationsCount' field with the total number of applications received.
- * The results are ordered by vacancy_id in descending order.
+ * By default the results are ordered by vacancy_id in descending order; page, sort and fields
+ * come from the listQuery middleware, and applicationsCount is always returned.
  * 
  * @example
  * // Example request
- * GET /api/vacancies/with-count
+ * GET /api/vacancies/count?limit=2
  * 
  * // Success response (200)
- * [
- *   {
- *     "vacancy_id": 123,
- *     "title": "Senior Software Engineer",
- *     "description": "Looking for an experienced software engineer...",
- *     "salary": 80000,
- *     "status": "open",
- *     "applicationsCount": "5"
- *   },
- *   {
- *     "vacancy_id": 122,
- *     "title": "Junior Developer",
- *     "description": "Entry level position...",
- *     "salary": 50000,
- *     "status": "open",
- *     "applicationsCount": "12"
- *   }
- * ]
+ * {
+ *   "data": [
+ *     {
+ *       "vacancy_id": 123,
+ *       "title": "Senior Software Engineer",
+ *       "description": "Looking for an experienced software engineer...",
+ *       "salary": 80000,
+ *       "status": "open",
+ *       "applicationsCount": "5"
+ *     },
+ *     {
+ *       "vacancy_id": 122,
+ *       "title": "Junior Developer",
+ *       "description": "Entry level position...",
+ *       "salary": 50000,
+ *       "status": "open",
+ *       "applicationsCount": "12"
+ *     }
+ *   ],
+ *   "meta": { "total": 9, "page": 1, "pages": 5, "limit": 2, "next_cursor": null },
+ *   "links": { "self": "/api/vacancies/count?limit=2", "next": "/api/vacancies/count?limit=2&page=2", "prev": null }
+ * }
  * 
  * // Error response (500)
  * {
@@ -261,9 +313,13 @@ export const upsertVacancyController = async (req, res) => {
  * }
  */
 export const getAllVacanciesWithCount = async (req, res) => {
+    const { filters, error } = getVacancyFilters(req);
+    if (error) {
+        return res.status(400).json({ error });
+    }
     try {
-        const allVacancies = await vacanciesModel.getAllVacanciesWithCount();
-        return res.status(200).json(allVacancies);
+        const result = await vacanciesModel.getAllVacanciesWithCount(req.listQuery, filters);
+        return sendList(req, res, result);
     } catch (error) {
         console.error("Error fetching vacancies with count:", error);
         return res.status(500).json({
@@ -282,44 +338,53 @@ export const getAllVacanciesWithCount = async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {string|number} req.params.id - The vacancy ID to retrieve applications for
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - Only applications with this status
+ * @param {string} [req.query.q] - Only candidates with this text in their name (or email, with candidate:read_pii)
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Returns HTTP response with applications array including candidate and vacancy data or error message
+ * @returns {Promise<Object>} Returns HTTP response with a page of applications including candidate and vacancy data
+ * in the list envelope, or error message
  * @throws {Error} Returns 500 status with error message if database query fails
  * 
  * @description This controller handles GET requests to retrieve all applications for a specific vacancy.
  * It extracts the vacancy ID from route parameters and calls the vacanciesModel.getApplicationsByVacancyId() service.
- * The response includes complete application data with related candidate and vacancy information
- * through Sequelize associations.
+ * The response includes complete application data with the ID, name, occupation and email of the candidate (the email
+ * is null for users without candidate:read_pii, which the route does not require) and the vacancy, through Sequelize associations. Page, sort and fields (of the application) come from the listQuery middleware.
+ * Returns 400 if the status filter is unknown.
  * 
  * @example
  * // Example request
- * GET /api/vacancies/123/applications
+ * GET /api/vacancies/123
  * 
  * // Success response (200)
- * [
- *   {
- *     "application_id": 1,
- *     "candidate_id": 456,
- *     "vacancy_id": 123,
- *     "status": "pending",
- *     "ai_reason": "Strong technical background matches requirements",
- *     "created_at": "2024-01-15T10:30:00.000Z",
- *     "updated_at": "2024-01-15T10:30:00.000Z",
- *     "Candidate": {
+ * {
+ *   "data": [
+ *     {
+ *       "application_id": 1,
  *       "candidate_id": 456,
- *       "name": "John Doe",
- *       "email": "john.doe@example.com",
- *       "occupation": "Software Engineer"
- *     },
- *     "Vacancy": {
  *       "vacancy_id": 123,
- *       "title": "Senior Software Engineer",
- *       "description": "Looking for an experienced software engineer...",
- *       "salary": 80000,
- *       "status": "open"
+ *       "status": "pending",
+ *       "ai_reason": "Strong technical background matches requirements",
+ *       "created_at": "2024-01-15T10:30:00.000Z",
+ *       "updated_at": "2024-01-15T10:30:00.000Z",
+ *       "Candidate": {
+ *         "candidate_id": 456,
+ *         "name": "John Doe",
+ *         "occupation": "Software Engineer",
+ *         "email": "john.doe@example.com"
+ *       },
+ *       "Vacancy": {
+ *         "vacancy_id": 123,
+ *         "title": "Senior Software Engineer",
+ *         "description": "Looking for an experienced software engineer...",
+ *         "salary": 80000,
+ *         "status": "open"
+ *       }
  *     }
- *   }
- * ]
+ *   ],
+ *   "meta": { "total": 1, "page": 1, "pages": 1, "limit": 20, "next_cursor": null },
+ *   "links": { "self": "/api/vacancies/123", "next": null, "prev": null }
+ * }
  * 
  * // Error response (500)
  * {
@@ -329,10 +394,30 @@ export const getAllVacanciesWithCount = async (req, res) => {
  * }
  */
 export const getApplicationsByVacancyIdController = async (req, res) => {
+    const { status, q } = req.query;
+    if (status !== undefined && !APPLICATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${APPLICATION_STATUSES.join(", ")}` });
+    }
+    const canReadPii = req.permissions?.includes("candidate:read_pii");
+    const filters = {
+        status,
+        search: typeof q === "string" && q.trim() ? q.trim() : undefined,
+        includePii: canReadPii
+    };
+
     try {
         const vacancyId = req.params.id;
-        const applications = await vacanciesModel.getApplicationsByVacancyId(vacancyId);
-        return res.status(200).json(applications);
+        const result = await vacanciesModel.getApplicationsByVacancyId(vacancyId, req.listQuery, filters);
+        if (!canReadPii) {
+            return sendList(req, res, result, (application) => {
+                const data = application.toJSON();
+                if (data.Candidate) {
+                    data.Candidate = redactCandidatePii(data.Candidate);
+                }
+                return data;
+            });
+        }
+        return sendList(req, res, result);
     } catch (error) {
         console.error("Error fetching applications by vacancy:", error);
         return res.status(500).json({
@@ -0,0 +1,99 @@
+/**
+ * Helpers shared by the text extractors of the markup formats (DOCX and ODT XML, HTML)
+ */
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', shy: '',
+    bull: '•', middot: '·', ndash: '–', mdash: '—', hellip: '…', euro: '€', copy: '©', reg: '®', deg: '°',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', iexcl: '¡', iquest: '¿',
+    ordf: 'ª', ordm: 'º', szlig: 'ß'
+};
+
+// Accents of the named entities of accented letters, as in &eacute; or &ntilde;
+const ACCENTS = { acute: '\u0301', grave: '\u0300', circ: '\u0302', uml: '\u0308', tilde: '\u0303', cedil: '\u0327' };
+
+/**
+ * Decodes the character references of XML and HTML (&amp;, &eacute;, &#233;, &#xE9;)
+ * @function decodeEntities
+ * @param {string} text - Text with references
+ * @returns {string} The text with the characters; unknown references are left as they are
+ */
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? Number.parseInt(name.slice(2), 16) : Number(name.slice(1));
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+    }
+    if (ENTITIES[name] !== undefined) {
+        return ENTITIES[name];
+    }
+    const accented = /^([a-z])(acute|grave|circ|uml|tilde|cedil)$/i.exec(name);
+    return accented ? `${accented[1]}${ACCENTS[accented[2]]}`.normalize('NFC') : reference;
+});
+
+/**
+ * Decodes the bytes of a text file: a byte order mark or the given charset wins, else UTF-8 when the bytes
+ * are valid UTF-8, else Windows-1252 (which covers Latin-1), as saved by older editors
+ * @function decodeText
+ * @param {Buffer} buffer - Content of the file
+ * @param {string} [charset] - Charset declared by the file, e.g. in an HTML meta tag
+ * @returns {string} The text
+ */
+export const decodeText = (buffer, charset) => {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return buffer.toString('utf8', 3);
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+    }
+    if (charset) {
+        try {
+            return new TextDecoder(charset).decode(buffer);
+        } catch {
+            // Unknown charset: read as if none was declared
+        }
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+};
+
+/**
+ * Turns markup into text: the content of the skipped elements is dropped, block elements go on lines of their own,
+ * a line break element becomes a new line, a tab element a tab, and the other tags are removed
+ * @function markupToText
+ * @param {string} markup - XML or HTML
+ * @param {Object} tags - Names of the elements, with their prefix (e.g. 'w:p')
+ * @param {Array<string>} [tags.skip] - Elements whose content is not text of the document
+ * @param {Array<string>} [tags.blocks] - Elements that start and end a line
+ * @param {Array<string>} [tags.breaks] - Empty elements that are a new line
+ * @param {Array<string>} [tags.tabs] - Empty elements that are a tab
+ * @param {boolean} [tags.collapseSpaces=false] - Read white space between the tags as one space, as HTML does
+ * @returns {string} The text, with its character references decoded and without empty lines
+ */
+export const markupToText = (markup, { skip = [], blocks = [], breaks = [], tabs = [], collapseSpaces = false }) => {
+    const names = (list) => list.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    let text = markup.replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+    if (collapseSpaces) {
+        text = text.replace(/\s+/g, ' ');
+    }
+    if (skip.length > 0) {
+        text = text.replace(new RegExp(`<(${names(skip)})\\b[^>]*?(?:/>|>[\\s\\S]*?</\\1\\s*>)`, 'gi'), '');
+    }
+    if (tabs.length > 0) {
+        text = text.replace(new RegExp(`<(?:${names(tabs)})\\b[^>]*>`, 'gi'), '\t');
+    }
+    if (breaks.length > 0) {
+        text = text.replace(new RegExp(`<(?:${names(breaks)})\\b[^>]*>`, 'gi'), '\n');
+    }
+    if (blocks.length > 0) {
+        text = text.replace(new RegExp(`</?(?:${names(blocks)})\\b[^>]*>`, 'gi'), '\n');
+    }
+    return decodeEntities(text.replace(/<[^>]*>/g, ''))
+        .replace(/[ \t]*\n\s*/g, '\n')
+        .trim();
+};
@@ -0,0 +1,111 @@
+import pdfFormat from './formats/PdfFormat.js';
+import docxFormat from './formats/DocxFormat.js';
+import odtFormat from './formats/OdtFormat.js';
+import rtfFormat from './formats/RtfFormat.js';
+import htmlFormat from './formats/HtmlFormat.js';
+import textFormat from './formats/TextFormat.js';
+import { isZipArchive } from './ZipArchive.js';
+
+/**
+ * Document formats the text of a CV can be read from, tried in order on the first bytes of the file
+ * (never its name). Each format has a name, a contentType, detect(buffer) and an async extract(buffer)
+ * that resolves to the raw text. Plain text has no signature, so it stays last.
+ */
+const formats = [pdfFormat, docxFormat, odtFormat, rtfFormat, htmlFormat, textFormat];
+
+// Files recognised by their first bytes that cannot be read, with the reason given for them
+const UNSUPPORTED = [
+    {
+        // Compound File: Word 97-2003 documents, and Office documents saved with a password
+        detect: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])),
+        reason: (buffer) => buffer.includes(Buffer.from('EncryptionInfo', 'utf16le'))
+            ? 'The document is protected with a password; upload it without the password'
+            : 'Word 97-2003 documents (.doc) are not supported; save it as DOCX or PDF'
+    },
+    { detect: isZipArchive, reason: () => 'ZIP archives are not supported, only the documents they hold' },
+    {
+        detect: (buffer) => [[0x89, 0x50, 0x4e, 0x47], [0xff, 0xd8, 0xff], [0x47, 0x49, 0x46, 0x38]]
+            .some(bytes => buffer.subarray(0, bytes.length).equals(Buffer.from(bytes))),
+        reason: () => 'Images are not supported; upload the CV as a PDF or a document with its text'
+    }
+];
+
+/**
+ * Registers an additional document format, tried before plain text
+ * @function registerDocumentFormat
+ * @param {{ name: string, contentType: string, detect: Function, extract: Function }} format - The format
+ */
+export const registerDocumentFormat = (format) => {
+    formats.splice(formats.length - 1, 0, format);
+};
+
+/**
+ * Finds the format of a file, or why it cannot be read
+ * @param {Buffer} buffer - Content of the file
+ * @returns {{ format: Object|null, reason: string|null }} The format, or the reason when there is none
+ */
+const findFormat = (buffer) => {
+    const detects = ({ detect }) => {
+        try {
+            return detect(buffer);
+        } catch {
+            // A damaged archive or a content too short for the signature is not in this format
+            return false;
+        }
+    };
+    const format = formats.filter(candidate => candidate !== textFormat).find(detects);
+    if (format) {
+        return { format, reason: null };
+    }
+    // Checked before plain text, which takes any content that decodes as text
+    const unsupported = UNSUPPORTED.find(detects);
+    if (unsupported) {
+        return { format: null, reason: unsupported.reason(buffer) };
+    }
+    return detects(textFormat)
+        ? { format: textFormat, reason: null }
+        : { format: null, reason: 'Unsupported file format; upload the CV as PDF, DOCX, ODT, RTF, HTML or plain text' };
+};
+
+/**
+ * Works out the format of a file from its first bytes
+ * @function detectFormat
+ * @param {Buffer} buffer - Content of the file
+ * @returns {{ name: string, contentType: string }|null} The format, or null when it cannot be read
+ */
+export const detectFormat = (buffer) => {
+    const { format } = findFormat(buffer);
+    return format ? { name: format.name, contentType: format.contentType } : null;
+};
+
+/**
+ * Normalizes the text read from a CV, whatever its format, with the spacing and bullets the model handles best.
+ * White space at the ends of lines and empty lines go; spaces within a line are kept, as documents such as ODT
+ * write repeated spaces on purpose.
+ * @function cleanText
+ * @param {string} text - Raw text
+ * @returns {string} The text
+ */
+export const cleanText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[^\S\n]*\n\s*/g, '\n')
+    .replace(/•|·/g, '-')
+    .trim();
+
+/**
+ * Reads the text of a CV in any of the supported formats (PDF, DOCX, ODT, RTF, HTML and plain text)
+ * @async
+ * @function extractText
+ * @param {Buffer} buffer - Content of the file
+ * @returns {Promise<string>} The text, normalized by cleanText; empty when the file has no text (e.g. a scanned PDF)
+ * @throws {Error} Throws error if the format is not supported, the document is protected with a password or damaged
+ * @example
+ * const text = await extractText(await getFileStorage().get(storedFile.storage_key));
+ */
+export const extractText = async (buffer) => {
+    const { format, reason } = findFormat(buffer);
+    if (!format) {
+        throw new Error(reason);
+    }
+    return cleanText(await format.extract(buffer));
+};
@@ -0,0 +1,89 @@
+import zlib from 'zlib';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Largest entry read, so a small archive cannot unpack into gigabytes
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Tells whether a content starts as a ZIP archive (DOCX and ODT documents are ZIP archives)
+ * @function isZipArchive
+ * @param {Buffer} buffer - Content of the file
+ * @returns {boolean} True when the content starts with the signature of a ZIP entry
+ */
+export const isZipArchive = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+
+/**
+ * Opens a ZIP archive held in memory, reading its central directory.
+ * Entries stored as they are or deflated can be read; ZIP64 and split archives are not supported.
+ * @function openZipArchive
+ * @param {Buffer} buffer - Content of the archive
+ * @returns {{ names: Array<string>, has: Function, read: Function }} The names of the entries, has(name) and
+ * read(name), which returns the content of an entry as a Buffer
+ * @throws {Error} Throws error if the archive is damaged, or read() if an entry is encrypted or compressed otherwise
+ * @example
+ * const archive = openZipArchive(buffer);
+ * const xml = archive.has('word/document.xml') ? archive.read('word/document.xml').toString('utf8') : null;
+ */
+export const openZipArchive = (buffer) => {
+    // The end of the central directory is in the last 22 bytes, unless the archive has a comment (up to 64 KB)
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset -= 1) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+            end = offset;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('The ZIP archive is damaged');
+    }
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let index = 0; index < count; index += 1) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+            throw new Error('The ZIP archive is damaged');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        entries.set(name, {
+            flags: buffer.readUInt16LE(offset + 8),
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            headerOffset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+
+    const read = (name) => {
+        const entry = entries.get(name);
+        if (!entry) {
+            throw new Error(`The ZIP archive has no ${name}`);
+        }
+        if (entry.flags & 0x1) {
+            throw new Error('The ZIP archive is protected with a password');
+        }
+        if (entry.size > MAX_ENTRY_SIZE) {
+            throw new Error(`${name} is too large to be read`);
+        }
+        const header = entry.headerOffset;
+        if (buffer.readUInt32LE(header) !== LOCAL_HEADER) {
+            throw new Error('The ZIP archive is damaged');
+        }
+        const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+        const data = buffer.subarray(start, start + entry.compressedSize);
+        if (entry.method === 0) {
+            return Buffer.from(data);
+        }
+        if (entry.method === 8) {
+            return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+        }
+        throw new Error(`${name} is compressed with an unsupported method (${entry.method})`);
+    };
+
+    return { names: [...entries.keys()], has: (name) => entries.has(name), read };
+};
@@ -0,0 +1,27 @@
+import { isZipArchive, openZipArchive } from '../ZipArchive.js';
+import { markupToText } from '../Markup.js';
+
+// Parts of the document with its text: the body, then the notes; headers and footers rarely hold anything of the CV
+const PARTS = ['word/document.xml', 'word/footnotes.xml', 'word/endnotes.xml'];
+
+/**
+ * Word documents (Office Open XML, .docx): a ZIP archive with the body in word/document.xml
+ */
+export default {
+    name: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    detect: (buffer) => isZipArchive(buffer) && openZipArchive(buffer).has('word/document.xml'),
+    async extract(buffer) {
+        const archive = openZipArchive(buffer);
+        return PARTS
+            .filter(part => archive.has(part))
+            .map(part => markupToText(archive.read(part).toString('utf8'), {
+                // Field codes (e.g. HYPERLINK "...") and deleted text are not read as text of the document
+                skip: ['w:instrText', 'w:delText'],
+                blocks: ['w:p'],
+                breaks: ['w:br', 'w:cr'],
+                tabs: ['w:tab']
+            }))
+            .join('\n');
+    }
+};
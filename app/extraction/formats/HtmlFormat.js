@@ -0,0 +1,33 @@
+import { decodeText, markupToText } from '../Markup.js';
+
+const BLOCKS = [
+    'p', 'div', 'li', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'section', 'article', 'header', 'footer',
+    'table', 'ul', 'ol', 'dl', 'dt', 'dd', 'blockquote', 'pre', 'address'
+];
+
+/**
+ * Reads the start of a content as text, for the signatures of the text formats
+ * @param {Buffer} buffer - Content of the file
+ * @returns {string} The first characters, without leading white space
+ */
+const readStart = (buffer) => decodeText(buffer.subarray(0, 512)).trimStart();
+
+/**
+ * HTML pages (e.g. a CV saved from a browser or exported by a CV builder). The charset of the meta tag is used
+ * when the page has no byte order mark.
+ */
+export default {
+    name: 'html',
+    contentType: 'text/html',
+    detect: (buffer) => /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body)\b/i.test(readStart(buffer)),
+    async extract(buffer) {
+        const charset = /<meta[^>]+charset=["']?([\w-]+)/i.exec(buffer.subarray(0, 2048).toString('latin1'))?.[1];
+        return markupToText(decodeText(buffer, charset), {
+            skip: ['head', 'script', 'style', 'noscript', 'template', 'svg'],
+            blocks: BLOCKS,
+            breaks: ['br', 'hr'],
+            tabs: ['td', 'th'],
+            collapseSpaces: true
+        });
+    }
+};
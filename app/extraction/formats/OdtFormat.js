@@ -0,0 +1,36 @@
+import { isZipArchive, openZipArchive } from '../ZipArchive.js';
+import { markupToText } from '../Markup.js';
+
+const MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+/**
+ * OpenDocument text documents (.odt, from LibreOffice): a ZIP archive that starts with a `mimetype` entry
+ * naming the format, with the body in content.xml
+ */
+export default {
+    name: 'odt',
+    contentType: MIMETYPE,
+    detect: (buffer) => {
+        if (!isZipArchive(buffer)) {
+            return false;
+        }
+        const archive = openZipArchive(buffer);
+        return archive.has('mimetype') && archive.read('mimetype').toString('latin1').trim() === MIMETYPE;
+    },
+    async extract(buffer) {
+        const archive = openZipArchive(buffer);
+        // The entries of a document saved with a password are encrypted, as listed in the manifest
+        if (archive.has('META-INF/manifest.xml') && archive.read('META-INF/manifest.xml').toString('utf8').includes('encryption-data')) {
+            throw new Error('The document is protected with a password; upload it without the password');
+        }
+        const content = archive.read('content.xml').toString('utf8');
+        // Repeated spaces are written <text:s text:c="3"/>
+        const spaced = content.replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (tag, count) => ' '.repeat(Number(count) || 1));
+        return markupToText(spaced, {
+            skip: ['office:annotation', 'text:tracked-changes'],
+            blocks: ['text:p', 'text:h'],
+            breaks: ['text:line-break'],
+            tabs: ['text:tab']
+        });
+    }
+};
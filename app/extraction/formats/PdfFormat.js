@@ -0,0 +1,21 @@
+import pdf from 'pdf-extraction';
+
+/**
+ * PDF documents, read with pdf-extraction
+ */
+export default {
+    name: 'pdf',
+    contentType: 'application/pdf',
+    detect: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+    async extract(buffer) {
+        try {
+            const data = await pdf(buffer);
+            return data.text;
+        } catch (error) {
+            if (error?.name === 'PasswordException') {
+                throw new Error('The PDF is protected with a password; upload it without the password');
+            }
+            throw error;
+        }
+    }
+};
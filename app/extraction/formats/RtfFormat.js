@@ -0,0 +1,136 @@
+// Destinations whose content is not text of the document: tables of the format, pictures, metadata, field codes
+const SKIPPED = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl', 'latentstyles',
+    'info', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'datastore', 'pict', 'object', 'fldinst',
+    'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf'
+]);
+
+const LINES = new Set(['par', 'line', 'row', 'sect', 'page']);
+
+const SYMBOLS = {
+    tab: '\t', cell: '\t', emdash: '—', endash: '–', bullet: '•',
+    lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', emspace: ' ', enspace: ' ', qmspace: ' '
+};
+
+/**
+ * Decodes the bytes written as \'hh in the codepage of the document
+ * @param {Array<number>} bytes - The bytes
+ * @param {number} codepage - Codepage of \ansicpg, e.g. 1252
+ * @returns {string} The text
+ */
+const decodeBytes = (bytes, codepage) => {
+    try {
+        return new TextDecoder(`windows-${codepage}`).decode(Uint8Array.from(bytes));
+    } catch {
+        return new TextDecoder('windows-1252').decode(Uint8Array.from(bytes));
+    }
+};
+
+/**
+ * Reads the text of an RTF document: control words are interpreted for the characters, line breaks and tabs
+ * they stand for, and the groups that are not text (fonts, styles, pictures...) are skipped
+ * @param {string} rtf - The document, read as Latin-1 so each byte is one character
+ * @returns {string} The text
+ */
+const rtfToText = (rtf) => {
+    const out = [];
+    const groups = [];
+    let state = { skip: false, unicodeSkip: 1 };
+    let codepage = 1252;
+    let bytes = [];
+    // Characters still to skip after \uN, which is followed by a fallback for readers without Unicode
+    let fallback = 0;
+
+    const flush = () => {
+        if (bytes.length > 0) {
+            out.push(decodeBytes(bytes, codepage));
+            bytes = [];
+        }
+    };
+    const write = (text) => {
+        if (fallback > 0) {
+            fallback -= 1;
+        } else if (!state.skip) {
+            flush();
+            out.push(text);
+        }
+    };
+
+    let index = 0;
+    while (index < rtf.length) {
+        const char = rtf[index];
+        if (char === '{' || char === '}') {
+            flush();
+            state = char === '{' ? (groups.push(state), { ...state }) : (groups.pop() ?? state);
+            fallback = 0;
+            index += 1;
+        } else if (char === '\r' || char === '\n') {
+            index += 1;
+        } else if (char !== '\\') {
+            write(char);
+            index += 1;
+        } else {
+            const next = rtf[index + 1];
+            if (next === '\\' || next === '{' || next === '}') {
+                write(next);
+                index += 2;
+            } else if (next === '\'') {
+                if (fallback > 0) {
+                    fallback -= 1;
+                } else if (!state.skip) {
+                    bytes.push(Number.parseInt(rtf.substr(index + 2, 2), 16));
+                }
+                index += 4;
+            } else if (next === '*') {
+                // A destination readers may not know: skipped unless it is known below
+                state.skip = true;
+                index += 2;
+            } else if (next === '~') {
+                write(' ');
+                index += 2;
+            } else if (next === '\r' || next === '\n') {
+                write('\n');
+                index += 2;
+            } else {
+                const control = /^([a-z]{1,32})(-?\d{1,10})? ?/i.exec(rtf.slice(index + 1, index + 46));
+                if (!control) {
+                    index += 2;
+                    continue;
+                }
+                index += 1 + control[0].length;
+                const [, word, param] = control;
+                if (word === 'bin') {
+                    index += Number(param) || 0;
+                } else if (word === 'ansicpg') {
+                    codepage = Number(param);
+                } else if (word === 'uc') {
+                    state.unicodeSkip = Number(param);
+                } else if (word === 'u') {
+                    const code = Number(param);
+                    write(String.fromCharCode(code < 0 ? code + 65536 : code));
+                    fallback = state.unicodeSkip;
+                } else if (SKIPPED.has(word)) {
+                    state.skip = true;
+                } else if (LINES.has(word)) {
+                    write('\n');
+                } else if (SYMBOLS[word]) {
+                    write(SYMBOLS[word]);
+                }
+            }
+        }
+    }
+    flush();
+    return out.join('');
+};
+
+/**
+ * Rich Text Format documents (.rtf), as saved by WordPad, TextEdit or Word
+ */
+export default {
+    name: 'rtf',
+    contentType: 'application/rtf',
+    detect: (buffer) => buffer.subarray(0, 5).toString('latin1') === '{\\rtf',
+    async extract(buffer) {
+        return rtfToText(buffer.toString('latin1'));
+    }
+};
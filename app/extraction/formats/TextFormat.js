@@ -0,0 +1,17 @@
+import { decodeText } from '../Markup.js';
+
+// Control characters never found in a text file (tab, new lines and form feed are fine)
+const BINARY = /[\u0000-\u0008\u000E-\u001A\u001C-\u001F]/;
+
+/**
+ * Plain text files in UTF-8, UTF-16 with a byte order mark, or Windows-1252. Text has no signature:
+ * a content is taken as text when it decodes without the control characters of binary files.
+ */
+export default {
+    name: 'txt',
+    contentType: 'text/plain',
+    detect: (buffer) => buffer.length > 0 && !BINARY.test(decodeText(buffer.subarray(0, 4096))),
+    async extract(buffer) {
+        return decodeText(buffer);
+    }
+};
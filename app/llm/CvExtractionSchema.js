@@ -0,0 +1,370 @@
+import { validateJsonSchema } from './JsonSchema.js';
+
+const nullableText = (maxLength) => ({ type: ['string', 'null'], ...(maxLength && { maxLength }) });
+
+// "2015-2018", "2019-present" or "2015" for the dates of an entry, "3 years" for a length without dates
+const YEARS = {
+    type: ['string', 'null'],
+    pattern: '^(\\d{4}(-(\\d{4}|present))?|\\d+(\\.\\d+)? years?)$',
+    description: 'YYYY-YYYY, YYYY-present, YYYY or N years'
+};
+
+/**
+ * JSON Schema of the answer of the CV extraction (task 'cv_extraction'), once normalized by parseCvExtraction.
+ * Lengths follow the candidates columns; `status` is the screening of the model, see toApplicationStatus.
+ * @constant {Object}
+ */
+export const CV_EXTRACTION_SCHEMA = {
+    type: 'object',
+    required: ['candidates'],
+    additionalProperties: false,
+    properties: {
+        candidates: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'email', 'status', 'ai_reason'],
+                additionalProperties: false,
+                properties: {
+                    name: nullableText(150),
+                    email: {
+                        type: ['string', 'null'],
+                        maxLength: 255,
+                        pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+                        description: 'an email address'
+                    },
+                    date_of_birth: { type: ['string', 'null'], format: 'date' },
+                    phone: {
+                        type: ['string', 'null'],
+                        pattern: '^\\+?\\d{7,15}$',
+                        description: 'digits only, with the country code after + when known'
+                    },
+                    occupation: nullableText(100),
+                    summary: nullableText(),
+                    experience: {
+                        type: ['array', 'null'],
+                        items: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: {
+                                company: nullableText(),
+                                position: nullableText(),
+                                description: nullableText(),
+                                years: YEARS
+                            }
+                        }
+                    },
+                    skills: { type: ['array', 'null'], items: { type: 'string' } },
+                    languages: {
+                        type: ['array', 'null'],
+                        items: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: { language: nullableText(), level: nullableText() }
+                        }
+                    },
+                    education: {
+                        type: ['array', 'null'],
+                        items: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: { degree: nullableText(), institution: nullableText(), years: YEARS }
+                        }
+                    },
+                    references: {
+                        type: ['array', 'null'],
+                        items: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: { name: nullableText(), occupation: nullableText(), phone: nullableText() }
+                        }
+                    },
+                    general_experience: { type: ['number', 'null'], minimum: 0, maximum: 80 },
+                    status: { enum: ['approved', 'rejected'] },
+                    ai_reason: { type: 'string', minLength: 1 }
+                }
+            }
+        }
+    }
+};
+
+// A candidate of the answer, and the answer without its candidates, which are validated one by one
+const CANDIDATE_SCHEMA = CV_EXTRACTION_SCHEMA.properties.candidates.items;
+const ANSWER_SCHEMA = { ...CV_EXTRACTION_SCHEMA, properties: { candidates: { type: 'array' } } };
+
+// Fields a candidate is saved without: a value that cannot be read is left empty, with a warning
+const OPTIONAL_FIELDS = { date_of_birth: 'date of birth', phone: 'phone' };
+
+// Application status each screening of the model starts in: an approved candidate waits for the recruiter
+const APPLICATION_STATUSES = {
+    approved: 'pending',
+    rejected: 'rejected'
+};
+
+// Words models write for an unknown value
+const UNKNOWN = ['', 'unknown', 'n/a', 'na', 'none', 'null', 'not specified', 'desconocido', 'no especificado'];
+
+// Words that end an open range of years, as in "2019-present"
+const PRESENT = /present|current|now|today|to date|actual|hoy|la fecha/i;
+
+const MONTHS = {
+    jan: 1, january: 1, ene: 1, enero: 1,
+    feb: 2, february: 2, febrero: 2,
+    mar: 3, march: 3, marzo: 3,
+    apr: 4, april: 4, abr: 4, abril: 4,
+    may: 5, mayo: 5,
+    jun: 6, june: 6, junio: 6,
+    jul: 7, july: 7, julio: 7,
+    aug: 8, august: 8, ago: 8, agosto: 8,
+    sep: 9, sept: 9, september: 9, septiembre: 9, setiembre: 9,
+    oct: 10, october: 10, octubre: 10,
+    nov: 11, november: 11, noviembre: 11,
+    dec: 12, december: 12, dic: 12, diciembre: 12
+};
+
+/**
+ * Trims a text field; unknown values become null. Anything that is not text is left for the schema to report.
+ * @param {*} value - Value answered by the model
+ * @returns {*} The text, null, or the value as it was
+ */
+const normalizeText = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const text = value.trim();
+    return UNKNOWN.includes(text.toLowerCase()) ? null : text;
+};
+
+/**
+ * Builds a 'YYYY-MM-DD' date, checking that the day exists
+ * @param {number} year - Year
+ * @param {number} month - Month, 1 to 12
+ * @param {number} day - Day of the month
+ * @returns {string|null} The date, or null when there is no such day
+ */
+const toIsoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+        ? date.toISOString().slice(0, 10)
+        : null;
+};
+
+/**
+ * Reads a date written as '1990-05-14' (with or without time), '14/05/1990' (day first, as in the CVs of the region,
+ * unless the second number cannot be a month), '14 de mayo de 1990', '14 May 1990' or 'May 14, 1990'
+ * @param {*} value - Value answered by the model
+ * @returns {*} The date as 'YYYY-MM-DD', null when unknown, or the value as it was when it cannot be read
+ */
+const normalizeDate = (value) => {
+    const text = normalizeText(value);
+    if (typeof text !== 'string') {
+        return text;
+    }
+
+    let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/.exec(text);
+    if (match) {
+        return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3])) ?? text;
+    }
+    match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+    if (match) {
+        const [first, second] = [Number(match[1]), Number(match[2])];
+        const [day, month] = second > 12 ? [second, first] : [first, second];
+        return toIsoDate(Number(match[3]), month, day) ?? text;
+    }
+    const words = text.toLowerCase().replace(/[.,]/g, ' ').replace(/\bde(l)?\b/g, ' ').split(/\s+/).filter(Boolean);
+    if (words.length === 3) {
+        const [day, month, year] = MONTHS[words[0]] ? [words[1], words[0], words[2]] : words;
+        if (MONTHS[month] && /^\d{1,2}$/.test(day) && /^\d{4}$/.test(year)) {
+            return toIsoDate(Number(year), MONTHS[month], Number(day)) ?? text;
+        }
+    }
+    return text;
+};
+
+/**
+ * Keeps the digits of a phone number, with a leading + for an international number ('00' is read as '+').
+ * Only the first number is kept when several are given.
+ * @param {*} value - Value answered by the model
+ * @returns {*} The phone as '+573001234567' or '3001234567', null when unknown, or the value as it was
+ */
+const normalizePhone = (value) => {
+    const text = typeof value === 'number' ? String(value) : normalizeText(value);
+    if (typeof text !== 'string') {
+        return text;
+    }
+    const [first] = text.split(/[/,;|]|\s-\s/);
+    const digits = first.replace(/\D/g, '');
+    if (!digits) {
+        return text;
+    }
+    if (/^\D*\+/.test(first)) {
+        return `+${digits}`;
+    }
+    return digits.startsWith('00') ? `+${digits.slice(2)}` : digits;
+};
+
+/**
+ * Reads the years of an experience or education entry: a range ('Jan 2015 – Mar 2018', '2019 to date',
+ * '2019-actualidad'), a single year, or a length ('3', 3, '3 años')
+ * @param {*} value - Value answered by the model
+ * @returns {*} 'YYYY-YYYY', 'YYYY-present', 'YYYY' or 'N years', null when unknown, or the value as it was
+ */
+const normalizeYears = (value) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? `${value} ${value === 1 ? 'year' : 'years'}` : value;
+    }
+    const text = normalizeText(value);
+    if (typeof text !== 'string') {
+        return text;
+    }
+
+    const years = text.match(/\b(19|20)\d{2}\b/g) ?? [];
+    if (years.length >= 2) {
+        return `${years[0]}-${years[years.length - 1]}`;
+    }
+    if (years.length === 1) {
+        return PRESENT.test(text) ? `${years[0]}-present` : years[0];
+    }
+    const length = /^(\d+(?:[.,]\d+)?)\s*(?:\+\s*)?(?:years?|yrs?|años?)?$/i.exec(text);
+    return length ? normalizeYears(Number(length[1].replace(',', '.'))) : text;
+};
+
+/**
+ * Normalizes the entries of a list of the candidate (experience, education...)
+ * @param {*} entries - Value answered by the model
+ * @param {Object<string, Function>} fields - Normalizer of each field of an entry
+ * @returns {*} The entries, null when unknown, or the value as it was
+ */
+const normalizeEntries = (entries, fields) => {
+    if (entries === undefined || entries === null) {
+        return null;
+    }
+    if (!Array.isArray(entries)) {
+        return entries;
+    }
+    return entries.map(entry => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return entry;
+        }
+        const normalized = { ...entry };
+        for (const [field, normalize] of Object.entries(fields)) {
+            normalized[field] = normalize(entry[field]);
+        }
+        return normalized;
+    });
+};
+
+/**
+ * Normalizes a candidate answered by the model; fields it does not know are kept, for the schema to report
+ * @param {Object} candidate - Candidate answered by the model
+ * @returns {Object} The candidate with its dates, phones, years and status in the forms of CV_EXTRACTION_SCHEMA
+ */
+const normalizeCandidate = (candidate) => {
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        return candidate;
+    }
+
+    const { phone_number: phoneNumber, ...rest } = candidate;
+    const email = normalizeText(candidate.email);
+    const skills = typeof candidate.skills === 'string' ? candidate.skills.split(/[,;]/) : candidate.skills;
+    const experience = typeof candidate.general_experience === 'string'
+        ? Number.parseFloat(candidate.general_experience.replace(',', '.'))
+        : candidate.general_experience;
+    return {
+        ...rest,
+        name: normalizeText(candidate.name),
+        email: typeof email === 'string' ? email.replace(/^mailto:/i, '') : email,
+        date_of_birth: normalizeDate(candidate.date_of_birth),
+        phone: normalizePhone(candidate.phone ?? phoneNumber),
+        occupation: normalizeText(candidate.occupation),
+        summary: normalizeText(candidate.summary),
+        experience: normalizeEntries(candidate.experience, {
+            company: normalizeText, position: normalizeText, description: normalizeText, years: normalizeYears
+        }),
+        skills: Array.isArray(skills)
+            ? skills.map(normalizeText).filter(skill => skill !== null)
+            : normalizeText(skills),
+        languages: normalizeEntries(candidate.languages, { language: normalizeText, level: normalizeText }),
+        education: normalizeEntries(candidate.education, {
+            degree: normalizeText, institution: normalizeText, years: normalizeYears
+        }),
+        references: normalizeEntries(candidate.references, {
+            name: normalizeText, occupation: normalizeText, phone: normalizePhone
+        }),
+        general_experience: Number.isNaN(experience) ? candidate.general_experience : (experience ?? null),
+        status: typeof candidate.status === 'string' ? candidate.status.trim().toLowerCase() : candidate.status,
+        ai_reason: normalizeText(candidate.ai_reason)
+    };
+};
+
+/**
+ * Validates a normalized candidate against the schema. An optional field that still cannot be read is left empty
+ * with a warning, so a bad date of birth or phone does not lose the candidate.
+ * @param {*} candidate - Candidate, as normalized by normalizeCandidate
+ * @param {string} path - Name of the candidate in the messages, e.g. 'answer.candidates[0]'
+ * @returns {{ candidate: *, errors: Array<string>, warnings: Array<string> }} The candidate, and the problems found
+ */
+const checkCandidate = (candidate, path) => {
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        return { candidate, errors: validateJsonSchema(CANDIDATE_SCHEMA, candidate, path), warnings: [] };
+    }
+
+    const checked = { ...candidate };
+    const warnings = [];
+    for (const [field, label] of Object.entries(OPTIONAL_FIELDS)) {
+        if (validateJsonSchema(CANDIDATE_SCHEMA.properties[field], checked[field]).length > 0) {
+            warnings.push(`The ${label} ${JSON.stringify(checked[field])} could not be read and was left empty`);
+            checked[field] = null;
+        }
+    }
+    return { candidate: checked, errors: validateJsonSchema(CANDIDATE_SCHEMA, checked, path), warnings };
+};
+
+/**
+ * Reads the answer of the CV extraction: parses it, normalizes it and validates each candidate against
+ * CV_EXTRACTION_SCHEMA on its own, so one bad candidate does not discard the others.
+ * A bare array of candidates, or a single candidate, is taken as { candidates: [...] }.
+ * @function parseCvExtraction
+ * @param {string} content - Text of the answer
+ * @returns {{ candidates: Array<Object>, errors: Array<string> }} The candidates in the order of the answer, each as
+ * { candidate, errors, warnings } (a candidate can only be saved when its errors are empty), and the problems of the
+ * answer as a whole, such as invalid JSON, in which case there are no candidates
+ * @example
+ * const { candidates } = parseCvExtraction('[{ "email": "ana@example.com", "date_of_birth": "14/05/1990" }]');
+ * // candidates[0].candidate.date_of_birth === '1990-05-14'; candidates[0].errors lists the missing name, status and ai_reason
+ */
+export const parseCvExtraction = (content) => {
+    let answer;
+    try {
+        answer = JSON.parse(content);
+    } catch (error) {
+        return { candidates: [], errors: [`The answer is not valid JSON: ${error.message}`] };
+    }
+
+    if (Array.isArray(answer)) {
+        answer = { candidates: answer };
+    } else if (answer && typeof answer === 'object' && !('candidates' in answer) && ('email' in answer || 'name' in answer)) {
+        answer = { candidates: [answer] };
+    }
+
+    const errors = validateJsonSchema(ANSWER_SCHEMA, answer);
+    if (errors.length > 0) {
+        return { candidates: [], errors };
+    }
+    return {
+        candidates: answer.candidates.map((candidate, index) =>
+            checkCandidate(normalizeCandidate(candidate), `answer.candidates[${index}]`)),
+        errors: []
+    };
+};
+
+/**
+ * Gives the status an application starts in from the screening of the model
+ * @function toApplicationStatus
+ * @param {string} status - 'approved' or 'rejected', as validated by CV_EXTRACTION_SCHEMA
+ * @returns {string} One of the applications statuses: 'pending' for an approved candidate, else 'rejected'
+ */
+export const toApplicationStatus = (status) => APPLICATION_STATUSES[status] ?? 'rejected';
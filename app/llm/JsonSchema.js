@@ -0,0 +1,111 @@
+/**
+ * Validates values against the subset of JSON Schema the app uses to check the answers of a model:
+ * type (with 'null' and 'integer', or a list of types), enum, pattern, format 'date', minLength, maxLength,
+ * minimum, maximum, maxItems, items, properties, required and additionalProperties (false only).
+ */
+
+/**
+ * Tells the JSON Schema type of a value
+ * @param {*} value - Value to check
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean', 'object' or 'undefined'
+ */
+const typeOf = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+};
+
+/**
+ * Checks that a 'YYYY-MM-DD' text is a day of the calendar
+ * @param {string} value - Text to check
+ * @returns {boolean} True for an existing day
+ */
+const isCalendarDate = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+        return false;
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Validates a value against a JSON Schema
+ * @function validateJsonSchema
+ * @param {Object} schema - The schema
+ * @param {*} value - Value to validate
+ * @param {string} [path='answer'] - Name of the value in the messages, e.g. 'candidates[0].email'
+ * @returns {Array<string>} One message per problem found, empty when the value is valid
+ * @example
+ * validateJsonSchema({ type: 'object', required: ['email'], properties: { email: { type: 'string' } } }, {});
+ * // ['answer.email is required']
+ */
+export const validateJsonSchema = (schema, value, path = 'answer') => {
+    const type = typeOf(value);
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+            return [`${path} must be ${types.join(' or ')}, not ${type}`];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+
+    const errors = [];
+    if (type === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} must match ${schema.pattern}${schema.description ? ` (${schema.description})` : ''}`);
+        } else if (schema.format === 'date' && !isCalendarDate(value)) {
+            errors.push(`${path} must be a date as YYYY-MM-DD`);
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must have at most ${schema.maxLength} characters`);
+        }
+    }
+    if (type === 'number' || type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be ${schema.minimum} or more`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be ${schema.maximum} or less`);
+        }
+    }
+    if (type === 'array') {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateJsonSchema(schema.items, item, `${path}[${index}]`)));
+        }
+    }
+    if (type === 'object') {
+        const properties = schema.properties ?? {};
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (item === undefined) {
+                continue;
+            }
+            if (properties[key]) {
+                errors.push(...validateJsonSchema(properties[key], item, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+    return errors;
+};
@@ -0,0 +1,93 @@
+import createOpenAIProvider from './providers/OpenAIProvider.js';
+import createAzureOpenAIProvider from './providers/AzureOpenAIProvider.js';
+import createMockProvider from './providers/MockProvider.js';
+
+/**
+ * Available LLM providers, selected with the LLM_PROVIDER environment variable.
+ * Each factory returns an object with an async complete(request) method that resolves to the text of the answer.
+ */
+const providers = {
+    openai: createOpenAIProvider,
+    azure: createAzureOpenAIProvider,
+    mock: createMockProvider
+};
+
+/**
+ * Tasks the app asks a model to do, with the model used when the environment does not pick one.
+ * LLM_MODEL_<TASK> (e.g. LLM_MODEL_CV_EXTRACTION) picks the model of one task, LLM_MODEL the model of every task.
+ * @constant {Object<string, string>}
+ */
+export const LLM_TASKS = {
+    cv_extraction: 'gpt-4.1'
+};
+
+let provider = null;
+
+/**
+ * Registers an additional LLM provider (e.g. another vendor's API)
+ * @function registerLlmProvider
+ * @param {string} name - Provider name used in LLM_PROVIDER
+ * @param {Function} factory - Function returning an object with an async complete(request) method
+ */
+export const registerLlmProvider = (name, factory) => {
+    providers[name] = factory;
+};
+
+/**
+ * Replaces the active provider, mainly for tests
+ * @function setLlmProvider
+ * @param {{ complete: Function }|null} customProvider - Provider to use, or null to go back to LLM_PROVIDER
+ */
+export const setLlmProvider = (customProvider) => {
+    provider = customProvider;
+};
+
+/**
+ * Returns the provider selected by LLM_PROVIDER (default 'openai'), created on first use
+ * @function getLlmProvider
+ * @returns {{ complete: Function }} Active LLM provider
+ * @throws {Error} Throws error if LLM_PROVIDER names an unknown provider
+ */
+export const getLlmProvider = () => {
+    if (!provider) {
+        const name = process.env.LLM_PROVIDER || 'openai';
+        if (!providers[name]) {
+            throw new Error(`Unknown LLM provider: ${name}`);
+        }
+        provider = providers[name]();
+    }
+    return provider;
+};
+
+/**
+ * Returns the model that runs a task: LLM_MODEL_<TASK>, else LLM_MODEL, else the default of the task
+ * @function getTaskModel
+ * @param {string} task - Task name, one of LLM_TASKS
+ * @returns {string} Model name (the deployment name with the azure provider)
+ * @throws {Error} Throws error if the task is unknown
+ */
+export const getTaskModel = (task) => {
+    if (!LLM_TASKS[task]) {
+        throw new Error(`Unknown LLM task: ${task}`);
+    }
+    return process.env[`LLM_MODEL_${task.toUpperCase()}`] || process.env.LLM_MODEL || LLM_TASKS[task];
+};
+
+/**
+ * Runs a task with the active provider and the model configured for it
+ * @async
+ * @function completeTask
+ * @param {string} task - Task name, one of LLM_TASKS
+ * @param {Object} request - What to ask
+ * @param {Array<{ role: string, content: string }>} request.messages - Chat messages
+ * @param {boolean} [request.json=false] - Ask for a JSON object as the answer
+ * @param {number} [request.maxTokens] - Longest answer, in tokens
+ * @param {number} [request.temperature] - Sampling temperature, 0 for the most repeatable answers
+ * @returns {Promise<string>} Text of the answer
+ * @throws {Error} Throws error if the task is unknown or the provider fails
+ * @example
+ * const content = await completeTask('cv_extraction', { messages: [{ role: 'user', content: prompt }], json: true });
+ */
+export const completeTask = async (task, request) => {
+    return getLlmProvider().complete({ ...request, task, model: getTaskModel(task) });
+};
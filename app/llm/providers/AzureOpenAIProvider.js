@@ -0,0 +1,25 @@
+import { AzureOpenAI } from 'openai';
+import { createChatCompletionsProvider } from './OpenAIProvider.js';
+
+/**
+ * LLM provider for Azure OpenAI. The model of each task is the name of an Azure deployment.
+ *
+ * Configured with AZURE_OPENAI_ENDPOINT (e.g. https://my-resource.openai.azure.com), AZURE_OPENAI_API_KEY
+ * and AZURE_OPENAI_API_VERSION (default '2024-10-21').
+ *
+ * @returns {{ complete: Function }} Provider with a complete(request) method
+ * @throws {Error} Throws error if AZURE_OPENAI_ENDPOINT is not set
+ */
+export default function createAzureOpenAIProvider() {
+    const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+    if (!endpoint) {
+        throw new Error('AZURE_OPENAI_ENDPOINT is required by the azure LLM provider');
+    }
+
+    const client = new AzureOpenAI({
+        endpoint,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+    });
+    return createChatCompletionsProvider(client);
+}
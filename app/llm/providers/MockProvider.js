@@ -0,0 +1,34 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES = fileURLToPath(new URL('../fixtures/mock-responses.json', import.meta.url));
+
+/**
+ * LLM provider that answers from fixtures instead of calling a model, so the flows that use a model
+ * (such as the CV upload) can run offline and in tests, always with the same answers.
+ *
+ * The fixture file (LLM_MOCK_FIXTURES, defaults to app/llm/fixtures/mock-responses.json) lists the answers of each task:
+ * `{ "cv_extraction": [{ "match": ["ana@example.com"], "response": { ... } }, { "response": { ... } }] }`.
+ * A request gets the first answer of its task whose `match` texts all appear in its messages (ignoring case);
+ * an answer without `match` fits every request. Object responses are sent as JSON text.
+ *
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.fixtures] - Path of the fixture file
+ * @returns {{ complete: Function }} Provider with a complete(request) method
+ * @throws {Error} Throws error if the fixture file cannot be read
+ */
+export default function createMockProvider(options = {}) {
+    const fixtures = JSON.parse(fs.readFileSync(options.fixtures || process.env.LLM_MOCK_FIXTURES || DEFAULT_FIXTURES, 'utf8'));
+
+    return {
+        async complete({ task, messages }) {
+            const prompt = messages.map(message => message.content).join('\n').toLowerCase();
+            const fixture = (fixtures[task] || []).find(({ match = [] }) => [].concat(match)
+                .every(text => prompt.includes(String(text).toLowerCase())));
+            if (!fixture) {
+                throw new Error(`No mock LLM response matches this ${task} request`);
+            }
+            return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+        }
+    };
+}
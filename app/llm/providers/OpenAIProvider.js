@@ -0,0 +1,38 @@
+import OpenAI from 'openai';
+
+/**
+ * Wraps an OpenAI SDK client (or a client with the same chat completions API) as an LLM provider
+ * @param {Object} client - OpenAI or AzureOpenAI client
+ * @param {Object} [options] - Provider options
+ * @param {boolean} [options.jsonMode=true] - Send response_format for JSON requests; some compatible servers reject it
+ * @returns {{ complete: Function }} Provider with a complete(request) method
+ */
+export const createChatCompletionsProvider = (client, { jsonMode = true } = {}) => ({
+    async complete({ model, messages, json = false, maxTokens, temperature }) {
+        const result = await client.chat.completions.create({
+            model,
+            messages,
+            ...(json && jsonMode && { response_format: { type: 'json_object' } }),
+            ...(maxTokens !== undefined && { max_tokens: maxTokens }),
+            ...(temperature !== undefined && { temperature })
+        });
+        return result.choices[0]?.message?.content ?? '';
+    }
+});
+
+/**
+ * LLM provider for the OpenAI API and OpenAI-compatible servers (vLLM, Ollama, LM Studio, LiteLLM...).
+ * Default provider.
+ *
+ * Configured with LLM_API_KEY (defaults to OPENAI_KEY), LLM_BASE_URL (e.g. http://localhost:11434/v1 for Ollama;
+ * defaults to OPENAI_BASE_URL, then the OpenAI API) and LLM_JSON_MODE ('false' for servers without response_format).
+ *
+ * @returns {{ complete: Function }} Provider with a complete(request) method
+ */
+export default function createOpenAIProvider() {
+    const client = new OpenAI({
+        apiKey: process.env.LLM_API_KEY || process.env.OPENAI_KEY,
+        baseURL: process.env.LLM_BASE_URL || undefined
+    });
+    return createChatCompletionsProvider(client, { jsonMode: process.env.LLM_JSON_MODE !== 'false' });
+}
@@ -0,0 +1,82 @@
+import createConsoleTransport from './transports/ConsoleTransport.js';
+import createFileTransport from './transports/FileTransport.js';
+import createSmtpTransport from './transports/SmtpTransport.js';
+
+/**
+ * Available mail drivers, selected with the MAIL_DRIVER environment variable.
+ * Each factory returns an object with an async send(message) method.
+ */
+const drivers = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+    smtp: createSmtpTransport
+};
+
+let transport = null;
+
+/**
+ * Registers an additional mail driver (e.g. a provider API)
+ * @function registerMailDriver
+ * @param {string} name - Driver name used in MAIL_DRIVER
+ * @param {Function} factory - Function returning an object with an async send(message) method
+ */
+export const registerMailDriver = (name, factory) => {
+    drivers[name] = factory;
+};
+
+/**
+ * Replaces the active transport, mainly for tests
+ * @function setMailTransport
+ * @param {{ send: Function }|null} customTransport - Transport to use, or null to go back to MAIL_DRIVER
+ */
+export const setMailTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+/**
+ * Returns the transport selected by MAIL_DRIVER (default 'console'), created on first use
+ * @function getMailTransport
+ * @returns {{ send: Function }} Active mail transport
+ * @throws {Error} Throws error if MAIL_DRIVER names an unknown driver
+ */
+export const getMailTransport = () => {
+    if (!transport) {
+        const driver = process.env.MAIL_DRIVER || 'console';
+        if (!drivers[driver]) {
+            throw new Error(`Unknown mail driver: ${driver}`);
+        }
+        transport = drivers[driver]();
+    }
+    return transport;
+};
+
+/**
+ * Sends an email through the active transport
+ * @async
+ * @function sendMail
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<Object>} Transport result containing a messageId
+ * @throws {Error} Throws error if the transport fails to send the message
+ * @example
+ * await sendMail({ to: 'jane@example.com', subject: 'Hello', text: 'Hi Jane' });
+ */
+export const sendMail = async (message) => {
+    return getMailTransport().send({
+        from: process.env.MAIL_FROM || 'TalentTrack <no-reply@talenttrack.local>',
+        ...message
+    });
+};
+
+/**
+ * Escapes text to place it in HTML, e.g. a name the user typed in the body of an email or a search snippet
+ * @function escapeHtml
+ * @param {*} text - Text to escape
+ * @returns {string} The text with &, <, >, " and ' as character references
+ * @example
+ * const html = `<p>Hi ${escapeHtml(user.name)},</p>`;
+ */
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
@@ -0,0 +1,19 @@
+/**
+ * Mail transport that prints messages to the console instead of sending them.
+ * Default driver, useful in development and when no SMTP server is available.
+ * 
+ * @returns {{ send: Function }} Transport with a send(message) method
+ */
+export default function createConsoleTransport() {
+    return {
+        async send(message) {
+            console.log('📧 Mail (console driver)');
+            console.log(`From: ${message.from}`);
+            console.log(`To: ${message.to}`);
+            console.log(`Subject: ${message.subject}`);
+            console.log('');
+            console.log(message.text);
+            return { messageId: `console-${Date.now()}` };
+        }
+    };
+}
@@ -0,0 +1,28 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Mail transport that writes every message as a JSON file.
+ * Lets the mail flows be exercised and inspected in tests without an SMTP server.
+ * 
+ * @param {Object} [options] - Transport options
+ * @param {string} [options.directory] - Output directory (MAIL_FILE_DIR, defaults to <tmp>/elevate-mail)
+ * @returns {{ send: Function }} Transport with a send(message) method
+ */
+export default function createFileTransport(options = {}) {
+    const directory = options.directory || process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'elevate-mail');
+
+    return {
+        async send(message) {
+            const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(
+                path.join(directory, `${messageId}.json`),
+                JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2)
+            );
+            return { messageId };
+        }
+    };
+}
@@ -0,0 +1,27 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Mail transport that delivers messages through an SMTP server.
+ * 
+ * Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE ('true' for implicit TLS),
+ * SMTP_USER and SMTP_PASSWORD.
+ * 
+ * @returns {{ send: Function }} Transport with a send(message) method
+ */
+export default function createSmtpTransport() {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    });
+
+    return {
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+}
@@ -0,0 +1,36 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Holds the current request while it is handled, so model hooks can tell who made a change
+const requestStorage = new AsyncLocalStorage();
+
+/**
+ * Middleware that makes the request available to the audit hooks for the rest of its handling.
+ * Mount it before the routers; req.user and req.apiKey set later by verifyToken are picked up too.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const auditContext = (req, res, next) => {
+    requestStorage.run(req, next);
+};
+
+/**
+ * Runs a function with the request as audit context, for handlers that are not mounted on the Express app
+ * @param {Object} req - Incoming request
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+export const runWithAuditContext = (req, fn) => requestStorage.run(req, fn);
+
+/**
+ * Describes who is behind the write currently being made
+ * @returns {Object} Object with actor_user_id, api_key_id and ip_address (null when unknown, e.g. in scripts)
+ */
+export const getAuditActor = () => {
+    const req = requestStorage.getStore();
+    return {
+        actor_user_id: req?.user?.user_id ?? null,
+        api_key_id: req?.apiKey?.key_id ?? null,
+        ip_address: req?.ip ?? req?.headers?.['x-forwarded-for']?.split(',')[0].trim() ?? req?.socket?.remoteAddress ?? null
+    };
+};
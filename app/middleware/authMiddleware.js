@@ -5,27 +5,84 @@
 
 import jwt from 'jsonwebtoken';
 import * as UserServices from '../models/services/UserServices.js';
+import * as RefreshTokenServices from '../models/services/RefreshTokenServices.js';
+import * as PermissionServices from '../models/services/PermissionServices.js';
+import * as ApiKeyServices from '../models/services/ApiKeyServices.js';
+import AuthServices from '../models/services/AuthServices.js';
 
 /**
- * Middleware to verify JWT token (for future implementation)
+ * Authenticates a request with a personal API key and sets req.user and req.apiKey
+ * @param {string} key - Raw API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyApiKey = async (key, req, res, next) => {
+    try {
+        const apiKey = await ApiKeyServices.authenticateApiKey(key);
+        
+        const user = await UserServices.getUserById(apiKey.user_id);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid API key'
+            });
+        }
+        
+        req.user = user;
+        req.apiKey = apiKey;
+        next();
+        
+    } catch (error) {
+        if (error.message === 'Invalid API key' || error.message === 'API key expired') {
+            return res.status(401).json({
+                success: false,
+                message: error.message
+            });
+        }
+        
+        console.error('API key verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying API key'
+        });
+    }
+};
+
+/**
+ * Middleware to verify the JWT access token issued by POST /api/auth/login.
+ * A personal API key is accepted instead, either as `X-API-Key: <key>` or `Authorization: Bearer <key>`.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object  
  * @param {Function} next - Express next middleware function
  */
 export const verifyToken = async (req, res, next) => {
     try {
-        const token = req.headers.authorization?.split(' ')[1]; // Bearer TOKEN
+        const [scheme, token] = req.headers.authorization?.split(' ') || [];
         
-        if (!token) {
+        const apiKey = req.headers['x-api-key']
+            || (scheme === 'Bearer' && token?.startsWith(ApiKeyServices.API_KEY_PREFIX) ? token : null);
+        if (apiKey) {
+            return verifyApiKey(apiKey, req, res, next);
+        }
+        
+        if (scheme !== 'Bearer' || !token) {
             return res.status(401).json({
                 success: false,
                 message: 'Access token required'
             });
         }
         
-        // Verify JWT token (implement when JWT is added)
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
+        // Access tokens die with their session when it is logged out or revoked
+        if (!decoded.sid || !(await RefreshTokenServices.isFamilyActive(decoded.sid))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked'
+            });
+        }
+        
         // Get user from database
         const user = await UserServices.getUserById(decoded.user_id);
         if (!user) {
@@ -40,6 +97,13 @@ export const verifyToken = async (req, res, next) => {
         next();
         
     } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token expired'
+            });
+        }
+        
         console.error('Token verification error:', error);
         res.status(401).json({
             success: false,
@@ -48,6 +112,41 @@ export const verifyToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware for two-factor enrollment routes. Accepts either a regular access token or,
+ * for users whose role requires 2FA before their first login, the `challengeToken`
+ * returned by POST /api/auth/login with `twoFactorSetupRequired`.
+ * Sets req.twoFactorSetupChallenge when the challenge token was used.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const verifyTokenOrSetupChallenge = async (req, res, next) => {
+    const challengeToken = req.body?.challengeToken;
+    if (!challengeToken) {
+        return verifyToken(req, res, next);
+    }
+    
+    try {
+        req.user = await AuthServices.verifyChallengeToken(challengeToken, '2fa_setup');
+        req.twoFactorSetupChallenge = true;
+        next();
+    } catch (error) {
+        if (error.message === 'Invalid or expired challenge token') {
+            return res.status(401).json({
+                success: false,
+                message: error.message
+            });
+        }
+        
+        console.error('Challenge token verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying challenge token'
+        });
+    }
+};
+
 /**
  * Middleware to check user role
  * @param {Array|string} allowedRoles - Array of allowed role IDs or single role ID
@@ -69,6 +168,73 @@ export const requireRole = (allowedRoles) => {
     };
 };
 
+/**
+ * Middleware that refuses requests authenticated with an API key, for endpoints
+ * that only make sense in a login session (managing API keys, two-factor settings).
+ * Must run after verifyToken.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const requireSession = (req, res, next) => {
+    if (req.apiKey) {
+        return res.status(403).json({
+            success: false,
+            message: 'This endpoint requires a login session, API keys are not accepted'
+        });
+    }
+    
+    next();
+};
+
+/**
+ * Middleware to check that the user's role grants every given permission.
+ * Must run after verifyToken; the role's permissions are loaded once per request into req.permissions.
+ * For API keys, only the key's scopes that the role still grants count.
+ * @param {...string} requiredPermissions - Permission names, e.g. 'vacancy:write'
+ * @returns {Function} Express middleware function
+ * @example
+ * router.put('/:id', requirePermission('application:change_status'), controller.update);
+ */
+export const requirePermission = (...requiredPermissions) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required'
+                });
+            }
+            
+            if (!req.permissions) {
+                const rolePermissions = await PermissionServices.getPermissionsByRoleId(req.user.role_id);
+                req.permissions = req.apiKey
+                    ? rolePermissions.filter(permission => req.apiKey.scopes.includes(permission))
+                    : rolePermissions;
+            }
+            
+            const missingPermissions = requiredPermissions.filter(permission => !req.permissions.includes(permission));
+            
+            if (missingPermissions.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Insufficient permissions',
+                    missingPermissions
+                });
+            }
+            
+            next();
+            
+        } catch (error) {
+            console.error('Permission check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error checking permissions'
+            });
+        }
+    };
+};
+
 /**
  * Basic authentication check for session-based auth (current implementation)
  * This is a simplified version for demonstration
@@ -116,7 +282,9 @@ export const validateFields = (requiredFields) => {
 };
 
 /**
- * Rate limiting middleware (basic implementation)
+ * Rate limiting middleware (basic implementation).
+ * Counters live in memory and reset on restart; failed logins are throttled
+ * in the database by LoginThrottleServices instead.
  * @param {number} maxRequests - Maximum requests per window
  * @param {number} windowMs - Time window in milliseconds
  * @returns {Function} Express middleware function
@@ -142,6 +310,7 @@ export const rateLimit = (maxRequests = 10, windowMs = 15 * 60 * 1000) => {
         }
         
         if (client.requests >= maxRequests) {
+            res.set('Retry-After', String(Math.ceil((client.resetTime - now) / 1000)));
             return res.status(429).json({
                 success: false,
                 message: 'Too many requests, please try again later'
@@ -0,0 +1,162 @@
+import { decodeCursor } from '../models/services/PaginationServices.js';
+
+// Page size used when the client does not ask for one, and the largest it may ask for
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Query parameters read by listQuery; controllers that treat the rest of req.query as filters skip these.
+ * @constant {Array<string>}
+ */
+export const LIST_PARAMS = ['page', 'limit', 'cursor', 'sort', 'fields'];
+
+/**
+ * Middleware factory that parses the pagination, sorting and projection parameters of a list route
+ * and stores them in req.listQuery for the service (see PaginationServices.findPage) and sendList.
+ *
+ * Parameters:
+ * - `page` (from 1) and `limit` (1-100, default 20) for offset pagination
+ * - `cursor` instead of `page` for cursor pagination: send it empty for the first page, then follow `links.next`.
+ *   Only available when sorting by the primary key.
+ * - `sort=field:dir[,field:dir]` with dir `asc` or `desc` (default `asc`)
+ * - `fields=a,b,c` to return only these fields; the primary key is always included
+ *
+ * Answers 400 with the list of problems when a parameter is invalid.
+ * @param {Object} config - Route configuration
+ * @param {string} config.primaryKey - Primary key of the listed model, used as tie-breaker and for cursors
+ * @param {Array<string>} config.sortable - Fields that may be used in `sort`
+ * @param {Array<string>} config.fields - Fields that may be used in `fields`
+ * @param {string} [config.defaultSort] - Sort used when none is given, defaults to `<primaryKey>:desc`
+ * @returns {Function} Express middleware function
+ * @example
+ * router.get('/', listQuery({ primaryKey: 'vacancy_id', sortable: ['vacancy_id', 'title'], fields: ['vacancy_id', 'title', 'status'] }), controller);
+ */
+export const listQuery = ({ primaryKey, sortable, fields, defaultSort = `${primaryKey}:desc` }) => {
+    return (req, res, next) => {
+        const errors = [];
+        const { page: pageParam, limit: limitParam, cursor: cursorParam, sort = defaultSort, fields: fieldsParam } = req.query;
+
+        const page = pageParam === undefined ? 1 : Number(pageParam);
+        if (!Number.isInteger(page) || page < 1) {
+            errors.push('page must be a positive integer');
+        }
+
+        const limit = limitParam === undefined ? DEFAULT_LIMIT : Number(limitParam);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+        }
+
+        const order = [];
+        for (const part of String(sort).split(',')) {
+            const [field, dir = 'asc'] = part.trim().split(':');
+            if (!sortable.includes(field)) {
+                errors.push(`Cannot sort by '${field}'; sortable fields: ${sortable.join(', ')}`);
+            } else if (!['asc', 'desc'].includes(dir.toLowerCase())) {
+                errors.push(`Sort direction of '${field}' must be asc or desc`);
+            } else {
+                order.push([field, dir.toUpperCase()]);
+            }
+        }
+        // Ties are broken by primary key so pages do not overlap
+        if (order.length > 0 && !order.some(([field]) => field === primaryKey)) {
+            order.push([primaryKey, 'ASC']);
+        }
+
+        let attributes;
+        if (fieldsParam !== undefined) {
+            const requested = String(fieldsParam).split(',').map(field => field.trim()).filter(Boolean);
+            const unknown = requested.filter(field => !fields.includes(field));
+            if (requested.length === 0 || unknown.length > 0) {
+                errors.push(`fields must be a comma-separated list of: ${fields.join(', ')}`);
+            }
+            attributes = [...new Set([primaryKey, ...requested])];
+        }
+
+        let cursor = null;
+        if (cursorParam !== undefined) {
+            cursor = decodeCursor(String(cursorParam));
+            if (!cursor) {
+                errors.push('cursor is invalid');
+            }
+            if (pageParam !== undefined) {
+                errors.push('page and cursor cannot be used together');
+            }
+            if (order.length !== 1 || order[0][0] !== primaryKey) {
+                errors.push(`cursor can only be used when sorting by ${primaryKey}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid list parameters', errors });
+        }
+
+        req.listQuery = {
+            page: cursor ? null : page,
+            limit,
+            offset: cursor ? 0 : (page - 1) * limit,
+            cursor,
+            order,
+            attributes,
+            primaryKey
+        };
+        next();
+    };
+};
+
+/**
+ * Builds a link to the same list with some query parameters changed
+ * @param {Object} req - Express request object
+ * @param {Object} changes - Parameters to set, null to remove
+ * @returns {string} Path and query string
+ */
+const buildLink = (req, changes) => {
+    // Outside Express (serverless handlers) only req.url is set
+    const url = new URL(req.originalUrl ?? req.url, 'http://localhost');
+    for (const [key, value] of Object.entries(changes)) {
+        if (value === null) {
+            url.searchParams.delete(key);
+        } else {
+            url.searchParams.set(key, value);
+        }
+    }
+    return `${url.pathname}${url.search}`;
+};
+
+/**
+ * Sends a page of a list in the standard envelope:
+ * `{ data, meta: { total, page, pages, limit, next_cursor }, links: { self, next, prev } }`.
+ * In cursor mode `page` and `pages` are null and there is no `prev` link.
+ * @param {Object} req - Express request object (with req.listQuery)
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result of PaginationServices.findPage
+ * @param {Array} result.rows - Rows of the page
+ * @param {number} result.total - Number of rows matching the query on all pages
+ * @param {string|null} [result.nextCursor] - Cursor of the next page in cursor mode
+ * @param {Function} [mapRow] - Turns a row into what the user may see (e.g. PII redaction)
+ * @returns {Object} HTTP 200 response
+ */
+export const sendList = (req, res, result, mapRow = row => row) => {
+    const { page, limit, cursor } = req.listQuery;
+    const { rows, total, nextCursor = null } = result;
+
+    let meta;
+    let links;
+    if (cursor) {
+        meta = { total, page: null, pages: null, limit, next_cursor: nextCursor };
+        links = {
+            self: buildLink(req, {}),
+            next: nextCursor ? buildLink(req, { cursor: nextCursor }) : null,
+            prev: null
+        };
+    } else {
+        const pages = Math.ceil(total / limit);
+        meta = { total, page, pages, limit, next_cursor: null };
+        links = {
+            self: buildLink(req, {}),
+            next: page < pages ? buildLink(req, { page: page + 1 }) : null,
+            prev: page > 1 && pages > 0 ? buildLink(req, { page: Math.min(page - 1, pages) }) : null
+        };
+    }
+
+    return res.status(200).json({ data: rows.map(mapRow), meta, links });
+};
@@ -0,0 +1,85 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import User from "./UserEntity.js";
+
+/**
+ * ApiKey entity model representing the api_keys table in the database.
+ * Personal keys that let scripts and integrations call the API on behalf of a user
+ * without a password or JWT.
+ * 
+ * @typedef {Object} ApiKey
+ * @property {number} key_id - Primary key, auto-incrementing unique identifier for the key
+ * @property {number} user_id - Foreign key reference to the user who owns the key
+ * @property {string} name - Label chosen by the owner, e.g. 'HR ops sync script'
+ * @property {string} prefix - First characters of the key, shown in listings to tell keys apart
+ * @property {string} key_hash - SHA-256 hash of the key (the raw key is shown once, at creation)
+ * @property {Array<string>} scopes - Permission names the key may use, e.g. ['vacancy:write']
+ * @property {Date|null} expires_at - Date after which the key stops working, null for no expiry
+ * @property {Date|null} last_used_at - Date of the last request authenticated with the key
+ * @property {Date|null} revoked_at - Date when the key was revoked, null while active
+ * @property {Date} created_at - Timestamp when the key was created
+ * 
+ * @description
+ * - Table name: 'api_keys'
+ * - A key never grants more than its owner's role: effective permissions are the scopes
+ *   that the role still grants
+ * - Foreign key constraint: CASCADE on delete of the user
+ */
+const ApiKey = sequelize.define("ApiKey", {
+    key_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    prefix: {
+        type: DataTypes.STRING(12),
+        allowNull: false
+    },
+    key_hash: {
+        type: DataTypes.CHAR(64),
+        allowNull: false,
+        unique: true
+    },
+    scopes: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: "api_keys",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['user_id'] }
+    ]
+});
+
+ApiKey.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(ApiKey, { foreignKey: 'user_id' });
+
+export default ApiKey;
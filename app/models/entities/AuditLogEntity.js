@@ -0,0 +1,87 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+
+/**
+ * AuditLog entity model representing the audit_logs table in the database.
+ * One row per created, updated or deleted record of an audited model, written
+ * by the hooks in AuditServices, plus one row per anonymization or erasure of a candidate.
+ * Rows are never deleted, and only updated to erase the personal data of a candidate (see redactAuditEntries).
+ * 
+ * @typedef {Object} AuditLog
+ * @property {number} audit_id - Primary key, auto-incrementing unique identifier for the entry
+ * @property {number|null} actor_user_id - User who made the change, null for unauthenticated flows and scripts
+ * @property {number|null} api_key_id - API key the request was authenticated with, if any
+ * @property {string} entity - Kind of record, e.g. 'candidate', 'vacancy', 'application', 'user'
+ * @property {string} entity_id - Primary key of the record
+ * @property {string} action - 'create', 'update' or 'delete'; 'anonymize' or 'erase' for the data subject tools
+ * @property {Object|null} before - Values before the change (changed fields only for updates, null for creates)
+ * @property {Object|null} after - Values after the change (changed fields only for updates, null for deletes)
+ * @property {string|null} ip_address - Client IP address of the request
+ * @property {Date} created_at - When the change was made
+ * 
+ * @description
+ * - Table name: 'audit_logs'
+ * - No foreign keys, so entries outlive the users and records they mention
+ * - Secrets such as password hashes are replaced with '[REDACTED]', erased personal data with '[ERASED]'
+ */
+const AuditLog = sequelize.define("AuditLog", {
+    audit_id: {
+        type: DataTypes.BIGINT,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    actor_user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    api_key_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    entity: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    entity_id: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+    },
+    action: {
+        type: DataTypes.ENUM('create', 'update', 'delete', 'anonymize', 'erase'),
+        allowNull: false
+    },
+    before: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    after: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    ip_address: {
+        type: DataTypes.STRING(45),
+        allowNull: true
+    }
+}, {
+    tableName: "audit_logs",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['entity', 'entity_id'] },
+        { fields: ['actor_user_id'] },
+        { fields: ['created_at'] }
+    ]
+});
+
+// Append-only: refuse every update and delete, whichever API is used (redactAuditEntries skips the hooks on purpose)
+const refuseChange = () => {
+    throw new Error('Audit log entries are append-only');
+};
+AuditLog.addHook('beforeUpdate', refuseChange);
+AuditLog.addHook('beforeBulkUpdate', refuseChange);
+AuditLog.addHook('beforeDestroy', refuseChange);
+AuditLog.addHook('beforeBulkDestroy', refuseChange);
+AuditLog.addHook('beforeUpsert', refuseChange);
+
+export default AuditLog;
@@ -0,0 +1,93 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import Candidate from "./CandidateEntity.js";
+import User from "./UserEntity.js";
+
+/**
+ * CandidateDuplicate entity model representing the candidate_duplicates table in the database.
+ * A pair of candidates the duplicate detection thinks are the same person, waiting in the review queue
+ * until a reviewer merges or dismisses it.
+ * 
+ * @typedef {Object} CandidateDuplicate
+ * @property {number} duplicate_id - Primary key, auto-incrementing unique identifier for the pair
+ * @property {number} candidate_id - Foreign key reference to the candidate with the lower ID
+ * @property {number} other_candidate_id - Foreign key reference to the candidate with the higher ID
+ * @property {number} score - Confidence from 0 to 1 that both are the same person
+ * @property {Array<string>} reasons - Signals that matched: 'phone', 'name_and_date_of_birth', 'similar_name', 'similar_experience'
+ * @property {('pending'|'dismissed')} status - 'pending' while in the queue, 'dismissed' once a reviewer said they differ
+ * @property {number|null} reviewed_by - Foreign key reference to the user who dismissed the pair
+ * @property {Date|null} reviewed_at - Date when the pair was dismissed
+ * @property {Date} detected_at - Timestamp when the pair was first detected
+ * 
+ * @description
+ * - Table name: 'candidate_duplicates'
+ * - Each pair is stored once, lower candidate ID first; dismissed pairs are not suggested again
+ * - Foreign key constraints: CASCADE on delete of either candidate (merging deletes the pair), SET NULL on delete of the reviewer
+ */
+const CandidateDuplicate = sequelize.define("CandidateDuplicate", {
+    duplicate_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    candidate_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Candidate,
+            key: 'candidate_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    other_candidate_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Candidate,
+            key: 'candidate_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    score: {
+        type: DataTypes.DECIMAL(4, 3),
+        allowNull: false
+    },
+    reasons: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'dismissed'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    reviewed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    reviewed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: "candidate_duplicates",
+    timestamps: true,
+    createdAt: 'detected_at',
+    updatedAt: false,
+    indexes: [
+        { unique: true, fields: ['candidate_id', 'other_candidate_id'] },
+        { fields: ['other_candidate_id'] },
+        { fields: ['status'] }
+    ]
+});
+
+CandidateDuplicate.belongsTo(Candidate, { foreignKey: 'candidate_id', as: 'candidate' });
+CandidateDuplicate.belongsTo(Candidate, { foreignKey: 'other_candidate_id', as: 'other_candidate' });
+CandidateDuplicate.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewer' });
+
+export default CandidateDuplicate;
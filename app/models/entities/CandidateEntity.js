@@ -19,10 +19,13 @@ import sequelize from '../../../config/db_conn.js';
  * @property {string} occupation - Current or desired occupation (max 100 characters)
  * @property {string} summary - Professional summary or bio (text field)
  * @property {Object} experience - Work experience data stored as JSON
+ * @property {number|null} experience_years - Total years of work experience, derived from experience when it is saved
  * @property {Object} skills - Technical and soft skills stored as JSON
  * @property {Object} languages - Language proficiencies stored as JSON
  * @property {Object} education - Educational background stored as JSON
- * @property {string} notes - Additional notes or comments (text field)
+ * @property {string|null} experience_text - Text of the experience entries for the full-text index, derived when saved (hidden by default)
+ * @property {string|null} education_text - Text of the education entries for the full-text index, derived when saved (hidden by default)
+ * @property {Date|null} anonymized_at - When the personal data of the candidate was stripped, null for a regular profile
  * 
  * @example
  * // Create a new candidate
@@ -71,6 +74,10 @@ const Candidate = sequelize.define('Candidate', {
         type: DataTypes.JSON,
         allowNull: true
     },
+    experience_years: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
     skills: {
         type: DataTypes.JSON,
         allowNull: true
@@ -83,13 +90,28 @@ const Candidate = sequelize.define('Candidate', {
         type: DataTypes.JSON,
         allowNull: true
     },
-    notes: {
+    experience_text: {
         type: DataTypes.TEXT,
         allowNull: true
+    },
+    education_text: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    anonymized_at: {
+        type: DataTypes.DATE,
+        allowNull: true
     }
 }, {
     tableName: 'candidates',
-    timestamps: false // Since the schema doesn't have created_at/updated_at
+    timestamps: false, // Since the schema doesn't have created_at/updated_at
+    // The full-text copies of experience and education are only read by the relevance search
+    defaultScope: {
+        attributes: { exclude: ['experience_text', 'education_text'] }
+    },
+    indexes: [
+        { type: 'FULLTEXT', name: 'ft_candidates_profile', fields: ['occupation', 'summary', 'experience_text', 'education_text'] }
+    ]
 });
 
 export default Candidate;
@@ -0,0 +1,89 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import Candidate from "./CandidateEntity.js";
+import StoredFile from "./StoredFileEntity.js";
+import Application from "./ApplicationEntity.js";
+import User from "./UserEntity.js";
+
+/**
+ * CandidateFile entity model representing the candidate_files table in the database.
+ * Links a stored file, such as an uploaded CV, to the candidate it belongs to and the application it came with.
+ *
+ * @typedef {Object} CandidateFile
+ * @property {number} candidate_file_id - Primary key, auto-incrementing unique identifier for the link
+ * @property {number} candidate_id - Foreign key reference to the candidate
+ * @property {number} file_id - Foreign key reference to the stored file
+ * @property {number|null} application_id - Foreign key reference to the application the file was uploaded for, if any
+ * @property {string} original_name - Name of the file as uploaded, used as download name
+ * @property {number|null} uploaded_by - Foreign key reference to the user who uploaded the file
+ * @property {Date} created_at - Timestamp of the upload
+ *
+ * @description
+ * - Table name: 'candidate_files'
+ * - Foreign key constraints: CASCADE on delete of the candidate, SET NULL on delete of the application or the user
+ */
+const CandidateFile = sequelize.define("CandidateFile", {
+    candidate_file_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    candidate_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Candidate,
+            key: 'candidate_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    file_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: StoredFile,
+            key: 'file_id'
+        }
+    },
+    application_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Application,
+            key: 'application_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    original_name: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    uploaded_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: "candidate_files",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['candidate_id'] },
+        { fields: ['file_id'] },
+        { fields: ['application_id'] }
+    ]
+});
+
+CandidateFile.belongsTo(Candidate, { foreignKey: 'candidate_id' });
+CandidateFile.belongsTo(StoredFile, { foreignKey: 'file_id', as: 'file' });
+CandidateFile.belongsTo(Application, { foreignKey: 'application_id' });
+CandidateFile.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader' });
+
+Candidate.hasMany(CandidateFile, { foreignKey: 'candidate_id' });
+
+export default CandidateFile;
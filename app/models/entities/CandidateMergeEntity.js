@@ -0,0 +1,83 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import Candidate from "./CandidateEntity.js";
+import User from "./UserEntity.js";
+
+/**
+ * CandidateMerge entity model representing the candidate_merges table in the database.
+ * Records a merge of two candidates with everything needed to undo it.
+ * 
+ * @typedef {Object} CandidateMerge
+ * @property {number} merge_id - Primary key, auto-incrementing unique identifier for the merge
+ * @property {number|null} survivor_id - Foreign key reference to the candidate that was kept
+ * @property {number} merged_candidate_id - ID the merged (deleted) candidate had; it gets it back on undo
+ * @property {Object} changes - What the merge did: `survivor` ({ before, after } of the fields it changed),
+ * `candidate` (the deleted candidate), `applications`, `shares`, `tags` and `pools` ({ moved, removed }), `notes` and `files` ({ moved })
+ * @property {number|null} merged_by - Foreign key reference to the user who merged
+ * @property {Date|null} undone_at - Date when the merge was undone, null while in effect
+ * @property {number|null} undone_by - Foreign key reference to the user who undid the merge
+ * @property {Date} created_at - Timestamp of the merge
+ * 
+ * @description
+ * - Table name: 'candidate_merges'
+ * - Foreign key constraints: SET NULL on delete of the survivor or the users
+ */
+const CandidateMerge = sequelize.define("CandidateMerge", {
+    merge_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    survivor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Candidate,
+            key: 'candidate_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    merged_candidate_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    changes: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    merged_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    undone_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    undone_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: "candidate_merges",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['survivor_id'] },
+        { fields: ['merged_candidate_id'] }
+    ]
+});
+
+CandidateMerge.belongsTo(Candidate, { foreignKey: 'survivor_id', as: 'survivor' });
+
+export default CandidateMerge;
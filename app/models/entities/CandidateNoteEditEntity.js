@@ -0,0 +1,77 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import CandidateNote from "./CandidateNoteEntity.js";
+import User from "./UserEntity.js";
+
+/**
+ * CandidateNoteEdit entity model representing the candidate_note_edits table in the database.
+ * Keeps the version of a note that an edit replaced.
+ *
+ * @typedef {Object} CandidateNoteEdit
+ * @property {number} edit_id - Primary key, auto-incrementing unique identifier for the edit
+ * @property {number} note_id - Foreign key reference to the edited note
+ * @property {string} content - Text of the note before the edit
+ * @property {('team'|'private')} visibility - Visibility of the note before the edit
+ * @property {number|null} application_id - Application the note was about before the edit
+ * @property {number|null} vacancy_id - Vacancy the note was about before the edit
+ * @property {number|null} edited_by - Foreign key reference to the user who edited the note
+ * @property {Date} edited_at - Timestamp of the edit
+ *
+ * @description
+ * - Table name: 'candidate_note_edits'
+ * - Foreign key constraints: CASCADE on delete of the note, SET NULL on delete of the user
+ */
+const CandidateNoteEdit = sequelize.define("CandidateNoteEdit", {
+    edit_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    note_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: CandidateNote,
+            key: 'note_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    content: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    visibility: {
+        type: DataTypes.ENUM('team', 'private'),
+        allowNull: false
+    },
+    application_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    vacancy_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    edited_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: "candidate_note_edits",
+    timestamps: true,
+    createdAt: 'edited_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['note_id'] }
+    ]
+});
+
+CandidateNoteEdit.belongsTo(CandidateNote, { foreignKey: 'note_id' });
+CandidateNoteEdit.belongsTo(User, { foreignKey: 'edited_by', as: 'editor' });
+
+export default CandidateNoteEdit;
@@ -0,0 +1,112 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import Candidate from "./CandidateEntity.js";
+import User from "./UserEntity.js";
+import Application from "./ApplicationEntity.js";
+import Vacancy from "./VacanciesEntity.js";
+
+/**
+ * CandidateNote entity model representing the candidate_notes table in the database.
+ * A note written about a candidate, possibly in reply to another note of the candidate.
+ *
+ * @typedef {Object} CandidateNote
+ * @property {number} note_id - Primary key, auto-incrementing unique identifier for the note
+ * @property {number} candidate_id - Foreign key reference to the candidate the note is about
+ * @property {number|null} parent_note_id - Foreign key reference to the note this one replies to, null for a new thread
+ * @property {number|null} author_id - Foreign key reference to the user who wrote the note
+ * @property {string} content - Text of the note
+ * @property {('team'|'private')} visibility - 'team' notes are visible to every user who can read the candidate,
+ * 'private' ones to their author only
+ * @property {number|null} application_id - Foreign key reference to the application the note is about, if any
+ * @property {number|null} vacancy_id - Foreign key reference to the vacancy the note is about, if any
+ * @property {Date} created_at - Timestamp when the note was written
+ * @property {Date} updated_at - Timestamp when the note was last edited
+ *
+ * @description
+ * - Table name: 'candidate_notes'
+ * - Foreign key constraints: CASCADE on delete of the candidate or the parent note,
+ *   SET NULL on delete of the author, application or vacancy
+ * - Previous versions of an edited note are kept in candidate_note_edits
+ */
+const CandidateNote = sequelize.define("CandidateNote", {
+    note_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    candidate_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Candidate,
+            key: 'candidate_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    parent_note_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'candidate_notes',
+            key: 'note_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    author_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    content: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    visibility: {
+        type: DataTypes.ENUM('team', 'private'),
+        allowNull: false,
+        defaultValue: 'team'
+    },
+    application_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Application,
+            key: 'application_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    vacancy_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Vacancy,
+            key: 'vacancy_id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: "candidate_notes",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        { fields: ['candidate_id'] },
+        { fields: ['parent_note_id'] },
+        { fields: ['application_id'] },
+        { fields: ['vacancy_id'] }
+    ]
+});
+
+CandidateNote.belongsTo(Candidate, { foreignKey: 'candidate_id' });
+CandidateNote.belongsTo(User, { foreignKey: 'author_id', as: 'author' });
+CandidateNote.belongsTo(CandidateNote, { foreignKey: 'parent_note_id', as: 'parent' });
+CandidateNote.belongsTo(Application, { foreignKey: 'application_id' });
+CandidateNote.belongsTo(Vacancy, { foreignKey: 'vacancy_id' });
+
+Candidate.hasMany(CandidateNote, { foreignKey: 'candidate_id' });
+
+export default CandidateNote;
@@ -0,0 +1,77 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import User from "./UserEntity.js";
+
+/**
+ * CandidateRevision entity model representing the candidate_revisions table in the database.
+ * Each row is the profile of a candidate as it was after one change.
+ *
+ * @typedef {Object} CandidateRevision
+ * @property {number} revision_id - Primary key, auto-incrementing unique identifier for the revision
+ * @property {number} candidate_id - ID of the candidate; not a foreign key so the history survives a merge that is undone
+ * @property {number} version - Number of the revision among the candidate's revisions, from 1
+ * @property {string} source - What made the change: 'baseline' (the profile before history was kept), 'upload' (AI extraction
+ * of an uploaded CV), 'edit' (manual edit), 'merge' (merge of a duplicate or its undo) or 'restore' (restore of an earlier revision)
+ * @property {Object} profile - The candidate's fields after the change
+ * @property {Array<string>} changed_fields - Fields that differ from the previous revision (every field set for the first one)
+ * @property {number|null} restored_version - Version brought back, for 'restore' revisions
+ * @property {number|null} author_id - Foreign key reference to the user who made the change, null for scripts and API keys without a user
+ * @property {Date} created_at - Timestamp of the change
+ *
+ * @description
+ * - Table name: 'candidate_revisions'
+ * - Unique constraint on candidate_id + version
+ * - Foreign key constraints: SET NULL on delete of the author
+ */
+const CandidateRevision = sequelize.define("CandidateRevision", {
+    revision_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    candidate_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    version: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    source: {
+        type: DataTypes.ENUM('baseline', 'upload', 'edit', 'merge', 'restore'),
+        allowNull: false
+    },
+    profile: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    changed_fields: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    restored_version: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    author_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: "candidate_revisions",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { unique: true, fields: ['candidate_id', 'version'] }
+    ]
+});
+
+CandidateRevision.belongsTo(User, { foreignKey: 'author_id', as: 'author' });
+
+export default CandidateRevision;
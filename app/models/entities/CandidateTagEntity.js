@@ -0,0 +1,62 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import Candidate from "./CandidateEntity.js";
+import Tag from "./TagEntity.js";
+import User from "./UserEntity.js";
+
+/**
+ * CandidateTag entity model representing the candidate_tags table in the database.
+ * A tag put on a candidate.
+ *
+ * @typedef {Object} CandidateTag
+ * @property {number} candidate_id - Primary key (with tag_id), foreign key reference to the candidate
+ * @property {number} tag_id - Primary key (with candidate_id), foreign key reference to the tag
+ * @property {number|null} tagged_by - Foreign key reference to the user who tagged the candidate
+ * @property {Date} created_at - Timestamp when the candidate was tagged
+ *
+ * @description
+ * - Table name: 'candidate_tags'
+ * - Foreign key constraints: CASCADE on delete of the candidate or the tag, SET NULL on delete of the user
+ */
+const CandidateTag = sequelize.define("CandidateTag", {
+    candidate_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: Candidate,
+            key: 'candidate_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    tag_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: Tag,
+            key: 'tag_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    tagged_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: "candidate_tags",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['tag_id'] }
+    ]
+});
+
+Candidate.belongsToMany(Tag, { through: CandidateTag, foreignKey: 'candidate_id', otherKey: 'tag_id', as: 'tags' });
+Tag.belongsToMany(Candidate, { through: CandidateTag, foreignKey: 'tag_id', otherKey: 'candidate_id', as: 'candidates' });
+
+export default CandidateTag;
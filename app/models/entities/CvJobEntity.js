@@ -0,0 +1,65 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import Vacancy from "./VacanciesEntity.js";
+import User from "./UserEntity.js";
+
+/**
+ * CvJob entity model representing the cv_jobs table in the database.
+ * One upload of CVs for a vacancy, processed in the background by the CV worker (scripts/cv-worker.mjs).
+ *
+ * @typedef {Object} CvJob
+ * @property {number} job_id - Primary key, auto-incrementing unique identifier for the job
+ * @property {number|null} vacancy_id - Foreign key reference to the vacancy the CVs were uploaded for
+ * @property {string|null} vacancy_title - Title of the vacancy given to the model to score the candidates
+ * @property {string|null} vacancy_filter - Knowledge the candidates must have, given to the model with the title
+ * @property {number|null} created_by - Foreign key reference to the user who uploaded the CVs
+ * @property {Date} created_at - Timestamp of the upload
+ * @property {Date} updated_at - Timestamp of the last change
+ *
+ * @description
+ * - Table name: 'cv_jobs'
+ * - The state of the job is worked out from the state of its files (see CvJobFile)
+ * - Foreign key constraints: SET NULL on delete of the vacancy or the user
+ */
+const CvJob = sequelize.define("CvJob", {
+    job_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    vacancy_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Vacancy,
+            key: 'vacancy_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    vacancy_title: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    vacancy_filter: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: "cv_jobs",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+CvJob.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+export default CvJob;
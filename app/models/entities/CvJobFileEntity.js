@@ -0,0 +1,130 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import CvJob from "./CvJobEntity.js";
+import StoredFile from "./StoredFileEntity.js";
+import Candidate from "./CandidateEntity.js";
+import Application from "./ApplicationEntity.js";
+
+/**
+ * CvJobFile entity model representing the cv_job_files table in the database.
+ * One CV of a CV job and how far its processing went; the queued rows are the queue of the CV worker.
+ *
+ * @typedef {Object} CvJobFile
+ * @property {number} job_file_id - Primary key, auto-incrementing unique identifier for the file of the job
+ * @property {number} job_id - Foreign key reference to the job
+ * @property {number|null} file_id - Foreign key reference to the stored content, cleared once the CV is saved with its candidate
+ * @property {string} original_name - Name of the file as uploaded
+ * @property {string|null} content_type - Content type sent with the upload
+ * @property {('queued'|'extracting'|'scoring'|'saved'|'failed')} state - 'queued' until a worker takes the file,
+ * 'extracting' while its text is read, 'scoring' while the model extracts and scores the candidate, then 'saved' or 'failed'
+ * @property {('created'|'updated'|'duplicate'|'skipped-no-email'|'extraction-failed'|'model-failed'|'save-failed'|'too-many-attempts'|null)} outcome -
+ * What became of the file once processed: the first three are saved, the others failed (see CV_FILE_OUTCOMES in CvJobServices)
+ * @property {number} attempts - Number of times a worker took the file
+ * @property {string|null} error - Why the file failed
+ * @property {Array<string>|null} warnings - Things to check about the saved candidate, e.g. an email missing from the CV text
+ * @property {number|null} candidate_id - Foreign key reference to the candidate saved from the file
+ * @property {number|null} application_id - Foreign key reference to the application saved from the file
+ * @property {Date|null} locked_at - When a worker took the file; a file taken long ago by a worker that stopped is queued again
+ * @property {Date} created_at - Timestamp of the upload
+ * @property {Date} updated_at - Timestamp of the last change of state
+ *
+ * @description
+ * - Table name: 'cv_job_files'
+ * - Foreign key constraints: CASCADE on delete of the job, SET NULL on delete of the candidate or the application
+ */
+const CvJobFile = sequelize.define("CvJobFile", {
+    job_file_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    job_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: CvJob,
+            key: 'job_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    file_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: StoredFile,
+            key: 'file_id'
+        }
+    },
+    original_name: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    content_type: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    state: {
+        type: DataTypes.ENUM('queued', 'extracting', 'scoring', 'saved', 'failed'),
+        allowNull: false,
+        defaultValue: 'queued'
+    },
+    outcome: {
+        type: DataTypes.ENUM(
+            'created', 'updated', 'duplicate', 'skipped-no-email', 'extraction-failed', 'model-failed', 'save-failed',
+            'too-many-attempts'
+        ),
+        allowNull: true
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    warnings: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    candidate_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Candidate,
+            key: 'candidate_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    application_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Application,
+            key: 'application_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    locked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: "cv_job_files",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        { fields: ['job_id'] },
+        { fields: ['state'] },
+        { fields: ['candidate_id'] }
+    ]
+});
+
+CvJobFile.belongsTo(CvJob, { foreignKey: 'job_id' });
+CvJobFile.belongsTo(StoredFile, { foreignKey: 'file_id', as: 'file' });
+
+CvJob.hasMany(CvJobFile, { foreignKey: 'job_id', as: 'files' });
+
+export default CvJobFile;
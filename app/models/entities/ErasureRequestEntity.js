@@ -0,0 +1,90 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import User from "./UserEntity.js";
+
+/**
+ * ErasureRequest entity model representing the erasure_requests table in the database.
+ * A request to erase everything held about a candidate (right to erasure), filed by a user
+ * and then completed or rejected by someone with the candidate:privacy permission.
+ * 
+ * @typedef {Object} ErasureRequest
+ * @property {number} request_id - Primary key, auto-incrementing unique identifier for the request
+ * @property {number} candidate_id - ID of the candidate to erase; kept once the candidate is gone
+ * @property {string|null} reason - How the request came in, e.g. "Email from the candidate on 2026-10-02"
+ * @property {('pending'|'completed'|'rejected')} status - 'pending' until the request is completed or rejected
+ * @property {number|null} requested_by - Foreign key reference to the user who filed the request
+ * @property {number|null} resolved_by - Foreign key reference to the user who completed or rejected it
+ * @property {Date|null} resolved_at - Date when the request was completed or rejected
+ * @property {string|null} resolution_note - Why the request was rejected, e.g. a legal hold
+ * @property {Object|null} erased - Number of records erased by kind, once completed
+ * @property {Date} created_at - Timestamp when the request was filed
+ * 
+ * @description
+ * - Table name: 'erasure_requests'
+ * - No foreign key on candidate_id, so the request outlives the candidate it erased
+ * - Foreign key constraints: SET NULL on delete of the users
+ */
+const ErasureRequest = sequelize.define("ErasureRequest", {
+    request_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    candidate_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'completed', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    requested_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    resolved_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    resolved_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    resolution_note: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    erased: {
+        type: DataTypes.JSON,
+        allowNull: true
+    }
+}, {
+    tableName: "erasure_requests",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['candidate_id'] },
+        { fields: ['status'] }
+    ]
+});
+
+ErasureRequest.belongsTo(User, { foreignKey: 'requested_by', as: 'requester' });
+ErasureRequest.belongsTo(User, { foreignKey: 'resolved_by', as: 'resolver' });
+
+export default ErasureRequest;
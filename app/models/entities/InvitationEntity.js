@@ -0,0 +1,85 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import User from "./UserEntity.js";
+import Role from "./RolesEntity.js";
+
+/**
+ * Invitation entity model representing the invitations table in the database.
+ * An admin invites a person by email with a pre-assigned role; the emailed link lets
+ * the invitee choose their name and password to create the account.
+ * 
+ * @typedef {Object} Invitation
+ * @property {number} invitation_id - Primary key, auto-incrementing unique identifier for the invitation
+ * @property {string} email - Email address the invitation was sent to (the account is created with it)
+ * @property {number} role_id - Foreign key reference to the role the new user gets
+ * @property {number|null} invited_by - Foreign key reference to the admin who sent the invitation
+ * @property {string} token_hash - SHA-256 hash of the token in the link (the raw token only travels in the email)
+ * @property {Date} expires_at - Date after which the link can no longer be used
+ * @property {Date|null} accepted_at - Date when the invitee created their account
+ * @property {Date|null} revoked_at - Date when an admin revoked the invitation
+ * @property {Date} created_at - Timestamp when the invitation was created
+ * 
+ * @description
+ * - Table name: 'invitations'
+ * - Resending an invitation replaces the token and extends the expiry, so older links stop working
+ * - Foreign key constraints: RESTRICT on delete of the role, SET NULL on delete of the inviting user
+ */
+const Invitation = sequelize.define("Invitation", {
+    invitation_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    email: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    role_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Role,
+            key: 'role_id'
+        },
+        onDelete: 'RESTRICT'
+    },
+    invited_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    },
+    token_hash: {
+        type: DataTypes.CHAR(64),
+        allowNull: false,
+        unique: true
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    accepted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: "invitations",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['email'] }
+    ]
+});
+
+Invitation.belongsTo(Role, { foreignKey: 'role_id' });
+Invitation.belongsTo(User, { foreignKey: 'invited_by', as: 'inviter' });
+
+export default Invitation;
@@ -0,0 +1,62 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+
+/**
+ * LoginThrottle entity model representing the login_throttles table in the database.
+ * Keeps the failed login counter of an account (by email) or of a client IP address,
+ * so throttling survives restarts and serverless cold starts.
+ * 
+ * @typedef {Object} LoginThrottle
+ * @property {number} throttle_id - Primary key, auto-incrementing unique identifier
+ * @property {string} scope - What the counter tracks: 'account' or 'ip'
+ * @property {string} identifier - Lower-cased email for 'account', IP address for 'ip'
+ * @property {number} failed_attempts - Consecutive failed logins within the current window
+ * @property {Date} last_failed_at - Date of the most recent failed login
+ * @property {Date|null} locked_until - Date until which logins are refused, null when not locked
+ * @property {Array<string>|null} ip_addresses - For 'account', the IP addresses its failures within the current window came from
+ * 
+ * @description
+ * - Table name: 'login_throttles'
+ * - Unique constraint on (scope, identifier)
+ * - Emails without an account are tracked too, so responses do not reveal which accounts exist
+ */
+const LoginThrottle = sequelize.define("LoginThrottle", {
+    throttle_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    scope: {
+        type: DataTypes.ENUM('account', 'ip'),
+        allowNull: false
+    },
+    identifier: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    failed_attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    last_failed_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    locked_until: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    ip_addresses: {
+        type: DataTypes.JSON,
+        allowNull: true
+    }
+}, {
+    tableName: "login_throttles",
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['scope', 'identifier'] }
+    ]
+});
+
+export default LoginThrottle;
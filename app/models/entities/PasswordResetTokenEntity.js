@@ -0,0 +1,59 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import User from "./UserEntity.js";
+
+/**
+ * PasswordResetToken entity model representing the password_reset_tokens table in the database.
+ * Each row is a single-use, time-limited token mailed to a user who forgot their password.
+ * 
+ * @typedef {Object} PasswordResetToken
+ * @property {number} token_id - Primary key, auto-incrementing unique identifier for the token
+ * @property {number} user_id - Foreign key reference to the user resetting their password
+ * @property {string} token_hash - SHA-256 hash of the token (the raw token only travels in the email)
+ * @property {Date} expires_at - Date after which the token can no longer be used
+ * @property {Date|null} used_at - Date when the token was consumed, null while unused
+ * @property {Date} created_at - Timestamp when the token was issued
+ * 
+ * @description
+ * - Table name: 'password_reset_tokens'
+ * - Foreign key constraint: CASCADE on delete of the user
+ */
+const PasswordResetToken = sequelize.define("PasswordResetToken", {
+    token_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    token_hash: {
+        type: DataTypes.CHAR(64),
+        allowNull: false,
+        unique: true
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    used_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: "password_reset_tokens",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+});
+
+PasswordResetToken.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(PasswordResetToken, { foreignKey: 'user_id' });
+
+export default PasswordResetToken;
@@ -0,0 +1,39 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+
+/**
+ * Permission entity model representing the permissions table in the database.
+ * A permission names one action a role may perform, e.g. 'vacancy:write'.
+ * 
+ * @typedef {Object} Permission
+ * @property {number} permission_id - Primary key, auto-incrementing unique identifier for the permission
+ * @property {string} name - Unique permission name in 'resource:action' form, maximum 60 characters
+ * @property {string|null} description - Human readable description of the permission
+ * 
+ * @example
+ * // Find a permission by name
+ * const permission = await Permission.findOne({
+ *   where: { name: 'candidate:read_pii' }
+ * });
+ */
+const Permission = sequelize.define("Permission", {
+    permission_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING(60),
+        allowNull: false,
+        unique: true
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    }
+}, {
+    tableName: "permissions",
+    timestamps: false
+});
+
+export default Permission;
@@ -0,0 +1,57 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import User from "./UserEntity.js";
+
+/**
+ * RecoveryCode entity model representing the two_factor_recovery_codes table in the database.
+ * One-time codes that replace a TOTP code when the user has lost their authenticator.
+ * 
+ * @typedef {Object} RecoveryCode
+ * @property {number} code_id - Primary key, auto-incrementing unique identifier for the code
+ * @property {number} user_id - Foreign key reference to the user owning the code
+ * @property {string} code_hash - SHA-256 hash of the recovery code (the raw code is shown once)
+ * @property {Date|null} used_at - Date when the code was used, null while unused
+ * @property {Date} created_at - Timestamp when the code was generated
+ * 
+ * @description
+ * - Table name: 'two_factor_recovery_codes'
+ * - Regenerating codes deletes the previous set
+ * - Foreign key constraint: CASCADE on delete of the user
+ */
+const RecoveryCode = sequelize.define("RecoveryCode", {
+    code_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    code_hash: {
+        type: DataTypes.CHAR(64),
+        allowNull: false
+    },
+    used_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: "two_factor_recovery_codes",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['user_id'] }
+    ]
+});
+
+RecoveryCode.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(RecoveryCode, { foreignKey: 'user_id' });
+
+export default RecoveryCode;
@@ -0,0 +1,75 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import User from "./UserEntity.js";
+
+/**
+ * RefreshToken entity model representing the refresh_tokens table in the database.
+ * Stores hashed refresh tokens grouped into families, one family per login session.
+ * 
+ * @typedef {Object} RefreshToken
+ * @property {number} token_id - Primary key, auto-incrementing unique identifier for the token
+ * @property {number} user_id - Foreign key reference to the user who owns the session
+ * @property {string} family_id - UUID shared by every token rotated from the same login
+ * @property {string} token_hash - SHA-256 hash of the refresh token (the raw token is never stored)
+ * @property {Date} expires_at - Date after which the token can no longer be used
+ * @property {Date|null} revoked_at - Date when the token was rotated or revoked, null while active
+ * @property {number|null} replaced_by - token_id of the token issued when this one was rotated
+ * @property {Date} created_at - Timestamp when the token was issued
+ * 
+ * @description
+ * - Table name: 'refresh_tokens'
+ * - Presenting a token that already has revoked_at set is treated as reuse
+ *   and revokes the whole family
+ * - Foreign key constraint: CASCADE on delete of the user
+ */
+const RefreshToken = sequelize.define("RefreshToken", {
+    token_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    family_id: {
+        type: DataTypes.CHAR(36),
+        allowNull: false
+    },
+    token_hash: {
+        type: DataTypes.CHAR(64),
+        allowNull: false,
+        unique: true
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    replaced_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    }
+}, {
+    tableName: "refresh_tokens",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['family_id'] },
+        { fields: ['user_id'] }
+    ]
+});
+
+RefreshToken.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(RefreshToken, { foreignKey: 'user_id' });
+
+export default RefreshToken;
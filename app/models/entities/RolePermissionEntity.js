@@ -0,0 +1,50 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import Role from "./RolesEntity.js";
+import Permission from "./PermissionEntity.js";
+
+/**
+ * RolePermission entity model representing the role_permissions join table.
+ * Links roles to the permissions they grant (many-to-many).
+ * 
+ * @typedef {Object} RolePermission
+ * @property {number} role_id - Foreign key reference to the role, part of the composite primary key
+ * @property {number} permission_id - Foreign key reference to the permission, part of the composite primary key
+ * 
+ * @description
+ * - Table name: 'role_permissions'
+ * - Foreign key constraints: CASCADE on delete of either the role or the permission
+ * 
+ * @example
+ * // Get the permissions of a role
+ * const role = await Role.findByPk(1, { include: Permission });
+ * console.log(role.Permissions.map(p => p.name));
+ */
+const RolePermission = sequelize.define("RolePermission", {
+    role_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: Role,
+            key: 'role_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    permission_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: Permission,
+            key: 'permission_id'
+        },
+        onDelete: 'CASCADE'
+    }
+}, {
+    tableName: "role_permissions",
+    timestamps: false
+});
+
+Role.belongsToMany(Permission, { through: RolePermission, foreignKey: 'role_id', otherKey: 'permission_id' });
+Permission.belongsToMany(Role, { through: RolePermission, foreignKey: 'permission_id', otherKey: 'role_id' });
+
+export default RolePermission;
@@ -8,6 +8,7 @@ import sequelize from "../../../config/db_conn.js";
  * @typedef {Object} Role
  * @property {number} role_id - Primary key, auto-incrementing unique identifier for the role
  * @property {string} name - Unique role name, maximum 60 characters, cannot be null
+ * @property {boolean} require_two_factor - Whether members must use TOTP two-factor authentication to log in
  * 
  * @example
  * // Create a new role
@@ -31,6 +32,11 @@ const Role = sequelize.define("Role", {
         type: DataTypes.STRING(60),
         allowNull: false,
         unique: true
+    },
+    require_two_factor: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
     }
 }, {
     tableName: "roles",
@@ -0,0 +1,51 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+
+/**
+ * StoredFile entity model representing the stored_files table in the database.
+ * One row per distinct file content kept in the file storage; identical uploads share it.
+ *
+ * @typedef {Object} StoredFile
+ * @property {number} file_id - Primary key, auto-incrementing unique identifier for the file
+ * @property {string} sha256 - Hex SHA-256 hash of the content, unique
+ * @property {string} storage_key - Key of the content in the storage driver
+ * @property {string} content_type - MIME type of the content, e.g. 'application/pdf'
+ * @property {number} size - Size of the content in bytes
+ * @property {Date} created_at - Timestamp when the file was first stored
+ * @property {Date} updated_at - Timestamp when the file was last stored or reused by an upload
+ *
+ * @description
+ * - Table name: 'stored_files'
+ * - The content lives in the driver selected by STORAGE_DRIVER (see app/storage/FileStorage.js), not in the database
+ */
+const StoredFile = sequelize.define("StoredFile", {
+    file_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    sha256: {
+        type: DataTypes.CHAR(64),
+        allowNull: false,
+        unique: true
+    },
+    storage_key: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    content_type: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    size: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    }
+}, {
+    tableName: "stored_files",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+export default StoredFile;
@@ -0,0 +1,54 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import User from "./UserEntity.js";
+
+/**
+ * Tag entity model representing the tags table in the database.
+ * A label recruiters put on candidates, e.g. "silver medalist" or "relocation ok".
+ *
+ * @typedef {Object} Tag
+ * @property {number} tag_id - Primary key, auto-incrementing unique identifier for the tag
+ * @property {string} name - Name of the tag, unique ignoring case
+ * @property {string|null} color - Display color as #RRGGBB
+ * @property {number|null} created_by - Foreign key reference to the user who created the tag
+ * @property {Date} created_at - Timestamp when the tag was created
+ *
+ * @description
+ * - Table name: 'tags'
+ * - Foreign key constraints: SET NULL on delete of the user
+ * - Candidates are tagged through candidate_tags
+ */
+const Tag = sequelize.define("Tag", {
+    tag_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+    },
+    color: {
+        type: DataTypes.STRING(7),
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: "tags",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+});
+
+Tag.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+export default Tag;
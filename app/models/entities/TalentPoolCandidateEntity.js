@@ -0,0 +1,59 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import TalentPool from "./TalentPoolEntity.js";
+import Candidate from "./CandidateEntity.js";
+import User from "./UserEntity.js";
+
+/**
+ * TalentPoolCandidate entity model representing the talent_pool_candidates table in the database.
+ * A candidate added to a static talent pool.
+ *
+ * @typedef {Object} TalentPoolCandidate
+ * @property {number} pool_id - Primary key (with candidate_id), foreign key reference to the pool
+ * @property {number} candidate_id - Primary key (with pool_id), foreign key reference to the candidate
+ * @property {number|null} added_by - Foreign key reference to the user who added the candidate
+ * @property {Date} added_at - Timestamp when the candidate was added
+ *
+ * @description
+ * - Table name: 'talent_pool_candidates'
+ * - Foreign key constraints: CASCADE on delete of the pool or the candidate, SET NULL on delete of the user
+ */
+const TalentPoolCandidate = sequelize.define("TalentPoolCandidate", {
+    pool_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: TalentPool,
+            key: 'pool_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    candidate_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: Candidate,
+            key: 'candidate_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    added_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: "talent_pool_candidates",
+    timestamps: true,
+    createdAt: 'added_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['candidate_id'] }
+    ]
+});
+
+export default TalentPoolCandidate;
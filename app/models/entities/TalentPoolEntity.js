@@ -0,0 +1,67 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import User from "./UserEntity.js";
+
+/**
+ * TalentPool entity model representing the talent_pools table in the database.
+ * A named group of candidates, e.g. "Q3 backend pool": either a list kept by hand ('static')
+ * or the candidates matching a saved search query ('query').
+ *
+ * @typedef {Object} TalentPool
+ * @property {number} pool_id - Primary key, auto-incrementing unique identifier for the pool
+ * @property {string} name - Name of the pool, unique
+ * @property {string|null} description - What the pool is for
+ * @property {('static'|'query')} type - 'static' pools list their candidates in talent_pool_candidates,
+ * 'query' pools hold the candidates matching `query`
+ * @property {string|null} query - Search query of a 'query' pool, in the candidate search language
+ * @property {number|null} created_by - Foreign key reference to the user who created the pool
+ * @property {Date} created_at - Timestamp when the pool was created
+ * @property {Date} updated_at - Timestamp when the pool was last updated
+ *
+ * @description
+ * - Table name: 'talent_pools'
+ * - Foreign key constraints: SET NULL on delete of the user
+ */
+const TalentPool = sequelize.define("TalentPool", {
+    pool_id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    type: {
+        type: DataTypes.ENUM('static', 'query'),
+        allowNull: false,
+        defaultValue: 'static'
+    },
+    query: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: "talent_pools",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+TalentPool.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+export default TalentPool;
@@ -0,0 +1,53 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../../config/db_conn.js";
+import User from "./UserEntity.js";
+
+/**
+ * UserTwoFactor entity model representing the user_two_factor table in the database.
+ * Holds the TOTP (RFC 6238) secret of a user who started or completed two-factor enrollment.
+ * 
+ * @typedef {Object} UserTwoFactor
+ * @property {number} user_id - Primary key and foreign key reference to the user
+ * @property {string} secret_encrypted - TOTP secret encrypted with AES-256-GCM
+ * @property {Date|null} enabled_at - Date when enrollment was confirmed with a valid code, null while pending
+ * @property {number|null} last_used_step - Last accepted TOTP time step, so a code cannot be replayed
+ * @property {Date} created_at - Timestamp when enrollment started
+ * 
+ * @description
+ * - Table name: 'user_two_factor'
+ * - Two-factor authentication is only active once enabled_at is set
+ * - Foreign key constraint: CASCADE on delete of the user
+ */
+const UserTwoFactor = sequelize.define("UserTwoFactor", {
+    user_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: User,
+            key: 'user_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    secret_encrypted: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    enabled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    last_used_step: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+    }
+}, {
+    tableName: "user_two_factor",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+});
+
+UserTwoFactor.belongsTo(User, { foreignKey: 'user_id' });
+User.hasOne(UserTwoFactor, { foreignKey: 'user_id' });
+
+export default UserTwoFactor;
@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import ApiKey from '../entities/ApiKeyEntity.js';
+import { hashToken } from './RefreshTokenServices.js';
+import { getPermissionsByRoleId } from './PermissionServices.js';
+import { findPage } from './PaginationServices.js';
+
+// Every key starts with this marker so the middleware can tell keys and JWTs apart
+export const API_KEY_PREFIX = 'tt_';
+// Skip writing last_used_at more than once per minute for busy keys
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+/**
+ * Serializes an API key for API responses, without the key hash
+ * @param {Object} apiKey - ApiKey instance
+ * @returns {Object} Plain API key object
+ */
+const toApiKeyJSON = (apiKey) => {
+    const { key_hash: _, ...data } = apiKey.toJSON();
+    return data;
+};
+
+// GET methods
+/**
+ * Retrieves the API keys of a user, most recent first unless sorted otherwise
+ * @async
+ * @function getApiKeysByUser
+ * @param {number} userId - ID of the owner
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every key when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the keys (never the raw key or its hash)
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getApiKeysByUser = async (userId, listQuery) => {
+    try {
+        const result = await findPage(ApiKey, listQuery, {
+            where: { user_id: userId },
+            order: [['key_id', 'DESC']]
+        });
+        return { ...result, rows: result.rows.map(toApiKeyJSON) };
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        throw error;
+    }
+};
+
+/**
+ * Resolves a raw API key presented by a client and records its use
+ * @async
+ * @function authenticateApiKey
+ * @param {string} key - Raw API key
+ * @returns {Promise<Object>} The ApiKey instance
+ * @throws {Error} 'Invalid API key' if the key is unknown or revoked, 'API key expired' if it has expired
+ */
+export const authenticateApiKey = async (key) => {
+    try {
+        const apiKey = await ApiKey.findOne({ where: { key_hash: hashToken(key) } });
+
+        if (!apiKey || apiKey.revoked_at) {
+            throw new Error('Invalid API key');
+        }
+
+        const now = new Date();
+        if (apiKey.expires_at && apiKey.expires_at <= now) {
+            throw new Error('API key expired');
+        }
+
+        if (!apiKey.last_used_at || now - apiKey.last_used_at >= LAST_USED_PRECISION_MS) {
+            await apiKey.update({ last_used_at: now });
+        }
+
+        return apiKey;
+    } catch (error) {
+        console.error('Error authenticating API key:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Creates an API key for a user. Scopes must be permissions the user's role grants.
+ * @async
+ * @function createApiKey
+ * @param {Object} user - Owner of the key
+ * @param {number} user.user_id - ID of the owner
+ * @param {number} user.role_id - Role of the owner, used to check the scopes
+ * @param {Object} keyData - The key data object
+ * @param {string} keyData.name - Label of the key
+ * @param {Array<string>} keyData.scopes - Permission names the key may use
+ * @param {Date|null} [keyData.expiresAt=null] - Expiry date, null for a key that does not expire
+ * @returns {Promise<Object>} Object with the raw key (shown once) and the stored key data
+ * @throws {Error} 'Scopes exceed your permissions' (with `invalidScopes`) or a database error
+ * @example
+ * const { key } = await createApiKey(req.user, { name: 'HR sync', scopes: ['vacancy:write'] });
+ */
+export const createApiKey = async (user, keyData) => {
+    const { name, scopes, expiresAt = null } = keyData;
+    try {
+        const granted = await getPermissionsByRoleId(user.role_id);
+        const invalidScopes = scopes.filter(scope => !granted.includes(scope));
+        if (invalidScopes.length > 0) {
+            const error = new Error('Scopes exceed your permissions');
+            error.invalidScopes = invalidScopes;
+            throw error;
+        }
+
+        const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const apiKey = await ApiKey.create({
+            user_id: user.user_id,
+            name,
+            prefix: key.slice(0, 12),
+            key_hash: hashToken(key),
+            scopes: [...new Set(scopes)],
+            expires_at: expiresAt
+        });
+
+        return { key, apiKey: toApiKeyJSON(apiKey) };
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        throw error;
+    }
+};
+
+// DELETE methods
+/**
+ * Revokes an API key of a user; the key stops working immediately
+ * @async
+ * @function revokeApiKey
+ * @param {number} userId - ID of the owner
+ * @param {number|string} keyId - ID of the key
+ * @returns {Promise<Object|null>} A promise that resolves to the revoked key, or null if the user has no such key
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const revokeApiKey = async (userId, keyId) => {
+    try {
+        const apiKey = await ApiKey.findOne({ where: { key_id: keyId, user_id: userId } });
+        if (!apiKey) {
+            return null;
+        }
+
+        if (!apiKey.revoked_at) {
+            await apiKey.update({ revoked_at: new Date() });
+        }
+        return toApiKeyJSON(apiKey);
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        throw error;
+    }
+};
@@ -1,6 +1,7 @@
 import Application from '../entities/ApplicationEntity.js';
 import Candidate from '../entities/CandidateEntity.js';
 import Vacancy from '../entities/VacanciesEntity.js';
+import { findPage } from './PaginationServices.js';
 
 /**
  * Creates a new application in the database.
@@ -46,7 +47,8 @@ export const createApplication = async (applicationData) => {
  * 
  * @async
  * @function getApplications
- * @returns {Promise<Array>} A promise that resolves to an array of application objects with included candidate and vacancy data
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every application when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the applications including candidate and vacancy data
  * @throws {Error} Throws an error if the database query fails
  * 
  * @description This function fetches all applications from the database and includes related data:
@@ -58,14 +60,14 @@ export const createApplication = async (applicationData) => {
  * 
  * @example
  * // Get all applications with related data
- * const applications = await getApplications();
+ * const { rows: applications } = await getApplications();
  * applications.forEach(app => {
  *   console.log(`Application ${app.application_id}: ${app.Candidate.name} applied for ${app.Vacancy.title}`);
  * });
  */
-export const getApplications = async () => {
+export const getApplications = async (listQuery) => {
   try {
-    const applications = await Application.findAll({
+    return await findPage(Application, listQuery, {
       attributes: ['application_id', 'status', 'ai_reason'], 
       include: [
         {
@@ -78,9 +80,9 @@ export const getApplications = async () => {
         },
       ],
     });
-    return applications;
   } catch (error) {
     console.error('Error fetching applications:', error);
+    throw error;
   }
 }
 
@@ -89,27 +91,29 @@ export const getApplications = async () => {
  * 
  * @async
  * @function getAllApplicationsColumn
- * @returns {Promise<Array>} A promise that resolves to an array of complete application objects with all database columns
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every application when omitted
+ * @param {Object} [filters={}] - Column values the applications must have, e.g. { vacancy_id: 456, status: 'interview' }
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with complete application objects
  * @throws {Error} Throws an error if the database query fails
  * 
- * @description This function fetches all applications from the database without any filters or joins,
+ * @description This function fetches applications from the database without any joins,
  * returning all columns from the Application table. Unlike getApplications(), this function
  * does not include related candidate or vacancy information.
  * 
  * @example
  * // Get all applications with complete data
- * const allApplications = await getAllApplicationsColumn();
- * console.log(`Total applications: ${allApplications.length}`);
+ * const { rows: allApplications, total } = await getAllApplicationsColumn();
+ * console.log(`Total applications: ${total}`);
  * allApplications.forEach(app => {
  *   console.log(`Application ${app.application_id} - Status: ${app.status}`);
  * });
  */
-export const getAllApplicationsColumn = async () => {
+export const getAllApplicationsColumn = async (listQuery, filters = {}) => {
   try {
-    const applications = await Application.findAll();
-    return applications;
+    return await findPage(Application, listQuery, { where: filters });
   } catch (error) {
     console.error('Error fetching applications:', error);
+    throw error;
   }
 }
 
@@ -119,8 +123,10 @@ export const getAllApplicationsColumn = async () => {
  * @async
  * @function getApplicationsForVacancyId
  * @param {number|string} reqVacancy_id - The vacancy ID to filter applications by
- * @returns {Promise<Array>} A promise that resolves to an array of application objects for the specified vacancy, or empty array if error occurs
- * @throws {Error} Logs error to console but returns empty array instead of throwing
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every application when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the applications for the specified vacancy,
+ * or an empty result if error occurs
+ * @throws {Error} Logs error to console but returns an empty result instead of throwing
  * 
  * @description This function fetches all applications for a specific vacancy and includes related data:
  * - Application: application_id, status, ai_reason
@@ -128,19 +134,19 @@ export const getAllApplicationsColumn = async () => {
  * - Vacancy: vacancy_id, title (filtered by the provided vacancy_id)
  * 
  * The function uses Sequelize associations with a WHERE clause to filter by vacancy ID.
- * If an error occurs, it logs the error and returns an empty array instead of throwing.
+ * If an error occurs, it logs the error and returns an empty result instead of throwing.
  * 
  * @example
  * // Get all applications for vacancy ID 456
- * const vacancyApplications = await getApplicationsForVacancyId(456);
- * console.log(`Found ${vacancyApplications.length} applications for this vacancy`);
+ * const { rows: vacancyApplications, total } = await getApplicationsForVacancyId(456);
+ * console.log(`Found ${total} applications for this vacancy`);
  * vacancyApplications.forEach(app => {
  *   console.log(`${app.Candidate.name} - Status: ${app.status}`);
  * });
  */
-export const getApplicationsForVacancyId = async (reqVacancy_id) => {
+export const getApplicationsForVacancyId = async (reqVacancy_id, listQuery) => {
   try {
-    const applications = await Application.findAll({
+    return await findPage(Application, listQuery, {
       attributes: ['application_id', 'status', 'ai_reason'],
       include: [
         {
@@ -154,11 +160,9 @@ export const getApplicationsForVacancyId = async (reqVacancy_id) => {
         },
       ],
     });
-
-    return applications;
   } catch (error) {
     console.error('Error fetching applications:', error);
-    return [];
+    return { rows: [], total: 0, nextCursor: null };
   }
 };
 
@@ -169,8 +173,10 @@ export const getApplicationsForVacancyId = async (reqVacancy_id) => {
  * @function getApplicationsForVacancyIdAndStatus
  * @param {number|string} reqVacancy_id - The vacancy ID to filter applications by
  * @param {string} status - The application status to filter by (e.g., 'pending', 'approved', 'rejected')
- * @returns {Promise<Array>} A promise that resolves to an array of application objects matching the vacancy ID and status, or empty array if error occurs
- * @throws {Error} Logs error to console but returns empty array instead of throwing
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every application when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the applications matching the vacancy ID
+ * and status, or an empty result if error occurs
+ * @throws {Error} Logs error to console but returns an empty result instead of throwing
  * 
  * @description This function fetches applications for a specific vacancy with a specific status and includes related data:
  * - Application: application_id, status, ai_reason (filtered by status)
@@ -178,23 +184,23 @@ export const getApplicationsForVacancyId = async (reqVacancy_id) => {
  * - Vacancy: vacancy_id, title (filtered by the provided vacancy_id)
  * 
  * The function uses Sequelize associations with WHERE clauses to filter by both vacancy ID and application status.
- * If an error occurs, it logs the error and returns an empty array instead of throwing.
+ * If an error occurs, it logs the error and returns an empty result instead of throwing.
  * 
  * @example
  * // Get all pending applications for vacancy ID 456
- * const pendingApplications = await getApplicationsForVacancyIdAndStatus(456, 'pending');
- * console.log(`Found ${pendingApplications.length} pending applications`);
+ * const { total } = await getApplicationsForVacancyIdAndStatus(456, 'pending');
+ * console.log(`Found ${total} pending applications`);
  * 
  * @example
  * // Get all approved applications for a specific vacancy
- * const approvedApplications = await getApplicationsForVacancyIdAndStatus(789, 'approved');
+ * const { rows: approvedApplications } = await getApplicationsForVacancyIdAndStatus(789, 'approved');
  * approvedApplications.forEach(app => {
  *   console.log(`Approved: ${app.Candidate.name} for ${app.Vacancy.title}`);
  * });
  */
-export const getApplicationsForVacancyIdAndStatus = async (reqVacancy_id, status) => {
+export const getApplicationsForVacancyIdAndStatus = async (reqVacancy_id, status, listQuery) => {
   try {
-    const applications = await Application.findAll({
+    return await findPage(Application, listQuery, {
       attributes: ['application_id', 'status', 'ai_reason'],
       where: { status },
       include: [
@@ -209,11 +215,9 @@ export const getApplicationsForVacancyIdAndStatus = async (reqVacancy_id, status
         },
       ],
     });
-
-    return applications;
   } catch (error) {
     console.error('Error fetching applications:', error);
-    return [];
+    return { rows: [], total: 0, nextCursor: null };
   }
 };
 
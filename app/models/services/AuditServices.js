@@ -0,0 +1,336 @@
+import { isDeepStrictEqual } from 'util';
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import AuditLog from '../entities/AuditLogEntity.js';
+import { getAuditActor } from '../../middleware/auditContext.js';
+import { findPage } from './PaginationServices.js';
+
+// Audited models by model name: entity name in the log, fields never written to the log
+// and fields whose changes alone are bookkeeping rather than a write worth recording
+const AUDITED_MODELS = {
+    Candidate: { entity: 'candidate', ignored: ['experience_years', 'experience_text', 'education_text'] },
+    CandidateShare: { entity: 'candidate_share' },
+    CandidateDuplicate: { entity: 'candidate_duplicate' },
+    CandidateMerge: { entity: 'candidate_merge' },
+    CandidateNote: { entity: 'candidate_note' },
+    CandidateFile: { entity: 'candidate_file' },
+    Tag: { entity: 'tag' },
+    CandidateTag: { entity: 'candidate_tag' },
+    TalentPool: { entity: 'talent_pool' },
+    TalentPoolCandidate: { entity: 'talent_pool_candidate' },
+    ErasureRequest: { entity: 'erasure_request' },
+    Vacancy: { entity: 'vacancy' },
+    Application: { entity: 'application' },
+    User: { entity: 'user', redacted: ['password'] },
+    Role: { entity: 'role' },
+    RolePermission: { entity: 'role_permission' },
+    Invitation: { entity: 'invitation', redacted: ['token_hash'] },
+    ApiKey: { entity: 'api_key', redacted: ['key_hash'], ignored: ['last_used_at'] },
+    UserTwoFactor: { entity: 'user_two_factor', redacted: ['secret_encrypted'], ignored: ['last_used_step'] }
+};
+
+const REDACTED = '[REDACTED]';
+
+// Stands in for personal data erased from existing entries
+const ERASED = '[ERASED]';
+
+let hooksRegistered = false;
+
+/**
+ * Returns the audit configuration of a model, or null if it is not audited
+ * @param {Object} model - Sequelize model class
+ * @returns {Object|null} Audit configuration
+ */
+const getAuditConfig = (model) => AUDITED_MODELS[model?.name] || null;
+
+/**
+ * Builds the value stored as entity_id; composite keys are joined with ':'
+ * @param {Object} instance - Model instance
+ * @returns {string} Primary key of the record
+ */
+const getEntityId = (instance) => instance.constructor.primaryKeyAttributes
+    .map(attribute => instance.get(attribute))
+    .join(':');
+
+/**
+ * Copies the given attributes of a record, redacting secrets
+ * @param {Object} values - Attribute values
+ * @param {Array<string>} attributes - Attributes to copy
+ * @param {Object} config - Audit configuration of the model
+ * @returns {Object} Plain object safe to store in the log
+ */
+const pickValues = (values, attributes, config) => Object.fromEntries(attributes.map(attribute => [
+    attribute,
+    config.redacted?.includes(attribute) && values[attribute] != null ? REDACTED : values[attribute] ?? null
+]));
+
+/**
+ * Writes one audit entry in the same transaction as the change it records
+ * @async
+ * @param {Object} config - Audit configuration of the model
+ * @param {string} entityId - Primary key of the record
+ * @param {string} action - 'create', 'update', 'delete', 'anonymize' or 'erase'
+ * @param {Object|null} before - Values before the change
+ * @param {Object|null} after - Values after the change
+ * @param {Object} options - Sequelize options of the write
+ * @returns {Promise<void>}
+ */
+const writeEntry = async (config, entityId, action, before, after, options) => {
+    // JSON round trip turns dates and buffers into plain values
+    await AuditLog.create({
+        ...getAuditActor(),
+        entity: config.entity,
+        entity_id: entityId,
+        action,
+        before: before && JSON.parse(JSON.stringify(before)),
+        after: after && JSON.parse(JSON.stringify(after))
+    }, { transaction: options?.transaction, hooks: false });
+};
+
+/**
+ * Records a create, update or delete of a single instance
+ * @async
+ * @param {string} action - 'create', 'update' or 'delete'
+ * @param {Object} instance - Model instance after the write
+ * @param {Object} options - Sequelize options of the write
+ * @param {Object|null} [previous] - Values before the write for updates, defaults to the instance's previous values
+ * @returns {Promise<void>}
+ */
+const recordInstance = async (action, instance, options, previous = instance._auditPrevious || instance._previousDataValues) => {
+    const config = getAuditConfig(instance.constructor);
+    if (!config) {
+        return;
+    }
+
+    const { updatedAt } = instance.constructor._timestampAttributes;
+    const attributes = Object.keys(instance.constructor.rawAttributes);
+    const values = instance.get({ plain: true });
+
+    if (action === 'create') {
+        return writeEntry(config, getEntityId(instance), action, null, pickValues(values, attributes, config), options);
+    }
+    if (action === 'delete') {
+        return writeEntry(config, getEntityId(instance), action, pickValues(values, attributes, config), null, options);
+    }
+
+    // Updates only keep the fields that actually changed
+    const changed = attributes.filter(attribute => attribute !== updatedAt && !isDeepStrictEqual(
+        JSON.parse(JSON.stringify(values[attribute] ?? null)),
+        JSON.parse(JSON.stringify(previous?.[attribute] ?? null))
+    ));
+    if (changed.length === 0 || changed.every(attribute => config.ignored?.includes(attribute))) {
+        return;
+    }
+
+    await writeEntry(
+        config,
+        getEntityId(instance),
+        action,
+        pickValues(previous || {}, changed, config),
+        pickValues(values, changed, config),
+        options
+    );
+};
+
+/**
+ * Builds the condition that finds the row an upsert is going to touch: its primary key, or else a unique field
+ * @param {Object} model - Sequelize model class
+ * @param {Object} values - Values passed to upsert
+ * @returns {Object|null} Where clause, or null if the upsert always inserts
+ */
+const getUpsertWhere = (model, values) => {
+    const { primaryKeyAttribute } = model;
+    if (values[primaryKeyAttribute] != null) {
+        return { [primaryKeyAttribute]: values[primaryKeyAttribute] };
+    }
+
+    const unique = Object.entries(model.rawAttributes)
+        .find(([attribute, definition]) => definition.unique && values[attribute] != null);
+    return unique ? { [unique[0]]: values[unique[0]] } : null;
+};
+
+/**
+ * Registers the global Sequelize hooks that write an audit entry for every create, update and delete
+ * of an audited model, whichever API the services use (instance methods, bulk update/destroy, upsert).
+ * Safe to call more than once.
+ * @function registerAuditHooks
+ * @returns {void}
+ */
+export const registerAuditHooks = () => {
+    if (hooksRegistered) {
+        return;
+    }
+    hooksRegistered = true;
+
+    // Bulk writes run per-instance hooks so each touched row gets its own entry
+    const expandBulkWrite = (options) => {
+        if (getAuditConfig(options.model)) {
+            options.individualHooks = true;
+        }
+    };
+    sequelize.addHook('beforeBulkCreate', (instances, options) => expandBulkWrite(options));
+    sequelize.addHook('beforeBulkUpdate', (options) => {
+        expandBulkWrite(options);
+        // Without RETURNING support Sequelize would treat the affected row count as the list of updated rows
+        if (options.individualHooks && !sequelize.dialect.supports.returnValues) {
+            options.returning = false;
+        }
+    });
+    sequelize.addHook('beforeBulkDestroy', expandBulkWrite);
+
+    // Bulk updates may save rows one by one, which resets their previous values before afterUpdate runs
+    sequelize.addHook('beforeUpdate', (instance) => {
+        if (getAuditConfig(instance.constructor)) {
+            instance._auditPrevious = { ...instance._previousDataValues };
+        }
+    });
+    sequelize.addHook('afterCreate', (instance, options) => recordInstance('create', instance, options));
+    sequelize.addHook('afterUpdate', async (instance, options) => {
+        await recordInstance('update', instance, options);
+        delete instance._auditPrevious;
+    });
+    sequelize.addHook('afterDestroy', (instance, options) => recordInstance('delete', instance, options));
+
+    // Upserts report neither the previous values nor whether they inserted, so look the row up around the write
+    sequelize.addHook('beforeUpsert', async (values, options) => {
+        if (!getAuditConfig(options.model)) {
+            return;
+        }
+        options.auditWhere = getUpsertWhere(options.model, values);
+        options.auditBefore = options.auditWhere
+            ? await options.model.findOne({ where: options.auditWhere, transaction: options.transaction })
+            : null;
+    });
+    sequelize.addHook('afterUpsert', async ([record], options) => {
+        if (!getAuditConfig(options.model)) {
+            return;
+        }
+        const where = options.auditWhere || (record.get(options.model.primaryKeyAttribute) != null
+            ? { [options.model.primaryKeyAttribute]: record.get(options.model.primaryKeyAttribute) }
+            : null);
+        const stored = where
+            ? await options.model.findOne({ where, transaction: options.transaction })
+            : record;
+
+        if (options.auditBefore) {
+            await recordInstance('update', stored, options, options.auditBefore.get({ plain: true }));
+        } else {
+            await recordInstance('create', stored, options);
+        }
+    });
+};
+
+// GET methods
+/**
+ * Retrieves audit entries, most recent first unless sorted otherwise
+ * @async
+ * @function getAuditLogs
+ * @param {Object} [filters={}] - Filters, all optional
+ * @param {number} [filters.actor_user_id] - Only changes made by this user
+ * @param {string} [filters.entity] - Only this kind of record, e.g. 'candidate'
+ * @param {string} [filters.entity_id] - Only this record (use together with entity)
+ * @param {string} [filters.action] - 'create', 'update', 'delete', 'anonymize' or 'erase'
+ * @param {Date} [filters.from] - Only changes made at or after this date
+ * @param {Date} [filters.to] - Only changes made at or before this date
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every entry when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor }
+ * @throws {Error} Throws an error if the database operation fails
+ * @example
+ * const { rows } = await getAuditLogs({ entity: 'candidate', entity_id: '42' }, req.listQuery);
+ */
+export const getAuditLogs = async (filters = {}, listQuery) => {
+    const { actor_user_id, entity, entity_id, action, from, to } = filters;
+    try {
+        const where = {};
+        if (actor_user_id !== undefined) where.actor_user_id = actor_user_id;
+        if (entity) where.entity = entity;
+        if (entity_id !== undefined) where.entity_id = String(entity_id);
+        if (action) where.action = action;
+        if (from || to) {
+            where.created_at = {
+                ...(from && { [Op.gte]: from }),
+                ...(to && { [Op.lte]: to })
+            };
+        }
+
+        return await findPage(AuditLog, listQuery, {
+            where,
+            order: [['audit_id', 'DESC']]
+        });
+    } catch (error) {
+        console.error('Error fetching audit logs:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Records an action on a record that is not a plain write of it, such as the erasure of a candidate,
+ * attributed like the writes recorded by the hooks
+ * @async
+ * @function recordAuditEvent
+ * @param {string} entity - Kind of record, e.g. 'candidate'
+ * @param {number|string} entityId - Primary key of the record
+ * @param {string} action - 'anonymize' or 'erase'
+ * @param {Object|null} details - What was done, stored as `after`
+ * @param {Object} [options={}] - Sequelize options, e.g. the transaction
+ * @returns {Promise<void>}
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const recordAuditEvent = async (entity, entityId, action, details, options = {}) => {
+    try {
+        await writeEntry({ entity }, String(entityId), action, null, details, options);
+    } catch (error) {
+        console.error('Error recording audit event:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Replaces personal data in the existing entries of some records with '[ERASED]', for the erasure and anonymization
+ * of candidates. This is the only change ever made to entries: who did what and when is kept.
+ * @async
+ * @function redactAuditEntries
+ * @param {string} entity - Kind of record, e.g. 'candidate_note'
+ * @param {Array<number|string>} entityIds - Primary keys of the records
+ * @param {Array<string>} fields - Fields to erase from `before` and `after`
+ * @param {Object} [options={}] - Sequelize options, e.g. the transaction
+ * @returns {Promise<number>} A promise that resolves to the number of entries changed
+ * @throws {Error} Throws an error if the database operation fails
+ * @example
+ * await redactAuditEntries('candidate_note', noteIds, ['content'], { transaction });
+ */
+export const redactAuditEntries = async (entity, entityIds, fields, options = {}) => {
+    const { transaction } = options;
+    try {
+        if (entityIds.length === 0) {
+            return 0;
+        }
+
+        const erase = (values) => values && Object.fromEntries(Object.entries(values).map(([field, value]) => [
+            field,
+            fields.includes(field) && value != null ? ERASED : value
+        ]));
+        const entries = await AuditLog.findAll({
+            where: { entity, entity_id: entityIds.map(String) },
+            transaction
+        });
+
+        let redacted = 0;
+        for (const entry of entries) {
+            const before = erase(entry.before);
+            const after = erase(entry.after);
+            if (isDeepStrictEqual(before, entry.before) && isDeepStrictEqual(after, entry.after)) {
+                continue;
+            }
+            // Skipping the hooks gets past the append-only guard of AuditLog
+            await AuditLog.update({ before, after }, { where: { audit_id: entry.audit_id }, hooks: false, transaction });
+            redacted++;
+        }
+        return redacted;
+    } catch (error) {
+        console.error('Error redacting audit entries:', error);
+        throw error;
+    }
+};
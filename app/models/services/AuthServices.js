@@ -1,5 +1,14 @@
+import jwt from 'jsonwebtoken';
+import sequelize from '../../../config/db_conn.js';
 import User from '../entities/UserEntity.js';
+import Role from '../entities/RolesEntity.js';
 import * as UserServices from './UserServices.js';
+import * as RefreshTokenServices from './RefreshTokenServices.js';
+import * as PasswordResetServices from './PasswordResetServices.js';
+import * as LoginThrottleServices from './LoginThrottleServices.js';
+import * as TwoFactorServices from './TwoFactorServices.js';
+import * as InvitationServices from './InvitationServices.js';
+import { sendMail, escapeHtml } from '../../mail/Mailer.js';
 
 /**
  * Authentication service class containing login and registration logic
@@ -14,9 +23,9 @@ export default class AuthServices {
      * @param {string} userData.name - User's full name
      * @param {string} userData.email - User's email address
      * @param {string} userData.password - User's plain text password
-     * @param {number} userData.role_id - User's role ID
+     * @param {number} [userData.role_id] - User's role ID (defaults to the DEFAULT_ROLE role, 'interviewer')
      * @returns {Promise<Object>} User object without password
-     * @throws {Error} Throws error if user already exists or registration fails
+     * @throws {Error} Throws error if user already exists, the role does not exist or registration fails
      */
     static async registerUser(userData) {
         const { email, password, name, role_id } = userData;
@@ -28,6 +37,14 @@ export default class AuthServices {
                 throw new Error('User already exists with this email');
             }
             
+            // Resolve the role: the given one must exist, otherwise use the least privileged default
+            const role = role_id
+                ? await Role.findByPk(role_id)
+                : await Role.findOne({ where: { name: process.env.DEFAULT_ROLE || 'interviewer' } });
+            if (!role) {
+                throw new Error(role_id ? 'Role not found' : 'Default role is not configured');
+            }
+            
             // Hash the password
             const hashedPassword = await User.hashPassword(password);
             
@@ -36,7 +53,7 @@ export default class AuthServices {
                 name,
                 email,
                 password: hashedPassword,
-                role_id: role_id || 1 // Default role if not provided
+                role_id: role.role_id
             });
             
             // Return user without password
@@ -50,28 +67,67 @@ export default class AuthServices {
     }
     
     /**
-     * Authenticates a user with email and password
+     * Whether anyone can create an account with POST /api/auth/register.
+     * Disabled unless ALLOW_OPEN_REGISTRATION is 'true'; users then join through invitations.
+     * @function isOpenRegistrationEnabled
+     * @returns {boolean} True if open self-registration is allowed
+     */
+    static isOpenRegistrationEnabled() {
+        return process.env.ALLOW_OPEN_REGISTRATION === 'true';
+    }
+    
+    /**
+     * Creates the account of an invited user with the password they chose
+     * @async
+     * @function acceptInvitation
+     * @param {string} token - Token from the invitation link
+     * @param {Object} userData - Data chosen by the invitee
+     * @param {string} userData.name - User's full name
+     * @param {string} userData.password - User's plain text password
+     * @returns {Promise<Object>} User object without password, with the invited email and role
+     * @throws {Error} 'Invalid or expired invitation', 'User already exists with this email' or a database error
+     */
+    static async acceptInvitation(token, { name, password }) {
+        const hashedPassword = await User.hashPassword(password);
+        return InvitationServices.acceptInvitation(token, {
+            name: name.trim(),
+            password: hashedPassword
+        });
+    }
+    
+    /**
+     * Authenticates a user with email and password.
+     * Failed attempts are counted per account and per IP address; once the limits are hit,
+     * attempts are refused before the password is checked.
      * @async
      * @function loginUser
      * @param {string} email - User's email address
      * @param {string} password - User's plain text password
+     * @param {string} [ipAddress] - Client IP address the attempt comes from
      * @returns {Promise<Object>} User object without password
-     * @throws {Error} Throws error if credentials are invalid
+     * @throws {Error} 'Too many failed login attempts' (with `retryAfter` in seconds) or 'Invalid email or password'
      */
-    static async loginUser(email, password) {
+    static async loginUser(email, password, ipAddress) {
         try {
+            const retryAfter = await LoginThrottleServices.getLoginRetryAfter(email, ipAddress);
+            if (retryAfter > 0) {
+                const error = new Error('Too many failed login attempts');
+                error.retryAfter = retryAfter;
+                throw error;
+            }
+            
             // Get user by email
             const user = await UserServices.getUserByEmail(email);
-            if (!user) {
-                throw new Error('Invalid email or password');
-            }
             
             // Verify password
-            const isValidPassword = await User.verifyPassword(user.password, password);
+            const isValidPassword = user && await User.verifyPassword(user.password, password);
             if (!isValidPassword) {
+                await LoginThrottleServices.recordFailedLogin(email, ipAddress);
                 throw new Error('Invalid email or password');
             }
             
+            await LoginThrottleServices.clearAccountThrottle(email);
+            
             // Return user without password
             const { password: _, ...userWithoutPassword } = user.toJSON();
             return userWithoutPassword;
@@ -82,6 +138,269 @@ export default class AuthServices {
         }
     }
     
+    /**
+     * Signs a short-lived JWT access token for an authenticated user
+     * @function generateAccessToken
+     * @param {Object} user - User object (with or without password)
+     * @param {number} user.user_id - User's ID, stored in the token payload
+     * @param {number} user.role_id - User's role ID, stored in the token payload
+     * @param {string} sessionId - Refresh token family the access token belongs to
+     * @returns {string} Signed JWT access token
+     * @throws {Error} Throws error if JWT_SECRET is not configured
+     */
+    static generateAccessToken(user, sessionId) {
+        if (!process.env.JWT_SECRET) {
+            throw new Error('JWT_SECRET is not configured');
+        }
+        
+        return jwt.sign(
+            { user_id: user.user_id, role_id: user.role_id, sid: sessionId },
+            process.env.JWT_SECRET,
+            { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+        );
+    }
+    
+    /**
+     * Starts a new session for an authenticated user
+     * @async
+     * @function createSession
+     * @param {Object} user - Authenticated user object
+     * @returns {Promise<Object>} Object with the access token and the refresh token
+     * @throws {Error} Throws error if the refresh token cannot be stored
+     */
+    static async createSession(user) {
+        const { token: refreshToken, familyId } = await RefreshTokenServices.issueRefreshToken(user.user_id);
+        
+        return {
+            token: AuthServices.generateAccessToken(user, familyId),
+            refreshToken
+        };
+    }
+    
+    /**
+     * Signs a short-lived token proving the password step of a login succeeded.
+     * It carries no session id, so verifyToken never accepts it as an access token.
+     * @function generateChallengeToken
+     * @param {Object} user - Authenticated user object
+     * @param {string} purpose - '2fa' to submit a code, '2fa_setup' to enroll before the first login
+     * @returns {string} Signed JWT challenge token
+     * @throws {Error} Throws error if JWT_SECRET is not configured
+     */
+    static generateChallengeToken(user, purpose) {
+        if (!process.env.JWT_SECRET) {
+            throw new Error('JWT_SECRET is not configured');
+        }
+        
+        return jwt.sign(
+            { user_id: user.user_id, purpose },
+            process.env.JWT_SECRET,
+            { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+        );
+    }
+    
+    /**
+     * Verifies a challenge token and loads its user
+     * @async
+     * @function verifyChallengeToken
+     * @param {string} challengeToken - Token returned by the login step
+     * @param {string} purpose - Purpose the token must have been issued for
+     * @returns {Promise<Object>} User object without password
+     * @throws {Error} 'Invalid or expired challenge token'
+     */
+    static async verifyChallengeToken(challengeToken, purpose) {
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        } catch {
+            throw new Error('Invalid or expired challenge token');
+        }
+        
+        const user = decoded.purpose === purpose && await UserServices.getUserById(decoded.user_id);
+        if (!user) {
+            throw new Error('Invalid or expired challenge token');
+        }
+        
+        const { password: _, ...userWithoutPassword } = user.toJSON();
+        return userWithoutPassword;
+    }
+    
+    /**
+     * Decides whether a login that passed the password check needs a second step
+     * @async
+     * @function getTwoFactorChallenge
+     * @param {Object} user - User returned by loginUser
+     * @returns {Promise<Object|null>} null when a session can be started right away, otherwise
+     * { twoFactorRequired, challengeToken } or { twoFactorSetupRequired, challengeToken } when the
+     * user's role requires two-factor authentication and the user has not enrolled yet
+     */
+    static async getTwoFactorChallenge(user) {
+        if (await TwoFactorServices.isTwoFactorEnabled(user.user_id)) {
+            return {
+                twoFactorRequired: true,
+                challengeToken: AuthServices.generateChallengeToken(user, '2fa')
+            };
+        }
+        
+        if (await TwoFactorServices.isTwoFactorRequiredForRole(user.role_id)) {
+            return {
+                twoFactorSetupRequired: true,
+                challengeToken: AuthServices.generateChallengeToken(user, '2fa_setup')
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Completes a two-step login with a TOTP code or a recovery code.
+     * Wrong codes count as failed logins for the account and IP address.
+     * @async
+     * @function verifyTwoFactorLogin
+     * @param {string} challengeToken - Token returned by the password step
+     * @param {Object} credentials - Second factor
+     * @param {string} [credentials.code] - Code from the authenticator app
+     * @param {string} [credentials.recoveryCode] - One-time recovery code
+     * @param {string} [ipAddress] - Client IP address the attempt comes from
+     * @returns {Promise<Object>} User object without password
+     * @throws {Error} 'Invalid or expired challenge token', 'Too many failed login attempts' or 'Invalid two-factor code'
+     */
+    static async verifyTwoFactorLogin(challengeToken, { code, recoveryCode }, ipAddress) {
+        const user = await AuthServices.verifyChallengeToken(challengeToken, '2fa');
+        
+        const retryAfter = await LoginThrottleServices.getLoginRetryAfter(user.email, ipAddress);
+        if (retryAfter > 0) {
+            const error = new Error('Too many failed login attempts');
+            error.retryAfter = retryAfter;
+            throw error;
+        }
+        
+        const isValid = code
+            ? await TwoFactorServices.verifyTotp(user.user_id, code)
+            : await TwoFactorServices.useRecoveryCode(user.user_id, recoveryCode);
+        if (!isValid) {
+            await LoginThrottleServices.recordFailedLogin(user.email, ipAddress);
+            throw new Error('Invalid two-factor code');
+        }
+        
+        await LoginThrottleServices.clearAccountThrottle(user.email);
+        return user;
+    }
+    
+    /**
+     * Turns two-factor authentication off after re-checking the password and a current code
+     * @async
+     * @function disableTwoFactor
+     * @param {Object} user - Authenticated user (with password hash)
+     * @param {string} password - Current password
+     * @param {string} code - Code from the authenticator app
+     * @returns {Promise<void>}
+     * @throws {Error} 'Two-factor authentication is required for your role', 'Current password is incorrect'
+     * or 'Invalid two-factor code'
+     */
+    static async disableTwoFactor(user, password, code) {
+        if (await TwoFactorServices.isTwoFactorRequiredForRole(user.role_id)) {
+            throw new Error('Two-factor authentication is required for your role');
+        }
+        
+        if (!(await User.verifyPassword(user.password, password))) {
+            throw new Error('Current password is incorrect');
+        }
+        
+        if (!(await TwoFactorServices.verifyTotp(user.user_id, code))) {
+            throw new Error('Invalid two-factor code');
+        }
+        
+        await TwoFactorServices.disableTwoFactor(user.user_id);
+    }
+    
+    /**
+     * Rotates a refresh token and issues a new access token for the same session
+     * @async
+     * @function refreshSession
+     * @param {string} refreshToken - Raw refresh token presented by the client
+     * @returns {Promise<Object>} Object with the new access token and the new refresh token
+     * @throws {Error} Throws error if the refresh token is invalid, expired or reused
+     */
+    static async refreshSession(refreshToken) {
+        const rotated = await RefreshTokenServices.rotateRefreshToken(refreshToken);
+        
+        const user = await UserServices.getUserById(rotated.user_id);
+        if (!user) {
+            await RefreshTokenServices.revokeFamily(rotated.familyId);
+            throw new Error('Invalid refresh token');
+        }
+        
+        return {
+            token: AuthServices.generateAccessToken(user, rotated.familyId),
+            refreshToken: rotated.token
+        };
+    }
+    
+    /**
+     * Emails a single-use password reset link if an account exists for the email.
+     * Unknown emails are ignored silently so the endpoint cannot be used to discover accounts.
+     * @async
+     * @function requestPasswordReset
+     * @param {string} email - Email address of the account
+     * @returns {Promise<void>}
+     * @throws {Error} Throws error if the token cannot be stored or the email cannot be sent
+     */
+    static async requestPasswordReset(email) {
+        const user = await UserServices.getUserByEmail(email);
+        if (!user) {
+            return;
+        }
+        
+        const { token, expiresAt } = await PasswordResetServices.createPasswordResetToken(user.user_id);
+        
+        const resetUrl = new URL(process.env.PASSWORD_RESET_URL || 'http://localhost:9000/reset-password');
+        resetUrl.searchParams.set('token', token);
+        
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your TalentTrack password',
+            text: `Hi ${user.name},\n\n`
+                + `Use the link below to choose a new password. It can be used once and expires at ${expiresAt.toISOString()}.\n\n`
+                + `${resetUrl}\n\n`
+                + 'If you did not request a password reset, you can ignore this email.',
+            html: `<p>Hi ${escapeHtml(user.name)},</p>`
+                + `<p>Use the link below to choose a new password. It can be used once and expires at ${expiresAt.toISOString()}.</p>`
+                + `<p><a href="${escapeHtml(resetUrl)}">Reset my password</a></p>`
+                + '<p>If you did not request a password reset, you can ignore this email.</p>'
+        });
+    }
+    
+    /**
+     * Sets a new password using a password reset token and ends every session of the user
+     * @async
+     * @function resetPassword
+     * @param {string} token - Raw token from the reset link
+     * @param {string} newPassword - New plain text password
+     * @returns {Promise<void>}
+     * @throws {Error} 'Invalid or expired reset token' if the token cannot be used
+     */
+    static async resetPassword(token, newPassword) {
+        // Hash first so a hashing failure does not burn the single-use token
+        const hashedPassword = await User.hashPassword(newPassword);
+        // The token is only used up if the password is changed
+        const userId = await sequelize.transaction(async (transaction) => {
+            const resetUserId = await PasswordResetServices.consumePasswordResetToken(token, { transaction });
+            await User.update(
+                { password: hashedPassword },
+                { where: { user_id: resetUserId }, transaction }
+            );
+            return resetUserId;
+        });
+        
+        await RefreshTokenServices.revokeAllUserTokens(userId);
+        
+        // Proving access to the mailbox lifts a lockout
+        const user = await UserServices.getUserById(userId);
+        if (user) {
+            await LoginThrottleServices.clearAccountThrottle(user.email);
+        }
+    }
+    
     /**
      * Validates user input for registration
      * @param {Object} userData - User data to validate
@@ -91,15 +410,15 @@ export default class AuthServices {
         const errors = [];
         const { name, email, password, role_id } = userData;
         
-        if (!name || name.trim().length < 2) {
+        if (typeof name !== 'string' || name.trim().length < 2) {
             errors.push('Name must be at least 2 characters long');
         }
         
-        if (!email || !email.includes('@')) {
+        if (typeof email !== 'string' || !email.includes('@')) {
             errors.push('Valid email is required');
         }
         
-        if (!password || password.length < 6) {
+        if (typeof password !== 'string' || password.length < 6) {
             errors.push('Password must be at least 6 characters long');
         }
         
@@ -113,6 +432,33 @@ export default class AuthServices {
         };
     }
     
+    /**
+     * Validates user input for accepting an invitation
+     * @param {Object} data - Invitation acceptance data to validate
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    static validateInvitationAcceptance(data) {
+        const errors = [];
+        const { token, name, password } = data;
+        
+        if (!token || typeof token !== 'string') {
+            errors.push('Invitation token is required');
+        }
+        
+        if (typeof name !== 'string' || name.trim().length < 2) {
+            errors.push('Name must be at least 2 characters long');
+        }
+        
+        if (typeof password !== 'string' || password.length < 6) {
+            errors.push('Password must be at least 6 characters long');
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+    
     /**
      * Validates user input for login
      * @param {Object} credentials - Login credentials to validate
@@ -122,11 +468,11 @@ export default class AuthServices {
         const errors = [];
         const { email, password } = credentials;
         
-        if (!email || !email.includes('@')) {
+        if (typeof email !== 'string' || !email.includes('@')) {
             errors.push('Valid email is required');
         }
         
-        if (!password) {
+        if (!password || typeof password !== 'string') {
             errors.push('Password is required');
         }
         
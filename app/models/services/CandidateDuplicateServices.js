@@ -0,0 +1,670 @@
+import { isDeepStrictEqual } from 'util';
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import Candidate from '../entities/CandidateEntity.js';
+import CandidateDuplicate from '../entities/CandidateDuplicateEntity.js';
+import CandidateMerge from '../entities/CandidateMergeEntity.js';
+import Application from '../entities/ApplicationEntity.js';
+import CandidateShares from '../entities/CandidateSharesEntity.js';
+import CandidateNote from '../entities/CandidateNoteEntity.js';
+import CandidateFile from '../entities/CandidateFileEntity.js';
+import Tag from '../entities/TagEntity.js';
+import CandidateTag from '../entities/CandidateTagEntity.js';
+import TalentPool from '../entities/TalentPoolEntity.js';
+import TalentPoolCandidate from '../entities/TalentPoolCandidateEntity.js';
+import { withDerivedFields } from './CandidateServices.js';
+import { findPage } from './PaginationServices.js';
+
+// Pairs scoring at least this much go to the review queue
+const DUPLICATE_THRESHOLD = 0.5;
+// Weight of each signal in the score of a pair (capped at 1)
+const SIGNAL_WEIGHTS = {
+    phone: 0.6,
+    name_and_date_of_birth: 0.7,
+    similar_name: 0.3,
+    similar_experience: 0.3
+};
+// Names at least this similar count as the same name, e.g. "Ana López" and "Ana Lopes Ruiz"
+const NAME_SIMILARITY = 0.85;
+// Share of companies two work histories must have in common to look alike
+const EXPERIENCE_SIMILARITY = 0.5;
+// Groups of candidates sharing a key (a common surname, a big employer...) larger than this are too generic to compare
+const MAX_BLOCK_SIZE = 200;
+
+/**
+ * Candidate fields a merge can take from either candidate.
+ * Notes, files, tags and talent pools are not among them: the merged candidate's always go to the survivor.
+ * @constant {Array<string>}
+ */
+export const MERGE_FIELDS = ['name', 'email', 'phone', 'date_of_birth', 'occupation', 'summary', 'experience', 'skills', 'languages', 'education'];
+
+// Candidate fields shown in the review queue
+const QUEUE_CANDIDATE_FIELDS = ['candidate_id', 'name', 'email', 'phone', 'date_of_birth', 'occupation'];
+
+/**
+ * Lower-cases a text and strips accents and punctuation
+ * @param {*} text - Text to normalize
+ * @returns {string} Words separated by single spaces
+ */
+const normalizeText = (text) => String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Normalizes a phone number so the same number written differently compares equal
+ * @param {string|null} phone - Phone number as stored, e.g. '+57 300 123 4567'
+ * @returns {string|null} Its last 10 digits (dropping country codes), or null when it has fewer than 7 digits
+ */
+export const normalizePhone = (phone) => {
+    const digits = String(phone ?? '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits turning a into b
+ */
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Similarity of two strings from 0 (nothing in common) to 1 (equal)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 1 minus the edit distance relative to the longer string
+ */
+const stringSimilarity = (a, b) => {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 1 : 1 - levenshtein(a, b) / length;
+};
+
+/**
+ * Similarity of two names, tolerating typos, accents and missing middle names or second surnames
+ * @param {Array<string>} a - Normalized words of the first name
+ * @param {Array<string>} b - Normalized words of the second name
+ * @returns {number} Similarity from 0 to 1
+ */
+const nameSimilarity = (a, b) => {
+    if (a.length === 0 || b.length === 0) {
+        return 0;
+    }
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    if (shorter.length === 1) {
+        return stringSimilarity(a.join(' '), b.join(' '));
+    }
+    // Share of the words of the shorter name found, give or take a typo, in the longer one
+    const found = shorter.filter(word => longer.some(other => stringSimilarity(word, other) >= 0.8)).length;
+    return found / shorter.length;
+};
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} Size of the intersection over the size of the union, 0 when either is empty
+ */
+const setSimilarity = (a, b) => {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+    const common = [...a].filter(item => b.has(item)).length;
+    return common / (a.size + b.size - common);
+};
+
+/**
+ * Extracts what duplicate detection compares from a candidate
+ * @param {Object} candidate - Candidate instance
+ * @returns {Object} Candidate ID, normalized phone, name words, date of birth and companies worked for
+ */
+const toProfile = (candidate) => ({
+    candidate_id: candidate.candidate_id,
+    phone: normalizePhone(candidate.phone),
+    nameWords: normalizeText(candidate.name).split(' ').filter(Boolean),
+    date_of_birth: candidate.date_of_birth || null,
+    companies: new Set((Array.isArray(candidate.experience) ? candidate.experience : [])
+        .map(entry => normalizeText(entry?.company))
+        .filter(Boolean))
+});
+
+/**
+ * Scores how likely two candidates are the same person
+ * @param {Object} a - Profile of the first candidate
+ * @param {Object} b - Profile of the second candidate
+ * @returns {Object} Score from 0 to 1 and the matching signals (keys of SIGNAL_WEIGHTS)
+ */
+const compareProfiles = (a, b) => {
+    const reasons = [];
+    if (a.phone && a.phone === b.phone) {
+        reasons.push('phone');
+    }
+    if (nameSimilarity(a.nameWords, b.nameWords) >= NAME_SIMILARITY) {
+        reasons.push(a.date_of_birth && a.date_of_birth === b.date_of_birth ? 'name_and_date_of_birth' : 'similar_name');
+    }
+    if (setSimilarity(a.companies, b.companies) >= EXPERIENCE_SIMILARITY) {
+        reasons.push('similar_experience');
+    }
+    const score = Math.min(1, reasons.reduce((sum, reason) => sum + SIGNAL_WEIGHTS[reason], 0));
+    return { score: Number(score.toFixed(3)), reasons };
+};
+
+/**
+ * Lists the pairs of candidates worth comparing: those sharing a phone, a date of birth, a word of the name
+ * or a company. Comparing every candidate with every other would not scale.
+ * @param {Array<Object>} profiles - Profiles of every candidate
+ * @returns {Array<Array<Object>>} Pairs of profiles, lower candidate ID first
+ */
+const getCandidatePairs = (profiles) => {
+    const blocks = new Map();
+    const addToBlock = (key, profile) => {
+        if (!blocks.has(key)) {
+            blocks.set(key, []);
+        }
+        blocks.get(key).push(profile);
+    };
+    for (const profile of profiles) {
+        if (profile.phone) addToBlock(`phone:${profile.phone}`, profile);
+        if (profile.date_of_birth) addToBlock(`birth:${profile.date_of_birth}`, profile);
+        for (const word of new Set(profile.nameWords)) {
+            if (word.length >= 3) addToBlock(`name:${word}`, profile);
+        }
+        for (const company of profile.companies) {
+            addToBlock(`company:${company}`, profile);
+        }
+    }
+
+    const pairs = new Map();
+    for (const block of blocks.values()) {
+        if (block.length < 2 || block.length > MAX_BLOCK_SIZE) {
+            continue;
+        }
+        for (let i = 0; i < block.length; i++) {
+            for (let j = i + 1; j < block.length; j++) {
+                const [a, b] = block[i].candidate_id < block[j].candidate_id ? [block[i], block[j]] : [block[j], block[i]];
+                pairs.set(`${a.candidate_id}:${b.candidate_id}`, [a, b]);
+            }
+        }
+    }
+    return [...pairs.values()];
+};
+
+/**
+ * Serializes a pair of the review queue, with a numeric score
+ * @param {Object} duplicate - CandidateDuplicate instance
+ * @returns {Object} Plain pair object
+ */
+const toDuplicateJSON = (duplicate) => {
+    const data = duplicate.toJSON();
+    return data.score === undefined ? data : { ...data, score: Number(data.score) };
+};
+
+/**
+ * Gives the survivor of a merge the tags or talent pools of the merged candidate. Rows are keyed by candidate and
+ * tag or pool, so they are recreated for the survivor; those the survivor already has are only removed.
+ * @async
+ * @param {Object} model - CandidateTag or TalentPoolCandidate
+ * @param {string} key - 'tag_id' or 'pool_id'
+ * @param {number} mergedId - ID of the merged candidate
+ * @param {number} survivorId - ID of the survivor
+ * @param {Object} transaction - Transaction of the merge
+ * @returns {Promise<Object>} { moved, removed }, the merged candidate's rows, to put back on undo
+ */
+const moveCandidateLinks = async (model, key, mergedId, survivorId, transaction) => {
+    const survivorRows = await model.findAll({ where: { candidate_id: survivorId }, attributes: [key], transaction });
+    const taken = new Set(survivorRows.map(row => row[key]));
+    const links = { moved: [], removed: [] };
+    for (const row of await model.findAll({ where: { candidate_id: mergedId }, transaction })) {
+        const link = row.get({ plain: true });
+        await row.destroy({ transaction });
+        if (taken.has(link[key])) {
+            links.removed.push(link);
+        } else {
+            links.moved.push(link);
+            await model.create({ ...link, candidate_id: survivorId }, { transaction });
+        }
+    }
+    return links;
+};
+
+/**
+ * Gives the candidate recreated by an undo its tags or talent pools back (see moveCandidateLinks). Tags and pools
+ * deleted since the merge are skipped.
+ * @async
+ * @param {Object} model - CandidateTag or TalentPoolCandidate
+ * @param {Object} parent - Tag or TalentPool
+ * @param {string} key - 'tag_id' or 'pool_id'
+ * @param {Object} [links] - { moved, removed } recorded by the merge; absent for merges recorded before tags and pools existed
+ * @param {number} survivorId - ID of the survivor
+ * @param {Object} transaction - Transaction of the undo
+ * @returns {Promise<void>}
+ */
+const restoreCandidateLinks = async (model, parent, key, links, survivorId, transaction) => {
+    const { moved = [], removed = [] } = links ?? {};
+    for (const link of moved) {
+        await model.destroy({ where: { candidate_id: survivorId, [key]: link[key] }, transaction });
+    }
+    const all = [...moved, ...removed];
+    if (all.length === 0) {
+        return;
+    }
+    const existing = await parent.findAll({ where: { [key]: all.map(link => link[key]) }, attributes: [key], transaction });
+    const existingKeys = new Set(existing.map(row => row[key]));
+    for (const link of all.filter(link => existingKeys.has(link[key]))) {
+        await model.create(link, { transaction });
+    }
+};
+
+// GET methods
+/**
+ * Retrieves the review queue of possible duplicates with both candidates, highest score first unless sorted otherwise
+ * @async
+ * @function getCandidateDuplicates
+ * @param {string} [status='pending'] - 'pending' for the queue, 'dismissed' for pairs reviewers said differ
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every pair when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with pairs including `candidate`
+ * and `other_candidate`
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getCandidateDuplicates = async (status = 'pending', listQuery) => {
+    try {
+        const result = await findPage(CandidateDuplicate, listQuery, {
+            where: { status },
+            include: [
+                { model: Candidate, as: 'candidate', attributes: QUEUE_CANDIDATE_FIELDS },
+                { model: Candidate, as: 'other_candidate', attributes: QUEUE_CANDIDATE_FIELDS }
+            ],
+            order: [['score', 'DESC'], ['duplicate_id', 'ASC']]
+        });
+        return { ...result, rows: result.rows.map(toDuplicateJSON) };
+    } catch (error) {
+        console.error('Error fetching candidate duplicates:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retrieves the recorded merges, most recent first unless sorted otherwise. The `changes` of each merge,
+ * which hold the deleted candidate, are left out.
+ * @async
+ * @function getCandidateMerges
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every merge when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the merges and their surviving candidate
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getCandidateMerges = async (listQuery) => {
+    try {
+        return await findPage(CandidateMerge, listQuery && {
+            ...listQuery,
+            attributes: listQuery.attributes?.filter(field => field !== 'changes')
+        }, {
+            attributes: { exclude: ['changes'] },
+            include: [{ model: Candidate, as: 'survivor', attributes: ['candidate_id', 'name'] }],
+            order: [['merge_id', 'DESC']]
+        });
+    } catch (error) {
+        console.error('Error fetching candidate merges:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Duplicate detection job: compares the candidates that share a normalized phone, a date of birth, a word of
+ * the name or a company, and refreshes the review queue. New pairs are added, pending pairs that no longer
+ * match are removed, and dismissed pairs are left alone so they are not suggested again.
+ *
+ * @async
+ * @function detectCandidateDuplicates
+ * @returns {Promise<Object>} A promise that resolves to { scanned, pending, created, removed }
+ * @throws {Error} Throws an error if the database operation fails
+ *
+ * @description A pair scores the sum of its signals, capped at 1, and is queued from 0.5:
+ * same phone (0.6), similar name and same date of birth (0.7), similar name alone (0.3),
+ * similar work history (0.3).
+ *
+ * @example
+ * const { created } = await detectCandidateDuplicates();
+ */
+export const detectCandidateDuplicates = async () => {
+    try {
+        const candidates = await Candidate.findAll({
+            attributes: ['candidate_id', 'name', 'phone', 'date_of_birth', 'experience']
+        });
+
+        const found = new Map();
+        for (const [a, b] of getCandidatePairs(candidates.map(toProfile))) {
+            const match = compareProfiles(a, b);
+            if (match.score >= DUPLICATE_THRESHOLD) {
+                found.set(`${a.candidate_id}:${b.candidate_id}`, { candidate_id: a.candidate_id, other_candidate_id: b.candidate_id, ...match });
+            }
+        }
+
+        let created = 0;
+        let removed = 0;
+        const existing = await CandidateDuplicate.findAll();
+        for (const duplicate of existing) {
+            const key = `${duplicate.candidate_id}:${duplicate.other_candidate_id}`;
+            const match = found.get(key);
+            if (duplicate.status === 'dismissed') {
+                found.delete(key);
+            } else if (!match) {
+                await duplicate.destroy();
+                removed++;
+            } else {
+                found.delete(key);
+                if (Number(duplicate.score) !== match.score || !isDeepStrictEqual(duplicate.reasons, match.reasons)) {
+                    await duplicate.update({ score: match.score, reasons: match.reasons });
+                }
+            }
+        }
+        for (const match of found.values()) {
+            await CandidateDuplicate.create(match);
+            created++;
+        }
+
+        const pending = await CandidateDuplicate.count({ where: { status: 'pending' } });
+        return { scanned: candidates.length, pending, created, removed };
+    } catch (error) {
+        console.error('Error detecting candidate duplicates:', error);
+        throw error;
+    }
+};
+
+/**
+ * Merges a candidate into another one, field by field, and records the merge so it can be undone.
+ * The applications, shares, notes, files, tags and talent pool memberships of the merged candidate move to the survivor,
+ * and the merged candidate is deleted.
+ *
+ * @async
+ * @function mergeCandidates
+ * @param {number|string} survivorId - ID of the candidate that is kept
+ * @param {number|string} mergedId - ID of the candidate merged into it
+ * @param {Object<string, string>} [fieldChoices={}] - For each of MERGE_FIELDS, 'survivor' or 'duplicate' (the merged
+ * candidate); a field not listed keeps the survivor's value unless it is empty
+ * @param {number|null} [mergedBy=null] - ID of the user merging
+ * @returns {Promise<Object|null>} A promise that resolves to { merge, candidate } (the merge record without its changes and the
+ * updated survivor),
+ * or null if either candidate does not exist
+ * @throws {Error} 'Cannot merge a candidate into itself', 'Invalid merge fields' (with `fields`) or a database error
+ *
+ * @description When both candidates applied to the same vacancy the survivor's application is kept, the other one is
+ * removed (and restored on undo) and its shares, notes and files point to the survivor's. Shares that would then repeat one of the
+ * survivor's are removed the same way.
+ *
+ * @example
+ * const { merge } = await mergeCandidates(12, 48, { email: 'duplicate' }, req.user.user_id);
+ */
+export const mergeCandidates = async (survivorId, mergedId, fieldChoices = {}, mergedBy = null) => {
+    try {
+        const invalid = Object.entries(fieldChoices)
+            .filter(([field, choice]) => !MERGE_FIELDS.includes(field) || !['survivor', 'duplicate'].includes(choice))
+            .map(([field]) => field);
+        if (invalid.length > 0) {
+            const error = new Error('Invalid merge fields');
+            error.fields = invalid;
+            throw error;
+        }
+        if (Number(survivorId) === Number(mergedId)) {
+            throw new Error('Cannot merge a candidate into itself');
+        }
+
+        return await sequelize.transaction(async (transaction) => {
+            const survivor = await Candidate.unscoped().findByPk(survivorId, { transaction, lock: transaction.LOCK.UPDATE });
+            const merged = await Candidate.unscoped().findByPk(mergedId, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!survivor || !merged) {
+                return null;
+            }
+
+            // Survivor fields taking the merged candidate's value
+            const before = {};
+            const after = {};
+            for (const field of MERGE_FIELDS) {
+                const value = survivor[field];
+                const isEmpty = value == null || value === '' || (Array.isArray(value) && value.length === 0);
+                const choice = fieldChoices[field] ?? (isEmpty ? 'duplicate' : 'survivor');
+                if (choice === 'duplicate' && !isDeepStrictEqual(value, merged[field])) {
+                    before[field] = value;
+                    after[field] = merged[field];
+                }
+            }
+
+            // An application to a vacancy the survivor also applied to gives way to the survivor's
+            const survivorApplications = await Application.findAll({ where: { candidate_id: survivor.candidate_id }, transaction });
+            const survivorApplicationByVacancy = new Map(survivorApplications
+                .filter(application => application.vacancy_id != null)
+                .map(application => [application.vacancy_id, application.application_id]));
+            const applications = { moved: [], removed: [] };
+            const replacedApplications = new Map();
+            for (const application of await Application.findAll({ where: { candidate_id: merged.candidate_id }, transaction })) {
+                const replacement = survivorApplicationByVacancy.get(application.vacancy_id);
+                if (replacement) {
+                    replacedApplications.set(application.application_id, replacement);
+                    applications.removed.push(application.get({ plain: true }));
+                } else {
+                    applications.moved.push(application.application_id);
+                }
+            }
+
+            // Shares are moved before applications are removed, which would unlink them
+            const survivorShares = await CandidateShares.findAll({ where: { candidate_id: survivor.candidate_id }, transaction });
+            const shareKey = (share, applicationId) => `${share.sender_id}:${share.receiver_id}:${applicationId}`;
+            const takenShares = new Set(survivorShares.map(share => shareKey(share, share.application_id)));
+            const shares = { moved: [], removed: [] };
+            for (const share of await CandidateShares.findAll({ where: { candidate_id: merged.candidate_id }, transaction })) {
+                const applicationId = replacedApplications.get(share.application_id) ?? share.application_id;
+                if (takenShares.has(shareKey(share, applicationId))) {
+                    shares.removed.push(share.get({ plain: true }));
+                    await share.destroy({ transaction });
+                } else {
+                    takenShares.add(shareKey(share, applicationId));
+                    shares.moved.push({ share_id: share.share_id, application_id: share.application_id });
+                    await share.update({ candidate_id: survivor.candidate_id, application_id: applicationId }, { transaction });
+                }
+            }
+
+            // Notes too, before their application is removed
+            const notes = { moved: [] };
+            for (const note of await CandidateNote.findAll({ where: { candidate_id: merged.candidate_id }, transaction })) {
+                notes.moved.push({ note_id: note.note_id, application_id: note.application_id });
+                await note.update({
+                    candidate_id: survivor.candidate_id,
+                    application_id: replacedApplications.get(note.application_id) ?? note.application_id
+                }, { transaction, silent: true });
+            }
+
+            // Files as well, for the same reason
+            const files = { moved: [] };
+            for (const file of await CandidateFile.findAll({ where: { candidate_id: merged.candidate_id }, transaction })) {
+                files.moved.push({ candidate_file_id: file.candidate_file_id, application_id: file.application_id });
+                await file.update({
+                    candidate_id: survivor.candidate_id,
+                    application_id: replacedApplications.get(file.application_id) ?? file.application_id
+                }, { transaction });
+            }
+
+            const tags = await moveCandidateLinks(CandidateTag, 'tag_id', merged.candidate_id, survivor.candidate_id, transaction);
+            const pools = await moveCandidateLinks(TalentPoolCandidate, 'pool_id', merged.candidate_id, survivor.candidate_id, transaction);
+
+            if (applications.removed.length > 0) {
+                await Application.destroy({
+                    where: { application_id: applications.removed.map(application => application.application_id) },
+                    transaction
+                });
+            }
+            if (applications.moved.length > 0) {
+                await Application.update({ candidate_id: survivor.candidate_id }, {
+                    where: { application_id: applications.moved },
+                    transaction
+                });
+            }
+
+            // Deleted before the survivor takes its email, which is unique
+            const mergedCandidate = merged.get({ plain: true });
+            await CandidateDuplicate.destroy({
+                where: { [Op.or]: [{ candidate_id: merged.candidate_id }, { other_candidate_id: merged.candidate_id }] },
+                transaction
+            });
+            await merged.destroy({ transaction, revisionSource: 'merge' });
+            if (Object.keys(after).length > 0) {
+                await survivor.update(withDerivedFields(after), { transaction, revisionSource: 'merge' });
+            }
+
+            const merge = await CandidateMerge.create({
+                survivor_id: survivor.candidate_id,
+                merged_candidate_id: mergedCandidate.candidate_id,
+                changes: { survivor: { before, after }, candidate: mergedCandidate, applications, shares, notes, files, tags, pools },
+                merged_by: mergedBy
+            }, { transaction });
+
+            const { changes: _, ...mergeData } = merge.toJSON();
+            return {
+                merge: mergeData,
+                candidate: await Candidate.findByPk(survivor.candidate_id, { transaction })
+            };
+        });
+    } catch (error) {
+        console.error('Error merging candidates:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Takes a pair off the review queue because its candidates are different people; detection will not suggest it again
+ * @async
+ * @function dismissCandidateDuplicate
+ * @param {number|string} duplicateId - ID of the pair
+ * @param {number|null} [reviewedBy=null] - ID of the reviewer
+ * @returns {Promise<Object|null>} A promise that resolves to the dismissed pair, or null if not found
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const dismissCandidateDuplicate = async (duplicateId, reviewedBy = null) => {
+    try {
+        const duplicate = await CandidateDuplicate.findByPk(duplicateId);
+        if (!duplicate) {
+            return null;
+        }
+
+        if (duplicate.status !== 'dismissed') {
+            await duplicate.update({ status: 'dismissed', reviewed_by: reviewedBy, reviewed_at: new Date() });
+        }
+        return toDuplicateJSON(duplicate);
+    } catch (error) {
+        console.error('Error dismissing candidate duplicate:', error);
+        throw error;
+    }
+};
+
+/**
+ * Undoes a merge: recreates the merged candidate with its ID, gives it back its applications, shares, notes, files, tags
+ * and talent pools and restores the survivor's fields. Fields of the survivor edited since the merge keep their current value.
+ *
+ * @async
+ * @function undoCandidateMerge
+ * @param {number|string} mergeId - ID of the merge
+ * @param {number|null} [undoneBy=null] - ID of the user undoing the merge
+ * @returns {Promise<Object|null>} A promise that resolves to { merge, kept } (kept lists the survivor fields left as they are),
+ * or null if the merge does not exist
+ * @throws {Error} 'Merge already undone', 'Surviving candidate no longer exists', 'Email of the merged candidate is in use'
+ * or a database error
+ */
+export const undoCandidateMerge = async (mergeId, undoneBy = null) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const merge = await CandidateMerge.findByPk(mergeId, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!merge) {
+                return null;
+            }
+            if (merge.undone_at) {
+                throw new Error('Merge already undone');
+            }
+
+            const survivor = merge.survivor_id
+                ? await Candidate.unscoped().findByPk(merge.survivor_id, { transaction, lock: transaction.LOCK.UPDATE })
+                : null;
+            if (!survivor) {
+                throw new Error('Surviving candidate no longer exists');
+            }
+
+            const { survivor: fields, candidate, applications, shares, notes, files, tags, pools } = merge.changes;
+            const restore = {};
+            const kept = [];
+            for (const [field, value] of Object.entries(fields.after)) {
+                // JSON round trip so dates and JSON columns compare like the stored snapshot
+                const current = JSON.parse(JSON.stringify(survivor[field] ?? null));
+                if (isDeepStrictEqual(current, value ?? null)) {
+                    restore[field] = fields.before[field] ?? null;
+                } else {
+                    kept.push(field);
+                }
+            }
+            if (Object.keys(restore).length > 0) {
+                await survivor.update(withDerivedFields(restore), { transaction, revisionSource: 'merge' });
+            }
+
+            if (candidate.email && await Candidate.findOne({ where: { email: candidate.email }, transaction })) {
+                throw new Error('Email of the merged candidate is in use');
+            }
+            await Candidate.create(candidate, { transaction, revisionSource: 'merge' });
+
+            if (applications.moved.length > 0) {
+                await Application.update({ candidate_id: candidate.candidate_id }, {
+                    where: { application_id: applications.moved, candidate_id: survivor.candidate_id },
+                    transaction
+                });
+            }
+            for (const application of applications.removed) {
+                await Application.create(application, { transaction });
+            }
+            for (const { share_id, application_id } of shares.moved) {
+                await CandidateShares.update({ candidate_id: candidate.candidate_id, application_id }, {
+                    where: { share_id, candidate_id: survivor.candidate_id },
+                    transaction
+                });
+            }
+            for (const share of shares.removed) {
+                await CandidateShares.create(share, { transaction });
+            }
+            // Merges recorded before notes had their own table, or before files were kept, have none to move back
+            for (const { note_id, application_id } of notes?.moved ?? []) {
+                await CandidateNote.update({ candidate_id: candidate.candidate_id, application_id }, {
+                    where: { note_id, candidate_id: survivor.candidate_id },
+                    transaction,
+                    silent: true
+                });
+            }
+            for (const { candidate_file_id, application_id } of files?.moved ?? []) {
+                await CandidateFile.update({ candidate_id: candidate.candidate_id, application_id }, {
+                    where: { candidate_file_id, candidate_id: survivor.candidate_id },
+                    transaction
+                });
+            }
+            await restoreCandidateLinks(CandidateTag, Tag, 'tag_id', tags, survivor.candidate_id, transaction);
+            await restoreCandidateLinks(TalentPoolCandidate, TalentPool, 'pool_id', pools, survivor.candidate_id, transaction);
+
+            await merge.update({ undone_at: new Date(), undone_by: undoneBy }, { transaction });
+            const { changes: _, ...mergeData } = merge.toJSON();
+            return { merge: mergeData, kept };
+        });
+    } catch (error) {
+        console.error('Error undoing candidate merge:', error);
+        throw error;
+    }
+};
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import CandidateFile from '../entities/CandidateFileEntity.js';
+import StoredFile from '../entities/StoredFileEntity.js';
+import { getFileStorage } from '../../storage/FileStorage.js';
+import { detectFormat } from '../../extraction/TextExtraction.js';
+import { findPage } from './PaginationServices.js';
+
+const FILE_INCLUDE = { model: StoredFile, as: 'file', attributes: ['file_id', 'content_type', 'size'] };
+// Files stored or reused more recently than this are never deleted as unused: the upload may not have linked them yet
+const UNUSED_FILE_GRACE_MINUTES = 10;
+// Files no candidate or CV job links to
+const UNUSED_FILE_WHERE = {
+    [Op.and]: [
+        { file_id: { [Op.notIn]: sequelize.literal('(SELECT file_id FROM candidate_files)') } },
+        // CVs uploaded to a job that are not saved with a candidate yet
+        { file_id: { [Op.notIn]: sequelize.literal('(SELECT file_id FROM cv_job_files WHERE file_id IS NOT NULL)') } }
+    ]
+};
+
+/**
+ * Works out the content type of a file from its first bytes, since browsers often send a generic one,
+ * falling back to the one declared by the client
+ * @param {Buffer} buffer - Content of the file
+ * @param {string} [declaredType] - Content type sent with the upload
+ * @returns {string} MIME type
+ */
+const detectContentType = (buffer, declaredType) => {
+    return detectFormat(buffer)?.contentType || declaredType || 'application/octet-stream';
+};
+
+/**
+ * Stores a content once: a file already stored with the same hash is reused
+ * @async
+ * @function storeContent
+ * @param {Buffer} buffer - Content of the file
+ * @param {string} [declaredType] - Content type sent with the upload
+ * @returns {Promise<Object>} The StoredFile instance
+ */
+export const storeContent = async (buffer, declaredType) => {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const existing = await sequelize.transaction(async (transaction) => {
+        // Locked, so it is either deleted as unused before it is reused or kept by deleteUnusedFiles
+        const file = await StoredFile.findOne({ where: { sha256 }, lock: transaction.LOCK.UPDATE, transaction });
+        if (file) {
+            // Reused now: deleteUnusedFiles leaves it for the grace period, while the upload links it
+            file.changed('updated_at', true);
+            await file.save({ transaction });
+        }
+        return file;
+    });
+    if (existing) {
+        return existing;
+    }
+
+    const contentType = detectContentType(buffer, declaredType);
+    const storageKey = `files/${sha256.slice(0, 2)}/${sha256}`;
+    await getFileStorage().put(storageKey, buffer, { contentType });
+    try {
+        return await StoredFile.create({ sha256, storage_key: storageKey, content_type: contentType, size: buffer.length });
+    } catch (error) {
+        // Stored at the same time by another upload, under the same key
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return StoredFile.findOne({ where: { sha256 } });
+        }
+        throw error;
+    }
+};
+
+// GET methods
+/**
+ * Retrieves the files of a candidate, most recent first unless sorted otherwise
+ * @async
+ * @function getCandidateFiles
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every file when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor }, each row with its `file`
+ * (file_id, content_type, size)
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getCandidateFiles = async (candidateId, listQuery) => {
+    try {
+        return await findPage(CandidateFile, listQuery, {
+            where: { candidate_id: candidateId },
+            include: [FILE_INCLUDE],
+            order: [['candidate_file_id', 'DESC']]
+        });
+    } catch (error) {
+        console.error('Error fetching candidate files:', error);
+        throw error;
+    }
+};
+
+/**
+ * Reads a file of a candidate from the file storage
+ * @async
+ * @function getCandidateFileContent
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|string} fileId - ID of the stored file
+ * @returns {Promise<Object|null>} A promise that resolves to { body, content_type, size, name } (name is the file's name
+ * in its latest upload), or null if the file does not belong to the candidate
+ * @throws {Error} Throws an error if the database or storage operation fails
+ */
+export const getCandidateFileContent = async (candidateId, fileId) => {
+    try {
+        const link = await CandidateFile.findOne({
+            where: { candidate_id: candidateId, file_id: fileId },
+            include: [{ model: StoredFile, as: 'file' }],
+            order: [['candidate_file_id', 'DESC']]
+        });
+        if (!link) {
+            return null;
+        }
+
+        return {
+            body: await getFileStorage().get(link.file.storage_key),
+            content_type: link.file.content_type,
+            size: link.file.size,
+            name: link.original_name
+        };
+    } catch (error) {
+        console.error('Error reading candidate file:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Keeps an uploaded file of a candidate. The content is stored once however many times it is uploaded;
+ * uploading it again for the same candidate and application returns the existing link.
+ * @async
+ * @function attachCandidateFile
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {Object} upload - The uploaded file
+ * @param {Buffer} upload.buffer - Content of the file
+ * @param {string} upload.originalName - Name of the file as uploaded
+ * @param {string} [upload.contentType] - Content type sent with the upload; a recognised content wins over it
+ * @param {Object} [links={}] - What the file came with
+ * @param {number|null} [links.applicationId] - Application the file was uploaded for
+ * @param {number|null} [links.uploadedBy] - ID of the user uploading the file
+ * @returns {Promise<Object>} A promise that resolves to the CandidateFile instance, with its `file`
+ * @throws {Error} Throws an error if the database or storage operation fails
+ * @example
+ * await attachCandidateFile(candidateId, { buffer: file.buffer, originalName: file.originalname, contentType: file.mimetype },
+ *     { applicationId: application.application_id, uploadedBy: req.user.user_id });
+ */
+export const attachCandidateFile = async (candidateId, upload, links = {}) => {
+    const { buffer, originalName, contentType } = upload;
+    const { applicationId = null, uploadedBy = null } = links;
+    try {
+        const file = await storeContent(buffer, contentType);
+        const [link] = await CandidateFile.findOrCreate({
+            where: { candidate_id: candidateId, file_id: file.file_id, application_id: applicationId },
+            defaults: { original_name: originalName, uploaded_by: uploadedBy }
+        });
+        link.file = file;
+        return link;
+    } catch (error) {
+        console.error('Error attaching candidate file:', error);
+        throw error;
+    }
+};
+
+// DELETE methods
+/**
+ * Deletes the stored files no candidate or CV job links to any more, e.g. after candidates were deleted.
+ * Files stored or reused in the last minutes are kept, as are files an upload links to while they are being deleted.
+ * @async
+ * @function deleteUnusedFiles
+ * @returns {Promise<number>} A promise that resolves to the number of files deleted
+ * @throws {Error} Throws an error if the database or storage operation fails
+ */
+export const deleteUnusedFiles = async () => {
+    try {
+        const unusedWhere = () => ({
+            ...UNUSED_FILE_WHERE,
+            updated_at: { [Op.lt]: new Date(Date.now() - UNUSED_FILE_GRACE_MINUTES * 60 * 1000) }
+        });
+        const unused = await StoredFile.findAll({ where: unusedWhere(), attributes: ['file_id'] });
+        let deleted = 0;
+        for (const { file_id } of unused) {
+            deleted += await sequelize.transaction(async (transaction) => {
+                // Checked again under a lock, in case an upload reused or linked the file since
+                const file = await StoredFile.findOne({
+                    where: { ...unusedWhere(), file_id },
+                    lock: transaction.LOCK.UPDATE,
+                    transaction
+                });
+                if (!file) {
+                    return 0;
+                }
+                await file.destroy({ transaction });
+                // Removed before the commit, so an upload of the same content waits and stores it again
+                await getFileStorage().remove(file.storage_key);
+                return 1;
+            });
+        }
+        return deleted;
+    } catch (error) {
+        console.error('Error deleting unused files:', error);
+        throw error;
+    }
+};
@@ -0,0 +1,346 @@
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import Candidate from '../entities/CandidateEntity.js';
+import CandidateNote from '../entities/CandidateNoteEntity.js';
+import CandidateNoteEdit from '../entities/CandidateNoteEditEntity.js';
+import Application from '../entities/ApplicationEntity.js';
+import Vacancy from '../entities/VacanciesEntity.js';
+import User from '../entities/UserEntity.js';
+import { findPage } from './PaginationServices.js';
+
+/**
+ * Visibilities a note can have: 'team' for every user who can read the candidate, 'private' for its author only
+ * @constant {Array<string>}
+ */
+export const NOTE_VISIBILITIES = ['team', 'private'];
+
+// Fields of a note its author can change; every change keeps the previous version
+const EDITABLE_FIELDS = ['content', 'visibility', 'application_id', 'vacancy_id'];
+
+const AUTHOR_INCLUDE = { model: User, as: 'author', attributes: ['user_id', 'name'] };
+
+/**
+ * Builds the condition matching the notes a user may read
+ * @param {number|null} userId - ID of the reader
+ * @returns {Object} Sequelize where clause
+ */
+const visibleTo = (userId) => ({
+    [Op.or]: [{ visibility: 'team' }, ...(userId != null ? [{ author_id: userId }] : [])]
+});
+
+/**
+ * Serializes a note for API responses
+ * @param {Object} note - CandidateNote instance, with its author loaded
+ * @returns {Object} Plain note with `edited`, true once the note has been changed
+ */
+const toNoteJSON = (note) => {
+    const data = note.toJSON();
+    return { ...data, edited: new Date(data.updated_at).getTime() !== new Date(data.created_at).getTime() };
+};
+
+/**
+ * Finds a note of a candidate that a user may read
+ * @async
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|string} noteId - ID of the note
+ * @param {number|null} userId - ID of the reader
+ * @param {Object} [options] - Extra Sequelize options, e.g. the transaction
+ * @returns {Promise<Object|null>} The CandidateNote instance, or null
+ */
+const findVisibleNote = (candidateId, noteId, userId, options = {}) => CandidateNote.findOne({
+    where: { note_id: noteId, candidate_id: candidateId, ...visibleTo(userId) },
+    ...options
+});
+
+/**
+ * Checks the application and vacancy a note is about and fills in the vacancy of the application
+ * @async
+ * @param {number|string} candidateId - ID of the candidate of the note
+ * @param {Object} links - application_id and vacancy_id, either may be null
+ * @param {Object} [transaction] - Transaction of the write
+ * @returns {Promise<Object>} The links to store
+ * @throws {Error} 'Application not found for this candidate', 'Vacancy not found' or 'Application is for another vacancy'
+ */
+const resolveNoteLinks = async (candidateId, { application_id = null, vacancy_id = null }, transaction) => {
+    let vacancyId = vacancy_id;
+    if (application_id != null) {
+        const application = await Application.findOne({ where: { application_id, candidate_id: candidateId }, transaction });
+        if (!application) {
+            throw new Error('Application not found for this candidate');
+        }
+        if (vacancyId != null && application.vacancy_id != null && Number(vacancyId) !== application.vacancy_id) {
+            throw new Error('Application is for another vacancy');
+        }
+        vacancyId = vacancyId ?? application.vacancy_id;
+    }
+    if (vacancyId != null && !await Vacancy.findByPk(vacancyId, { transaction })) {
+        throw new Error('Vacancy not found');
+    }
+    return { application_id, vacancy_id: vacancyId };
+};
+
+/**
+ * Checks that a user may change a note: its author, or anyone for a note without author (e.g. migrated notes)
+ * @param {Object} note - CandidateNote instance
+ * @param {number|null} userId - ID of the user
+ * @throws {Error} 'Only the author can change this note'
+ */
+const assertCanChange = (note, userId) => {
+    if (note.author_id != null && note.author_id !== userId) {
+        throw new Error('Only the author can change this note');
+    }
+};
+
+// GET methods
+/**
+ * Retrieves the notes of a candidate that a user may read, with their author, newest first unless sorted otherwise.
+ * Replies are listed like any other note; their parent_note_id says which note they answer.
+ * @async
+ * @function getCandidateNotes
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|null} userId - ID of the reader; their private notes are included
+ * @param {Object} [filters={}] - Optional filters
+ * @param {number} [filters.application_id] - Only notes about this application
+ * @param {number} [filters.vacancy_id] - Only notes about this vacancy
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every note when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor }
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getCandidateNotes = async (candidateId, userId, filters = {}, listQuery) => {
+    const { application_id, vacancy_id } = filters;
+    try {
+        const result = await findPage(CandidateNote, listQuery, {
+            where: {
+                candidate_id: candidateId,
+                ...(application_id !== undefined && { application_id }),
+                ...(vacancy_id !== undefined && { vacancy_id }),
+                ...visibleTo(userId)
+            },
+            include: [AUTHOR_INCLUDE],
+            order: [['note_id', 'DESC']]
+        });
+        return { ...result, rows: result.rows.map(toNoteJSON) };
+    } catch (error) {
+        console.error('Error fetching candidate notes:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retrieves a note of a candidate that a user may read
+ * @async
+ * @function getCandidateNote
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|string} noteId - ID of the note
+ * @param {number|null} userId - ID of the reader
+ * @returns {Promise<Object|null>} A promise that resolves to the note, or null if it does not exist or is another user's private note
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getCandidateNote = async (candidateId, noteId, userId) => {
+    try {
+        const note = await findVisibleNote(candidateId, noteId, userId, { include: [AUTHOR_INCLUDE] });
+        return note ? toNoteJSON(note) : null;
+    } catch (error) {
+        console.error('Error fetching candidate note:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retrieves the previous versions of a note, most recent first unless sorted otherwise
+ * @async
+ * @function getCandidateNoteEdits
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|string} noteId - ID of the note
+ * @param {number|null} userId - ID of the reader
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every version when omitted
+ * @returns {Promise<Object|null>} A promise that resolves to { rows, total, nextCursor } with the versions and who replaced them
+ * (private versions only for the author), or null if the note does not exist or is another user's private note
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getCandidateNoteEdits = async (candidateId, noteId, userId, listQuery) => {
+    try {
+        const note = await findVisibleNote(candidateId, noteId, userId);
+        if (!note) {
+            return null;
+        }
+        return await findPage(CandidateNoteEdit, listQuery, {
+            // Versions written while the note was private stay with its author
+            where: { note_id: noteId, ...(note.author_id !== userId && { visibility: 'team' }) },
+            include: [{ model: User, as: 'editor', attributes: ['user_id', 'name'] }],
+            order: [['edit_id', 'DESC']]
+        });
+    } catch (error) {
+        console.error('Error fetching candidate note edits:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Writes a note about a candidate, or a reply to one of its notes
+ * @async
+ * @function createCandidateNote
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {Object} noteData - The note data object
+ * @param {string} noteData.content - Text of the note
+ * @param {string} [noteData.visibility='team'] - 'team' or 'private'
+ * @param {number|null} [noteData.parent_note_id] - Note replied to; replies to private notes must be private
+ * @param {number|null} [noteData.application_id] - Application of the candidate the note is about
+ * @param {number|null} [noteData.vacancy_id] - Vacancy the note is about, by default the application's
+ * @param {number|null} authorId - ID of the user writing the note
+ * @returns {Promise<Object|null>} A promise that resolves to the created note, or null if the candidate does not exist
+ * @throws {Error} 'Parent note not found', 'Cannot reply to a reply', 'Replies to a private note must be private',
+ * 'Application not found for this candidate', 'Application is for another vacancy', 'Vacancy not found' or a database error
+ * @example
+ * const note = await createCandidateNote(12, { content: 'Strong system design answers', application_id: 7 }, req.user.user_id);
+ */
+export const createCandidateNote = async (candidateId, noteData, authorId) => {
+    const { content, visibility = 'team', parent_note_id = null } = noteData;
+    try {
+        if (!await Candidate.findByPk(candidateId, { attributes: ['candidate_id'] })) {
+            return null;
+        }
+
+        if (parent_note_id != null) {
+            const parent = await findVisibleNote(candidateId, parent_note_id, authorId);
+            if (!parent) {
+                throw new Error('Parent note not found');
+            }
+            if (parent.parent_note_id != null) {
+                throw new Error('Cannot reply to a reply');
+            }
+            if (parent.visibility === 'private' && visibility !== 'private') {
+                throw new Error('Replies to a private note must be private');
+            }
+        }
+
+        const note = await CandidateNote.create({
+            candidate_id: candidateId,
+            parent_note_id,
+            author_id: authorId,
+            content,
+            visibility,
+            ...await resolveNoteLinks(candidateId, noteData)
+        });
+        return getCandidateNote(candidateId, note.note_id, authorId);
+    } catch (error) {
+        console.error('Error creating candidate note:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Edits a note; the version it replaces is kept in its history
+ * @async
+ * @function updateCandidateNote
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|string} noteId - ID of the note
+ * @param {Object} noteData - Fields to change: content, visibility, application_id and vacancy_id
+ * @param {number|null} userId - ID of the user editing the note
+ * @returns {Promise<Object|null>} A promise that resolves to the updated note, or null if it does not exist or is another user's
+ * private note
+ * @throws {Error} 'Only the author can change this note', the link errors of createCandidateNote or a database error
+ */
+export const updateCandidateNote = async (candidateId, noteId, noteData, userId) => {
+    try {
+        const updated = await sequelize.transaction(async (transaction) => {
+            const note = await findVisibleNote(candidateId, noteId, userId, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!note) {
+                return false;
+            }
+            assertCanChange(note, userId);
+
+            const changes = Object.fromEntries(EDITABLE_FIELDS
+                .filter(field => noteData[field] !== undefined)
+                .map(field => [field, noteData[field]]));
+            if ('application_id' in changes || 'vacancy_id' in changes) {
+                // A note moved to another application goes to that application's vacancy unless one is given
+                const movedApplication = 'application_id' in changes && changes.application_id != null;
+                Object.assign(changes, await resolveNoteLinks(candidateId, {
+                    application_id: 'application_id' in changes ? changes.application_id : note.application_id,
+                    vacancy_id: 'vacancy_id' in changes ? changes.vacancy_id : (movedApplication ? null : note.vacancy_id)
+                }, transaction));
+            }
+            if (!EDITABLE_FIELDS.some(field => field in changes && changes[field] !== note[field])) {
+                return true;
+            }
+
+            await CandidateNoteEdit.create({
+                note_id: note.note_id,
+                content: note.content,
+                visibility: note.visibility,
+                application_id: note.application_id,
+                vacancy_id: note.vacancy_id,
+                edited_by: userId
+            }, { transaction });
+            await note.update(changes, { transaction });
+            return true;
+        });
+
+        return updated ? getCandidateNote(candidateId, noteId, userId) : null;
+    } catch (error) {
+        console.error('Error updating candidate note:', error);
+        throw error;
+    }
+};
+
+/**
+ * Moves the content of the former candidates.notes column into notes visible to the team, one per candidate,
+ * and empties the column. Safe to run more than once; does nothing once the column has been dropped.
+ * @async
+ * @function migrateLegacyNotes
+ * @returns {Promise<number>} A promise that resolves to the number of notes created
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const migrateLegacyNotes = async () => {
+    try {
+        const columns = await sequelize.getQueryInterface().describeTable(Candidate.getTableName());
+        if (!columns.notes) {
+            return 0;
+        }
+
+        return await sequelize.transaction(async (transaction) => {
+            const rows = await sequelize.query(
+                "SELECT candidate_id, notes FROM candidates WHERE notes IS NOT NULL AND TRIM(notes) <> ''",
+                { type: sequelize.QueryTypes.SELECT, transaction }
+            );
+            for (const { candidate_id, notes } of rows) {
+                await CandidateNote.create({ candidate_id, content: notes.trim(), visibility: 'team' }, { transaction });
+            }
+            await sequelize.query('UPDATE candidates SET notes = NULL WHERE notes IS NOT NULL', { transaction });
+            return rows.length;
+        });
+    } catch (error) {
+        console.error('Error migrating candidate notes:', error);
+        throw error;
+    }
+};
+
+// DELETE methods
+/**
+ * Deletes a note and the replies to it
+ * @async
+ * @function deleteCandidateNote
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|string} noteId - ID of the note
+ * @param {number|null} userId - ID of the user deleting the note
+ * @returns {Promise<boolean>} A promise that resolves to true, or false if the note does not exist or is another user's private note
+ * @throws {Error} 'Only the author can change this note' or a database error
+ */
+export const deleteCandidateNote = async (candidateId, noteId, userId) => {
+    try {
+        const note = await findVisibleNote(candidateId, noteId, userId);
+        if (!note) {
+            return false;
+        }
+        assertCanChange(note, userId);
+
+        await note.destroy();
+        return true;
+    } catch (error) {
+        console.error('Error deleting candidate note:', error);
+        throw error;
+    }
+};
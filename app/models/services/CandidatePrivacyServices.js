@@ -0,0 +1,490 @@
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import Candidate from '../entities/CandidateEntity.js';
+import Application from '../entities/ApplicationEntity.js';
+import Vacancy from '../entities/VacanciesEntity.js';
+import CandidateShares from '../entities/CandidateSharesEntity.js';
+import CandidateNote from '../entities/CandidateNoteEntity.js';
+import CandidateNoteEdit from '../entities/CandidateNoteEditEntity.js';
+import CandidateFile from '../entities/CandidateFileEntity.js';
+import StoredFile from '../entities/StoredFileEntity.js';
+import CandidateRevision from '../entities/CandidateRevisionEntity.js';
+import CandidateDuplicate from '../entities/CandidateDuplicateEntity.js';
+import CandidateMerge from '../entities/CandidateMergeEntity.js';
+import Tag from '../entities/TagEntity.js';
+import CandidateTag from '../entities/CandidateTagEntity.js';
+import TalentPool from '../entities/TalentPoolEntity.js';
+import TalentPoolCandidate from '../entities/TalentPoolCandidateEntity.js';
+import ErasureRequest from '../entities/ErasureRequestEntity.js';
+import CvJobFile from '../entities/CvJobFileEntity.js';
+import User from '../entities/UserEntity.js';
+import { getFileStorage } from '../../storage/FileStorage.js';
+import { findPage } from './PaginationServices.js';
+import { withDerivedFields } from './CandidateServices.js';
+import { deleteUnusedFiles } from './CandidateFileServices.js';
+import { recordAuditEvent, redactAuditEntries } from './AuditServices.js';
+
+/**
+ * Statuses of an erasure request
+ * @constant {Array<string>}
+ */
+export const ERASURE_STATUSES = ['pending', 'completed', 'rejected'];
+
+// Version of the export layout, raised whenever a field is renamed or removed
+const EXPORT_FORMAT_VERSION = 1;
+
+// Fields of the audit entries of each kind of record that hold personal data of the candidate
+const PERSONAL_AUDIT_FIELDS = {
+    candidate: [
+        'name', 'email', 'phone', 'date_of_birth', 'summary', 'experience', 'education', 'experience_text', 'education_text'
+    ],
+    candidate_note: ['content'],
+    candidate_file: ['original_name'],
+    application: ['ai_reason'],
+    candidate_merge: ['changes']
+};
+
+const USER_ATTRIBUTES = ['user_id', 'name'];
+
+/**
+ * Strips the personal data from candidate fields while keeping what statistics need: contact details, name and
+ * summary go, experience keeps the position and duration of each entry, education keeps the degree, and the search text
+ * derived from both goes (the candidate derives it again from what is kept).
+ * Only the fields present in `values` are returned, so it also works on partial snapshots.
+ * @param {Object} values - Candidate fields
+ * @returns {Object} The same fields, anonymized
+ */
+const anonymizeProfile = (values) => {
+    const keepKeys = (entries, keys) => Array.isArray(entries)
+        ? entries
+            .filter(entry => entry && typeof entry === 'object')
+            .map(entry => Object.fromEntries(keys.filter(key => entry[key] != null).map(key => [key, entry[key]])))
+        : null;
+
+    const anonymized = {};
+    for (const field of PERSONAL_AUDIT_FIELDS.candidate) {
+        if (field in values) {
+            anonymized[field] = null;
+        }
+    }
+    if ('experience' in values) {
+        anonymized.experience = keepKeys(values.experience, ['position', 'years']);
+    }
+    if ('education' in values) {
+        anonymized.education = keepKeys(values.education, ['degree']);
+    }
+    return anonymized;
+};
+
+/**
+ * Turns an uploaded file name into a safe path inside the export archive
+ * @param {Object} link - CandidateFile instance
+ * @returns {string} Path such as files/3-CV_Ana_Lopez.pdf
+ */
+const toArchivePath = (link) => {
+    const name = String(link.original_name || 'file').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/^\.+/, '_');
+    return `files/${link.candidate_file_id}-${name}`;
+};
+
+/**
+ * Finds the IDs of everything linked to a candidate that holds personal data of theirs
+ * @async
+ * @param {number} candidateId - ID of the candidate
+ * @param {Object} transaction - Transaction of the write
+ * @returns {Promise<Object>} { candidateIds, noteIds, fileIds, applicationIds, mergeIds }; candidateIds adds the
+ * candidates that were merged into this one, who are the same person
+ */
+const findPersonalRecords = async (candidateId, transaction) => {
+    const ids = async (model, key, where) => (await model.findAll({ where, attributes: [key], transaction }))
+        .map(row => row[key]);
+
+    const merges = await CandidateMerge.findAll({
+        where: { [Op.or]: [{ survivor_id: candidateId }, { merged_candidate_id: candidateId }] },
+        attributes: ['merge_id', 'merged_candidate_id'],
+        transaction
+    });
+    return {
+        candidateIds: [...new Set([candidateId, ...merges.map(merge => merge.merged_candidate_id)])],
+        noteIds: await ids(CandidateNote, 'note_id', { candidate_id: candidateId }),
+        fileIds: await ids(CandidateFile, 'candidate_file_id', { candidate_id: candidateId }),
+        applicationIds: await ids(Application, 'application_id', { candidate_id: candidateId }),
+        mergeIds: merges.map(merge => merge.merge_id)
+    };
+};
+
+/**
+ * Deletes the records of a candidate that are pure personal data: notes and their edits, files, the CV uploads
+ * the candidate was saved from, revisions and duplicate pairs. Hooks are skipped so their content is not copied into the audit log on the way out.
+ * @async
+ * @param {number} candidateId - ID of the candidate
+ * @param {Object} records - IDs found by findPersonalRecords
+ * @param {Object} transaction - Transaction of the write
+ * @returns {Promise<Object>} Number of records deleted by kind
+ */
+const deletePersonalRecords = async (candidateId, records, transaction) => {
+    const options = { hooks: false, transaction };
+    await CandidateNoteEdit.destroy({ where: { note_id: records.noteIds }, ...options });
+    // Replies first, as they point to the note they answer
+    await CandidateNote.destroy({ where: { candidate_id: candidateId, parent_note_id: { [Op.ne]: null } }, ...options });
+    await CandidateNote.destroy({ where: { candidate_id: candidateId }, ...options });
+    return {
+        notes: records.noteIds.length,
+        files: await CandidateFile.destroy({ where: { candidate_id: candidateId }, ...options }),
+        cv_uploads: await CvJobFile.destroy({ where: { candidate_id: candidateId }, ...options }),
+        // Revisions of the merged candidates are kept by the merge, and hold their profile as well
+        revisions: await CandidateRevision.destroy({ where: { candidate_id: records.candidateIds }, ...options }),
+        duplicates: await CandidateDuplicate.destroy({
+            where: { [Op.or]: [{ candidate_id: candidateId }, { other_candidate_id: candidateId }] },
+            ...options
+        })
+    };
+};
+
+/**
+ * Erases the personal data of a candidate from the audit log
+ * @async
+ * @param {Object} records - IDs found by findPersonalRecords
+ * @param {Object} transaction - Transaction of the write
+ * @returns {Promise<number>} Number of audit entries changed
+ */
+const redactPersonalAuditEntries = async (records, transaction) => {
+    const entities = {
+        candidate: records.candidateIds,
+        candidate_note: records.noteIds,
+        candidate_file: records.fileIds,
+        application: records.applicationIds,
+        candidate_merge: records.mergeIds
+    };
+    let redacted = 0;
+    for (const [entity, entityIds] of Object.entries(entities)) {
+        redacted += await redactAuditEntries(entity, entityIds, PERSONAL_AUDIT_FIELDS[entity], { transaction });
+    }
+    return redacted;
+};
+
+// GET methods
+/**
+ * Gathers everything held about a candidate, for a data subject access request: profile, applications with their
+ * AI reasons, every note (private ones included) with its edits, shares, files, revisions, tags and talent pools
+ * @async
+ * @function exportCandidateData
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {Object} [options={}] - Export options
+ * @param {boolean} [options.withFileContents=false] - Also read the files from the file storage
+ * @returns {Promise<Object|null>} A promise that resolves to { data, files }, or null if the candidate does not exist.
+ * `data` is the JSON bundle; `files` lists { path, body } when withFileContents is set (each file entry of the bundle
+ * then has the same `path`), and is empty otherwise.
+ * @throws {Error} Throws an error if the database or storage operation fails
+ * @example
+ * const { data, files } = await exportCandidateData(12, { withFileContents: true });
+ */
+export const exportCandidateData = async (candidateId, options = {}) => {
+    const { withFileContents = false } = options;
+    try {
+        const candidate = await Candidate.findByPk(candidateId, {
+            include: [{ model: Tag, as: 'tags', attributes: ['tag_id', 'name'], through: { attributes: [] } }]
+        });
+        if (!candidate) {
+            return null;
+        }
+        const { tags, ...profile } = candidate.toJSON();
+
+        const applications = await Application.findAll({
+            where: { candidate_id: candidateId },
+            include: [{ model: Vacancy, attributes: ['vacancy_id', 'title'] }],
+            order: [['application_id', 'ASC']]
+        });
+        const notes = await CandidateNote.findAll({
+            where: { candidate_id: candidateId },
+            include: [{ model: User, as: 'author', attributes: USER_ATTRIBUTES }],
+            order: [['note_id', 'ASC']]
+        });
+        const edits = await CandidateNoteEdit.findAll({
+            where: { note_id: notes.map(note => note.note_id) },
+            order: [['edit_id', 'ASC']]
+        });
+        const shares = await CandidateShares.findAll({ where: { candidate_id: candidateId }, order: [['share_id', 'ASC']] });
+        const links = await CandidateFile.findAll({
+            where: { candidate_id: candidateId },
+            include: [{ model: StoredFile, as: 'file' }],
+            order: [['candidate_file_id', 'ASC']]
+        });
+        const pools = await TalentPool.findAll({
+            where: { pool_id: { [Op.in]: sequelize.literal(
+                `(SELECT pool_id FROM talent_pool_candidates WHERE candidate_id = ${sequelize.escape(candidate.candidate_id)})`
+            ) } },
+            attributes: ['pool_id', 'name'],
+            order: [['name', 'ASC']]
+        });
+        const revisions = await CandidateRevision.findAll({
+            where: { candidate_id: candidateId },
+            order: [['version', 'ASC']]
+        });
+
+        const files = [];
+        const contents = new Map();
+        const fileEntries = [];
+        for (const link of links) {
+            const entry = {
+                candidate_file_id: link.candidate_file_id,
+                original_name: link.original_name,
+                content_type: link.file.content_type,
+                size: link.file.size,
+                application_id: link.application_id,
+                uploaded_by: link.uploaded_by,
+                created_at: link.created_at
+            };
+            if (withFileContents) {
+                // The same content may be linked more than once, e.g. a CV sent for two vacancies
+                if (!contents.has(link.file_id)) {
+                    contents.set(link.file_id, await getFileStorage().get(link.file.storage_key));
+                }
+                entry.path = toArchivePath(link);
+                files.push({ path: entry.path, body: contents.get(link.file_id) });
+            }
+            fileEntries.push(entry);
+        }
+
+        return {
+            data: {
+                format_version: EXPORT_FORMAT_VERSION,
+                exported_at: new Date().toISOString(),
+                candidate: profile,
+                applications: applications.map(application => {
+                    const { Vacancy: vacancy, ...values } = application.toJSON();
+                    return { ...values, vacancy };
+                }),
+                notes: notes.map(note => ({
+                    ...note.toJSON(),
+                    edits: edits.filter(edit => edit.note_id === note.note_id).map(edit => edit.toJSON())
+                })),
+                shares: shares.map(share => share.toJSON()),
+                files: fileEntries,
+                revisions: revisions.map(revision => revision.toJSON()),
+                tags,
+                talent_pools: pools.map(pool => pool.toJSON())
+            },
+            files
+        };
+    } catch (error) {
+        console.error('Error exporting candidate data:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retrieves erasure requests, most recent first unless sorted otherwise
+ * @async
+ * @function getErasureRequests
+ * @param {string} [status] - Only requests with this status; every request when omitted
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every request when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the requests and the users
+ * who filed (`requester`) and resolved (`resolver`) them
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getErasureRequests = async (status, listQuery) => {
+    try {
+        return await findPage(ErasureRequest, listQuery, {
+            where: status ? { status } : {},
+            include: [
+                { model: User, as: 'requester', attributes: USER_ATTRIBUTES },
+                { model: User, as: 'resolver', attributes: USER_ATTRIBUTES }
+            ],
+            order: [['request_id', 'DESC']]
+        });
+    } catch (error) {
+        console.error('Error fetching erasure requests:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Files a request to erase a candidate, to be completed or rejected by someone with candidate:privacy
+ * @async
+ * @function createErasureRequest
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {Object} requestData - The request data object
+ * @param {string|null} [requestData.reason] - How the request came in
+ * @param {number|null} userId - ID of the user filing the request
+ * @returns {Promise<Object|null>} A promise that resolves to the request, or null if the candidate does not exist
+ * @throws {Error} 'Candidate already has a pending erasure request' or a database error
+ */
+export const createErasureRequest = async (candidateId, requestData, userId) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const candidate = await Candidate.findByPk(candidateId, { attributes: ['candidate_id'], transaction });
+            if (!candidate) {
+                return null;
+            }
+            const pending = await ErasureRequest.findOne({
+                where: { candidate_id: candidate.candidate_id, status: 'pending' },
+                transaction
+            });
+            if (pending) {
+                throw new Error('Candidate already has a pending erasure request');
+            }
+
+            const reason = typeof requestData.reason === 'string' && requestData.reason.trim() ? requestData.reason.trim() : null;
+            return ErasureRequest.create({ candidate_id: candidate.candidate_id, reason, requested_by: userId }, { transaction });
+        });
+    } catch (error) {
+        console.error('Error creating erasure request:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Anonymizes a candidate: the profile keeps what statistics need (occupation, skills, languages, positions and years
+ * of experience, degrees, applications and their statuses, tags and pools) and loses the rest. Notes, files, CV uploads,
+ * revisions and duplicate pairs are deleted, AI reasons cleared, merge snapshots anonymized the same way, and the personal data
+ * in the audit log erased. An 'anonymize' entry records who did it.
+ * @async
+ * @function anonymizeCandidate
+ * @param {number|string} candidateId - ID of the candidate
+ * @returns {Promise<Object|null>} A promise that resolves to the anonymized candidate, or null if not found
+ * @throws {Error} 'Candidate is already anonymized' or a database error
+ */
+export const anonymizeCandidate = async (candidateId) => {
+    try {
+        const anonymized = await sequelize.transaction(async (transaction) => {
+            const candidate = await Candidate.findByPk(candidateId, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!candidate) {
+                return null;
+            }
+            if (candidate.anonymized_at) {
+                throw new Error('Candidate is already anonymized');
+            }
+
+            const id = candidate.candidate_id;
+            const records = await findPersonalRecords(id, transaction);
+            const deleted = await deletePersonalRecords(id, records, transaction);
+
+            // Hooks are skipped so neither the audit log nor a revision keeps the profile being stripped
+            await candidate.update(
+                { ...withDerivedFields(anonymizeProfile(candidate.get({ plain: true }))), anonymized_at: new Date() },
+                { hooks: false, transaction }
+            );
+            await Application.update({ ai_reason: null }, { where: { candidate_id: id }, hooks: false, transaction });
+
+            for (const merge of await CandidateMerge.findAll({ where: { merge_id: records.mergeIds }, transaction })) {
+                const { survivor, candidate: mergedCandidate, applications, ...rest } = merge.changes;
+                await merge.update({
+                    changes: {
+                        ...rest,
+                        survivor: { before: anonymizeProfile(survivor.before), after: anonymizeProfile(survivor.after) },
+                        candidate: { ...mergedCandidate, ...anonymizeProfile(mergedCandidate) },
+                        applications: {
+                            ...applications,
+                            removed: applications.removed.map(application => ({ ...application, ai_reason: null }))
+                        }
+                    }
+                }, { hooks: false, transaction });
+            }
+
+            const redacted = await redactPersonalAuditEntries(records, transaction);
+            await recordAuditEvent('candidate', id, 'anonymize', { ...deleted, audit_entries: redacted }, { transaction });
+            return true;
+        });
+
+        if (!anonymized) {
+            return null;
+        }
+        // Files no other candidate has go from the storage as well
+        await deleteUnusedFiles();
+        return Candidate.findByPk(candidateId);
+    } catch (error) {
+        console.error('Error anonymizing candidate:', error);
+        throw error;
+    }
+};
+
+/**
+ * Completes an erasure request: the candidate is deleted with everything linked to it (applications, shares, notes,
+ * files, revisions, tags, pool memberships, duplicate pairs and merges), the personal data in the audit log is erased,
+ * and an 'erase' entry records the erasure without saying who was erased
+ * @async
+ * @function completeErasureRequest
+ * @param {number|string} requestId - ID of the request
+ * @param {number|null} userId - ID of the user completing the request
+ * @returns {Promise<Object|null>} A promise that resolves to the completed request, with the number of records erased
+ * by kind in `erased`, or null if not found
+ * @throws {Error} 'Erasure request is not pending' or a database error
+ */
+export const completeErasureRequest = async (requestId, userId) => {
+    try {
+        const request = await sequelize.transaction(async (transaction) => {
+            const request = await ErasureRequest.findByPk(requestId, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!request) {
+                return null;
+            }
+            if (request.status !== 'pending') {
+                throw new Error('Erasure request is not pending');
+            }
+
+            // The candidate may be gone already, e.g. deleted by hand; its traces are still erased
+            const id = request.candidate_id;
+            const records = await findPersonalRecords(id, transaction);
+            const options = { hooks: false, transaction };
+            const erased = {
+                ...await deletePersonalRecords(id, records, transaction),
+                tags: await CandidateTag.destroy({ where: { candidate_id: id }, ...options }),
+                talent_pools: await TalentPoolCandidate.destroy({ where: { candidate_id: id }, ...options }),
+                shares: await CandidateShares.destroy({ where: { candidate_id: id }, ...options }),
+                applications: await Application.destroy({ where: { candidate_id: id }, ...options }),
+                merges: await CandidateMerge.destroy({ where: { merge_id: records.mergeIds }, ...options }),
+                candidate: await Candidate.destroy({ where: { candidate_id: id }, ...options })
+            };
+            erased.audit_entries = await redactPersonalAuditEntries(records, transaction);
+
+            await request.update({ status: 'completed', resolved_by: userId, resolved_at: new Date(), erased }, { transaction });
+            await recordAuditEvent('candidate', id, 'erase', { request_id: request.request_id, erased }, { transaction });
+            return request;
+        });
+
+        if (request) {
+            await deleteUnusedFiles();
+        }
+        return request;
+    } catch (error) {
+        console.error('Error completing erasure request:', error);
+        throw error;
+    }
+};
+
+/**
+ * Rejects an erasure request, e.g. because the data must be kept for a legal claim; the candidate is not changed
+ * @async
+ * @function rejectErasureRequest
+ * @param {number|string} requestId - ID of the request
+ * @param {Object} resolution - The resolution data object
+ * @param {string|null} [resolution.note] - Why the request was rejected
+ * @param {number|null} userId - ID of the user rejecting the request
+ * @returns {Promise<Object|null>} A promise that resolves to the rejected request, or null if not found
+ * @throws {Error} 'Erasure request is not pending' or a database error
+ */
+export const rejectErasureRequest = async (requestId, resolution, userId) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const request = await ErasureRequest.findByPk(requestId, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!request) {
+                return null;
+            }
+            if (request.status !== 'pending') {
+                throw new Error('Erasure request is not pending');
+            }
+
+            const note = typeof resolution.note === 'string' && resolution.note.trim() ? resolution.note.trim() : null;
+            return request.update({
+                status: 'rejected',
+                resolved_by: userId,
+                resolved_at: new Date(),
+                resolution_note: note
+            }, { transaction });
+        });
+    } catch (error) {
+        console.error('Error rejecting erasure request:', error);
+        throw error;
+    }
+};
@@ -0,0 +1,307 @@
+// Limits that keep a single search from turning into an expensive query
+const MAX_QUERY_LENGTH = 500;
+const MAX_TERMS = 30;
+const MAX_DEPTH = 10;
+
+/**
+ * Fields of the candidate search language, by the names (and aliases) users type.
+ * 'contains' matches a case-insensitive substring, 'element' a whole entry of a JSON list,
+ * 'exact' the whole value; `compare` marks fields that also take >=, >, <=, < and =.
+ * @constant {Object<string, {field: string, match: string, compare?: boolean, pii?: boolean}>}
+ */
+export const QUERY_FIELDS = {
+    name: { field: 'name', match: 'contains' },
+    email: { field: 'email', match: 'exact', pii: true },
+    phone: { field: 'phone', match: 'exact', pii: true },
+    occupation: { field: 'occupation', match: 'contains' },
+    summary: { field: 'summary', match: 'contains' },
+    skill: { field: 'skill', match: 'element' },
+    skills: { field: 'skill', match: 'element' },
+    lang: { field: 'language', match: 'element', compare: true },
+    language: { field: 'language', match: 'element', compare: true },
+    languages: { field: 'language', match: 'element', compare: true },
+    experience: { field: 'experience', match: 'contains', compare: true },
+    education: { field: 'education', match: 'contains' }
+};
+
+/**
+ * Language levels from lowest to highest. CEFR codes and the words CVs usually use share a rank,
+ * so lang:English>=B2 also finds "Advanced" or "Native" speakers.
+ * @constant {Array<Array<string>>}
+ */
+export const LANGUAGE_LEVELS = [
+    ['a1', 'beginner', 'basic', 'básico', 'basico'],
+    ['a2', 'elementary', 'pre-intermediate'],
+    ['b1', 'intermediate', 'intermedio'],
+    ['b2', 'upper-intermediate', 'upper intermediate', 'intermedio alto'],
+    ['c1', 'advanced', 'fluent', 'avanzado'],
+    ['c2', 'proficient', 'proficiency', 'bilingual', 'bilingüe', 'bilingue'],
+    ['native', 'nativo', 'mother tongue', 'lengua materna']
+];
+
+const COMPARATORS = ['>=', '<=', '>', '<', '='];
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Builds the error thrown for an invalid query
+ * @param {Array<{position: number, message: string}>} errors - Problems found, positions are 0-based offsets in the query
+ * @returns {Error} Error with message 'Invalid search query' and `errors`
+ */
+const queryError = (errors) => {
+    const error = new Error('Invalid search query');
+    error.errors = errors;
+    return error;
+};
+
+/**
+ * Splits a query into tokens: parentheses, ':', comparators, quoted strings and bare words
+ * (keywords are bare words AND, OR and NOT in any case)
+ * @param {string} query - Raw query
+ * @returns {Array<{type: string, value: string, position: number}>} Tokens
+ * @throws {Error} 'Invalid search query' for an unterminated quote
+ */
+const tokenize = (query) => {
+    const tokens = [];
+    let i = 0;
+    while (i < query.length) {
+        const char = query[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, value: char, position: i });
+            i++;
+        } else if (char === ':') {
+            tokens.push({ type: ':', value: char, position: i });
+            i++;
+        } else if ('<>='.includes(char)) {
+            const value = COMPARATORS.find(op => query.startsWith(op, i));
+            tokens.push({ type: 'comparator', value, position: i });
+            i += value.length;
+        } else if (char === '"') {
+            let value = '';
+            let j = i + 1;
+            while (j < query.length && query[j] !== '"') {
+                // \" and \\ stand for a literal quote and backslash
+                if (query[j] === '\\' && j + 1 < query.length) {
+                    j++;
+                }
+                value += query[j];
+                j++;
+            }
+            if (j >= query.length) {
+                throw queryError([{ position: i, message: 'Unterminated quoted value' }]);
+            }
+            tokens.push({ type: 'string', value, position: i });
+            i = j + 1;
+        } else {
+            let j = i;
+            while (j < query.length && !/[\s():<>="]/.test(query[j])) {
+                j++;
+            }
+            const value = query.slice(i, j);
+            const type = KEYWORDS.includes(value.toUpperCase()) ? value.toUpperCase() : 'word';
+            tokens.push({ type, value, position: i });
+            i = j;
+        }
+    }
+    return tokens;
+};
+
+/**
+ * Parses a candidate search query into a syntax tree.
+ *
+ * Syntax:
+ * - `field:value` or `field:"quoted value"`, e.g. `skill:"Node.js"`, `occupation:intern`
+ * - `lang:English>=B2` compares the level of a language (CEFR codes or words such as Advanced or Native)
+ * - `experience>=5` compares the years of experience
+ * - a bare word or quoted phrase is looked for in the name, occupation, skills and languages (and the email)
+ * - `AND` (also implied between terms), `OR`, `NOT` and parentheses; NOT binds tighter than AND, AND tighter than OR
+ *
+ * Nodes are `{ type: 'and'|'or', children }`, `{ type: 'not', child }` and
+ * `{ type: 'term', field, match, value, comparator?, level?, position }` where field is null for free text.
+ * @function parseCandidateQuery
+ * @param {string} query - Query typed by the user
+ * @returns {Object} Object with the tree (`ast`) and the fields it uses (`fields`)
+ * @throws {Error} 'Invalid search query' with `errors`, a list of { position, message } (0-based offsets in the query)
+ * @example
+ * const { ast, fields } = parseCandidateQuery('skill:"Node.js" AND lang:English>=B2 AND experience>=5 AND NOT occupation:intern');
+ */
+export const parseCandidateQuery = (query) => {
+    if (typeof query !== 'string' || !query.trim()) {
+        throw queryError([{ position: 0, message: 'Query is empty' }]);
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw queryError([{ position: MAX_QUERY_LENGTH, message: `Query must be at most ${MAX_QUERY_LENGTH} characters` }]);
+    }
+
+    const tokens = tokenize(query);
+    const errors = [];
+    const fields = new Set();
+    let index = 0;
+    let terms = 0;
+
+    const peek = () => tokens[index];
+    const describe = (token) => (token ? `'${token.value}'` : 'end of query');
+    const syntaxError = (token, expected) => queryError([{
+        position: token ? token.position : query.length,
+        message: `Expected ${expected} but found ${describe(token)}`
+    }]);
+
+    /**
+     * Reads the value after ':' or a comparator; keywords are taken literally there
+     * @returns {Object} The value token
+     */
+    const parseValue = () => {
+        const token = peek();
+        if (!token || !['word', 'string', ...KEYWORDS].includes(token.type)) {
+            throw syntaxError(token, 'a value');
+        }
+        index++;
+        if (!token.value.trim()) {
+            errors.push({ position: token.position, message: 'Value is empty' });
+        }
+        return token;
+    };
+
+    /**
+     * Checks a language level and returns its rank
+     * @param {Object} token - Level token
+     * @returns {number} Rank in LANGUAGE_LEVELS, -1 when unknown
+     */
+    const levelRank = (token) => {
+        const rank = LANGUAGE_LEVELS.findIndex(labels => labels.includes(token.value.trim().toLowerCase()));
+        if (rank === -1) {
+            errors.push({
+                position: token.position,
+                message: `Unknown language level '${token.value}'; use ${LANGUAGE_LEVELS.map(labels => labels[0].toUpperCase()).join(', ')}`
+            });
+        }
+        return rank;
+    };
+
+    const parseTerm = () => {
+        const token = peek();
+        terms++;
+        if (terms > MAX_TERMS) {
+            throw queryError([{ position: token.position, message: `Query may have at most ${MAX_TERMS} terms` }]);
+        }
+
+        const next = tokens[index + 1];
+        if (token.type === 'word' && next && (next.type === ':' || next.type === 'comparator')) {
+            index += 2;
+            const definition = QUERY_FIELDS[token.value.toLowerCase()];
+            if (!definition) {
+                errors.push({
+                    position: token.position,
+                    message: `Unknown field '${token.value}'; fields: ${Object.keys(QUERY_FIELDS).join(', ')}`
+                });
+            } else {
+                fields.add(definition.field);
+            }
+            const value = parseValue();
+            const term = {
+                type: 'term',
+                field: definition?.field ?? null,
+                match: definition?.match,
+                value: value.value.trim(),
+                position: token.position
+            };
+
+            if (next.type === ':') {
+                // lang:English>=B2
+                if (peek()?.type === 'comparator') {
+                    const comparator = tokens[index++];
+                    const level = parseValue();
+                    if (definition && definition.field !== 'language') {
+                        errors.push({ position: comparator.position, message: 'Only languages have a level, e.g. lang:English>=B2' });
+                    }
+                    term.comparator = comparator.value;
+                    term.level = levelRank(level);
+                }
+                return term;
+            }
+
+            // experience>=5
+            if (definition && definition.field !== 'experience') {
+                errors.push({
+                    position: next.position,
+                    message: `'${token.value}' cannot be compared; only experience can, e.g. experience>=5`
+                });
+            }
+            const years = Number(term.value);
+            if (!Number.isFinite(years) || years < 0) {
+                errors.push({ position: value.position, message: 'Years of experience must be a non-negative number' });
+            }
+            return { ...term, match: 'compare', comparator: next.value, value: years };
+        }
+
+        if (token.type === 'word' || token.type === 'string') {
+            index++;
+            if (!token.value.trim()) {
+                errors.push({ position: token.position, message: 'Value is empty' });
+            }
+            return { type: 'term', field: null, match: 'contains', value: token.value.trim(), position: token.position };
+        }
+
+        throw syntaxError(token, 'a search term');
+    };
+
+    const startsOperand = (token) => token && ['word', 'string', '(', 'NOT'].includes(token.type);
+
+    let parseOr;
+
+    const parseUnary = (depth) => {
+        const token = peek();
+        if (token?.type === 'NOT') {
+            index++;
+            return { type: 'not', child: parseUnary(depth) };
+        }
+        if (token?.type === '(') {
+            if (depth >= MAX_DEPTH) {
+                throw queryError([{ position: token.position, message: `Parentheses may be nested at most ${MAX_DEPTH} deep` }]);
+            }
+            index++;
+            const node = parseOr(depth + 1);
+            const closing = peek();
+            if (closing?.type !== ')') {
+                throw syntaxError(closing, `')' to close the '(' at position ${token.position}`);
+            }
+            index++;
+            return node;
+        }
+        if (!startsOperand(token)) {
+            throw syntaxError(token, 'a search term');
+        }
+        return parseTerm();
+    };
+
+    const parseAnd = (depth) => {
+        const children = [parseUnary(depth)];
+        while (peek()?.type === 'AND' || startsOperand(peek())) {
+            if (peek().type === 'AND') {
+                index++;
+            }
+            children.push(parseUnary(depth));
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    parseOr = (depth) => {
+        const children = [parseAnd(depth)];
+        while (peek()?.type === 'OR') {
+            index++;
+            children.push(parseAnd(depth));
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const ast = parseOr(0);
+    if (index < tokens.length) {
+        throw syntaxError(peek(), 'AND, OR or end of query');
+    }
+    if (errors.length > 0) {
+        throw queryError(errors);
+    }
+
+    return { ast, fields: [...fields] };
+};
@@ -0,0 +1,293 @@
+import { isDeepStrictEqual } from 'util';
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import Candidate from '../entities/CandidateEntity.js';
+import CandidateRevision from '../entities/CandidateRevisionEntity.js';
+import User from '../entities/UserEntity.js';
+import { getAuditActor } from '../../middleware/auditContext.js';
+import { findPage } from './PaginationServices.js';
+import { withDerivedFields } from './CandidateServices.js';
+
+/**
+ * Candidate fields kept in each revision; derived fields follow from them.
+ * @constant {Array<string>}
+ */
+export const REVISION_FIELDS = ['name', 'email', 'phone', 'date_of_birth', 'occupation', 'summary', 'experience', 'skills', 'languages', 'education'];
+
+let hooksRegistered = false;
+
+/**
+ * Copies the revision fields of a candidate
+ * @param {Object} values - Candidate attribute values
+ * @returns {Object} Plain profile; JSON round trip so dates compare like stored ones
+ */
+const toProfile = (values) => JSON.parse(JSON.stringify(
+    Object.fromEntries(REVISION_FIELDS.map(field => [field, values?.[field] ?? null]))
+));
+
+/**
+ * Lists the fields that differ between two profiles
+ * @param {Object} profile - Newer profile
+ * @param {Object|null} previous - Older profile, null for the first revision
+ * @returns {Array<string>} Names of the fields that differ
+ */
+const getChangedFields = (profile, previous) => REVISION_FIELDS
+    .filter(field => !isDeepStrictEqual(profile[field] ?? null, previous?.[field] ?? null));
+
+/**
+ * Writes a revision for a candidate that was just saved, in the same transaction, unless its profile did not change
+ * @async
+ * @param {Object} candidate - Candidate instance after the write
+ * @param {Object} options - Sequelize options of the write; `revisionSource` and `restoredVersion` describe the change
+ * @param {Object|null} [previous=null] - Values before the write, null for an insert
+ * @returns {Promise<void>}
+ */
+const recordRevision = async (candidate, options, previous = null) => {
+    const { transaction } = options;
+    const candidateId = candidate.get('candidate_id');
+    const profile = toProfile(candidate.get({ plain: true }));
+
+    let latest = await CandidateRevision.findOne({
+        where: { candidate_id: candidateId },
+        order: [['version', 'DESC']],
+        transaction
+    });
+    if (!latest && previous) {
+        // First change of a candidate saved before revisions were kept: its profile until now becomes the first revision
+        const before = toProfile(previous);
+        if (getChangedFields(profile, before).length === 0) {
+            return;
+        }
+        latest = await CandidateRevision.create({
+            candidate_id: candidateId,
+            version: 1,
+            source: 'baseline',
+            profile: before,
+            changed_fields: getChangedFields(before, null)
+        }, { transaction });
+    }
+
+    const changed = getChangedFields(profile, latest?.profile);
+    if (latest && changed.length === 0) {
+        return;
+    }
+
+    await CandidateRevision.create({
+        candidate_id: candidateId,
+        version: (latest?.version ?? 0) + 1,
+        source: options.revisionSource || 'edit',
+        profile,
+        changed_fields: changed,
+        restored_version: options.restoredVersion ?? null,
+        author_id: getAuditActor().actor_user_id
+    }, { transaction });
+};
+
+/**
+ * Registers the Candidate hooks that write a revision whenever a candidate's profile changes, whichever API
+ * the services use (create, upsert, instance or bulk update). Writes say what made the change with the
+ * `revisionSource` option ('upload', 'edit', 'merge' or 'restore', 'edit' when omitted).
+ * Deleting a candidate deletes its history, except when a merge deletes it (an undo brings it back).
+ * Safe to call more than once.
+ * @function registerRevisionHooks
+ * @returns {void}
+ * @example
+ * await Candidate.update(data, { where: { candidate_id: id }, revisionSource: 'edit' });
+ */
+export const registerRevisionHooks = () => {
+    if (hooksRegistered) {
+        return;
+    }
+    hooksRegistered = true;
+
+    // Bulk writes run per-instance hooks so each touched candidate gets its own revision
+    Candidate.addHook('beforeBulkUpdate', (options) => {
+        options.individualHooks = true;
+        // Without RETURNING support Sequelize would treat the affected row count as the list of updated rows
+        if (!sequelize.dialect.supports.returnValues) {
+            options.returning = false;
+        }
+    });
+    Candidate.addHook('beforeBulkDestroy', (options) => {
+        options.individualHooks = true;
+    });
+
+    // Bulk updates may save rows one by one, which resets their previous values before afterUpdate runs
+    Candidate.addHook('beforeUpdate', (candidate) => {
+        candidate._revisionPrevious = { ...candidate._previousDataValues };
+    });
+    Candidate.addHook('afterCreate', (candidate, options) => recordRevision(candidate, options));
+    Candidate.addHook('afterUpdate', async (candidate, options) => {
+        await recordRevision(candidate, options, candidate._revisionPrevious || candidate._previousDataValues);
+        delete candidate._revisionPrevious;
+    });
+    Candidate.addHook('afterDestroy', async (candidate, options) => {
+        if (options.revisionSource !== 'merge') {
+            await CandidateRevision.destroy({ where: { candidate_id: candidate.candidate_id }, transaction: options.transaction });
+        }
+    });
+
+    // Upserts report neither the previous values nor the ID of an updated row, so look the row up around the write
+    const getUpsertWhere = (values) => {
+        if (values.candidate_id != null) return { candidate_id: values.candidate_id };
+        if (values.email != null) return { email: values.email };
+        return null;
+    };
+    Candidate.addHook('beforeUpsert', async (values, options) => {
+        options.revisionWhere = getUpsertWhere(values);
+        options.revisionBefore = options.revisionWhere
+            ? await Candidate.findOne({ where: options.revisionWhere, transaction: options.transaction })
+            : null;
+    });
+    Candidate.addHook('afterUpsert', async ([record], options) => {
+        const where = options.revisionWhere || (record.candidate_id != null ? { candidate_id: record.candidate_id } : null);
+        const stored = where ? await Candidate.findOne({ where, transaction: options.transaction }) : null;
+        if (stored) {
+            await recordRevision(stored, options, options.revisionBefore?.get({ plain: true }) ?? null);
+        }
+    });
+};
+
+// GET methods
+/**
+ * Retrieves the revisions of a candidate with their author, newest first unless sorted otherwise
+ * @async
+ * @function getCandidateRevisions
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every revision when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor }
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getCandidateRevisions = async (candidateId, listQuery) => {
+    try {
+        return await findPage(CandidateRevision, listQuery, {
+            where: { candidate_id: candidateId },
+            include: [{ model: User, as: 'author', attributes: ['user_id', 'name'] }],
+            order: [['revision_id', 'DESC']]
+        });
+    } catch (error) {
+        console.error('Error fetching candidate revisions:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retrieves one revision of a candidate with its author
+ * @async
+ * @function getCandidateRevision
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|string} version - Version of the revision
+ * @returns {Promise<Object|null>} A promise that resolves to the revision, or null if the candidate has no such revision
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getCandidateRevision = async (candidateId, version) => {
+    try {
+        return await CandidateRevision.findOne({
+            where: { candidate_id: candidateId, version },
+            include: [{ model: User, as: 'author', attributes: ['user_id', 'name'] }]
+        });
+    } catch (error) {
+        console.error('Error fetching candidate revision:', error);
+        throw error;
+    }
+};
+
+/**
+ * Compares two revisions of a candidate field by field
+ * @async
+ * @function diffCandidateRevisions
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|string} fromVersion - Older (or any) version
+ * @param {number|string} [toVersion] - Version to compare with, the latest one when omitted
+ * @returns {Promise<Object|null>} A promise that resolves to { candidate_id, from, to, changes } where from and to describe
+ * the revisions (without their profile) and changes lists { field, from, to } for every field that differs,
+ * or null if either revision does not exist
+ * @throws {Error} Throws an error if the database operation fails
+ * @example
+ * const { changes } = await diffCandidateRevisions(12, 1, 3);
+ * // [{ field: 'occupation', from: 'Developer', to: 'Senior Developer' }]
+ */
+export const diffCandidateRevisions = async (candidateId, fromVersion, toVersion) => {
+    try {
+        const from = await CandidateRevision.findOne({ where: { candidate_id: candidateId, version: fromVersion } });
+        const to = await CandidateRevision.findOne({
+            where: { candidate_id: candidateId, ...(toVersion !== undefined && { version: toVersion }) },
+            order: [['version', 'DESC']]
+        });
+        if (!from || !to) {
+            return null;
+        }
+
+        const describe = ({ profile: _, ...revision }) => revision;
+        return {
+            candidate_id: Number(candidateId),
+            from: describe(from.toJSON()),
+            to: describe(to.toJSON()),
+            changes: getChangedFields(to.profile, from.profile).map(field => ({
+                field,
+                from: from.profile[field] ?? null,
+                to: to.profile[field] ?? null
+            }))
+        };
+    } catch (error) {
+        console.error('Error comparing candidate revisions:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Brings a candidate's profile back to an earlier revision; the restore is itself recorded as a new revision
+ * @async
+ * @function restoreCandidateRevision
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|string} version - Version to restore
+ * @returns {Promise<Object|null>} A promise that resolves to { candidate, revision } with the updated candidate and the
+ * revision recording the restore (null when the profile already matched), or null if the candidate or revision does not exist
+ * @throws {Error} 'Email of the revision is in use' if another candidate has taken its email, or a database error
+ */
+export const restoreCandidateRevision = async (candidateId, version) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const candidate = await Candidate.findByPk(candidateId, { transaction, lock: transaction.LOCK.UPDATE });
+            const revision = candidate
+                ? await CandidateRevision.findOne({ where: { candidate_id: candidateId, version }, transaction })
+                : null;
+            if (!revision) {
+                return null;
+            }
+
+            const { email } = revision.profile;
+            if (email && await Candidate.findOne({
+                where: { email, candidate_id: { [Op.ne]: candidate.candidate_id } },
+                transaction
+            })) {
+                throw new Error('Email of the revision is in use');
+            }
+
+            const latest = await CandidateRevision.findOne({
+                where: { candidate_id: candidateId },
+                order: [['version', 'DESC']],
+                transaction
+            });
+            await candidate.update(withDerivedFields(revision.profile), {
+                transaction,
+                revisionSource: 'restore',
+                restoredVersion: revision.version
+            });
+            const created = await CandidateRevision.findOne({
+                where: { candidate_id: candidateId, version: { [Op.gt]: latest.version } },
+                order: [['version', 'DESC']],
+                transaction
+            });
+
+            return {
+                candidate: await Candidate.findByPk(candidateId, { transaction }),
+                revision: created
+            };
+        });
+    } catch (error) {
+        console.error('Error restoring candidate revision:', error);
+        throw error;
+    }
+};
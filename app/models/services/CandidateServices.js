@@ -1,35 +1,106 @@
 import Candidate from '../entities/CandidateEntity.js';
+import Application from '../entities/ApplicationEntity.js';
+import sequelize from '../../../config/db_conn.js';
 import { Op } from 'sequelize';
+import { findPage } from './PaginationServices.js';
+import { LANGUAGE_LEVELS } from './CandidateQueryServices.js';
+import { deleteUnusedFiles } from './CandidateFileServices.js';
+import { escapeHtml } from '../../mail/Mailer.js';
 
 // GET methods
 /**
- * Retrieves all candidates from the database ordered by most recent first.
+ * Retrieves candidates from the database one page at a time, most recent first unless sorted otherwise.
  *  
  * @async
  * @function getAllCandidates
- * @returns {Promise<Array>} A promise that resolves to an array of all candidate objects ordered by candidate_id in descending order
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every candidate when omitted
+ * @param {Object} [filters={}] - Optional filters, combined with AND
+ * @param {Array<number>} [filters.tagIds] - Only candidates with every one of these tags
+ * @param {number} [filters.poolId] - Only members of this static talent pool
+ * @param {Object} [filters.poolQuery] - Only candidates matching this syntax tree (from parseCandidateQuery), the saved
+ * query of a query talent pool
+ * @param {Object} [filters.query] - Only candidates matching this syntax tree (from parseCandidateQuery), typed by the user
+ * @param {boolean} [filters.includePii=true] - Whether free text in poolQuery and query matches the email address too
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } (see PaginationServices.findPage)
  * @throws {Error} Throws an error if the database query fails
  * 
- * @description This function fetches all candidates from the database and orders them by candidate_id in descending order,
+ * @description This function fetches candidates from the database, by default ordered by candidate_id in descending order,
  * showing the most recently created candidates first.
  * 
  * @example
- * // Get all candidates
- * const allCandidates = await getAllCandidates();
- * console.log(allCandidates); // Array of candidate objects
+ * // Get the first page of candidates
+ * const { rows, total } = await getAllCandidates(req.listQuery);
+ * console.log(`${rows.length} of ${total} candidates`);
+ * 
+ * // Candidates tagged both "silver medalist" (3) and "relocation ok" (5)
+ * const { rows: tagged } = await getAllCandidates(req.listQuery, { tagIds: [3, 5] });
  */
-export const getAllCandidates = async () => {
+export const getAllCandidates = async (listQuery, filters = {}) => {
+    const { tagIds = [], poolId, poolQuery, query, includePii = true } = filters;
+    const conditions = [];
+    if (tagIds.length > 0) {
+        const ids = [...new Set(tagIds.map(Number))];
+        conditions.push({ candidate_id: { [Op.in]: sequelize.literal(
+            `(SELECT candidate_id FROM candidate_tags WHERE tag_id IN (${ids.map(id => sequelize.escape(id)).join(', ')})` +
+            ` GROUP BY candidate_id HAVING COUNT(*) = ${ids.length})`
+        ) } });
+    }
+    if (poolId != null) {
+        conditions.push({ candidate_id: { [Op.in]: sequelize.literal(
+            `(SELECT candidate_id FROM talent_pool_candidates WHERE pool_id = ${sequelize.escape(Number(poolId))})`
+        ) } });
+    }
+    if (poolQuery) {
+        conditions.push(buildQueryCondition(poolQuery, includePii));
+    }
+    if (query) {
+        conditions.push(buildQueryCondition(query, includePii));
+    }
+
     try {
-        const candidates = await Candidate.findAll({
+        return await findPage(Candidate, listQuery, {
+            ...(conditions.length > 0 && { where: { [Op.and]: conditions } }),
             order: [['candidate_id', 'DESC']] // Order by most recent first
         });
-        return candidates;
     } catch (error) {
         console.error('Error fetching all candidates:', error);
         throw error;
     }
 };
 
+/**
+ * Summarizes the candidates for the candidate list: how many there are, how many applied to a vacancy,
+ * and the occupations and skills the list can be filtered by.
+ * 
+ * @async
+ * @function getCandidateFacets
+ * @returns {Promise<Object>} A promise that resolves to { total, with_applications, occupations, skills }; occupations
+ * and skills are sorted and appear once each
+ * @throws {Error} Throws an error if the database query fails
+ * 
+ * @example
+ * const { total, occupations } = await getCandidateFacets();
+ */
+export const getCandidateFacets = async () => {
+    const distinctSorted = (values) => [...new Set(values
+        .map(value => typeof value === 'string' ? value.trim() : value?.name?.trim())
+        .filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b));
+
+    try {
+        const candidates = await Candidate.findAll({ attributes: ['occupation', 'skills'] });
+        return {
+            total: candidates.length,
+            with_applications: await Application.count({ distinct: true, col: 'candidate_id' }),
+            occupations: distinctSorted(candidates.map(candidate => candidate.occupation)),
+            skills: distinctSorted(candidates.flatMap(candidate => Array.isArray(candidate.skills) ? candidate.skills : []))
+        };
+    } catch (error) {
+        console.error('Error fetching candidate facets:', error);
+        throw error;
+    }
+};
+
 /**
  * Retrieves a single candidate from the database by their unique ID.
  * 
@@ -127,42 +198,231 @@ export const getCandidateByName = async (name) => {
 };
 
 /**
- * Searches for candidates based on a query string across multiple fields.
- * The search is case-insensitive in MySQL by default.
+ * Splits candidate IDs into those of existing candidates and the others, e.g. to report the missing ones of a bulk action.
  * 
  * @async
- * @function searchCandidates
- * @param {string} query - The search query to match against candidate fields
- * @returns {Promise<Array>} A promise that resolves to an array of candidate objects matching the search criteria
+ * @function splitExistingCandidateIds
+ * @param {Array<number|string>} candidateIds - IDs of candidates
+ * @param {Object} [transaction] - Transaction to read in
+ * @returns {Promise<Object>} A promise that resolves to { found, notFound }, both without repeated IDs
  * @throws {Error} Throws an error if the database query fails
+ */
+export const splitExistingCandidateIds = async (candidateIds, transaction) => {
+    const ids = [...new Set(candidateIds.map(Number))];
+    try {
+        const rows = await Candidate.findAll({ where: { candidate_id: ids }, attributes: ['candidate_id'], transaction });
+        const existing = new Set(rows.map(row => row.candidate_id));
+        return { found: ids.filter(id => existing.has(id)), notFound: ids.filter(id => !existing.has(id)) };
+    } catch (error) {
+        console.error('Error checking candidate IDs:', error);
+        throw error;
+    }
+};
+
+/**
+ * Escapes the LIKE wildcards in user input so it is matched literally.
+ * @param {string} value - Raw user input
+ * @returns {string} Value safe to wrap in a LIKE pattern
+ */
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Builds a condition matching candidates whose column contains the text.
+ * JSON columns are compared as text, otherwise Sequelize would JSON-encode the pattern.
+ * @param {string} column - Candidate column
+ * @param {string} text - Text to look for (LIKE wildcards are matched literally)
+ * @returns {Object} Where condition
+ */
+const columnContains = (column, text) => {
+    const pattern = `%${escapeLike(text)}%`;
+    if (Candidate.rawAttributes[column].type.key === 'JSON') {
+        return sequelize.where(sequelize.cast(sequelize.col(column), 'CHAR'), { [Op.like]: pattern });
+    }
+    return { [column]: { [Op.like]: pattern } };
+};
+
+/**
+ * Fields getCandidatesByFilter accepts, mapped to the column they match and how.
+ * 'exact' compares the whole value, 'contains' matches a case-insensitive substring
+ * (for the JSON columns, anywhere in the stored JSON).
+ * @constant {Object<string, {column: string, match: string}>}
+ */
+export const CANDIDATE_FILTERS = {
+    name: { column: 'name', match: 'contains' },
+    email: { column: 'email', match: 'exact' },
+    phone: { column: 'phone', match: 'exact' },
+    occupation: { column: 'occupation', match: 'contains' },
+    skill: { column: 'skills', match: 'contains' },
+    language: { column: 'languages', match: 'contains' },
+    experience: { column: 'experience', match: 'contains' },
+    education: { column: 'education', match: 'contains' }
+};
+
+/**
+ * Turns user supplied filters into a where clause, accepting only the fields in CANDIDATE_FILTERS.
+ * @param {Object<string, string>} filters - Filter values by field name
+ * @returns {Object} Sequelize where clause combining every filter with AND
+ * @throws {Error} 'Unknown filter fields' (with `fields`) or 'Filter values must be non-empty strings' (with `fields`)
+ */
+const buildCandidateFilter = (filters) => {
+    const unknown = Object.keys(filters).filter(field => !Object.hasOwn(CANDIDATE_FILTERS, field));
+    if (unknown.length > 0) {
+        const error = new Error('Unknown filter fields');
+        error.fields = unknown;
+        throw error;
+    }
+
+    const invalid = Object.entries(filters)
+        .filter(([, value]) => typeof value !== 'string' || !value.trim())
+        .map(([field]) => field);
+    if (invalid.length > 0) {
+        const error = new Error('Filter values must be non-empty strings');
+        error.fields = invalid;
+        throw error;
+    }
+
+    return {
+        [Op.and]: Object.entries(filters).map(([field, value]) => {
+            const { column, match } = CANDIDATE_FILTERS[field];
+            return match === 'exact' ? { [column]: value.trim() } : columnContains(column, value.trim());
+        })
+    };
+};
+
+/**
+ * Makes a condition false, rather than NULL, for candidates without a value in the column,
+ * so that NOT in a search query keeps them.
+ * @param {string} column - Candidate column
+ * @param {Object} condition - Condition on the column
+ * @returns {Object} Where condition
+ */
+const whenPresent = (column, condition) => ({ [Op.and]: [{ [column]: { [Op.ne]: null } }, condition] });
+
+/**
+ * Builds a condition matching candidates whose JSON list column has an entry equal to the given one,
+ * ignoring case. Entries are compared whole, so "Java" does not match "JavaScript".
+ * @param {string} column - JSON column holding a list
+ * @param {Object} entry - sequelize.fn building the JSON entry (lower-cased), e.g. JSON_ARRAY('node.js')
+ * @returns {Object} Where condition
+ */
+const listContains = (column, entry) => sequelize.where(
+    sequelize.fn('JSON_CONTAINS', sequelize.fn('LOWER', sequelize.col(column)), entry),
+    1
+);
+
+// Sequelize operators for the comparators of the search language, and the same comparisons in JavaScript
+const COMPARATOR_OPS = { '>=': Op.gte, '>': Op.gt, '<=': Op.lte, '<': Op.lt, '=': Op.eq };
+const COMPARATOR_FNS = {
+    '>=': (a, b) => a >= b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '<': (a, b) => a < b,
+    '=': (a, b) => a === b
+};
+
+// Columns the search language reads for each of its fields
+const QUERY_COLUMNS = {
+    name: 'name',
+    email: 'email',
+    phone: 'phone',
+    occupation: 'occupation',
+    summary: 'summary',
+    skill: 'skills',
+    language: 'languages',
+    experience: 'experience',
+    education: 'education'
+};
+
+/**
+ * Turns a term of a parsed search query into a where condition
+ * @param {Object} term - Term node from parseCandidateQuery
+ * @param {boolean} includePii - Whether free text also matches the email address
+ * @returns {Object} Where condition
+ */
+const buildTermCondition = (term, includePii) => {
+    const value = typeof term.value === 'string' ? term.value.toLowerCase() : term.value;
+
+    if (term.field === null) {
+        const columns = ['name', 'email', 'occupation', 'skills', 'languages']
+            .filter(column => includePii || !PII_FIELDS.includes(column));
+        return { [Op.or]: columns.map(column => whenPresent(column, columnContains(column, term.value))) };
+    }
+
+    const column = QUERY_COLUMNS[term.field];
+    if (term.match === 'compare') {
+        return whenPresent('experience_years', { experience_years: { [COMPARATOR_OPS[term.comparator]]: term.value } });
+    }
+    if (term.field === 'skill') {
+        return whenPresent(column, listContains(column, sequelize.fn('JSON_ARRAY', value)));
+    }
+    if (term.field === 'language') {
+        if (term.comparator === undefined) {
+            return whenPresent(column, listContains(column, sequelize.fn('JSON_OBJECT', 'language', value)));
+        }
+        // Every way of writing a level that satisfies the comparison, e.g. >=B2 is B2, C1, Advanced, ...
+        const levels = LANGUAGE_LEVELS.filter((_, rank) => COMPARATOR_FNS[term.comparator](rank, term.level)).flat();
+        if (levels.length === 0) {
+            return sequelize.literal('FALSE');
+        }
+        return whenPresent(column, {
+            [Op.or]: levels.map(level => listContains(column, sequelize.fn('JSON_OBJECT', 'language', value, 'level', level)))
+        });
+    }
+    if (term.match === 'exact') {
+        return whenPresent(column, { [column]: term.value });
+    }
+    return whenPresent(column, columnContains(column, term.value));
+};
+
+/**
+ * Turns a parsed search query into a where clause
+ * @param {Object} node - Node from parseCandidateQuery
+ * @param {boolean} includePii - Whether free text also matches the email address
+ * @returns {Object} Sequelize where clause
+ */
+const buildQueryCondition = (node, includePii) => {
+    switch (node.type) {
+        case 'and':
+            return { [Op.and]: node.children.map(child => buildQueryCondition(child, includePii)) };
+        case 'or':
+            return { [Op.or]: node.children.map(child => buildQueryCondition(child, includePii)) };
+        case 'not':
+            return { [Op.not]: buildQueryCondition(node.child, includePii) };
+        default:
+            return buildTermCondition(node, includePii);
+    }
+};
+
+/**
+ * Searches for candidates with a query of the candidate search language (see CandidateQueryServices.parseCandidateQuery),
+ * e.g. `skill:"Node.js" AND lang:English>=B2 AND experience>=5 AND NOT occupation:intern`.
+ * Matching ignores case.
  * 
- * @description This function performs a case-insensitive search across candidate fields including:
- * - name
- * - email
- * - occupation
- * - skills
- * - languages
+ * @async
+ * @function searchCandidates
+ * @param {Object} ast - Syntax tree returned by parseCandidateQuery
+ * @param {Object} [options={}] - Search options
+ * @param {boolean} [options.includePii=true] - Whether free text matches the email address too; pass false for users without
+ * candidate:read_pii (who must not be allowed email: or phone: terms either)
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every match when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the matching candidates
+ * @throws {Error} Throws an error if the database query fails
  * 
- * The search uses the SQL LIKE operator with wildcards to find partial matches.
+ * @description Free text (a bare word or quoted phrase) is looked for in the name, email, occupation, skills
+ * and languages with LIKE; wildcards typed by the user are matched literally. `skill:` and `lang:` compare whole
+ * entries of the JSON lists, `experience>=N` compares the experience_years column.
  * 
  * @example
  * // Search for candidates with "Python" in skills or occupation
- * const results2 = await searchCandidates("Python");
+ * const { rows } = await searchCandidates(parseCandidateQuery("Python").ast);
  */
-export const searchCandidates = async (query) => {
+export const searchCandidates = async (ast, options = {}, listQuery) => {
+    const { includePii = true } = options;
     try {
-        const candidates = await Candidate.findAll({
-            where: {
-                [Op.or]: [
-                    { name: { [Op.like]: `%${query}%` } },
-                    { email: { [Op.like]: `%${query}%` } },
-                    { occupation: { [Op.like]: `%${query}%` } },
-                    { skills: { [Op.like]: `%${query}%` } },
-                    { languages: { [Op.like]: `%${query}%` } }
-                ]
-            }
+        return await findPage(Candidate, listQuery, {
+            where: buildQueryCondition(ast, includePii),
+            order: [['candidate_id', 'DESC']]
         });
-        return candidates;
     } catch (error) {
         console.error('Error searching candidates:', error);
         throw error;
@@ -170,37 +430,283 @@ export const searchCandidates = async (query) => {
 };
 
 /**
- * Retrieves candidates from the database based on the provided filter criteria.
+ * Retrieves candidates matching every given filter. Only the fields listed in
+ * CANDIDATE_FILTERS are accepted, so callers can pass query parameters straight through.
  * 
  * @async
  * @function getCandidatesByFilter
- * @param {Object} filter - The filter object containing criteria to search candidates
- * @returns {Promise<Array>} A promise that resolves to an array of candidate objects matching the filter
- * @throws {Error} Throws an error if the database query fails
- * 
- * @example
- * // Get candidates by status
- * const activeCandidates = await getCandidatesByFilter({ status: 'active' });
+ * @param {Object<string, string>} filters - Filter values by field name, e.g. { skill: 'React', language: 'English' }
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every match when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the candidates matching all filters
+ * @throws {Error} 'Unknown filter fields', 'Filter values must be non-empty strings' (both with `fields`) or a database error
  * 
  * @example
- * // Get candidates by multiple criteria
- * const filteredCandidates = await getCandidatesByFilter({ 
- *   status: 'active', 
- *   department: 'IT' 
- * });
+ * // Get React developers who speak English
+ * const { rows } = await getCandidatesByFilter({ skill: 'React', language: 'English' });
  */
-export const getCandidatesByFilter = async (filter) => {
+export const getCandidatesByFilter = async (filters, listQuery) => {
     try {
-        const candidates = await Candidate.findAll({
-            where: filter
+        return await findPage(Candidate, listQuery, {
+            where: buildCandidateFilter(filters),
+            order: [['candidate_id', 'DESC']]
         });
-        return candidates;
     } catch (error) {   
         console.error('Error fetching candidates by filter:', error);
         throw error;
     }
 };
 
+// Columns of the ft_candidates_profile FULLTEXT index, in its order (MATCH must name exactly these)
+const FULLTEXT_COLUMNS = ['occupation', 'summary', 'experience_text', 'education_text'];
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+// InnoDB ignores shorter words (innodb_ft_min_token_size), so they are not highlighted either
+const MIN_WORD_LENGTH = 3;
+
+/**
+ * Builds a snippet of a text around the first word of the search, with every searched word wrapped in <mark>.
+ * The rest of the snippet is HTML-escaped, so it can be inserted as HTML.
+ * @param {string|null} text - Text of a candidate field
+ * @param {RegExp|null} pattern - Global pattern matching any searched word
+ * @returns {string|null} Snippet, or null when the text has none of the words
+ */
+const highlightText = (text, pattern) => {
+    if (!text || !pattern) {
+        return null;
+    }
+    pattern.lastIndex = 0;
+    const first = pattern.exec(text);
+    // matchAll below starts where exec stopped otherwise
+    pattern.lastIndex = 0;
+    if (!first) {
+        return null;
+    }
+
+    let start = Math.max(0, first.index - SNIPPET_CONTEXT);
+    let end = Math.min(text.length, first.index + first[0].length + SNIPPET_CONTEXT);
+    // Do not cut words in half at the edges
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < first.index ? space + 1 : start;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > first.index + first[0].length ? space : end;
+    }
+
+    const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+    let snippet = '';
+    let last = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+        snippet += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    snippet += escapeHtml(excerpt.slice(last));
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Retrieves candidates whose occupation, summary, experience or education match a text, with a relevance
+ * score (MySQL full-text search in natural language mode) and highlighted snippets.
+ * 
+ * @async
+ * @function searchCandidatesFullText
+ * @param {string} text - Words to look for, e.g. 'kubernetes migration banking'
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; `score` may be used
+ * in its order. Every match, most relevant first, when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } where each row is a plain candidate
+ * with `score` and `highlights` ({ occupation, summary, experience, education }, each a snippet with <mark>ed words
+ * or null)
+ * @throws {Error} Throws an error if the database query fails
+ * 
+ * @description The index covers the occupation and summary columns and experience_text and education_text,
+ * which are derived from the experience and education JSON whenever a candidate is created or updated.
+ * 
+ * @example
+ * const { rows } = await searchCandidatesFullText('led a team of developers', req.listQuery);
+ * // rows[0].highlights.experience === 'Senior Engineer - GlobalSoft - <mark>Led</mark> a <mark>team</mark> of 5 <mark>developers</mark>'
+ */
+export const searchCandidatesFullText = async (text, listQuery) => {
+    const match = sequelize.literal(
+        `MATCH (${FULLTEXT_COLUMNS.join(', ')}) AGAINST (${sequelize.escape(text)} IN NATURAL LANGUAGE MODE)`
+    );
+    // The score is a computed column, so it is ordered by its alias
+    const order = (listQuery?.order ?? [['score', 'DESC'], ['candidate_id', 'ASC']])
+        .map(([field, dir]) => (field === 'score' ? [sequelize.literal('score'), dir] : [field, dir]));
+    // Snippets need the searched fields, whatever the projection
+    const sources = ['occupation', 'summary', 'experience', 'education'];
+    const page = listQuery && {
+        ...listQuery,
+        order,
+        attributes: listQuery.attributes && [...new Set([...listQuery.attributes, ...sources]), [match, 'score']]
+    };
+
+    try {
+        const result = await findPage(Candidate, page, {
+            attributes: { include: [[match, 'score']] },
+            where: sequelize.where(match, { [Op.gt]: 0 }),
+            order
+        });
+
+        // Words are letters and digits only, so they need no escaping in the pattern
+        const words = [...new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])]
+            .filter(word => word.length >= MIN_WORD_LENGTH);
+        const pattern = words.length > 0
+            ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+            : null;
+
+        const rows = result.rows.map(candidate => {
+            const data = candidate.toJSON();
+            const highlights = {
+                occupation: highlightText(data.occupation, pattern),
+                summary: highlightText(data.summary, pattern),
+                experience: highlightText(toSearchText(data.experience, SEARCH_TEXT_KEYS.experience), pattern),
+                education: highlightText(toSearchText(data.education, SEARCH_TEXT_KEYS.education), pattern)
+            };
+            const visible = listQuery?.attributes
+                ? Object.fromEntries(listQuery.attributes.map(field => [field, data[field]]))
+                : data;
+            return { ...visible, score: Number(Number(data.score).toFixed(4)), highlights };
+        });
+        return { ...result, rows };
+    } catch (error) {
+        console.error('Error running full-text candidate search:', error);
+        throw error;
+    }
+};
+
+/**
+ * Candidate fields hidden from users whose role lacks the candidate:read_pii permission.
+ * @constant {Array<string>}
+ */
+export const PII_FIELDS = ['email', 'phone', 'date_of_birth'];
+
+/**
+ * Returns a plain copy of a candidate with its contact details (PII_FIELDS) set to null.
+ * 
+ * @function redactCandidatePii
+ * @param {Object} candidate - Candidate model instance or plain object
+ * @returns {Object} Plain candidate object without contact details
+ * 
+ * @example
+ * const visible = canReadPii ? candidate : redactCandidatePii(candidate);
+ */
+export const redactCandidatePii = (candidate) => {
+    const data = typeof candidate.toJSON === 'function' ? candidate.toJSON() : { ...candidate };
+    for (const field of PII_FIELDS) {
+        if (field in data) {
+            data[field] = null;
+        }
+    }
+    return data;
+};
+
+/**
+ * Adds up the years of the work experience entries, as the CV extraction does for general_experience.
+ * An entry gives `years` as a number ("3", "3 years") or a range ("2015-2018", "2019-present").
+ * @param {*} experience - Experience JSON of a candidate
+ * @returns {number|null} Whole years of experience, or null when no entry says how long it lasted
+ */
+const getExperienceYears = (experience) => {
+    if (!Array.isArray(experience)) {
+        return null;
+    }
+
+    const currentYear = new Date().getFullYear();
+    let total = null;
+    for (const { years } of experience.filter(entry => entry && typeof entry === 'object')) {
+        let duration = null;
+        if (typeof years === 'number') {
+            duration = years;
+        } else if (typeof years === 'string') {
+            const range = years.match(/^\s*(\d{4})\s*(?:-|–|to)\s*(\d{4})?/i);
+            const amount = years.match(/^\s*(\d+(?:\.\d+)?)\s*(?:years?|yrs?|años?)?\s*$/i);
+            if (range) {
+                // An open range ("2019-present", "2019-actualidad") lasts until now
+                duration = (range[2] ? Number(range[2]) : currentYear) - Number(range[1]);
+            } else if (amount) {
+                duration = Number(amount[1]);
+            }
+        }
+        if (Number.isFinite(duration) && duration >= 0 && duration <= 80) {
+            total = (total ?? 0) + duration;
+        }
+    }
+    return total === null ? null : Math.round(total);
+};
+
+// Keys of the experience and education entries that go into the full-text index, in order
+const SEARCH_TEXT_KEYS = {
+    experience: ['position', 'company', 'description'],
+    education: ['degree', 'institution']
+};
+
+/**
+ * Flattens a JSON list of a candidate (experience, education) into plain text for the full-text index
+ * @param {*} entries - JSON list
+ * @param {Array<string>} keys - Keys of each entry to keep
+ * @returns {string|null} One line per entry, or null when there is no text
+ */
+const toSearchText = (entries, keys) => {
+    if (!Array.isArray(entries)) {
+        return null;
+    }
+
+    const lines = entries
+        .map(entry => {
+            if (typeof entry === 'string') {
+                return entry.trim();
+            }
+            if (!entry || typeof entry !== 'object') {
+                return '';
+            }
+            return keys
+                .map(key => entry[key])
+                .filter(value => typeof value === 'string' && value.trim())
+                .map(value => value.trim())
+                .join(' - ');
+        })
+        .filter(Boolean);
+    return lines.length > 0 ? lines.join('\n') : null;
+};
+
+/**
+ * Candidate columns the app derives from other fields when a candidate is saved; callers never set them.
+ * @constant {Array<string>}
+ */
+export const DERIVED_FIELDS = ['experience_years', 'experience_text', 'education_text'];
+
+/**
+ * Derives the columns that depend on the given fields
+ * @param {Object} data - Candidate fields being saved
+ * @returns {Object} Values of the DERIVED_FIELDS that depend on a field present in data
+ */
+const getDerivedFields = (data) => {
+    const derived = {};
+    if ('experience' in data) {
+        derived.experience_years = getExperienceYears(data.experience);
+        derived.experience_text = toSearchText(data.experience, SEARCH_TEXT_KEYS.experience);
+    }
+    if ('education' in data) {
+        derived.education_text = toSearchText(data.education, SEARCH_TEXT_KEYS.education);
+    }
+    return derived;
+};
+
+/**
+ * Prepares candidate data for an update: derived fields are never taken from the caller,
+ * they are derived again whenever the fields they depend on change.
+ * @function withDerivedFields
+ * @param {Object} updatedData - Fields to update
+ * @returns {Object} Fields to write
+ */
+export const withDerivedFields = (updatedData) => {
+    const data = Object.fromEntries(
+        Object.entries(updatedData).filter(([field]) => !DERIVED_FIELDS.includes(field))
+    );
+    return { ...data, ...getDerivedFields(data) };
+};
+
 // CREATE methods
 /**
  * Creates a new candidate in the database or updates an existing one if email already exists.
@@ -218,11 +724,14 @@ export const getCandidatesByFilter = async (filter) => {
  * @param {string} [candidate.skills] - The candidate's skills (comma-separated or formatted string)
  * @param {string} [candidate.languages] - Languages the candidate speaks
  * @param {string} [candidate.education] - The candidate's educational background
+ * @param {string} [source='upload'] - What the data comes from, recorded in the candidate's revision:
+ * 'upload' for the AI extraction of a CV, 'edit' for data entered by hand
  * @returns {Promise<number>} A promise that resolves to the candidate_id of the created or updated candidate
  * @throws {Error} Throws an error if the database operation fails
  * 
  * @description This function uses Sequelize's upsert method to handle INSERT ... ON DUPLICATE KEY UPDATE.
- * If a candidate with the same email already exists, their information will be updated.
+ * If a candidate with the same email already exists, their information will be updated; the profile it had is kept
+ * in the candidate's revisions (see CandidateRevisionServices).
  * If the email is unique, a new candidate record will be created.
  * All fields are optional and will be set to null if not provided.
  * 
@@ -238,7 +747,7 @@ export const getCandidatesByFilter = async (filter) => {
  * const candidateId = await createCandidate(candidateData);
  * console.log(`Candidate created with ID: ${candidateId}`);
  */
-export const createCandidate = async (candidate) => {
+export const createCandidate = async (candidate, source = 'upload') => {
     const {
         name,
         email,
@@ -262,12 +771,14 @@ export const createCandidate = async (candidate) => {
             occupation: occupation || null,
             summary: summary || null,
             experience: experience || null,
+            ...getDerivedFields({ experience, education }),
             skills: skills || null,
             languages: languages || null,
             education: education || null
         }, {
             conflictFields: ['email'], // Specify the unique field for conflict resolution
-            returning: true // Return the instance
+            returning: true, // Return the instance
+            revisionSource: source
         });
 
         return candidateInstance.candidate_id;
@@ -317,9 +828,8 @@ export const createCandidate = async (candidate) => {
  */
 export const updateCandidateById = async (id, updatedData) => {
     try {
-        const [updatedCandidate] = await Candidate.update(updatedData, {
-            where: { candidate_id: id },
-            returning: true
+        const [updatedCandidate] = await Candidate.update(withDerivedFields(updatedData), {
+            where: { candidate_id: id }
         });
         return updatedCandidate;
     } catch (error) {
@@ -365,9 +875,8 @@ export const updateCandidateById = async (id, updatedData) => {
  */
 export const updateCandidateByEmail = async (email, updatedData) => {
     try {
-        const [updatedCandidate] = await Candidate.update(updatedData, {
-            where: { email: email },
-            returning: true
+        const [updatedCandidate] = await Candidate.update(withDerivedFields(updatedData), {
+            where: { email: email }
         });
         return updatedCandidate;
     } catch (error) {
@@ -376,6 +885,46 @@ export const updateCandidateByEmail = async (email, updatedData) => {
     }
 };
 
+/**
+ * Derives the DERIVED_FIELDS again for every candidate, e.g. after adding one of them to an existing database.
+ * Safe to run more than once.
+ * 
+ * @async
+ * @function backfillDerivedFields
+ * @returns {Promise<number>} A promise that resolves to the number of candidates that changed
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const backfillDerivedFields = async () => {
+    const batchSize = 500;
+    let changed = 0;
+    let lastId = 0;
+    try {
+        for (;;) {
+            const candidates = await Candidate.unscoped().findAll({
+                attributes: ['candidate_id', 'experience', 'education', ...DERIVED_FIELDS],
+                where: { candidate_id: { [Op.gt]: lastId } },
+                order: [['candidate_id', 'ASC']],
+                limit: batchSize
+            });
+            if (candidates.length === 0) {
+                return changed;
+            }
+
+            for (const candidate of candidates) {
+                const derived = getDerivedFields({ experience: candidate.experience, education: candidate.education });
+                if (DERIVED_FIELDS.some(field => derived[field] !== candidate[field])) {
+                    await candidate.update(derived);
+                    changed++;
+                }
+            }
+            lastId = candidates[candidates.length - 1].candidate_id;
+        }
+    } catch (error) {
+        console.error('Error backfilling derived candidate fields:', error);
+        throw error;
+    }
+};
+
 // DELETE methods
 /**
  * Deletes a candidate from the database by their unique ID.
@@ -388,6 +937,7 @@ export const updateCandidateByEmail = async (email, updatedData) => {
  * 
  * @description This function permanently removes a candidate from the database based on their candidate_id.
  * Returns the number of affected rows, which will be 1 if the deletion was successful or 0 if no candidate was found with the given ID.
+ * Their stored CV files are deleted too, unless another candidate has the same file.
  * This operation is irreversible, so use with caution.
  * 
  * @example
@@ -404,6 +954,10 @@ export const deleteCandidateById = async (id) => {
         const result = await Candidate.destroy({
             where: { candidate_id: id }
         });
+        if (result > 0) {
+            // Their CV files go with them unless another candidate has the same file
+            await deleteUnusedFiles();
+        }
         return result;
     } catch (error) {
         console.error('Error deleting candidate by ID:', error);
@@ -422,6 +976,7 @@ export const deleteCandidateById = async (id) => {
  * 
  * @description This function permanently removes a candidate from the database based on their email address.
  * Returns the number of affected rows, which will be 1 if the deletion was successful or 0 if no candidate was found with the given email.
+ * Their stored CV files are deleted too, unless another candidate has the same file.
  * This operation is irreversible, so use with caution.
  * 
  * @example
@@ -438,6 +993,10 @@ export const deleteCandidateByEmail = async (email) => {
         const result = await Candidate.destroy({
             where: { email: email }
         });
+        if (result > 0) {
+            // Their CV files go with them unless another candidate has the same file
+            await deleteUnusedFiles();
+        }
         return result;
     } catch (error) {
         console.error('Error deleting candidate by email:', error);
@@ -3,10 +3,11 @@ import Candidate from '../entities/CandidateEntity.js';
 import User from '../entities/UserEntity.js';
 import Application from '../entities/ApplicationEntity.js';
 import Vacancy from '../entities/VacanciesEntity.js';
+import { findPage } from './PaginationServices.js';
 
-export const getCandidateSharesByUserId = async (senderId) => {
+export const getCandidateSharesByUserId = async (senderId, listQuery) => {
     try {
-        const candidateShares = await CandidateShares.findAll({
+        return await findPage(CandidateShares, listQuery, {
             where: { sender_id: senderId },
             include: [
                 {
@@ -24,9 +25,9 @@ export const getCandidateSharesByUserId = async (senderId) => {
             ],
             order: [['created_at', 'DESC']],
         });
-        return candidateShares;
     } catch (error) {
         console.error('Error fetching candidate shares:', error);
+        throw error;
     }
 };
 
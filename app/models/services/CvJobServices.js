@@ -0,0 +1,674 @@
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import CvJob from '../entities/CvJobEntity.js';
+import CvJobFile from '../entities/CvJobFileEntity.js';
+import StoredFile from '../entities/StoredFileEntity.js';
+import Candidate from '../entities/CandidateEntity.js';
+import CandidateFile from '../entities/CandidateFileEntity.js';
+import Application from '../entities/ApplicationEntity.js';
+import Vacancy from '../entities/VacanciesEntity.js';
+import { getFileStorage } from '../../storage/FileStorage.js';
+import { extractText } from '../../extraction/TextExtraction.js';
+import { completeTask } from '../../llm/LlmProvider.js';
+import { parseCvExtraction, toApplicationStatus } from '../../llm/CvExtractionSchema.js';
+import { runWithAuditContext } from '../../middleware/auditContext.js';
+import { createCandidate } from './CandidateServices.js';
+import { createApplication } from './ApplicationServices.js';
+import { attachCandidateFile, storeContent } from './CandidateFileServices.js';
+
+/**
+ * States of a file of a CV job, in processing order
+ * @constant {Array<string>}
+ */
+export const CV_FILE_STATES = ['queued', 'extracting', 'scoring', 'saved', 'failed'];
+
+/**
+ * What became of a processed CV: saved files are 'created', 'updated' (a candidate with the email existed) or
+ * 'duplicate' (the candidate already had this CV and this application, nothing was changed); the others failed
+ * @constant {Array<string>}
+ */
+export const CV_FILE_OUTCOMES = [
+    'created', 'updated', 'duplicate', 'skipped-no-email', 'extraction-failed', 'model-failed', 'save-failed',
+    'too-many-attempts'
+];
+
+// CVs sent to the model in one request
+const BATCH_SIZE = 5;
+
+// A worker renews the lease of its files at each step; a file whose lease is older than this is taken to belong
+// to a worker that stopped, and is queued again
+const LEASE_MINUTES = Number(process.env.CV_JOB_LEASE_MINUTES) || 10;
+
+// Times a file is taken before it fails rather than being queued again, so a file that crashes or hangs the worker
+// is not retried forever
+const MAX_ATTEMPTS = Number(process.env.CV_JOB_MAX_ATTEMPTS) || 3;
+
+// Times the model is asked again, with the problems found, when its answer does not match the schema
+const REPAIR_ATTEMPTS = Number(process.env.CV_EXTRACTION_REPAIR_ATTEMPTS ?? 2);
+
+const FILE_ATTRIBUTES = [
+    'job_file_id', 'original_name', 'state', 'outcome', 'warnings', 'attempts', 'error', 'candidate_id', 'application_id',
+    'updated_at'
+];
+
+/**
+ * Builds the prompt that extracts and scores the candidates of a batch of CVs
+ * @param {Array<string>} cvs - Text of each CV
+ * @param {string|null} vacancy - Title of the vacancy
+ * @param {string|null} filters - Knowledge the candidates must have
+ * @returns {string} The prompt
+ */
+const createPrompt = (cvs, vacancy, filters) => `
+      You are an assistant that extracts structured data from resumes.
+      Each CV is separated by ---CV---.
+
+      Return ONLY a valid JSON object { "candidates": [...] }, no text outside JSON.
+
+      Schema for each candidate (no other keys; null for anything unknown):
+      {
+        "name": "Full name (e.g., Juan David Barrera Fernandez)",
+        "email": "Email address",
+        "date_of_birth": "YYYY-MM-DD or null if unknown",
+        "phone": "Phone number, digits only, with + and the country code when known",
+        "occupation": "Current or main profession",
+        "summary": "large professional summary",
+        "experience": [
+          { "company": "", "position": "", "description": "", "years": "YYYY-YYYY or YYYY-present" }
+        ],
+        "skills": ["Skill1", "Skill2"],
+        "languages": [{ "language": "", "level": "" }],
+        "education": [{ "degree": "", "institution": "", "years": "YYYY-YYYY" }],
+        "references": [{ "name": "", "occupation": "", "phone": "" }],
+        "general_experience": 0,
+        "status": "approved | rejected",
+        "ai_reason": "Reason why approved or rejected"
+      }
+
+      Rules:
+      - Always return one candidate per CV in "candidates", even if there is only one CV.
+      - If years of experience are not explicit, estimate based on text.
+      - general_experience = sum of all experience.years.
+      - status = "approved" if the candidate meets vacancy requirements (${vacancy}) and has knowledge in ${filters}, else "rejected".
+      - ai_reason must justify the status clearly in 1–2 sentences.
+
+      Example answer, don't use this data, it's just an example:
+        { "candidates": [
+          {
+            "name": "Juan Guillermo Barrera Fernandez",
+            "email": "juan.barrera@gmail.com",
+            "date_of_birth": "1990-05-14",
+            "phone": "+573001234567",
+            "occupation": "Software Engineer",
+            "summary": "Software engineer with 8+ years of experience in full-stack web development...",
+            "experience": [
+              { "company": "Tech Solutions", "position": "Backend Developer", "description": "Developed APIs with Node.js", "years": "2015-2018" },
+              { "company": "GlobalSoft", "position": "Senior Engineer", "description": "Led a team of 5 developers", "years": "2018-2023" }
+            ],
+            "skills": ["Node.js", "React", "SQL", "AWS"],
+            "languages": [{ "language": "Spanish", "level": "Native" }, { "language": "English", "level": "Advanced" }],
+            "education": [{ "degree": "BSc Computer Science", "institution": "Universidad de Medellín", "years": "2008-2012" }],
+            "references": [{ "name": "Carlos Perez", "occupation": "CTO", "phone": "+57 3109876543" }],
+            "general_experience": 8,
+            "status": "approved",
+            "ai_reason": "The candidate has over 8 years of experience in full-stack development and matches the vacancy requirements."
+          }
+        ] }
+
+
+      CVs:
+      ${cvs.map((cv) => `---CV---\n${cv}`).join('\n')}
+`;
+
+/**
+ * Finds the CV a candidate came from: the one holding its email, or the one at the same place in the batch
+ * when the model answered with one candidate per CV
+ * @param {Array<Object>} batch - CVs of the batch, as { file, text }
+ * @param {Object} candidate - Candidate answered by the model
+ * @param {number} index - Place of the candidate in the answer
+ * @param {number} count - Number of candidates in the answer
+ * @returns {Object|null} The CV, or null when it cannot be told
+ */
+const findSourceCv = (batch, candidate, index, count) => {
+    const email = typeof candidate?.email === 'string' ? candidate.email.toLowerCase() : null;
+    return batch.find(cv => email && cv.text.toLowerCase().includes(email)) ??
+        (count === batch.length ? batch[index] : null);
+};
+
+/**
+ * Builds the message that asks the model to correct an answer that does not match the schema
+ * @param {Array<string>} errors - Problems found in the answer
+ * @param {number|null} count - Number of candidates to answer again, or null for the whole answer
+ * @returns {string} The message
+ */
+const createRepairPrompt = (errors, count) => `
+      Your answer does not match the schema:
+      ${errors.map(error => `- ${error}`).join('\n      ')}
+
+      ${count === null
+        ? 'Answer again with the whole corrected JSON object { "candidates": [...] } and no text outside JSON.'
+        : `Answer again with a JSON object { "candidates": [...] } holding only the ${count} candidate(s) with problems,
+      corrected and in the same order, and no text outside JSON.`}
+      Use null for anything the CV does not say.
+`;
+
+/**
+ * Joins the first problems found in an answer into one message
+ * @param {Array<string>} errors - Problems found
+ * @returns {string} The message
+ */
+const summarizeErrors = (errors) => {
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+    return `${errors.slice(0, 5).join('; ')}${more}`;
+};
+
+/**
+ * Has the model extract and score the candidates of a batch of CVs. Each candidate of the answer is normalized and
+ * validated against CV_EXTRACTION_SCHEMA on its own: the valid ones are kept, and only the others are sent back with
+ * the problems found, up to CV_EXTRACTION_REPAIR_ATTEMPTS times. An answer that cannot be read at all is asked again whole.
+ * @async
+ * @param {Object} job - The CvJob instance, for the vacancy
+ * @param {Array<Object>} cvs - CVs of the batch, as { file, text }
+ * @returns {Promise<Array<Object>>} Candidates answered by the model in the order of the answer, each as
+ * { candidate, errors, warnings } (see parseCvExtraction); the ones still invalid after the last attempt keep their errors
+ * @throws {Error} Throws an error if the model fails or none of its answers could be read
+ */
+const extractCandidates = async (job, cvs) => {
+    const messages = [{ role: 'user', content: createPrompt(cvs.map(cv => cv.text), job.vacancy_title, job.vacancy_filter) }];
+    // Candidates of the first answer that could be read, and the places of the ones still to correct
+    let results = null;
+    let pending = [];
+    for (let attempt = 0; ; attempt += 1) {
+        // A CV whose lease was lost meanwhile is left out when the candidates are saved
+        await renewLeases(cvs);
+        // Provider and model set by LLM_PROVIDER and LLM_MODEL_CV_EXTRACTION (see app/llm/LlmProvider.js)
+        const content = await completeTask('cv_extraction', { messages: [...messages], json: true, maxTokens: 5000, temperature: 0 });
+        const answer = parseCvExtraction(content);
+        let errors = answer.errors;
+        if (errors.length === 0 && results === null) {
+            results = answer.candidates;
+            pending = results.flatMap((result, place) => result.errors.length > 0 ? [place] : []);
+        } else if (errors.length === 0 && answer.candidates.length !== pending.length) {
+            errors = [`answer.candidates must hold the ${pending.length} corrected candidate(s), not ${answer.candidates.length}`];
+        } else if (errors.length === 0) {
+            // The corrections come in the order of the candidates asked about
+            pending.forEach((place, index) => {
+                results[place] = answer.candidates[index];
+            });
+            pending = pending.filter(place => results[place].errors.length > 0);
+        }
+
+        if (results !== null && pending.length === 0) {
+            return results;
+        }
+        if (attempt >= REPAIR_ATTEMPTS) {
+            if (results === null) {
+                throw new Error(`The answer does not match the schema: ${summarizeErrors(errors)}`);
+            }
+            return results;
+        }
+        const problems = errors.length > 0 ? errors : pending.flatMap(place => results[place].errors);
+        messages.push(
+            { role: 'assistant', content },
+            { role: 'user', content: createRepairPrompt(problems, results === null ? null : pending.length) }
+        );
+    }
+};
+
+/**
+ * Works out the state of a job from the state of its files
+ * @param {Object} counts - Number of files in each state
+ * @param {number} total - Number of files of the job
+ * @returns {string} 'queued', 'processing', 'completed', 'completed_with_errors' or 'failed'
+ */
+const getJobStatus = (counts, total) => {
+    if (counts.queued === total) {
+        return 'queued';
+    }
+    if (counts.queued + counts.extracting + counts.scoring > 0) {
+        return 'processing';
+    }
+    if (counts.failed === 0) {
+        return 'completed';
+    }
+    return counts.saved === 0 ? 'failed' : 'completed_with_errors';
+};
+
+/**
+ * Time a lease is taken or renewed at, in whole seconds: DATETIME columns keep no milliseconds, and the lease
+ * is later matched against the value stored
+ * @returns {Date} The time
+ */
+const leaseTime = () => new Date(Math.floor(Date.now() / 1000) * 1000);
+
+/**
+ * Renews the lease of the CVs this worker still holds, so they are not queued again while it works on them.
+ * A CV queued again meanwhile (and maybe taken by another worker) keeps the lease it had, so it is never written.
+ * @async
+ * @param {Array<Object>} cvs - The CVs, as { file }
+ * @param {Object} [changes={}] - Other columns to set with the lease, e.g. the state
+ * @returns {Promise<Array<Object>>} The CVs still held
+ */
+const renewLeases = async (cvs, changes = {}) => {
+    const lockedAt = leaseTime();
+    const held = [];
+    for (const cv of cvs) {
+        const [renewed] = await CvJobFile.update({ ...changes, locked_at: lockedAt }, {
+            where: { job_file_id: cv.file.job_file_id, locked_at: cv.file.locked_at }
+        });
+        if (renewed) {
+            cv.file.set({ ...changes, locked_at: lockedAt });
+            held.push(cv);
+        }
+    }
+    return held;
+};
+
+/**
+ * Writes the final state of a file and releases it, only while this worker still holds its lease
+ * @async
+ * @param {Object} cv - The CV, as { file }
+ * @param {Object} changes - Columns to write, with the state
+ * @returns {Promise<boolean>} Whether it was written
+ */
+const finishFile = async (cv, changes) => {
+    const [written] = await CvJobFile.update({ ...changes, locked_at: null }, {
+        where: { job_file_id: cv.file.job_file_id, locked_at: cv.file.locked_at }
+    });
+    return written > 0;
+};
+
+/**
+ * Marks a file of a job as failed
+ * @async
+ * @param {Object} cv - The CV, as { file, warnings }
+ * @param {string} outcome - One of the failed CV_FILE_OUTCOMES
+ * @param {string} error - Why it failed
+ * @returns {Promise<void>}
+ */
+const failFile = async (cv, outcome, error) => {
+    await finishFile(cv, { state: 'failed', outcome, error, warnings: cv.warnings ?? [] });
+};
+
+/**
+ * Saves the candidate extracted from a CV with its application for the vacancy of the job, and keeps the CV with them.
+ * A candidate that already has this CV and this application is left as it is.
+ * @async
+ * @param {Object} job - The CvJob instance
+ * @param {Object} cv - The CV the candidate came from, as { file, buffer, warnings }
+ * @param {Object} candidateData - Candidate answered by the model, as normalized by parseCvExtraction, with an email
+ * @returns {Promise<void>}
+ */
+const saveCandidate = async (job, cv, candidateData) => {
+    const { file: jobFile, buffer, warnings } = cv;
+    const existing = await Candidate.findOne({ where: { email: candidateData.email }, attributes: ['candidate_id'] });
+    let application = existing && job.vacancy_id
+        ? await Application.findOne({ where: { candidate_id: existing.candidate_id, vacancy_id: job.vacancy_id } })
+        : null;
+
+    let outcome = 'duplicate';
+    let candidateId = existing?.candidate_id;
+    const hasCv = existing && await CandidateFile.count({ where: { candidate_id: candidateId, file_id: jobFile.file_id } }) > 0;
+    if (!hasCv || (job.vacancy_id && !application)) {
+        outcome = existing ? 'updated' : 'created';
+        const savedId = await createCandidate({
+            name: candidateData.name,
+            email: candidateData.email,
+            phone: candidateData.phone,
+            date_of_birth: candidateData.date_of_birth,
+            occupation: candidateData.occupation,
+            summary: candidateData.summary,
+            experience: candidateData.experience,
+            skills: candidateData.skills,
+            languages: candidateData.languages,
+            education: candidateData.education
+        });
+        // The ID an upsert returns for an existing row depends on the database; the one found before is reliable
+        candidateId = existing?.candidate_id ?? savedId;
+
+        if (application) {
+            warnings.push('The candidate had already applied to the vacancy; the application was kept as it was');
+        } else if (job.vacancy_id) {
+            try {
+                application = await createApplication({
+                    candidate_id: candidateId,
+                    vacancy_id: job.vacancy_id,
+                    status: toApplicationStatus(candidateData.status),
+                    ai_reason: candidateData.ai_reason
+                });
+            } catch (error) {
+                warnings.push(`The application could not be saved: ${error.message}`);
+            }
+        }
+
+        await attachCandidateFile(
+            candidateId,
+            { buffer, originalName: jobFile.original_name, contentType: jobFile.content_type },
+            { applicationId: application?.application_id ?? null, uploadedBy: job.created_by }
+        );
+    }
+
+    // The content is now kept as a file of the candidate
+    await finishFile(cv, {
+        state: 'saved',
+        outcome,
+        error: null,
+        warnings,
+        candidate_id: candidateId,
+        application_id: application?.application_id ?? null,
+        file_id: null
+    });
+};
+
+/**
+ * Has the model extract the candidates of a batch of CVs and saves each with the CV it came from.
+ * When the model fails, every CV of the batch is marked failed; a candidate that does not match the schema
+ * only fails the CV it came from.
+ * @async
+ * @param {Object} job - The CvJob instance
+ * @param {Array<Object>} cvs - CVs of the batch, as { file, buffer, text, warnings }
+ * @returns {Promise<Array<Object>>} The CVs no candidate could be matched to
+ */
+const saveExtractedCandidates = async (job, cvs) => {
+    let results;
+    try {
+        results = await extractCandidates(job, cvs);
+    } catch (error) {
+        // The model could not be reached or did not answer as the schema says: the whole batch can be retried
+        for (const cv of cvs) {
+            await failFile(cv, 'model-failed', `Could not extract the candidates: ${error.message}`);
+        }
+        return [];
+    }
+
+    const matched = new Set();
+    for (const [index, { candidate, errors, warnings }] of results.entries()) {
+        // A candidate that does not match the schema is never saved, so with a single CV it is reported on that one
+        const source = findSourceCv(cvs, candidate, index, results.length) ??
+            (errors.length > 0 && cvs.length === 1 ? cvs[0] : null);
+        if (!source) {
+            continue;
+        }
+        if (matched.has(source)) {
+            source.warnings.push(`The model found another candidate in the CV (${candidate?.name || 'no name'}), which was not saved`);
+            continue;
+        }
+        matched.add(source);
+        // Queued again after the lease ran out: the worker that took it again saves it
+        if ((await renewLeases([source])).length === 0) {
+            continue;
+        }
+
+        if (errors.length > 0) {
+            await failFile(source, 'model-failed', `The candidate does not match the schema: ${summarizeErrors(errors)}`);
+            continue;
+        }
+        source.warnings.push(...warnings);
+
+        if (!candidate.email) {
+            await failFile(source, 'skipped-no-email', 'No email was found in the CV, so the candidate could not be saved');
+            continue;
+        }
+        if (!candidate.name) {
+            source.warnings.push('No name was found in the CV');
+        }
+        if (!source.text.toLowerCase().includes(candidate.email.toLowerCase())) {
+            source.warnings.push(`The email ${candidate.email} does not appear in the text of the CV`);
+        }
+        try {
+            await saveCandidate(job, source, candidate);
+        } catch (error) {
+            await failFile(source, 'save-failed', `Could not save the candidate: ${error.message}`);
+        }
+    }
+    return cvs.filter(cv => !matched.has(cv));
+};
+
+/**
+ * Queues again the files taken by a worker that stopped before finishing them, i.e. whose lease ran out.
+ * A file already taken MAX_ATTEMPTS times fails instead.
+ * @async
+ * @returns {Promise<number>} Number of files queued again
+ */
+const requeueStaleFiles = async () => {
+    const stale = {
+        state: { [Op.in]: ['extracting', 'scoring'] },
+        locked_at: { [Op.lt]: new Date(Date.now() - LEASE_MINUTES * 60 * 1000) }
+    };
+    await CvJobFile.update({
+        state: 'failed',
+        outcome: 'too-many-attempts',
+        error: `The file stopped the worker ${MAX_ATTEMPTS} times before it was processed`,
+        locked_at: null
+    }, {
+        where: { ...stale, attempts: { [Op.gte]: MAX_ATTEMPTS } }
+    });
+    const [requeued] = await CvJobFile.update({ state: 'queued', locked_at: null }, {
+        where: { ...stale, attempts: { [Op.lt]: MAX_ATTEMPTS } }
+    });
+    return requeued;
+};
+
+/**
+ * Takes the next batch of queued files, all from the oldest job with queued files.
+ * Each file is taken with a conditional update, so workers running side by side never take the same file.
+ * @async
+ * @returns {Promise<Array<Object>>} The CvJobFile instances taken, with their `file`; empty when the queue is empty
+ */
+const claimNextBatch = async () => {
+    const next = await CvJobFile.findOne({ where: { state: 'queued' }, order: [['job_file_id', 'ASC']] });
+    if (!next) {
+        return [];
+    }
+
+    const queued = await CvJobFile.findAll({
+        where: { job_id: next.job_id, state: 'queued' },
+        include: [{ model: StoredFile, as: 'file' }],
+        order: [['job_file_id', 'ASC']],
+        limit: BATCH_SIZE
+    });
+    const claimed = [];
+    for (const jobFile of queued) {
+        const lockedAt = leaseTime();
+        const [taken] = await CvJobFile.update(
+            { state: 'extracting', locked_at: lockedAt, attempts: sequelize.literal('attempts + 1') },
+            { where: { job_file_id: jobFile.job_file_id, state: 'queued' } }
+        );
+        if (taken) {
+            jobFile.set({ state: 'extracting', locked_at: lockedAt, attempts: jobFile.attempts + 1 });
+            claimed.push(jobFile);
+        }
+    }
+    return claimed;
+};
+
+// GET methods
+/**
+ * Retrieves a CV job with the state of each of its files
+ * @async
+ * @function getCvJobById
+ * @param {number|string} id - ID of the job
+ * @returns {Promise<Object|null>} A promise that resolves to the job with `status` ('queued', 'processing', 'completed',
+ * 'completed_with_errors' or 'failed'), `counts` (number of files in each state), `outcomes` (number of processed files
+ * with each outcome) and `files`, each with its `outcome`, `warnings` and `error`, or null if it does not exist
+ * @throws {Error} Throws an error if the database query fails
+ */
+export const getCvJobById = async (id) => {
+    try {
+        const job = await CvJob.findByPk(id, {
+            include: [{ model: CvJobFile, as: 'files', attributes: FILE_ATTRIBUTES }],
+            order: [[{ model: CvJobFile, as: 'files' }, 'job_file_id', 'ASC']]
+        });
+        if (!job) {
+            return null;
+        }
+
+        const { files, ...rest } = job.get({ plain: true });
+        const counts = Object.fromEntries(CV_FILE_STATES.map(state => [state, 0]));
+        const outcomes = Object.fromEntries(CV_FILE_OUTCOMES.map(outcome => [outcome, 0]));
+        for (const file of files) {
+            counts[file.state] += 1;
+            if (file.outcome) {
+                outcomes[file.outcome] += 1;
+            }
+        }
+        return { ...rest, status: getJobStatus(counts, files.length), total: files.length, counts, outcomes, files };
+    } catch (error) {
+        console.error('Error fetching CV job:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Creates a CV job: the CVs are stored and queued for the CV worker, which extracts, scores and saves the candidates
+ * @async
+ * @function createCvJob
+ * @param {Object} upload - The upload
+ * @param {Array<Object>} upload.files - Uploaded files, as { buffer, originalName, contentType }
+ * @param {number|string|null} [upload.vacancyId] - Vacancy the candidates apply to
+ * @param {string|null} [upload.vacancyTitle] - Title of the vacancy, given to the model (the title of the vacancy when omitted)
+ * @param {string|null} [upload.vacancyFilter] - Knowledge the candidates must have, given to the model
+ * @param {number|null} createdBy - ID of the user uploading the CVs
+ * @returns {Promise<Object>} A promise that resolves to the job, as returned by getCvJobById
+ * @throws {Error} Throws 'Vacancy not found' if the vacancy does not exist, or an error if the database or storage
+ * operation fails
+ */
+export const createCvJob = async (upload, createdBy) => {
+    const { files, vacancyId = null, vacancyTitle = null, vacancyFilter = null } = upload;
+    try {
+        const vacancy = vacancyId ? await Vacancy.findByPk(vacancyId) : null;
+        if (vacancyId && !vacancy) {
+            throw new Error('Vacancy not found');
+        }
+
+        // Stored first, so a failed upload leaves unused contents (removed by deleteUnusedFiles) rather than a job without them
+        const stored = [];
+        for (const file of files) {
+            stored.push(await storeContent(file.buffer, file.contentType));
+        }
+
+        const job = await sequelize.transaction(async (transaction) => {
+            const created = await CvJob.create({
+                vacancy_id: vacancyId || null,
+                vacancy_title: vacancyTitle || vacancy?.title || null,
+                vacancy_filter: vacancyFilter || null,
+                created_by: createdBy
+            }, { transaction });
+            await CvJobFile.bulkCreate(files.map((file, index) => ({
+                job_id: created.job_id,
+                file_id: stored[index].file_id,
+                original_name: file.originalName,
+                content_type: file.contentType || null
+            })), { transaction });
+            return created;
+        });
+        return getCvJobById(job.job_id);
+    } catch (error) {
+        console.error('Error creating CV job:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Queues the failed files of a CV job again
+ * @async
+ * @function retryCvJobFiles
+ * @param {number|string} id - ID of the job
+ * @param {Array<number|string>} [jobFileIds] - Files to retry; every failed file of the job when omitted
+ * @returns {Promise<Object|null>} A promise that resolves to the job, as returned by getCvJobById, with the number of
+ * files queued in `requeued`, or null if the job does not exist
+ * @throws {Error} Throws 'No failed files to retry' when none of the files is failed, or an error if the database
+ * operation fails
+ */
+export const retryCvJobFiles = async (id, jobFileIds) => {
+    try {
+        if (!await CvJob.findByPk(id)) {
+            return null;
+        }
+
+        const [requeued] = await CvJobFile.update({ state: 'queued', outcome: null, error: null, warnings: null, locked_at: null }, {
+            where: {
+                job_id: id,
+                state: 'failed',
+                ...(jobFileIds && { job_file_id: { [Op.in]: jobFileIds } })
+            }
+        });
+        if (requeued === 0) {
+            throw new Error('No failed files to retry');
+        }
+        return { ...await getCvJobById(id), requeued };
+    } catch (error) {
+        console.error('Error retrying CV job files:', error);
+        throw error;
+    }
+};
+
+/**
+ * Processes the next batch of queued CVs: reads their text, has the model extract and score the candidates,
+ * and saves each candidate with its application and CV. Each file ends 'saved' or 'failed' with the reason;
+ * a file is never left half done unless the worker stops, in which case it is queued again once its lease, renewed at
+ * each step, is older than CV_JOB_LEASE_MINUTES. A worker never writes a file whose lease it lost.
+ * Candidates are saved with the uploader of the job as author in the audit log and the revisions.
+ * @async
+ * @function processNextCvBatch
+ * @returns {Promise<Object|null>} A promise that resolves to { job_id, saved, failed } for the batch,
+ * or null when the queue is empty
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const processNextCvBatch = async () => {
+    try {
+        await requeueStaleFiles();
+        const batch = await claimNextBatch();
+        if (batch.length === 0) {
+            return null;
+        }
+
+        const job = await CvJob.findByPk(batch[0].job_id);
+        const context = { user: job.created_by ? { user_id: job.created_by } : null };
+        return await runWithAuditContext(context, async () => {
+            const cvs = [];
+            for (const jobFile of batch) {
+                const cv = { file: jobFile, warnings: [] };
+                try {
+                    cv.buffer = await getFileStorage().get(jobFile.file.storage_key);
+                    // The format comes from the first bytes of the file (see app/extraction/TextExtraction.js)
+                    cv.text = await extractText(cv.buffer);
+                } catch (error) {
+                    await failFile(cv, 'extraction-failed', `Could not read the file: ${error.message}`);
+                    continue;
+                }
+                if (!cv.text) {
+                    await failFile(cv, 'extraction-failed', 'No text was found in the file; it may be a scanned image');
+                    continue;
+                }
+                cvs.push(cv);
+            }
+
+            const held = await renewLeases(cvs, { state: 'scoring' });
+            if (held.length > 0) {
+                const unmatched = await saveExtractedCandidates(job, held);
+                // The answer could not be matched to these CVs: each is sent alone, so its candidate is known to come from it
+                for (const cv of unmatched) {
+                    const [left] = held.length > 1 ? await saveExtractedCandidates(job, [cv]) : [cv];
+                    if (left) {
+                        await failFile(left, 'model-failed', 'The answer of the model has no candidate for this CV');
+                    }
+                }
+            }
+
+            const states = await CvJobFile.findAll({
+                where: { job_file_id: { [Op.in]: batch.map(jobFile => jobFile.job_file_id) } },
+                attributes: ['state']
+            });
+            return {
+                job_id: job.job_id,
+                saved: states.filter(({ state }) => state === 'saved').length,
+                failed: states.filter(({ state }) => state === 'failed').length
+            };
+        });
+    } catch (error) {
+        console.error('Error processing CV batch:', error);
+        throw error;
+    }
+};
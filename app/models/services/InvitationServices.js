@@ -0,0 +1,328 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import Invitation from '../entities/InvitationEntity.js';
+import Role from '../entities/RolesEntity.js';
+import User from '../entities/UserEntity.js';
+import { hashToken } from './RefreshTokenServices.js';
+import { sendMail, escapeHtml } from '../../mail/Mailer.js';
+import { findPage } from './PaginationServices.js';
+
+// Lifetime of an invitation link, resending starts a new lifetime
+const INVITATION_TTL_HOURS = Number(process.env.INVITATION_TTL_HOURS) || 72;
+
+/**
+ * Derives the status of an invitation
+ * @param {Object} invitation - Invitation instance
+ * @returns {string} 'accepted', 'revoked', 'expired' or 'pending'
+ */
+const getInvitationStatus = (invitation) => {
+    if (invitation.accepted_at) return 'accepted';
+    if (invitation.revoked_at) return 'revoked';
+    if (invitation.expires_at <= new Date()) return 'expired';
+    return 'pending';
+};
+
+/**
+ * Builds the condition matching the invitations that have a status, the counterpart of getInvitationStatus
+ * @param {string} status - 'accepted', 'revoked', 'expired' or 'pending'
+ * @returns {Object} Sequelize where clause
+ */
+const getInvitationStatusWhere = (status) => {
+    const now = new Date();
+    switch (status) {
+        case 'accepted':
+            return { accepted_at: { [Op.ne]: null } };
+        case 'revoked':
+            return { accepted_at: null, revoked_at: { [Op.ne]: null } };
+        case 'expired':
+            return { accepted_at: null, revoked_at: null, expires_at: { [Op.lte]: now } };
+        default:
+            return { accepted_at: null, revoked_at: null, expires_at: { [Op.gt]: now } };
+    }
+};
+
+/**
+ * Serializes an invitation for API responses, without the token hash
+ * @param {Object} invitation - Invitation instance (optionally with Role and inviter loaded)
+ * @returns {Object} Plain invitation object with its status
+ */
+const toInvitationJSON = (invitation) => {
+    const { token_hash: _, ...data } = invitation.toJSON();
+    return { ...data, status: getInvitationStatus(invitation) };
+};
+
+/**
+ * Generates a new link token and its expiry
+ * @returns {Object} Object with the raw token, its hash and the expiry date
+ */
+const generateInvitationToken = () => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return {
+        token,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000)
+    };
+};
+
+/**
+ * Emails the invitation link
+ * @async
+ * @param {Object} invitation - Invitation instance
+ * @param {string} token - Raw link token
+ * @param {string} roleName - Name of the role the invitee will get
+ * @returns {Promise<void>}
+ */
+const sendInvitationEmail = async (invitation, token, roleName) => {
+    const acceptUrl = new URL(process.env.INVITATION_URL || 'http://localhost:9000/accept-invitation');
+    acceptUrl.searchParams.set('token', token);
+
+    await sendMail({
+        to: invitation.email,
+        subject: "You're invited to TalentTrack",
+        text: `You have been invited to join TalentTrack as ${roleName}.\n\n`
+            + `Use the link below to choose your password. It expires at ${invitation.expires_at.toISOString()}.\n\n`
+            + `${acceptUrl}`,
+        html: `<p>You have been invited to join TalentTrack as <strong>${escapeHtml(roleName)}</strong>.</p>`
+            + `<p>Use the link below to choose your password. It expires at ${invitation.expires_at.toISOString()}.</p>`
+            + `<p><a href="${escapeHtml(acceptUrl)}">Accept the invitation</a></p>`
+    });
+};
+
+// GET methods
+/**
+ * Retrieves invitations with their role and inviter, most recent first unless sorted otherwise
+ * @async
+ * @function getAllInvitations
+ * @param {string} [status] - Only return invitations with this status ('pending', 'accepted', 'revoked' or 'expired')
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every invitation when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with invitation objects with a status field
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getAllInvitations = async (status, listQuery) => {
+    // The dates the status is derived from are always loaded, whatever the projection
+    const page = listQuery?.attributes
+        ? { ...listQuery, attributes: [...new Set([...listQuery.attributes, 'expires_at', 'accepted_at', 'revoked_at'])] }
+        : listQuery;
+    try {
+        const result = await findPage(Invitation, page, {
+            where: status ? getInvitationStatusWhere(status) : undefined,
+            include: [
+                { model: Role, attributes: ['role_id', 'name'] },
+                { model: User, as: 'inviter', attributes: ['user_id', 'name', 'email'] }
+            ],
+            order: [['invitation_id', 'DESC']]
+        });
+
+        return { ...result, rows: result.rows.map(toInvitationJSON) };
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        throw error;
+    }
+};
+
+/**
+ * Looks up a pending invitation by the token from its link
+ * @async
+ * @function getPendingInvitationByToken
+ * @param {string} token - Raw link token
+ * @returns {Promise<Object|null>} The invitation email and role, or null if the link is unknown, used, revoked or expired
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getPendingInvitationByToken = async (token) => {
+    try {
+        const invitation = await Invitation.findOne({
+            where: { token_hash: hashToken(token) },
+            include: [{ model: Role, attributes: ['role_id', 'name'] }]
+        });
+
+        if (!invitation || getInvitationStatus(invitation) !== 'pending') {
+            return null;
+        }
+
+        return {
+            email: invitation.email,
+            role: invitation.Role,
+            expires_at: invitation.expires_at
+        };
+    } catch (error) {
+        console.error('Error fetching invitation by token:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Invites a person by email with a pre-assigned role and emails them the link.
+ * The invitation is only kept if the email is sent, so a failed send can simply be tried again.
+ * @async
+ * @function createInvitation
+ * @param {Object} invitationData - The invitation data object
+ * @param {string} invitationData.email - Email address to invite
+ * @param {number} invitationData.role_id - Role the new user will get
+ * @param {number} invitationData.invited_by - ID of the admin sending the invitation
+ * @returns {Promise<Object>} A promise that resolves to the created invitation with its status
+ * @throws {Error} 'Role not found', 'User already exists with this email', 'Invitation already pending' or a database error
+ * @example
+ * const invitation = await createInvitation({ email: 'jane@example.com', role_id: 2, invited_by: req.user.user_id });
+ */
+export const createInvitation = async (invitationData) => {
+    const { role_id, invited_by } = invitationData;
+    const email = invitationData.email.trim().toLowerCase();
+    try {
+        const role = await Role.findByPk(role_id);
+        if (!role) {
+            throw new Error('Role not found');
+        }
+
+        if (await User.findOne({ where: { email } })) {
+            throw new Error('User already exists with this email');
+        }
+
+        const pending = await Invitation.findOne({
+            where: {
+                email,
+                accepted_at: null,
+                revoked_at: null,
+                expires_at: { [Op.gt]: new Date() }
+            }
+        });
+        if (pending) {
+            throw new Error('Invitation already pending');
+        }
+
+        const { token, tokenHash, expiresAt } = generateInvitationToken();
+        const invitation = await sequelize.transaction(async (transaction) => {
+            const created = await Invitation.create({
+                email,
+                role_id,
+                invited_by,
+                token_hash: tokenHash,
+                expires_at: expiresAt
+            }, { transaction });
+
+            await sendInvitationEmail(created, token, role.name);
+            return created;
+        });
+        return toInvitationJSON(invitation);
+    } catch (error) {
+        console.error('Error creating invitation:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Sends an invitation again with a new link and a new expiry; the previous link stops working once the email is sent.
+ * Expired invitations can be resent, accepted or revoked ones cannot.
+ * @async
+ * @function resendInvitation
+ * @param {number|string} invitationId - The invitation ID
+ * @returns {Promise<Object|null>} A promise that resolves to the updated invitation, or null if not found
+ * @throws {Error} 'Invitation already accepted', 'Invitation has been revoked' or a database error
+ */
+export const resendInvitation = async (invitationId) => {
+    try {
+        const invitation = await Invitation.findByPk(invitationId, {
+            include: [{ model: Role, attributes: ['role_id', 'name'] }]
+        });
+        if (!invitation) {
+            return null;
+        }
+
+        if (invitation.accepted_at) {
+            throw new Error('Invitation already accepted');
+        }
+        if (invitation.revoked_at) {
+            throw new Error('Invitation has been revoked');
+        }
+
+        const { token, tokenHash, expiresAt } = generateInvitationToken();
+        await sequelize.transaction(async (transaction) => {
+            await invitation.update({ token_hash: tokenHash, expires_at: expiresAt }, { transaction });
+            await sendInvitationEmail(invitation, token, invitation.Role.name);
+        });
+        return toInvitationJSON(invitation);
+    } catch (error) {
+        console.error('Error resending invitation:', error);
+        throw error;
+    }
+};
+
+/**
+ * Revokes an invitation so its link can no longer be used
+ * @async
+ * @function revokeInvitation
+ * @param {number|string} invitationId - The invitation ID
+ * @returns {Promise<Object|null>} A promise that resolves to the revoked invitation, or null if not found
+ * @throws {Error} 'Invitation already accepted' or a database error
+ */
+export const revokeInvitation = async (invitationId) => {
+    try {
+        const invitation = await Invitation.findByPk(invitationId);
+        if (!invitation) {
+            return null;
+        }
+
+        if (invitation.accepted_at) {
+            throw new Error('Invitation already accepted');
+        }
+
+        if (!invitation.revoked_at) {
+            await invitation.update({ revoked_at: new Date() });
+        }
+        return toInvitationJSON(invitation);
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        throw error;
+    }
+};
+
+/**
+ * Accepts an invitation: creates the user with the invited email and role and the chosen password
+ * @async
+ * @function acceptInvitation
+ * @param {string} token - Raw link token
+ * @param {Object} userData - Data chosen by the invitee
+ * @param {string} userData.name - User's full name
+ * @param {string} userData.password - Already hashed password
+ * @returns {Promise<Object>} A promise that resolves to the created user without password
+ * @throws {Error} 'Invalid or expired invitation', 'User already exists with this email' or a database error
+ */
+export const acceptInvitation = async (token, userData) => {
+    const { name, password } = userData;
+    try {
+        const user = await sequelize.transaction(async (transaction) => {
+            // Lock the row so the same link cannot create two accounts
+            const invitation = await Invitation.findOne({
+                where: { token_hash: hashToken(token) },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+
+            if (!invitation || getInvitationStatus(invitation) !== 'pending') {
+                throw new Error('Invalid or expired invitation');
+            }
+
+            if (await User.findOne({ where: { email: invitation.email }, transaction })) {
+                throw new Error('User already exists with this email');
+            }
+
+            const created = await User.create({
+                name,
+                email: invitation.email,
+                password,
+                role_id: invitation.role_id
+            }, { transaction });
+
+            await invitation.update({ accepted_at: new Date() }, { transaction });
+            return created;
+        });
+
+        const { password: _, ...userWithoutPassword } = user.toJSON();
+        return userWithoutPassword;
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        throw error;
+    }
+};
@@ -0,0 +1,225 @@
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import LoginThrottle from '../entities/LoginThrottleEntity.js';
+
+// Failures older than this window no longer count
+const FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+// How long an account or IP stays locked once it reaches its failure limit
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Upper bound of the progressive delay between two attempts
+const MAX_DELAY_SECONDS = 30;
+// IP addresses remembered per account, the most recent ones
+const MAX_ACCOUNT_IPS = 50;
+
+/**
+ * Limits per scope. After `freeAttempts` failures every further attempt has to wait
+ * 1s, 2s, 4s... (capped at MAX_DELAY_SECONDS); `maxFailures` failures lock the scope.
+ * IPs get more room because several users can share one address.
+ */
+const LIMITS = {
+    account: {
+        maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+        freeAttempts: 2
+    },
+    ip: {
+        maxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+        freeAttempts: 10
+    }
+};
+
+/**
+ * Builds the scope/identifier pairs a login attempt is tracked under
+ * @param {string} email - Email the login was attempted for
+ * @param {string} [ipAddress] - Client IP address
+ * @returns {Array<Object>} Array of { scope, identifier }
+ */
+const getKeys = (email, ipAddress) => {
+    const keys = [{ scope: 'account', identifier: String(email).trim().toLowerCase() }];
+    if (ipAddress) {
+        keys.push({ scope: 'ip', identifier: ipAddress });
+    }
+    return keys;
+};
+
+/**
+ * Seconds an attempt has to wait after the given number of consecutive failures
+ * @param {number} failedAttempts - Consecutive failed attempts
+ * @param {number} freeAttempts - Failures allowed before delays start
+ * @returns {number} Delay in seconds (0 when no delay applies)
+ */
+const getDelaySeconds = (failedAttempts, freeAttempts) => {
+    if (failedAttempts <= freeAttempts) {
+        return 0;
+    }
+    return Math.min(2 ** (failedAttempts - freeAttempts - 1), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Whether the failures of a throttle row are too old to count
+ * @param {Object} throttle - LoginThrottle instance
+ * @param {Date} now - Current date
+ * @returns {boolean} True if the counter should start over
+ */
+const isWindowExpired = (throttle, now) => {
+    return throttle.last_failed_at.getTime() + FAILURE_WINDOW_MINUTES * 60 * 1000 <= now.getTime();
+};
+
+// GET methods
+/**
+ * Checks whether a login attempt may go ahead for an email and IP address
+ * @async
+ * @function getLoginRetryAfter
+ * @param {string} email - Email the login is attempted for
+ * @param {string} [ipAddress] - Client IP address
+ * @returns {Promise<number>} Seconds until the next attempt is allowed, 0 if it is allowed now
+ * @throws {Error} Throws an error if the database operation fails
+ * @example
+ * const retryAfter = await getLoginRetryAfter('john@example.com', req.ip);
+ * if (retryAfter > 0) {
+ *   res.set('Retry-After', String(retryAfter));
+ * }
+ */
+export const getLoginRetryAfter = async (email, ipAddress) => {
+    try {
+        const throttles = await LoginThrottle.findAll({
+            where: { [Op.or]: getKeys(email, ipAddress) }
+        });
+
+        const now = new Date();
+        let retryAfterMs = 0;
+
+        for (const throttle of throttles) {
+            if (throttle.locked_until && throttle.locked_until > now) {
+                retryAfterMs = Math.max(retryAfterMs, throttle.locked_until - now);
+                continue;
+            }
+
+            if (throttle.locked_until || isWindowExpired(throttle, now)) {
+                continue;
+            }
+
+            const delayMs = getDelaySeconds(throttle.failed_attempts, LIMITS[throttle.scope].freeAttempts) * 1000;
+            retryAfterMs = Math.max(retryAfterMs, throttle.last_failed_at.getTime() + delayMs - now.getTime());
+        }
+
+        return Math.ceil(retryAfterMs / 1000);
+    } catch (error) {
+        console.error('Error checking login throttle:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Records a failed login for the account and the IP address, locking either one
+ * once it reaches its failure limit
+ * @async
+ * @function recordFailedLogin
+ * @param {string} email - Email the login was attempted for
+ * @param {string} [ipAddress] - Client IP address
+ * @returns {Promise<void>}
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const recordFailedLogin = async (email, ipAddress) => {
+    try {
+        await sequelize.transaction(async (transaction) => {
+            const now = new Date();
+
+            for (const { scope, identifier } of getKeys(email, ipAddress)) {
+                const [throttle] = await LoginThrottle.findOrCreate({
+                    where: { scope, identifier },
+                    defaults: { failed_attempts: 0, last_failed_at: now },
+                    transaction
+                });
+                // Lock the row so concurrent failures are all counted
+                await throttle.reload({ lock: transaction.LOCK.UPDATE, transaction });
+
+                // An expired lock or stale failures start a new count
+                const startOver = throttle.locked_until
+                    ? throttle.locked_until <= now
+                    : isWindowExpired(throttle, now);
+                const failedAttempts = startOver ? 1 : throttle.failed_attempts + 1;
+
+                let lockedUntil = startOver ? null : throttle.locked_until;
+                if (!lockedUntil && failedAttempts >= LIMITS[scope].maxFailures) {
+                    lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+                }
+
+                // The IP addresses of the failures of an account, so an admin unlock can clear them too
+                let ipAddresses = startOver ? null : throttle.ip_addresses;
+                if (scope === 'account' && ipAddress) {
+                    ipAddresses = [...(ipAddresses ?? []).filter(ip => ip !== ipAddress), ipAddress].slice(-MAX_ACCOUNT_IPS);
+                }
+
+                await throttle.update({
+                    failed_attempts: failedAttempts,
+                    last_failed_at: now,
+                    locked_until: lockedUntil,
+                    ip_addresses: ipAddresses
+                }, { transaction });
+            }
+        });
+    } catch (error) {
+        console.error('Error recording failed login:', error);
+        throw error;
+    }
+};
+
+// DELETE methods
+/**
+ * Clears the failed login counter and lock of an account, used after a successful login or a password reset.
+ * The counters of the IP addresses are kept, so a valid login does not reset the count of an IP trying other accounts.
+ * @async
+ * @function clearAccountThrottle
+ * @param {string} email - Email of the account
+ * @returns {Promise<boolean>} True if the account had failed logins or a lock, false otherwise
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const clearAccountThrottle = async (email) => {
+    try {
+        const deleted = await LoginThrottle.destroy({
+            where: { scope: 'account', identifier: String(email).trim().toLowerCase() }
+        });
+        return deleted > 0;
+    } catch (error) {
+        console.error('Error clearing login throttle:', error);
+        throw error;
+    }
+};
+
+/**
+ * Lifts the lockout of an account for an admin: clears the failed login counter and lock of the account and those
+ * of the IP addresses its failures came from, which would otherwise still refuse its logins
+ * @async
+ * @function unlockAccount
+ * @param {string} email - Email of the account
+ * @returns {Promise<boolean>} True if the account or its IP addresses had failed logins or a lock, false otherwise
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const unlockAccount = async (email) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const throttle = await LoginThrottle.findOne({
+                where: { scope: 'account', identifier: String(email).trim().toLowerCase() },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            if (!throttle) {
+                return false;
+            }
+
+            const ipAddresses = throttle.ip_addresses ?? [];
+            if (ipAddresses.length > 0) {
+                await LoginThrottle.destroy({
+                    where: { scope: 'ip', identifier: { [Op.in]: ipAddresses } },
+                    transaction
+                });
+            }
+            await throttle.destroy({ transaction });
+            return true;
+        });
+    } catch (error) {
+        console.error('Error unlocking account:', error);
+        throw error;
+    }
+};
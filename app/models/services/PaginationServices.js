@@ -0,0 +1,84 @@
+import { Op } from 'sequelize';
+
+/**
+ * Encodes the primary key of the last row of a page as a cursor
+ * @function encodeCursor
+ * @param {string|number} after - Primary key value
+ * @returns {string} Opaque cursor
+ */
+export const encodeCursor = (after) => Buffer.from(JSON.stringify({ after })).toString('base64url');
+
+/**
+ * Decodes a cursor received from a previous `links.next`
+ * @function decodeCursor
+ * @param {string} cursor - Opaque cursor; an empty string starts cursor pagination from the beginning
+ * @returns {Object|null} Object with `after` (the last primary key seen, or null), or null if the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+    if (cursor === '') {
+        return { after: null };
+    }
+    try {
+        const { after } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        // A primary key is a string or a number; anything else (e.g. an object built by the client) is malformed
+        const valid = after === null || typeof after === 'string' || Number.isFinite(after);
+        return valid ? { after } : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Runs a list query one page at a time, as described by the listQuery middleware.
+ * The total is counted without pagination; in cursor mode the next cursor is set when more rows follow.
+ * @async
+ * @function findPage
+ * @param {Object} model - Sequelize model to query
+ * @param {Object|undefined} listQuery - req.listQuery; when absent every row is returned
+ * @param {Object} [options={}] - Regular findAll options (where, include, attributes, group...); the page's order,
+ * limit and projection take precedence
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor }
+ * @throws {Error} Throws an error if the database query fails
+ * @example
+ * const { rows, total } = await findPage(Vacancy, req.listQuery, { where: { status: 'open' } });
+ */
+export const findPage = async (model, listQuery, options = {}) => {
+    if (!listQuery) {
+        const rows = await model.findAll(options);
+        return { rows, total: rows.length, nextCursor: null };
+    }
+
+    const { limit, offset, order, attributes, cursor, primaryKey } = listQuery;
+    const { where, include } = options;
+
+    const total = await model.count({ where, include, distinct: true, col: primaryKey });
+
+    let pageWhere = where;
+    if (cursor?.after != null) {
+        const [, dir] = order[0];
+        const after = { [primaryKey]: { [dir === 'DESC' ? Op.lt : Op.gt]: cursor.after } };
+        pageWhere = where ? { [Op.and]: [where, after] } : after;
+    }
+
+    const rows = await model.findAll({
+        ...options,
+        where: pageWhere,
+        order,
+        ...(attributes && { attributes }),
+        // One extra row in cursor mode tells whether there is a next page
+        limit: cursor ? limit + 1 : limit,
+        offset: cursor ? undefined : offset
+    });
+
+    if (!cursor) {
+        return { rows, total, nextCursor: null };
+    }
+
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    return {
+        rows: pageRows,
+        total,
+        nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1].get(primaryKey)) : null
+    };
+};
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import sequelize from '../../../config/db_conn.js';
+import PasswordResetToken from '../entities/PasswordResetTokenEntity.js';
+import { hashToken } from './RefreshTokenServices.js';
+
+// Lifetime of a password reset link
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// CREATE methods
+/**
+ * Issues a password reset token for a user. Any earlier unused token of the user is invalidated,
+ * so only the most recent email works.
+ * @async
+ * @function createPasswordResetToken
+ * @param {number} userId - ID of the user resetting their password
+ * @returns {Promise<Object>} Object with the raw token and its expiry date
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const createPasswordResetToken = async (userId) => {
+    try {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+        await sequelize.transaction(async (transaction) => {
+            await PasswordResetToken.update(
+                { used_at: new Date() },
+                { where: { user_id: userId, used_at: null }, transaction }
+            );
+            await PasswordResetToken.create({
+                user_id: userId,
+                token_hash: hashToken(token),
+                expires_at: expiresAt
+            }, { transaction });
+        });
+
+        return { token, expiresAt };
+    } catch (error) {
+        console.error('Error creating password reset token:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Consumes a password reset token, marking it as used
+ * @async
+ * @function consumePasswordResetToken
+ * @param {string} token - Raw token from the reset link
+ * @param {Object} [options={}] - Sequelize options; with a transaction, the token is only used up if it commits
+ * @returns {Promise<number>} ID of the user the token belongs to
+ * @throws {Error} 'Invalid or expired reset token' if the token is unknown, used or expired
+ */
+export const consumePasswordResetToken = async (token, options = {}) => {
+    try {
+        const consume = async (transaction) => {
+            // Lock the row so the same link cannot be used twice concurrently
+            const resetToken = await PasswordResetToken.findOne({
+                where: { token_hash: hashToken(token) },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+
+            if (!resetToken || resetToken.used_at || resetToken.expires_at <= new Date()) {
+                return null;
+            }
+
+            await resetToken.update({ used_at: new Date() }, { transaction });
+            return resetToken.user_id;
+        };
+        const userId = options.transaction ? await consume(options.transaction) : await sequelize.transaction(consume);
+
+        if (!userId) {
+            throw new Error('Invalid or expired reset token');
+        }
+
+        return userId;
+    } catch (error) {
+        console.error('Error consuming password reset token:', error);
+        throw error;
+    }
+};
@@ -0,0 +1,110 @@
+import sequelize from '../../../config/db_conn.js';
+import Permission from '../entities/PermissionEntity.js';
+import Role from '../entities/RolesEntity.js';
+import RolePermission from '../entities/RolePermissionEntity.js';
+import { PERMISSIONS, DEFAULT_ROLES } from '../../../config/permissions.js';
+import { findPage } from './PaginationServices.js';
+
+// GET methods
+/**
+ * Retrieves permissions from the database, ordered by name unless sorted otherwise
+ * @async
+ * @function getAllPermissions
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every permission when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with permission objects
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getAllPermissions = async (listQuery) => {
+    try {
+        return await findPage(Permission, listQuery, {
+            order: [['name', 'ASC']]
+        });
+    } catch (error) {
+        console.error('Error fetching all permissions:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retrieves the names of the permissions granted to a role
+ * @async
+ * @function getPermissionsByRoleId
+ * @param {number} roleId - The role ID to look up
+ * @returns {Promise<Array<string>>} A promise that resolves to an array of permission names (empty if the role has none)
+ * @throws {Error} Throws an error if the database operation fails
+ * @example
+ * const permissions = await getPermissionsByRoleId(2);
+ * if (permissions.includes('vacancy:write')) {
+ *   console.log('Role can edit vacancies');
+ * }
+ */
+export const getPermissionsByRoleId = async (roleId) => {
+    try {
+        const permissions = await Permission.findAll({
+            attributes: ['name'],
+            include: [
+                {
+                    model: Role,
+                    attributes: [],
+                    where: { role_id: roleId }
+                }
+            ]
+        });
+        return permissions.map(permission => permission.name);
+    } catch (error) {
+        console.error('Error fetching permissions by role ID:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Creates the permissions and default roles from config/permissions.js.
+ * Existing rows are kept; missing permissions and grants are added, so it is safe to run repeatedly.
+ * @async
+ * @function seedDefaultRoles
+ * @returns {Promise<Object>} A promise that resolves to the number of permissions and roles that were created
+ * @throws {Error} Throws an error if the database operation fails (nothing is written in that case)
+ */
+export const seedDefaultRoles = async () => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            let permissionsCreated = 0;
+            let rolesCreated = 0;
+            const permissionIds = {};
+
+            for (const [name, description] of Object.entries(PERMISSIONS)) {
+                const [permission, created] = await Permission.findOrCreate({
+                    where: { name },
+                    defaults: { description },
+                    transaction
+                });
+                permissionIds[name] = permission.permission_id;
+                if (created) permissionsCreated++;
+            }
+
+            for (const [roleName, grants] of Object.entries(DEFAULT_ROLES)) {
+                const [role, created] = await Role.findOrCreate({
+                    where: { name: roleName },
+                    transaction
+                });
+                if (created) rolesCreated++;
+
+                for (const permissionName of grants) {
+                    await RolePermission.findOrCreate({
+                        where: {
+                            role_id: role.role_id,
+                            permission_id: permissionIds[permissionName]
+                        },
+                        transaction
+                    });
+                }
+            }
+
+            return { permissionsCreated, rolesCreated };
+        });
+    } catch (error) {
+        console.error('Error seeding default roles:', error);
+        throw error;
+    }
+};
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import RefreshToken from '../entities/RefreshTokenEntity.js';
+
+// Lifetime of a refresh token, each rotation issues a token with a fresh lifetime
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hashes a raw refresh token for storage and lookup
+ * @function hashToken
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+export const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// CREATE methods
+/**
+ * Issues a new refresh token, starting a new family unless one is given
+ * @async
+ * @function issueRefreshToken
+ * @param {number} userId - ID of the user that owns the session
+ * @param {string} [familyId] - Family to add the token to (defaults to a new UUID)
+ * @param {Object} [transaction] - Sequelize transaction to run the insert in
+ * @returns {Promise<Object>} Object with the raw token, its family_id, expiry and the stored record
+ * @throws {Error} Throws an error if the database operation fails
+ * @example
+ * // Start a new session on login
+ * const { token, familyId } = await issueRefreshToken(user.user_id);
+ */
+export const issueRefreshToken = async (userId, familyId = crypto.randomUUID(), transaction) => {
+    try {
+        const token = crypto.randomBytes(48).toString('base64url');
+        const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+        const record = await RefreshToken.create({
+            user_id: userId,
+            family_id: familyId,
+            token_hash: hashToken(token),
+            expires_at: expiresAt
+        }, { transaction });
+
+        return { token, familyId, expiresAt, record };
+    } catch (error) {
+        console.error('Error issuing refresh token:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Exchanges a refresh token for a new one in the same family.
+ * The presented token is revoked; presenting an already revoked token is treated
+ * as theft and revokes every token of its family.
+ * @async
+ * @function rotateRefreshToken
+ * @param {string} token - Raw refresh token presented by the client
+ * @returns {Promise<Object>} Object with user_id, familyId, the new raw token and its expiry
+ * @throws {Error} 'Invalid refresh token', 'Refresh token expired' or 'Refresh token reuse detected'
+ */
+export const rotateRefreshToken = async (token) => {
+    try {
+        const result = await sequelize.transaction(async (transaction) => {
+            // Lock the row so two concurrent refreshes cannot both rotate the same token
+            const current = await RefreshToken.findOne({
+                where: { token_hash: hashToken(token) },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+
+            if (!current) {
+                return { error: 'Invalid refresh token' };
+            }
+
+            if (current.revoked_at) {
+                await revokeFamily(current.family_id, transaction);
+                return { error: 'Refresh token reuse detected' };
+            }
+
+            if (current.expires_at <= new Date()) {
+                return { error: 'Refresh token expired' };
+            }
+
+            const issued = await issueRefreshToken(current.user_id, current.family_id, transaction);
+            await current.update({
+                revoked_at: new Date(),
+                replaced_by: issued.record.token_id
+            }, { transaction });
+
+            return { user_id: current.user_id, ...issued };
+        });
+
+        if (result.error) {
+            throw new Error(result.error);
+        }
+
+        return {
+            user_id: result.user_id,
+            familyId: result.familyId,
+            token: result.token,
+            expiresAt: result.expiresAt
+        };
+    } catch (error) {
+        console.error('Error rotating refresh token:', error);
+        throw error;
+    }
+};
+
+/**
+ * Revokes every active token of a family
+ * @async
+ * @function revokeFamily
+ * @param {string} familyId - Family to revoke
+ * @param {Object} [transaction] - Sequelize transaction to run the update in
+ * @returns {Promise<number>} Number of tokens revoked
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const revokeFamily = async (familyId, transaction) => {
+    try {
+        const [revoked] = await RefreshToken.update(
+            { revoked_at: new Date() },
+            { where: { family_id: familyId, revoked_at: null }, transaction }
+        );
+        return revoked;
+    } catch (error) {
+        console.error('Error revoking refresh token family:', error);
+        throw error;
+    }
+};
+
+/**
+ * Revokes the family a raw refresh token belongs to (used on logout)
+ * @async
+ * @function revokeTokenFamily
+ * @param {string} token - Raw refresh token presented by the client
+ * @returns {Promise<boolean>} True if the token was known, false otherwise
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const revokeTokenFamily = async (token) => {
+    try {
+        const current = await RefreshToken.findOne({
+            where: { token_hash: hashToken(token) }
+        });
+
+        if (!current) {
+            return false;
+        }
+
+        await revokeFamily(current.family_id);
+        return true;
+    } catch (error) {
+        console.error('Error revoking refresh token:', error);
+        throw error;
+    }
+};
+
+/**
+ * Revokes every active token of every family owned by a user
+ * @async
+ * @function revokeAllUserTokens
+ * @param {number} userId - ID of the user whose sessions are revoked
+ * @returns {Promise<number>} Number of tokens revoked
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const revokeAllUserTokens = async (userId) => {
+    try {
+        const [revoked] = await RefreshToken.update(
+            { revoked_at: new Date() },
+            { where: { user_id: userId, revoked_at: null } }
+        );
+        return revoked;
+    } catch (error) {
+        console.error('Error revoking user refresh tokens:', error);
+        throw error;
+    }
+};
+
+// GET methods
+/**
+ * Checks whether a session (token family) still has an active, unexpired token.
+ * Access tokens carry their family as `sid`, so a revoked family also invalidates them.
+ * @async
+ * @function isFamilyActive
+ * @param {string} familyId - Family to check
+ * @returns {Promise<boolean>} True if the session has not been revoked or expired
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const isFamilyActive = async (familyId) => {
+    try {
+        const active = await RefreshToken.count({
+            where: {
+                family_id: familyId,
+                revoked_at: null,
+                expires_at: { [Op.gt]: new Date() }
+            }
+        });
+        return active > 0;
+    } catch (error) {
+        console.error('Error checking refresh token family:', error);
+        throw error;
+    }
+};
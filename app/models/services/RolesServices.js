@@ -0,0 +1,190 @@
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import Role from '../entities/RolesEntity.js';
+import Permission from '../entities/PermissionEntity.js';
+import User from '../entities/UserEntity.js';
+import '../entities/RolePermissionEntity.js';
+import { findPage } from './PaginationServices.js';
+
+/**
+ * Resolves permission names to permission instances.
+ * @param {Array<string>} names - Permission names
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array<Object>>} Permission instances
+ * @throws {Error} 'Unknown permissions' if any name does not exist
+ */
+const findPermissionsByName = async (names, transaction) => {
+    const permissions = await Permission.findAll({
+        where: { name: { [Op.in]: names } },
+        transaction
+    });
+    if (permissions.length !== new Set(names).size) {
+        throw new Error('Unknown permissions');
+    }
+    return permissions;
+};
+
+// GET methods
+/**
+ * Retrieves roles with their permission names
+ * @async
+ * @function getAllRoles
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every role when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor }, by default ordered by role_id
+ * @throws {Error} Throws an error if the database operation fails
+ * @example
+ * const { rows: roles } = await getAllRoles();
+ * roles.forEach(role => console.log(role.name, role.Permissions.map(p => p.name)));
+ */
+export const getAllRoles = async (listQuery) => {
+    try {
+        return await findPage(Role, listQuery, {
+            include: [
+                {
+                    model: Permission,
+                    attributes: ['permission_id', 'name'],
+                    through: { attributes: [] }
+                }
+            ],
+            order: [['role_id', 'ASC']]
+        });
+    } catch (error) {
+        console.error('Error fetching all roles:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retrieves a role by its ID with its permission names
+ * @async
+ * @function getRoleById
+ * @param {number|string} roleId - The role ID to search for
+ * @returns {Promise<Object|null>} A promise that resolves to the role object or null if not found
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getRoleById = async (roleId) => {
+    try {
+        const role = await Role.findByPk(roleId, {
+            include: [
+                {
+                    model: Permission,
+                    attributes: ['permission_id', 'name'],
+                    through: { attributes: [] }
+                }
+            ]
+        });
+        return role;
+    } catch (error) {
+        console.error('Error fetching role by ID:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Creates a new role and grants it the given permissions
+ * @async
+ * @function createRole
+ * @param {Object} roleData - The role data object
+ * @param {string} roleData.name - Unique role name
+ * @param {Array<string>} [roleData.permissions=[]] - Names of the permissions to grant
+ * @param {boolean} [roleData.require_two_factor=false] - Whether members must use two-factor authentication
+ * @returns {Promise<Object>} A promise that resolves to the created role with its permissions
+ * @throws {Error} 'Role already exists', 'Unknown permissions' or a database error
+ * @example
+ * const role = await createRole({ name: 'sourcer', permissions: ['candidate:read', 'candidate:write'] });
+ */
+export const createRole = async (roleData) => {
+    const { name, permissions = [], require_two_factor = false } = roleData;
+    try {
+        const roleId = await sequelize.transaction(async (transaction) => {
+            const existing = await Role.findOne({ where: { name }, transaction });
+            if (existing) {
+                throw new Error('Role already exists');
+            }
+
+            const role = await Role.create({ name, require_two_factor }, { transaction });
+            await role.setPermissions(await findPermissionsByName(permissions, transaction), { transaction });
+            return role.role_id;
+        });
+
+        return await getRoleById(roleId);
+    } catch (error) {
+        console.error('Error creating role:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Renames a role, replaces its permissions and/or changes its two-factor requirement
+ * @async
+ * @function updateRole
+ * @param {number|string} roleId - The role ID to update
+ * @param {Object} roleData - Fields to update
+ * @param {string} [roleData.name] - New role name
+ * @param {Array<string>} [roleData.permissions] - Full list of permission names the role should have
+ * @param {boolean} [roleData.require_two_factor] - Whether members must use two-factor authentication
+ * @returns {Promise<Object|null>} A promise that resolves to the updated role, or null if not found
+ * @throws {Error} 'Role already exists', 'Unknown permissions' or a database error
+ */
+export const updateRole = async (roleId, roleData) => {
+    const { name, permissions, require_two_factor } = roleData;
+    try {
+        const found = await sequelize.transaction(async (transaction) => {
+            const role = await Role.findByPk(roleId, { transaction });
+            if (!role) {
+                return false;
+            }
+
+            if (name && name !== role.name) {
+                const existing = await Role.findOne({ where: { name }, transaction });
+                if (existing) {
+                    throw new Error('Role already exists');
+                }
+                await role.update({ name }, { transaction });
+            }
+
+            if (require_two_factor !== undefined) {
+                await role.update({ require_two_factor }, { transaction });
+            }
+
+            if (permissions) {
+                await role.setPermissions(await findPermissionsByName(permissions, transaction), { transaction });
+            }
+
+            return true;
+        });
+
+        return found ? await getRoleById(roleId) : null;
+    } catch (error) {
+        console.error('Error updating role:', error);
+        throw error;
+    }
+};
+
+// DELETE methods
+/**
+ * Deletes a role. Roles that are still assigned to users cannot be deleted
+ * (mirrors ON DELETE RESTRICT on users.role_id).
+ * @async
+ * @function deleteRole
+ * @param {number|string} roleId - The role ID to delete
+ * @returns {Promise<number>} A promise that resolves to the number of deleted records (0 or 1)
+ * @throws {Error} 'Role has assigned users' or a database error
+ */
+export const deleteRole = async (roleId) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const assignedUsers = await User.count({ where: { role_id: roleId }, transaction });
+            if (assignedUsers > 0) {
+                throw new Error('Role has assigned users');
+            }
+
+            return Role.destroy({ where: { role_id: roleId }, transaction });
+        });
+    } catch (error) {
+        console.error('Error deleting role:', error);
+        throw error;
+    }
+};
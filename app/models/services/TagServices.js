@@ -0,0 +1,346 @@
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import Candidate from '../entities/CandidateEntity.js';
+import Tag from '../entities/TagEntity.js';
+import CandidateTag from '../entities/CandidateTagEntity.js';
+import { findPage } from './PaginationServices.js';
+import { splitExistingCandidateIds } from './CandidateServices.js';
+
+// Longest tag name, as in the tags.name column
+const MAX_NAME_LENGTH = 50;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Checks and normalizes the name and color of a tag
+ * @param {Object} tagData - name and color, either may be undefined when updating
+ * @returns {Object} The fields to store
+ * @throws {Error} 'Tag name is required', 'Tag name is too long' or 'Tag color must be #RRGGBB'
+ */
+const toTagFields = ({ name, color }) => {
+    const fields = {};
+    if (name !== undefined) {
+        fields.name = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+        if (!fields.name) {
+            throw new Error('Tag name is required');
+        }
+        if (fields.name.length > MAX_NAME_LENGTH) {
+            throw new Error('Tag name is too long');
+        }
+    }
+    if (color !== undefined) {
+        if (color !== null && !COLOR_PATTERN.test(color)) {
+            throw new Error('Tag color must be #RRGGBB');
+        }
+        fields.color = color && color.toLowerCase();
+    }
+    return fields;
+};
+
+/**
+ * Finds a tag by name, ignoring case
+ * @param {string} name - Normalized tag name
+ * @param {Object} [options] - Extra Sequelize options, e.g. the transaction
+ * @returns {Promise<Object|null>} The Tag instance, or null
+ */
+const findTagByName = (name, options = {}) => Tag.findOne({
+    where: sequelize.where(sequelize.fn('LOWER', sequelize.col('name')), name.toLowerCase()),
+    ...options
+});
+
+/**
+ * Adds the number of tagged candidates to tags
+ * @async
+ * @param {Array<Object>} tags - Tag instances
+ * @returns {Promise<Array<Object>>} Plain tags with `candidate_count`
+ */
+const withCandidateCounts = async (tags) => {
+    const counts = tags.length === 0 ? [] : await CandidateTag.count({
+        where: { tag_id: tags.map(tag => tag.tag_id) },
+        group: ['tag_id']
+    });
+    const countByTag = new Map(counts.map(({ tag_id, count }) => [tag_id, Number(count)]));
+    return tags.map(tag => ({ ...tag.toJSON(), candidate_count: countByTag.get(tag.tag_id) || 0 }));
+};
+
+// GET methods
+/**
+ * Retrieves the tags with the number of candidates tagged with each, alphabetically unless sorted otherwise
+ * @async
+ * @function getTags
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every tag when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor }, each tag with `candidate_count`
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getTags = async (listQuery) => {
+    try {
+        const result = await findPage(Tag, listQuery, { order: [['name', 'ASC']] });
+        return { ...result, rows: await withCandidateCounts(result.rows) };
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retrieves a tag by ID
+ * @async
+ * @function getTagById
+ * @param {number|string} tagId - ID of the tag
+ * @returns {Promise<Object|null>} A promise that resolves to the tag with `candidate_count`, or null if not found
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getTagById = async (tagId) => {
+    try {
+        const tag = await Tag.findByPk(tagId);
+        return tag ? (await withCandidateCounts([tag]))[0] : null;
+    } catch (error) {
+        console.error('Error fetching tag:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retrieves the tags of a candidate, alphabetically
+ * @async
+ * @function getCandidateTags
+ * @param {number|string} candidateId - ID of the candidate
+ * @returns {Promise<Array<Object>|null>} A promise that resolves to the tags, or null if the candidate does not exist
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getCandidateTags = async (candidateId) => {
+    try {
+        const candidate = await Candidate.findByPk(candidateId, {
+            attributes: ['candidate_id'],
+            include: [{ model: Tag, as: 'tags', through: { attributes: ['tagged_by', 'created_at'] } }],
+            order: [[{ model: Tag, as: 'tags' }, 'name', 'ASC']]
+        });
+        return candidate ? candidate.tags : null;
+    } catch (error) {
+        console.error('Error fetching candidate tags:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Creates a tag
+ * @async
+ * @function createTag
+ * @param {Object} tagData - The tag data object
+ * @param {string} tagData.name - Name of the tag; spaces are collapsed
+ * @param {string|null} [tagData.color] - Display color as #RRGGBB
+ * @param {number|null} userId - ID of the user creating the tag
+ * @returns {Promise<Object>} A promise that resolves to the created tag, with `candidate_count`
+ * @throws {Error} 'Tag name is required', 'Tag name is too long', 'Tag color must be #RRGGBB', 'Tag name already exists'
+ * or a database error
+ * @example
+ * const tag = await createTag({ name: 'Silver medalist', color: '#c0c0c0' }, req.user.user_id);
+ */
+export const createTag = async (tagData, userId) => {
+    try {
+        const fields = toTagFields({ name: tagData.name, color: tagData.color ?? null });
+        if (await findTagByName(fields.name)) {
+            throw new Error('Tag name already exists');
+        }
+        const tag = await Tag.create({ ...fields, created_by: userId });
+        return { ...tag.toJSON(), candidate_count: 0 };
+    } catch (error) {
+        console.error('Error creating tag:', error);
+        throw error;
+    }
+};
+
+/**
+ * Tags a candidate with an existing tag, or with a tag found or created by name
+ * @async
+ * @function tagCandidate
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {Object} tagRef - The tag to put on the candidate: tag_id, or name
+ * @param {number|string} [tagRef.tag_id] - ID of an existing tag
+ * @param {string} [tagRef.name] - Name of the tag, created if no tag has it (ignoring case)
+ * @param {number|null} userId - ID of the user tagging the candidate
+ * @returns {Promise<Array<Object>|null>} A promise that resolves to the tags of the candidate, or null if the candidate
+ * does not exist. Tagging a candidate again with the same tag changes nothing.
+ * @throws {Error} 'Tag not found', the name errors of createTag or a database error
+ */
+export const tagCandidate = async (candidateId, tagRef, userId) => {
+    try {
+        const tagged = await sequelize.transaction(async (transaction) => {
+            if (!await Candidate.findByPk(candidateId, { attributes: ['candidate_id'], transaction })) {
+                return false;
+            }
+
+            let tag;
+            if (tagRef.tag_id != null) {
+                tag = await Tag.findByPk(tagRef.tag_id, { transaction });
+                if (!tag) {
+                    throw new Error('Tag not found');
+                }
+            } else {
+                const { name } = toTagFields({ name: tagRef.name });
+                tag = await findTagByName(name, { transaction })
+                    || await Tag.create({ name, created_by: userId }, { transaction });
+            }
+
+            await CandidateTag.findOrCreate({
+                where: { candidate_id: candidateId, tag_id: tag.tag_id },
+                defaults: { tagged_by: userId },
+                transaction
+            });
+            return true;
+        });
+
+        return tagged ? getCandidateTags(candidateId) : null;
+    } catch (error) {
+        console.error('Error tagging candidate:', error);
+        throw error;
+    }
+};
+
+/**
+ * Tags many candidates with a tag at once
+ * @async
+ * @function tagCandidates
+ * @param {number|string} tagId - ID of the tag
+ * @param {Array<number>} candidateIds - IDs of the candidates
+ * @param {number|null} userId - ID of the user tagging the candidates
+ * @returns {Promise<Object|null>} A promise that resolves to { tagged, already_tagged, not_found } (not_found lists the IDs
+ * of missing candidates), or null if the tag does not exist
+ * @throws {Error} Throws an error if the database operation fails
+ * @example
+ * const { tagged, not_found } = await tagCandidates(4, [12, 15, 18], req.user.user_id);
+ */
+export const tagCandidates = async (tagId, candidateIds, userId) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            if (!await Tag.findByPk(tagId, { transaction })) {
+                return null;
+            }
+
+            const { found, notFound } = await splitExistingCandidateIds(candidateIds, transaction);
+            const existing = await CandidateTag.findAll({
+                where: { tag_id: tagId, candidate_id: found },
+                attributes: ['candidate_id'],
+                transaction
+            });
+            const alreadyTagged = new Set(existing.map(row => row.candidate_id));
+            const toTag = found.filter(id => !alreadyTagged.has(id));
+
+            await CandidateTag.bulkCreate(
+                toTag.map(candidate_id => ({ candidate_id, tag_id: tagId, tagged_by: userId })),
+                { transaction }
+            );
+            return { tagged: toTag.length, already_tagged: alreadyTagged.size, not_found: notFound };
+        });
+    } catch (error) {
+        console.error('Error tagging candidates:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Renames or recolors a tag
+ * @async
+ * @function updateTag
+ * @param {number|string} tagId - ID of the tag
+ * @param {Object} tagData - Fields to change: name and color
+ * @returns {Promise<Object|null>} A promise that resolves to the updated tag, or null if not found
+ * @throws {Error} The errors of createTag or a database error
+ */
+export const updateTag = async (tagId, tagData) => {
+    try {
+        const tag = await Tag.findByPk(tagId);
+        if (!tag) {
+            return null;
+        }
+
+        const fields = toTagFields({ name: tagData.name, color: tagData.color });
+        if (fields.name !== undefined) {
+            const sameName = await findTagByName(fields.name);
+            if (sameName && sameName.tag_id !== tag.tag_id) {
+                throw new Error('Tag name already exists');
+            }
+        }
+        await tag.update(fields);
+        return getTagById(tagId);
+    } catch (error) {
+        console.error('Error updating tag:', error);
+        throw error;
+    }
+};
+
+// DELETE methods
+/**
+ * Deletes a tag; it is taken off every candidate
+ * @async
+ * @function deleteTag
+ * @param {number|string} tagId - ID of the tag
+ * @returns {Promise<boolean>} A promise that resolves to true, or false if the tag does not exist
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const deleteTag = async (tagId) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const tag = await Tag.findByPk(tagId, { transaction });
+            if (!tag) {
+                return false;
+            }
+            // Assignments are removed here rather than by the foreign key so the audit log records them
+            await CandidateTag.destroy({ where: { tag_id: tagId }, transaction });
+            await tag.destroy({ transaction });
+            return true;
+        });
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        throw error;
+    }
+};
+
+/**
+ * Takes a tag off a candidate
+ * @async
+ * @function untagCandidate
+ * @param {number|string} candidateId - ID of the candidate
+ * @param {number|string} tagId - ID of the tag
+ * @returns {Promise<boolean>} A promise that resolves to true, or false if the candidate did not have the tag
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const untagCandidate = async (candidateId, tagId) => {
+    try {
+        const removed = await CandidateTag.destroy({ where: { candidate_id: candidateId, tag_id: tagId } });
+        return removed > 0;
+    } catch (error) {
+        console.error('Error untagging candidate:', error);
+        throw error;
+    }
+};
+
+/**
+ * Takes a tag off many candidates at once
+ * @async
+ * @function untagCandidates
+ * @param {number|string} tagId - ID of the tag
+ * @param {Array<number>} candidateIds - IDs of the candidates
+ * @returns {Promise<Object|null>} A promise that resolves to { untagged }, the number of candidates that had the tag,
+ * or null if the tag does not exist
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const untagCandidates = async (tagId, candidateIds) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            if (!await Tag.findByPk(tagId, { transaction })) {
+                return null;
+            }
+            const untagged = await CandidateTag.destroy({
+                where: { tag_id: tagId, candidate_id: { [Op.in]: candidateIds.map(Number) } },
+                transaction
+            });
+            return { untagged };
+        });
+    } catch (error) {
+        console.error('Error untagging candidates:', error);
+        throw error;
+    }
+};
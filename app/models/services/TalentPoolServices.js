@@ -0,0 +1,297 @@
+import { Op } from 'sequelize';
+import sequelize from '../../../config/db_conn.js';
+import TalentPool from '../entities/TalentPoolEntity.js';
+import TalentPoolCandidate from '../entities/TalentPoolCandidateEntity.js';
+import { findPage } from './PaginationServices.js';
+import { splitExistingCandidateIds } from './CandidateServices.js';
+import { parseCandidateQuery } from './CandidateQueryServices.js';
+
+/**
+ * Kinds of talent pool: 'static' pools list their candidates, 'query' pools hold the candidates matching a saved search query
+ * @constant {Array<string>}
+ */
+export const POOL_TYPES = ['static', 'query'];
+
+// Longest pool name, as in the talent_pools.name column
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Checks the fields of a pool as they will be stored
+ * @param {Object} pool - name, description, type and query of the pool
+ * @returns {Object} The same fields, trimmed
+ * @throws {Error} 'Pool name is required', 'Pool name is too long', 'Invalid pool type', 'Query pools need a query',
+ * 'Only query pools have a query' or 'Invalid search query' (with `errors`)
+ */
+const checkPoolFields = ({ name, description, type, query }) => {
+    const fields = {
+        name: typeof name === 'string' ? name.trim() : '',
+        description: typeof description === 'string' && description.trim() ? description.trim() : null,
+        type,
+        query: typeof query === 'string' && query.trim() ? query.trim() : null
+    };
+    if (!fields.name) {
+        throw new Error('Pool name is required');
+    }
+    if (fields.name.length > MAX_NAME_LENGTH) {
+        throw new Error('Pool name is too long');
+    }
+    if (!POOL_TYPES.includes(type)) {
+        throw new Error('Invalid pool type');
+    }
+    if (type === 'query' && !fields.query) {
+        throw new Error('Query pools need a query');
+    }
+    if (type === 'static' && fields.query) {
+        throw new Error('Only query pools have a query');
+    }
+    if (fields.query) {
+        parseCandidateQuery(fields.query);
+    }
+    return fields;
+};
+
+/**
+ * Fails when another pool already has a name, ignoring case
+ * @async
+ * @param {string} name - Name of the pool
+ * @param {number|null} poolId - ID of the pool being renamed, null for a new pool
+ * @throws {Error} 'Pool name already exists'
+ */
+const assertNameAvailable = async (name, poolId) => {
+    const sameName = await TalentPool.findOne({
+        where: sequelize.where(sequelize.fn('LOWER', sequelize.col('name')), name.toLowerCase())
+    });
+    if (sameName && sameName.pool_id !== poolId) {
+        throw new Error('Pool name already exists');
+    }
+};
+
+/**
+ * Adds the number of members to static pools; query pools get null, as their members change with the candidates
+ * @async
+ * @param {Array<Object>} pools - TalentPool instances
+ * @returns {Promise<Array<Object>>} Plain pools with `candidate_count`
+ */
+const withCandidateCounts = async (pools) => {
+    const staticIds = pools.filter(pool => pool.type === 'static').map(pool => pool.pool_id);
+    const counts = staticIds.length === 0 ? [] : await TalentPoolCandidate.count({
+        where: { pool_id: staticIds },
+        group: ['pool_id']
+    });
+    const countByPool = new Map(counts.map(({ pool_id, count }) => [pool_id, Number(count)]));
+    return pools.map(pool => ({
+        ...pool.toJSON(),
+        candidate_count: pool.type === 'static' ? countByPool.get(pool.pool_id) || 0 : null
+    }));
+};
+
+/**
+ * Finds a static pool to change the members of
+ * @async
+ * @param {number|string} poolId - ID of the pool
+ * @param {Object} transaction - Transaction of the write
+ * @returns {Promise<Object|null>} The TalentPool instance, or null if it does not exist
+ * @throws {Error} 'Only static pools have members'
+ */
+const findStaticPool = async (poolId, transaction) => {
+    const pool = await TalentPool.findByPk(poolId, { transaction });
+    if (pool && pool.type !== 'static') {
+        throw new Error('Only static pools have members');
+    }
+    return pool;
+};
+
+// GET methods
+/**
+ * Retrieves the talent pools, alphabetically unless sorted otherwise
+ * @async
+ * @function getTalentPools
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every pool when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor }, each pool with `candidate_count`
+ * (null for query pools)
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getTalentPools = async (listQuery) => {
+    try {
+        const result = await findPage(TalentPool, listQuery, { order: [['name', 'ASC']] });
+        return { ...result, rows: await withCandidateCounts(result.rows) };
+    } catch (error) {
+        console.error('Error fetching talent pools:', error);
+        throw error;
+    }
+};
+
+/**
+ * Retrieves a talent pool by ID
+ * @async
+ * @function getTalentPoolById
+ * @param {number|string} poolId - ID of the pool
+ * @returns {Promise<Object|null>} A promise that resolves to the pool with `candidate_count`, or null if not found
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getTalentPoolById = async (poolId) => {
+    try {
+        const pool = await TalentPool.findByPk(poolId);
+        return pool ? (await withCandidateCounts([pool]))[0] : null;
+    } catch (error) {
+        console.error('Error fetching talent pool:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Creates a talent pool
+ * @async
+ * @function createTalentPool
+ * @param {Object} poolData - The pool data object
+ * @param {string} poolData.name - Name of the pool
+ * @param {string|null} [poolData.description] - What the pool is for
+ * @param {string} [poolData.type='static'] - 'static' or 'query'
+ * @param {string} [poolData.query] - Search query of a query pool, see parseCandidateQuery
+ * @param {number|null} userId - ID of the user creating the pool
+ * @returns {Promise<Object>} A promise that resolves to the created pool, with `candidate_count`
+ * @throws {Error} The errors of checkPoolFields, 'Pool name already exists' or a database error
+ * @example
+ * const pool = await createTalentPool({ name: 'Q3 backend pool', type: 'query', query: 'skill:"Node.js" AND experience>=3' }, userId);
+ */
+export const createTalentPool = async (poolData, userId) => {
+    try {
+        const fields = checkPoolFields({ ...poolData, type: poolData.type ?? 'static' });
+        await assertNameAvailable(fields.name, null);
+        const pool = await TalentPool.create({ ...fields, created_by: userId });
+        return (await withCandidateCounts([pool]))[0];
+    } catch (error) {
+        console.error('Error creating talent pool:', error);
+        throw error;
+    }
+};
+
+/**
+ * Adds candidates to a static talent pool
+ * @async
+ * @function addTalentPoolCandidates
+ * @param {number|string} poolId - ID of the pool
+ * @param {Array<number>} candidateIds - IDs of the candidates
+ * @param {number|null} userId - ID of the user adding the candidates
+ * @returns {Promise<Object|null>} A promise that resolves to { added, already_in_pool, not_found } (not_found lists the IDs
+ * of missing candidates), or null if the pool does not exist
+ * @throws {Error} 'Only static pools have members' or a database error
+ */
+export const addTalentPoolCandidates = async (poolId, candidateIds, userId) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            if (!await findStaticPool(poolId, transaction)) {
+                return null;
+            }
+
+            const { found, notFound } = await splitExistingCandidateIds(candidateIds, transaction);
+            const existing = await TalentPoolCandidate.findAll({
+                where: { pool_id: poolId, candidate_id: found },
+                attributes: ['candidate_id'],
+                transaction
+            });
+            const alreadyInPool = new Set(existing.map(row => row.candidate_id));
+            const toAdd = found.filter(id => !alreadyInPool.has(id));
+
+            await TalentPoolCandidate.bulkCreate(
+                toAdd.map(candidate_id => ({ pool_id: poolId, candidate_id, added_by: userId })),
+                { transaction }
+            );
+            return { added: toAdd.length, already_in_pool: alreadyInPool.size, not_found: notFound };
+        });
+    } catch (error) {
+        console.error('Error adding candidates to talent pool:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Changes the name, description or query of a talent pool. Its type cannot change.
+ * @async
+ * @function updateTalentPool
+ * @param {number|string} poolId - ID of the pool
+ * @param {Object} poolData - Fields to change: name, description and query
+ * @returns {Promise<Object|null>} A promise that resolves to the updated pool, or null if not found
+ * @throws {Error} 'Pool type cannot be changed', the errors of createTalentPool or a database error
+ */
+export const updateTalentPool = async (poolId, poolData) => {
+    try {
+        const pool = await TalentPool.findByPk(poolId);
+        if (!pool) {
+            return null;
+        }
+        if (poolData.type !== undefined && poolData.type !== pool.type) {
+            throw new Error('Pool type cannot be changed');
+        }
+
+        const fields = checkPoolFields({
+            name: poolData.name ?? pool.name,
+            description: poolData.description !== undefined ? poolData.description : pool.description,
+            type: pool.type,
+            query: poolData.query ?? pool.query
+        });
+        await assertNameAvailable(fields.name, pool.pool_id);
+        await pool.update(fields);
+        return getTalentPoolById(poolId);
+    } catch (error) {
+        console.error('Error updating talent pool:', error);
+        throw error;
+    }
+};
+
+// DELETE methods
+/**
+ * Deletes a talent pool; its candidates are not affected
+ * @async
+ * @function deleteTalentPool
+ * @param {number|string} poolId - ID of the pool
+ * @returns {Promise<boolean>} A promise that resolves to true, or false if the pool does not exist
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const deleteTalentPool = async (poolId) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const pool = await TalentPool.findByPk(poolId, { transaction });
+            if (!pool) {
+                return false;
+            }
+            // Memberships are removed here rather than by the foreign key so the audit log records them
+            await TalentPoolCandidate.destroy({ where: { pool_id: poolId }, transaction });
+            await pool.destroy({ transaction });
+            return true;
+        });
+    } catch (error) {
+        console.error('Error deleting talent pool:', error);
+        throw error;
+    }
+};
+
+/**
+ * Removes candidates from a static talent pool
+ * @async
+ * @function removeTalentPoolCandidates
+ * @param {number|string} poolId - ID of the pool
+ * @param {Array<number>} candidateIds - IDs of the candidates
+ * @returns {Promise<Object|null>} A promise that resolves to { removed }, the number of candidates that were in the pool,
+ * or null if the pool does not exist
+ * @throws {Error} 'Only static pools have members' or a database error
+ */
+export const removeTalentPoolCandidates = async (poolId, candidateIds) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            if (!await findStaticPool(poolId, transaction)) {
+                return null;
+            }
+            const removed = await TalentPoolCandidate.destroy({
+                where: { pool_id: poolId, candidate_id: { [Op.in]: candidateIds.map(Number) } },
+                transaction
+            });
+            return { removed };
+        });
+    } catch (error) {
+        console.error('Error removing candidates from talent pool:', error);
+        throw error;
+    }
+};
@@ -0,0 +1,412 @@
+import crypto from 'crypto';
+import sequelize from '../../../config/db_conn.js';
+import UserTwoFactor from '../entities/UserTwoFactorEntity.js';
+import RecoveryCode from '../entities/RecoveryCodeEntity.js';
+import Role from '../entities/RolesEntity.js';
+import { hashToken } from './RefreshTokenServices.js';
+
+// RFC 6238 parameters understood by every authenticator app
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next code as well, to tolerate clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes bytes as RFC 4648 base32 without padding, the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string (padding and case are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    let bits = '';
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Key used to encrypt TOTP secrets at rest, derived from TWO_FACTOR_ENCRYPTION_KEY (or JWT_SECRET)
+ * @returns {Buffer} 32-byte AES key
+ * @throws {Error} If neither variable is configured
+ */
+const getEncryptionKey = () => {
+    const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not configured');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypts a TOTP secret with AES-256-GCM
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {string} iv, auth tag and ciphertext, base64url encoded and joined with dots
+ */
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypts a TOTP secret encrypted by encryptSecret
+ * @param {string} payload - Value of secret_encrypted
+ * @returns {string} Base32 TOTP secret
+ */
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Normalizes a recovery code as typed by the user before hashing
+ * @param {string} code - Recovery code
+ * @returns {string} Lower-cased code without separators or spaces
+ */
+const normalizeRecoveryCode = (code) => {
+    return String(code).toLowerCase().replace(/[\s-]/g, '');
+};
+
+/**
+ * Current TOTP time step
+ * @returns {number} Number of periods since the Unix epoch
+ */
+const getCurrentStep = () => {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+};
+
+/**
+ * Computes the TOTP code of a secret for a time step (RFC 6238, HMAC-SHA1, 6 digits)
+ * @function generateTotpCode
+ * @param {string} secret - Base32 TOTP secret
+ * @param {number} [step] - Time step (defaults to the current one)
+ * @returns {string} Zero-padded numeric code
+ * @example
+ * const code = generateTotpCode('JBSWY3DPEHPK3PXP');
+ */
+export const generateTotpCode = (secret, step = getCurrentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Finds the time step a code belongs to within the accepted window
+ * @param {string} secret - Base32 TOTP secret
+ * @param {string} code - Code entered by the user
+ * @returns {number|null} Matching time step or null if the code is wrong
+ */
+const findMatchingStep = (secret, code) => {
+    const normalized = String(code).replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+        return null;
+    }
+
+    const currentStep = getCurrentStep();
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        const expected = generateTotpCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// GET methods
+/**
+ * Retrieves the two-factor status of a user
+ * @async
+ * @function getTwoFactorStatus
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object>} Object with enabled, pending and recoveryCodesRemaining
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const getTwoFactorStatus = async (userId) => {
+    try {
+        const twoFactor = await UserTwoFactor.findByPk(userId);
+        const recoveryCodesRemaining = await RecoveryCode.count({
+            where: { user_id: userId, used_at: null }
+        });
+
+        return {
+            enabled: Boolean(twoFactor?.enabled_at),
+            pending: Boolean(twoFactor && !twoFactor.enabled_at),
+            recoveryCodesRemaining
+        };
+    } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        throw error;
+    }
+};
+
+/**
+ * Checks whether a user has confirmed two-factor enrollment
+ * @async
+ * @function isTwoFactorEnabled
+ * @param {number} userId - ID of the user
+ * @returns {Promise<boolean>} True if login requires a TOTP or recovery code
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const isTwoFactorEnabled = async (userId) => {
+    try {
+        const twoFactor = await UserTwoFactor.findByPk(userId, { attributes: ['enabled_at'] });
+        return Boolean(twoFactor?.enabled_at);
+    } catch (error) {
+        console.error('Error checking two-factor status:', error);
+        throw error;
+    }
+};
+
+/**
+ * Checks whether a role requires its members to use two-factor authentication
+ * @async
+ * @function isTwoFactorRequiredForRole
+ * @param {number} roleId - ID of the role
+ * @returns {Promise<boolean>} True if the role has require_two_factor set
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const isTwoFactorRequiredForRole = async (roleId) => {
+    try {
+        const role = await Role.findByPk(roleId, { attributes: ['require_two_factor'] });
+        return Boolean(role?.require_two_factor);
+    } catch (error) {
+        console.error('Error checking role two-factor requirement:', error);
+        throw error;
+    }
+};
+
+// CREATE methods
+/**
+ * Starts (or restarts) two-factor enrollment with a new secret.
+ * The secret only takes effect once confirmed with confirmEnrollment.
+ * @async
+ * @function startEnrollment
+ * @param {Object} user - User enrolling
+ * @param {number} user.user_id - ID of the user
+ * @param {string} user.email - Email shown as the account name in the authenticator app
+ * @returns {Promise<Object>} Object with the base32 secret and the otpauth:// provisioning URI to render as a QR code
+ * @throws {Error} 'Two-factor authentication is already enabled' or a database error
+ */
+export const startEnrollment = async (user) => {
+    try {
+        const existing = await UserTwoFactor.findByPk(user.user_id);
+        if (existing?.enabled_at) {
+            throw new Error('Two-factor authentication is already enabled');
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        const secretEncrypted = encryptSecret(secret);
+
+        if (existing) {
+            await existing.update({ secret_encrypted: secretEncrypted, last_used_step: null });
+        } else {
+            await UserTwoFactor.create({ user_id: user.user_id, secret_encrypted: secretEncrypted });
+        }
+
+        const issuer = process.env.TWO_FACTOR_ISSUER || 'TalentTrack';
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: String(TOTP_DIGITS),
+            period: String(TOTP_PERIOD_SECONDS)
+        });
+        const otpauthUrl = `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(user.email)}?${params}`;
+
+        return { secret, otpauthUrl };
+    } catch (error) {
+        console.error('Error starting two-factor enrollment:', error);
+        throw error;
+    }
+};
+
+/**
+ * Replaces the recovery codes of a user with a new set
+ * @async
+ * @function regenerateRecoveryCodes
+ * @param {number} userId - ID of the user
+ * @param {Object} [transaction] - Sequelize transaction to run the writes in
+ * @returns {Promise<Array<string>>} The raw recovery codes; only their hashes are stored
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const regenerateRecoveryCodes = async (userId, transaction) => {
+    try {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        await RecoveryCode.destroy({ where: { user_id: userId }, transaction });
+        await RecoveryCode.bulkCreate(
+            codes.map(code => ({ user_id: userId, code_hash: hashToken(normalizeRecoveryCode(code)) })),
+            { transaction }
+        );
+
+        return codes;
+    } catch (error) {
+        console.error('Error generating recovery codes:', error);
+        throw error;
+    }
+};
+
+// UPDATE methods
+/**
+ * Verifies a TOTP code against the stored secret. A code is accepted at most once.
+ * @async
+ * @function verifyTotp
+ * @param {number} userId - ID of the user
+ * @param {string} code - Code from the authenticator app
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowPending=false] - Accept a secret whose enrollment is not confirmed yet
+ * @returns {Promise<boolean>} True if the code is valid and has not been used before
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const verifyTotp = async (userId, code, { allowPending = false } = {}) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            // Lock the row so the same code cannot be accepted twice concurrently
+            const twoFactor = await UserTwoFactor.findByPk(userId, {
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+
+            if (!twoFactor || (!twoFactor.enabled_at && !allowPending)) {
+                return false;
+            }
+
+            const step = findMatchingStep(decryptSecret(twoFactor.secret_encrypted), code);
+            if (step === null || (twoFactor.last_used_step !== null && step <= Number(twoFactor.last_used_step))) {
+                return false;
+            }
+
+            await twoFactor.update({ last_used_step: step }, { transaction });
+            return true;
+        });
+    } catch (error) {
+        console.error('Error verifying TOTP code:', error);
+        throw error;
+    }
+};
+
+/**
+ * Consumes a recovery code
+ * @async
+ * @function useRecoveryCode
+ * @param {number} userId - ID of the user
+ * @param {string} code - Recovery code entered by the user
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const useRecoveryCode = async (userId, code) => {
+    try {
+        const [used] = await RecoveryCode.update(
+            { used_at: new Date() },
+            {
+                where: {
+                    user_id: userId,
+                    code_hash: hashToken(normalizeRecoveryCode(code)),
+                    used_at: null
+                }
+            }
+        );
+        return used > 0;
+    } catch (error) {
+        console.error('Error using recovery code:', error);
+        throw error;
+    }
+};
+
+/**
+ * Confirms enrollment with the first code from the authenticator app and issues recovery codes
+ * @async
+ * @function confirmEnrollment
+ * @param {number} userId - ID of the user
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Array<string>>} The raw recovery codes, shown to the user once
+ * @throws {Error} 'Two-factor enrollment has not been started', 'Two-factor authentication is already enabled' or 'Invalid two-factor code'
+ */
+export const confirmEnrollment = async (userId, code) => {
+    try {
+        const twoFactor = await UserTwoFactor.findByPk(userId);
+        if (!twoFactor) {
+            throw new Error('Two-factor enrollment has not been started');
+        }
+        if (twoFactor.enabled_at) {
+            throw new Error('Two-factor authentication is already enabled');
+        }
+
+        if (!(await verifyTotp(userId, code, { allowPending: true }))) {
+            throw new Error('Invalid two-factor code');
+        }
+
+        return await sequelize.transaction(async (transaction) => {
+            await UserTwoFactor.update(
+                { enabled_at: new Date() },
+                { where: { user_id: userId }, transaction }
+            );
+            return regenerateRecoveryCodes(userId, transaction);
+        });
+    } catch (error) {
+        console.error('Error confirming two-factor enrollment:', error);
+        throw error;
+    }
+};
+
+// DELETE methods
+/**
+ * Turns two-factor authentication off and deletes the secret and recovery codes
+ * @async
+ * @function disableTwoFactor
+ * @param {number} userId - ID of the user
+ * @returns {Promise<boolean>} True if two-factor data was deleted
+ * @throws {Error} Throws an error if the database operation fails
+ */
+export const disableTwoFactor = async (userId) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            await RecoveryCode.destroy({ where: { user_id: userId }, transaction });
+            const deleted = await UserTwoFactor.destroy({ where: { user_id: userId }, transaction });
+            return deleted > 0;
+        });
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+        throw error;
+    }
+};
@@ -1,17 +1,21 @@
 import User from '../entities/UserEntity.js';
+import Role from '../entities/RolesEntity.js';
+import { findPage } from './PaginationServices.js';
 
 // GET methods
 /**
- * Retrieves all users from the database
+ * Retrieves users from the database one page at a time, without their password
  * @async
  * @function getAllUsers
- * @returns {Promise<Array<Object>>} A promise that resolves to an array of user objects ordered by user_id in descending order (most recent first)
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every user when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor }, by default ordered by user_id
+ * in descending order (most recent first)
  * @throws {Error} Throws an error if the database operation fails
  * @example
- * // Get all users
+ * // Get the first page of users
  * try {
- *   const users = await getAllUsers();
- *   console.log(`Found ${users.length} users`);
+ *   const { rows: users, total } = await getAllUsers(req.listQuery);
+ *   console.log(`Found ${total} users`);
  *   users.forEach(user => {
  *     console.log(`User: ${user.name} (${user.email})`);
  *   });
@@ -19,12 +23,12 @@ import User from '../entities/UserEntity.js';
  *   console.error('Failed to fetch users:', error);
  * }
  */
-export const getAllUsers = async () => {
+export const getAllUsers = async (listQuery) => {
     try {
-        const users = await User.findAll({
+        return await findPage(User, listQuery, {
+            attributes: { exclude: ['password'] },
             order: [['user_id', 'DESC']] // Order by most recent first
         });
-        return users;
     } catch (error) {
         console.error('Error fetching all users:', error);
         throw error;
@@ -77,7 +81,7 @@ export const getUserById = async (userId) => {
  * @param {Object} userData - The user data object
  * @param {string|null} userData.name - The user's name
  * @param {string|null} userData.email - The user's email address
- * @param {string|null} userData.password - The user's password
+ * @param {string|null} userData.password - The user's password in plain text, stored hashed
  * @param {number|null} userData.role_id - The user's role identifier
  * @returns {Promise<Object>} A promise that resolves to an object containing the user instance and creation status
  * @returns {Object} returns.user - The user instance (created or updated)
@@ -88,7 +92,7 @@ export const getUserById = async (userId) => {
  * const userData = {
  *   name: 'John Doe',
  *   email: 'john@example.com',
- *   password: 'hashedPassword123',
+ *   password: 'Secret123',
  *   role_id: 1
  * };
  * const { user, created } = await createUserUpsert(userData);
@@ -109,7 +113,7 @@ export const createUserUpsert = async (userData) => {
         const [userInstance, created] = await User.upsert({
             name: name || null,
             email: email || null,
-            password: password || null,
+            password: password ? await User.hashPassword(password) : null,
             role_id: role_id || null
         }, { returning: true });
 
@@ -120,6 +124,43 @@ export const createUserUpsert = async (userData) => {
     }
 };
 
+// UPDATE methods
+/**
+ * Assigns a different role to a user
+ * @async
+ * @function updateUserRole
+ * @param {number|string} userId - The unique identifier of the user
+ * @param {number|string} roleId - The role to assign
+ * @returns {Promise<Object|null>} A promise that resolves to the updated user (without password) or null if the user does not exist
+ * @throws {Error} 'Role not found' if the role does not exist, or a database error
+ * @example
+ * const user = await updateUserRole(12, 3);
+ * if (user) {
+ *   console.log(`${user.name} now has role ${user.role_id}`);
+ * }
+ */
+export const updateUserRole = async (userId, roleId) => {
+    try {
+        const role = await Role.findByPk(roleId);
+        if (!role) {
+            throw new Error('Role not found');
+        }
+
+        const user = await User.findByPk(userId);
+        if (!user) {
+            return null;
+        }
+
+        await user.update({ role_id: role.role_id });
+
+        const { password: _, ...userWithoutPassword } = user.toJSON();
+        return userWithoutPassword;
+    } catch (error) {
+        console.error('Error updating user role:', error);
+        throw error;
+    }
+};
+
 // DELETE method
 /**
  * Deletes a user from the database by their user ID
@@ -4,32 +4,60 @@ import Application from '../entities/ApplicationEntity.js';
 import Candidate from '../entities/CandidateEntity.js';
 import { Op } from 'sequelize';
 import sequelize from '../../../config/db_conn.js';
+import { findPage } from './PaginationServices.js';
+
+// LIKE wildcards in searched text are matched literally
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Builds the where clause of the filters of the vacancy lists
+ * @param {Object} filters - Filters of the list
+ * @param {number} [filters.vacancyId] - Only this vacancy
+ * @param {string} [filters.status] - Only vacancies with this status
+ * @param {string} [filters.search] - Text found in the title or the description
+ * @returns {Object|undefined} Where clause, or undefined without filters
+ */
+const buildVacancyWhere = ({ vacancyId, status, search } = {}) => {
+    const conditions = [];
+    if (vacancyId != null) {
+        conditions.push({ vacancy_id: vacancyId });
+    }
+    if (status) {
+        conditions.push({ status });
+    }
+    if (search) {
+        const pattern = `%${escapeLike(search)}%`;
+        conditions.push({ [Op.or]: [{ title: { [Op.like]: pattern } }, { description: { [Op.like]: pattern } }] });
+    }
+    return conditions.length > 0 ? { [Op.and]: conditions } : undefined;
+};
 
 /**
- * Retrieves all vacancies from the database ordered by most recent first.
+ * Retrieves vacancies from the database one page at a time, most recent first unless sorted otherwise.
  * 
  * @async
  * @function getAllVacancies
- * @returns {Promise<Array>} A promise that resolves to an array of all vacancy objects ordered by vacancy_id in descending order
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every vacancy when omitted
+ * @param {Object} [filters={}] - Only the vacancies matching every filter: vacancyId, status and search (see buildVacancyWhere)
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } (see PaginationServices.findPage)
  * @throws {Error} Throws an error if the database query fails
  * 
- * @description This function fetches all vacancies from the database and orders them by vacancy_id in descending order,
+ * @description This function fetches vacancies from the database, by default ordered by vacancy_id in descending order,
  * showing the most recently created vacancies first.
  * 
  * @example
- * // Get all vacancies
- * const allVacancies = await getAllVacancies();
- * console.log(allVacancies); // Array of vacancy objects
- * allVacancies.forEach(vacancy => {
+ * // Get the first page of vacancies
+ * const { rows } = await getAllVacancies(req.listQuery);
+ * rows.forEach(vacancy => {
  *   console.log(`${vacancy.title} - ${vacancy.status}`);
  * });
  */
-export const getAllVacancies = async () => {
+export const getAllVacancies = async (listQuery, filters = {}) => {
     try {
-        const vacancies = await Vacancy.findAll({
+        return await findPage(Vacancy, listQuery, {
+            where: buildVacancyWhere(filters),
             order: [['vacancy_id', 'DESC']]
         });
-        return vacancies;
     } catch (error) {
         console.error('Error fetching all vacancies:', error);
         throw error;
@@ -42,7 +70,8 @@ export const getAllVacancies = async () => {
  * @async
  * @function getVacanciesByName
  * @param {string} title - The title or partial title to search for
- * @returns {Promise<Array>} A promise that resolves to an array of vacancy objects matching the search criteria
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every match when omitted
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the matching vacancies
  * @throws {Error} Throws an error if the database query fails
  * 
  * @description This function performs a case-insensitive search for vacancies based on their title.
@@ -51,23 +80,22 @@ export const getAllVacancies = async () => {
  * 
  * @example
  * // Search for vacancies with "engineer" in the title
- * const engineerJobs = await getVacanciesByName("engineer");
+ * const { rows: engineerJobs } = await getVacanciesByName("engineer");
  * console.log(engineerJobs); // Returns vacancies with titles like "Software Engineer", "Senior Engineer", etc.
  * 
  * @example
  * // Search for vacancies with "developer" in the title
- * const devJobs = await getVacanciesByName("Developer");
+ * const { rows: devJobs } = await getVacanciesByName("Developer");
  * console.log(devJobs); // Case-insensitive search
  */
-export const getVacanciesByName = async (title) => {
+export const getVacanciesByName = async (title, listQuery) => {
     try {
-        const vacancies = await Vacancy.findAll({
+        return await findPage(Vacancy, listQuery, {
             where: sequelize.where(
                 sequelize.fn('LOWER', sequelize.col('title')),
                 { [Op.like]: `%${title.toLowerCase()}%`}
             )
         });
-        return vacancies;
     } catch (error) {
         console.error('Error fetching vacancy:', error);
         throw error;
@@ -225,11 +253,14 @@ export const deleteVacancy = async (vacancy) => {
 };
 
 /**
- * Retrieves all vacancies with their application count.
+ * Retrieves vacancies with their application count, one page at a time.
  * 
  * @async
  * @function getAllVacanciesWithCount
- * @returns {Promise<Array>} A promise that resolves to an array of vacancy objects with application count
+ * @param {Object} [listQuery] - Pagination, sort and projection from the listQuery middleware; every vacancy when omitted.
+ * The applicationsCount field is always included.
+ * @param {Object} [filters={}] - Only the vacancies matching every filter: vacancyId, status and search (see buildVacancyWhere)
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the vacancies and their application count
  * @throws {Error} Throws an error if the database query fails
  * 
  * @description This function fetches all vacancies from the database and includes a count of applications
@@ -239,27 +270,29 @@ export const deleteVacancy = async (vacancy) => {
  * 
  * @example
  * // Get all vacancies with application counts
- * const vacanciesWithCounts = await getAllVacanciesWithCount();
+ * const { rows: vacanciesWithCounts } = await getAllVacanciesWithCount();
  * vacanciesWithCounts.forEach(vacancy => {
  *   console.log(`${vacancy.title}: ${vacancy.dataValues.applicationsCount} applications`);
  * });
  * 
  * @example
  * // Find vacancies with no applications
- * const vacancies = await getAllVacanciesWithCount();
+ * const { rows: vacancies } = await getAllVacanciesWithCount();
  * const emptyVacancies = vacancies.filter(v => v.dataValues.applicationsCount === '0');
  */
-export const getAllVacanciesWithCount = async () => {
+export const getAllVacanciesWithCount = async (listQuery, filters = {}) => {
+  // The projection is applied here so the count column survives it
+  const { attributes = Object.keys(Vacancy.rawAttributes), ...page } = listQuery || {};
   try {
-    const vacancies = await Vacancy.findAll({
-      attributes: {
-        include: [
-          [
-            sequelize.fn('COUNT', sequelize.col('Applications.application_id')),
-            'applicationsCount'
-          ]
+    return await findPage(Vacancy, listQuery && page, {
+      where: buildVacancyWhere(filters),
+      attributes: [
+        ...attributes,
+        [
+          sequelize.fn('COUNT', sequelize.col('Applications.application_id')),
+          'applicationsCount'
         ]
-      },
+      ],
       include: [
         {
           model: Application,
@@ -267,10 +300,10 @@ export const getAllVacanciesWithCount = async () => {
         }
       ],
       group: ['Vacancy.vacancy_id'],
-      order: [['vacancy_id', 'DESC']]
+      order: [['vacancy_id', 'DESC']],
+      // Keeps the page limit on the grouped query instead of a subquery without the join
+      subQuery: false
     });
-
-    return vacancies;
   } catch (error) {
     console.error('Error fetching all vacancies with count:', error);
     throw error;
@@ -284,19 +317,25 @@ export const getAllVacanciesWithCount = async () => {
  * @async
  * @function getApplicationsByVacancyId
  * @param {number|string} vacancyId - The vacancy ID to retrieve applications for
- * @returns {Promise<Array>} A promise that resolves to an array of application objects with included candidate and vacancy data
+ * @param {Object} [listQuery] - Pagination, sort and projection (of the application fields) from the listQuery middleware;
+ * every application when omitted
+ * @param {Object} [filters={}] - Only the applications matching every filter
+ * @param {string} [filters.status] - Status of the application
+ * @param {string} [filters.search] - Text found in the name of the candidate, or in the email when includePii is set
+ * @param {boolean} [filters.includePii=false] - Whether search also looks in the email
+ * @returns {Promise<Object>} A promise that resolves to { rows, total, nextCursor } with the applications including candidate and vacancy data
  * @throws {Error} Throws an error if the database query fails
  * 
  * @description This function fetches all applications for a specific vacancy and includes related data from
  * the Candidate and Vacancy tables. It uses Sequelize associations to join the tables and return
  * comprehensive application data including:
  * - All Application fields
- * - Related Candidate information
+ * - Related Candidate ID, name, occupation and email (no other contact details)
  * - Related Vacancy information
  * 
  * @example
  * // Get all applications for vacancy ID 456
- * const applications = await getApplicationsByVacancyId(456);
+ * const { rows: applications } = await getApplicationsByVacancyId(456);
  * applications.forEach(app => {
  *   console.log(`Application ${app.application_id}:`);
  *   console.log(`  Candidate: ${app.Candidate.name}`);
@@ -306,22 +345,28 @@ export const getAllVacanciesWithCount = async () => {
  * 
  * @example
  * // Check if a vacancy has any applications
- * const applications = await getApplicationsByVacancyId(123);
- * if (applications.length === 0) {
+ * const { total } = await getApplicationsByVacancyId(123);
+ * if (total === 0) {
  *   console.log('No applications found for this vacancy');
  * }
  */
-export const getApplicationsByVacancyId = async (vacancyId) => {
+export const getApplicationsByVacancyId = async (vacancyId, listQuery, filters = {}) => {
+  const { status, search, includePii = false } = filters;
+  let candidateWhere;
+  if (search) {
+    const pattern = `%${escapeLike(search)}%`;
+    const columns = includePii ? ['name', 'email'] : ['name'];
+    candidateWhere = { [Op.or]: columns.map(column => ({ [column]: { [Op.like]: pattern } })) };
+  }
   try {
-    const applications = await Application.findAll({
-      where: { vacancy_id: vacancyId },
+    return await findPage(Application, listQuery, {
+      where: { vacancy_id: vacancyId, ...(status && { status }) },
       include: [
-        { model: Candidate },
+        // What the vacancy page shows; the controller redacts the email for roles without candidate:read_pii
+        { model: Candidate, attributes: ['candidate_id', 'name', 'occupation', 'email'], where: candidateWhere },
         { model: Vacancy }
       ]
     });
-
-    return applications;
   } catch (error) {
     console.error('Error fetching applications by vacancy:', error);
     throw error;
@@ -1,5 +1,7 @@
 import { Router } from "express";
 import * as applicationsController from '../controllers/ApplicationsController.js';
+import { requirePermission } from '../middleware/authMiddleware.js';
+import { listQuery } from '../middleware/listQuery.js';
 /**
  * Express router instance for handling application-related routes.
  * This router manages endpoints for application operations such as
@@ -9,10 +11,16 @@ import * as applicationsController from '../controllers/ApplicationsController.j
  */
 const router = Router();
 
-router.get('/', applicationsController.getAllApplications);
-router.get('/column', applicationsController.getAllApplicationsColumn);
-router.get('/:id', applicationsController.getApplicationsForVacancyId); 
-router.get('/:id/:status', applicationsController.getApplicationsForVacancyIdAndStatus);
-router.put("/:id", applicationsController.updateApplicationController);
+const applicationList = listQuery({
+    primaryKey: 'application_id',
+    sortable: ['application_id', 'application_date', 'status'],
+    fields: ['application_id', 'application_date', 'status', 'ai_reason', 'candidate_id', 'vacancy_id']
+});
+
+router.get('/', requirePermission('application:read'), applicationList, applicationsController.getAllApplications);
+router.get('/column', requirePermission('application:read'), applicationList, applicationsController.getAllApplicationsColumn);
+router.get('/:id', requirePermission('application:read'), applicationList, applicationsController.getApplicationsForVacancyId);
+router.get('/:id/:status', requirePermission('application:read'), applicationList, applicationsController.getApplicationsForVacancyIdAndStatus);
+router.put("/:id", requirePermission('application:change_status'), applicationsController.updateApplicationController);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+import { Router } from "express";
+import * as auditController from '../controllers/AuditController.js';
+import { requirePermission } from '../middleware/authMiddleware.js';
+import { listQuery } from '../middleware/listQuery.js';
+
+/**
+ * Express router instance for reading the audit log.
+ * Entries are written by the model hooks in AuditServices and cannot be changed through the API.
+ * Only admins (user:admin) can read them.
+ * 
+ * @type {import('express').Router}
+ */
+const router = Router();
+
+const auditList = listQuery({
+    primaryKey: 'audit_id',
+    sortable: ['audit_id', 'created_at'],
+    fields: ['audit_id', 'actor_user_id', 'api_key_id', 'entity', 'entity_id', 'action', 'before', 'after', 'ip_address', 'created_at']
+});
+
+router.get('/', requirePermission('user:admin'), auditList, auditController.getAuditLogsController);
+
+export default router;
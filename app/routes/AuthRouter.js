@@ -1,5 +1,6 @@
 import { Router } from "express";
 import AuthController from '../controllers/AuthController.js';
+import { verifyToken, verifyTokenOrSetupChallenge, requireSession } from '../middleware/authMiddleware.js';
 
 /**
  * Express router instance for handling authentication routes.
@@ -12,40 +13,162 @@ const router = Router();
 
 /**
  * POST /api/auth/register
- * Register a new user account
+ * Register a new user account with the DEFAULT_ROLE role ('interviewer').
+ * Only available when ALLOW_OPEN_REGISTRATION is 'true'; otherwise users join through invitations.
  * @body {Object} userData - User registration data
  * @body {string} userData.name - User's full name
  * @body {string} userData.email - User's email address
  * @body {string} userData.password - User's password (will be hashed)
- * @body {number} [userData.role_id=1] - User's role ID (optional, defaults to 1)
  * @returns {Object} 201 - User created successfully
  * @returns {Object} 400 - Validation error
+ * @returns {Object} 403 - Open registration is disabled
  * @returns {Object} 409 - User already exists
  * @returns {Object} 500 - Internal server error
  */
 router.post("/register", AuthController.register);
 
+/**
+ * GET /api/auth/invitations/:token
+ * Email, role and expiry of a pending invitation
+ * @param {string} token - Token from the invitation link
+ * @returns {Object} 200 - Invitation details
+ * @returns {Object} 404 - Unknown, accepted, revoked or expired invitation
+ * @returns {Object} 500 - Internal server error
+ */
+router.get("/invitations/:token", AuthController.getInvitation);
+
+/**
+ * POST /api/auth/invitations/accept
+ * Create the invited account with the invited email and role
+ * @body {string} token - Token from the invitation link
+ * @body {string} name - User's full name
+ * @body {string} password - User's password (will be hashed)
+ * @returns {Object} 201 - Account created
+ * @returns {Object} 400 - Validation error or invalid/expired invitation
+ * @returns {Object} 409 - User already exists
+ * @returns {Object} 500 - Internal server error
+ */
+router.post("/invitations/accept", AuthController.acceptInvitation);
+
 /**
  * POST /api/auth/login
  * Authenticate user and login
  * @body {Object} credentials - Login credentials
  * @body {string} credentials.email - User's email address
  * @body {string} credentials.password - User's password
- * @returns {Object} 200 - Login successful with user data
+ * @returns {Object} 200 - Login successful with user data, access token and refresh token,
+ *   or { twoFactorRequired | twoFactorSetupRequired, challengeToken } when a second step is needed
  * @returns {Object} 400 - Validation error
  * @returns {Object} 401 - Invalid credentials
+ * @returns {Object} 429 - Too many failed attempts for the account or IP (see Retry-After header)
  * @returns {Object} 500 - Internal server error
  */
 router.post("/login", AuthController.login);
 
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for users with two-factor authentication
+ * @body {string} challengeToken - Token returned by POST /api/auth/login
+ * @body {string} [code] - 6-digit code from the authenticator app
+ * @body {string} [recoveryCode] - One-time recovery code, instead of code
+ * @returns {Object} 200 - Login successful with user data, access token and refresh token
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Invalid code or invalid/expired challenge token
+ * @returns {Object} 429 - Too many failed attempts for the account or IP (see Retry-After header)
+ * @returns {Object} 500 - Internal server error
+ */
+router.post("/login/2fa", AuthController.loginTwoFactor);
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status of the authenticated user
+ * @returns {Object} 200 - { enabled, pending, required, recoveryCodesRemaining }
+ * @returns {Object} 401 - Missing or invalid access token
+ * @returns {Object} 500 - Internal server error
+ */
+router.get("/2fa", verifyToken, requireSession, AuthController.getTwoFactorStatus);
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start two-factor enrollment. Authenticated with an access token, or with the
+ * challengeToken from a login that answered twoFactorSetupRequired.
+ * @body {string} [challengeToken] - Setup challenge token, instead of an access token
+ * @returns {Object} 200 - Secret and otpauth:// provisioning URI to render as a QR code
+ * @returns {Object} 401 - Missing or invalid token
+ * @returns {Object} 409 - Two-factor authentication is already enabled
+ * @returns {Object} 500 - Internal server error
+ */
+router.post("/2fa/setup", verifyTokenOrSetupChallenge, requireSession, AuthController.setupTwoFactor);
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the authenticator app
+ * @body {string} code - 6-digit code from the authenticator app
+ * @body {string} [challengeToken] - Setup challenge token, instead of an access token
+ * @returns {Object} 200 - Recovery codes (shown once); also tokens when a challenge token was used
+ * @returns {Object} 400 - Missing or invalid code, or setup not started
+ * @returns {Object} 401 - Missing or invalid token
+ * @returns {Object} 409 - Two-factor authentication is already enabled
+ * @returns {Object} 500 - Internal server error
+ */
+router.post("/2fa/enable", verifyTokenOrSetupChallenge, requireSession, AuthController.enableTwoFactor);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor authentication off
+ * @body {string} password - Current password
+ * @body {string} code - 6-digit code from the authenticator app
+ * @returns {Object} 200 - Two-factor authentication disabled
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Wrong password or code
+ * @returns {Object} 403 - The user's role requires two-factor authentication
+ * @returns {Object} 500 - Internal server error
+ */
+router.post("/2fa/disable", verifyToken, requireSession, AuthController.disableTwoFactor);
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes of the authenticated user
+ * @body {string} code - 6-digit code from the authenticator app
+ * @returns {Object} 200 - New recovery codes (shown once)
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Invalid code
+ * @returns {Object} 500 - Internal server error
+ */
+router.post("/2fa/recovery-codes", verifyToken, requireSession, AuthController.regenerateRecoveryCodes);
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token.
+ * The presented refresh token is revoked; reusing it revokes the whole session.
+ * @body {string} refreshToken - Refresh token from login or a previous refresh
+ * @returns {Object} 200 - New access token and refresh token
+ * @returns {Object} 400 - Refresh token missing
+ * @returns {Object} 401 - Refresh token invalid, expired or reused
+ * @returns {Object} 500 - Internal server error
+ */
+router.post("/refresh", AuthController.refresh);
+
 /**
  * POST /api/auth/logout
- * Logout user (stateless endpoint for consistency)
+ * Logout user by revoking the session (refresh token family) of the given token
+ * @body {string} refreshToken - Refresh token of the session to end
  * @returns {Object} 200 - Logout successful
+ * @returns {Object} 400 - Refresh token missing
  * @returns {Object} 500 - Internal server error
  */
 router.post("/logout", AuthController.logout);
 
+/**
+ * POST /api/auth/logout-all
+ * Logout every session of the authenticated user
+ * @header {string} Authorization - Bearer access token
+ * @returns {Object} 200 - All sessions logged out
+ * @returns {Object} 401 - Missing or invalid access token
+ * @returns {Object} 500 - Internal server error
+ */
+router.post("/logout-all", verifyToken, AuthController.logoutAll);
+
 /**
  * PUT /api/auth/change-password
  * Change user password
@@ -53,11 +176,34 @@ router.post("/logout", AuthController.logout);
  * @body {string} passwordData.email - User's email address
  * @body {string} passwordData.currentPassword - Current password
  * @body {string} passwordData.newPassword - New password
- * @returns {Object} 200 - Password changed successfully
+ * @returns {Object} 200 - Password changed successfully (all sessions are revoked)
  * @returns {Object} 400 - Validation error
  * @returns {Object} 401 - Current password incorrect
+ * @returns {Object} 429 - Too many failed attempts for the account or IP (see Retry-After header)
  * @returns {Object} 500 - Internal server error
  */
 router.put("/change-password", AuthController.changePassword);
 
+/**
+ * POST /api/auth/forgot-password
+ * Email a single-use, time-limited password reset link.
+ * The response is the same whether or not an account exists for the email.
+ * @body {string} email - Email address of the account
+ * @returns {Object} 200 - Reset link sent if the account exists
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 500 - Internal server error
+ */
+router.post("/forgot-password", AuthController.forgotPassword);
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the token from the reset link; ends every session of the user
+ * @body {string} token - Token from the reset link
+ * @body {string} newPassword - New password
+ * @returns {Object} 200 - Password reset successfully
+ * @returns {Object} 400 - Validation error or invalid, used or expired token
+ * @returns {Object} 500 - Internal server error
+ */
+router.post("/reset-password", AuthController.resetPassword);
+
 export default router;
@@ -1,9 +1,18 @@
 import { Router } from "express";
 import * as candidateSharesController from '../controllers/CandidateSharesController.js';
+import { requirePermission } from '../middleware/authMiddleware.js';
+import { listQuery } from '../middleware/listQuery.js';
 
 const router = Router();
 
-router.get('/:senderId', candidateSharesController.getCandidateSharesController);
-router.post('/create', candidateSharesController.createCandidateSharesController);
+const shareList = listQuery({
+    primaryKey: 'share_id',
+    sortable: ['share_id', 'status', 'created_at', 'updated_at'],
+    fields: ['share_id', 'candidate_id', 'sender_id', 'receiver_id', 'application_id', 'status', 'created_at', 'updated_at'],
+    defaultSort: 'created_at:desc'
+});
+
+router.get('/:senderId', requirePermission('share:read'), shareList, candidateSharesController.getCandidateSharesController);
+router.post('/create', requirePermission('share:write'), candidateSharesController.createCandidateSharesController);
 
 export default router;
\ No newline at end of file
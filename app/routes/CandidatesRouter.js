@@ -1,6 +1,14 @@
 import { Router } from "express";
 import * as CvController from '../controllers/CandidatesController.js';
 import * as CvAiController from '../controllers/UploadCandidate.js';
+import * as DuplicatesController from '../controllers/CandidateDuplicatesController.js';
+import * as RevisionsController from '../controllers/CandidateRevisionsController.js';
+import * as NotesController from '../controllers/CandidateNotesController.js';
+import * as FilesController from '../controllers/CandidateFilesController.js';
+import * as TagsController from '../controllers/TagsController.js';
+import * as PrivacyController from '../controllers/CandidatePrivacyController.js';
+import { requirePermission } from '../middleware/authMiddleware.js';
+import { listQuery } from '../middleware/listQuery.js';
 
 /**
  * Express router instance for handling candidate-related routes.
@@ -11,10 +19,93 @@ import * as CvAiController from '../controllers/UploadCandidate.js';
  */
 const router = Router();
 
-router.post('/', CvAiController.uploadMiddleware, CvAiController.processUploadedCVsController);
-router.get('/', CvController.getAllCandidatesController);
-router.get('/:id/notes', CvController.getCandidateNotesController);
-router.put('/:id/notes', CvController.updateCandidateNotesController);
-router.put('/', CvController.updateCandidateController);
+// Contact details are not sortable, so the order of a page cannot reveal them to users without candidate:read_pii
+const candidateList = listQuery({
+    primaryKey: 'candidate_id',
+    sortable: ['candidate_id', 'name', 'occupation', 'experience_years'],
+    fields: ['candidate_id', 'name', 'email', 'phone', 'date_of_birth', 'occupation', 'summary', 'experience', 'experience_years', 'skills', 'languages', 'education', 'anonymized_at']
+});
+const candidateRelevanceList = listQuery({
+    primaryKey: 'candidate_id',
+    sortable: ['score', 'candidate_id', 'name', 'occupation', 'experience_years'],
+    fields: ['candidate_id', 'name', 'email', 'phone', 'date_of_birth', 'occupation', 'summary', 'experience', 'experience_years', 'skills', 'languages', 'education', 'anonymized_at'],
+    defaultSort: 'score:desc'
+});
+const duplicateList = listQuery({
+    primaryKey: 'duplicate_id',
+    sortable: ['duplicate_id', 'score', 'detected_at'],
+    fields: ['duplicate_id', 'candidate_id', 'other_candidate_id', 'score', 'reasons', 'status', 'reviewed_by', 'reviewed_at', 'detected_at'],
+    defaultSort: 'score:desc'
+});
+const mergeList = listQuery({
+    primaryKey: 'merge_id',
+    sortable: ['merge_id', 'created_at'],
+    fields: ['merge_id', 'survivor_id', 'merged_candidate_id', 'merged_by', 'undone_at', 'undone_by', 'created_at']
+});
+const erasureRequestList = listQuery({
+    primaryKey: 'request_id',
+    sortable: ['request_id', 'created_at', 'resolved_at'],
+    fields: ['request_id', 'candidate_id', 'reason', 'status', 'requested_by', 'resolved_by', 'resolved_at', 'resolution_note', 'erased', 'created_at']
+});
+const noteList = listQuery({
+    primaryKey: 'note_id',
+    sortable: ['note_id', 'created_at', 'updated_at'],
+    fields: ['note_id', 'candidate_id', 'parent_note_id', 'author_id', 'content', 'visibility', 'application_id', 'vacancy_id', 'created_at', 'updated_at']
+});
+const noteEditList = listQuery({
+    primaryKey: 'edit_id',
+    sortable: ['edit_id', 'edited_at'],
+    fields: ['edit_id', 'note_id', 'content', 'visibility', 'application_id', 'vacancy_id', 'edited_by', 'edited_at']
+});
+const fileList = listQuery({
+    primaryKey: 'candidate_file_id',
+    sortable: ['candidate_file_id', 'created_at'],
+    fields: ['candidate_file_id', 'candidate_id', 'file_id', 'application_id', 'original_name', 'uploaded_by', 'created_at']
+});
+const revisionList = listQuery({
+    primaryKey: 'revision_id',
+    sortable: ['revision_id', 'version', 'created_at'],
+    fields: ['revision_id', 'candidate_id', 'version', 'source', 'profile', 'changed_fields', 'restored_version', 'author_id', 'created_at']
+});
+
+router.post('/', requirePermission('candidate:write'), CvAiController.uploadMiddleware, CvAiController.processUploadedCVsController);
+router.get('/', requirePermission('candidate:read'), candidateList, CvController.getAllCandidatesController);
+// Fixed paths go before /:id so they are not taken for an ID
+router.get('/facets', requirePermission('candidate:read'), CvController.getCandidateFacetsController);
+router.get('/search', requirePermission('candidate:read'), candidateList, CvController.searchCandidatesController);
+router.get('/fulltext', requirePermission('candidate:read'), candidateRelevanceList, CvController.fullTextSearchCandidatesController);
+router.get('/filter', requirePermission('candidate:read'), candidateList, CvController.getCandidatesByFilterController);
+router.get('/duplicates', requirePermission('candidate:read'), duplicateList, DuplicatesController.getCandidateDuplicatesController);
+router.post('/duplicates/detect', requirePermission('candidate:write'), DuplicatesController.detectCandidateDuplicatesController);
+router.post('/duplicates/:duplicateId/dismiss', requirePermission('candidate:write'), DuplicatesController.dismissCandidateDuplicateController);
+router.get('/merges', requirePermission('candidate:read'), mergeList, DuplicatesController.getCandidateMergesController);
+router.post('/merges/:mergeId/undo', requirePermission('candidate:write'), DuplicatesController.undoCandidateMergeController);
+router.get('/erasure-requests', requirePermission('candidate:privacy'), erasureRequestList, PrivacyController.getErasureRequestsController);
+router.post('/erasure-requests/:requestId/complete', requirePermission('candidate:privacy'), PrivacyController.completeErasureRequestController);
+router.post('/erasure-requests/:requestId/reject', requirePermission('candidate:privacy'), PrivacyController.rejectErasureRequestController);
+router.get('/email/:email', requirePermission('candidate:read', 'candidate:read_pii'), CvController.getCandidateByEmailController);
+router.get('/name/:name', requirePermission('candidate:read'), CvController.getCandidateByNameController);
+router.get('/:id', requirePermission('candidate:read'), CvController.getCandidateByIdController);
+router.get('/:id/notes', requirePermission('candidate:read'), noteList, NotesController.getCandidateNotesController);
+router.post('/:id/notes', requirePermission('candidate:write'), NotesController.createCandidateNoteController);
+router.get('/:id/notes/:noteId', requirePermission('candidate:read'), NotesController.getCandidateNoteController);
+router.get('/:id/notes/:noteId/edits', requirePermission('candidate:read'), noteEditList, NotesController.getCandidateNoteEditsController);
+router.put('/:id/notes/:noteId', requirePermission('candidate:write'), NotesController.updateCandidateNoteController);
+router.delete('/:id/notes/:noteId', requirePermission('candidate:write'), NotesController.deleteCandidateNoteController);
+router.get('/:id/files', requirePermission('candidate:read'), fileList, FilesController.getCandidateFilesController);
+router.get('/:id/files/:fileId', requirePermission('candidate:read', 'candidate:read_pii'), FilesController.getCandidateFileController);
+router.get('/:id/tags', requirePermission('candidate:read'), TagsController.getCandidateTagsController);
+router.post('/:id/tags', requirePermission('candidate:write'), TagsController.tagCandidateController);
+router.delete('/:id/tags/:tagId', requirePermission('candidate:write'), TagsController.untagCandidateController);
+router.get('/:id/revisions', requirePermission('candidate:read'), revisionList, RevisionsController.getCandidateRevisionsController);
+router.get('/:id/revisions/diff', requirePermission('candidate:read'), RevisionsController.diffCandidateRevisionsController);
+router.get('/:id/revisions/:version', requirePermission('candidate:read'), RevisionsController.getCandidateRevisionController);
+router.post('/:id/revisions/:version/restore', requirePermission('candidate:write'), RevisionsController.restoreCandidateRevisionController);
+router.get('/:id/export', requirePermission('candidate:read', 'candidate:read_pii', 'candidate:privacy'), PrivacyController.exportCandidateDataController);
+router.post('/:id/anonymize', requirePermission('candidate:privacy'), PrivacyController.anonymizeCandidateController);
+router.post('/:id/erasure-requests', requirePermission('candidate:write'), PrivacyController.createErasureRequestController);
+router.post('/:id/merge', requirePermission('candidate:write'), DuplicatesController.mergeCandidateController);
+router.put('/:id', requirePermission('candidate:write'), CvController.updateCandidateController);
+router.delete('/:id', requirePermission('candidate:write'), CvController.deleteCandidateController);
 
 export default router;
\ No newline at end of file
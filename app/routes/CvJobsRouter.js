@@ -0,0 +1,16 @@
+import { Router } from "express";
+import * as CvAiController from '../controllers/UploadCandidate.js';
+import { requirePermission } from '../middleware/authMiddleware.js';
+
+/**
+ * Express router instance for the jobs that process uploaded CVs in the background.
+ * CVs are uploaded with POST /api/aicv; these routes follow a job and retry its failed files.
+ * 
+ * @type {import('express').Router}
+ */
+const router = Router();
+
+router.get('/:id', requirePermission('candidate:write'), CvAiController.getCvJobController);
+router.post('/:id/retry', requirePermission('candidate:write'), CvAiController.retryCvJobController);
+
+export default router;
@@ -0,0 +1,37 @@
+import { Router } from "express";
+import * as rolesController from '../controllers/RolesController.js';
+import { requirePermission } from '../middleware/authMiddleware.js';
+import { listQuery } from '../middleware/listQuery.js';
+
+/**
+ * Express router instance for handling role-related routes.
+ * This router manages the roles and the permissions granted to them.
+ * Reading is open to anyone who can list users; changes require user:admin.
+ * 
+ * @type {import('express').Router}
+ */
+const router = Router();
+
+const roleList = listQuery({
+    primaryKey: 'role_id',
+    sortable: ['role_id', 'name'],
+    fields: ['role_id', 'name', 'require_two_factor'],
+    defaultSort: 'role_id:asc'
+});
+const permissionList = listQuery({
+    primaryKey: 'permission_id',
+    sortable: ['permission_id', 'name'],
+    fields: ['permission_id', 'name', 'description'],
+    defaultSort: 'name:asc'
+});
+
+router.get('/', requirePermission('user:read'), roleList, rolesController.getAllRolesController);
+router.get('/permissions', requirePermission('user:read'), permissionList, rolesController.getAllPermissionsController);
+router.get('/:id', requirePermission('user:read'), rolesController.getRoleByIdController);
+
+router.post('/', requirePermission('user:admin'), rolesController.createRoleController);
+router.put('/:id', requirePermission('user:admin'), rolesController.updateRoleController);
+
+router.delete('/:id', requirePermission('user:admin'), rolesController.deleteRoleController);
+
+export default router;
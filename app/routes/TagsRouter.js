@@ -0,0 +1,28 @@
+import { Router } from "express";
+import * as tagsController from '../controllers/TagsController.js';
+import { requirePermission } from '../middleware/authMiddleware.js';
+import { listQuery } from '../middleware/listQuery.js';
+
+/**
+ * Express router instance for the tags put on candidates.
+ * A single candidate is tagged under /api/candidates/:id/tags; these routes manage the tags and tag many candidates at once.
+ * 
+ * @type {import('express').Router}
+ */
+const router = Router();
+
+const tagList = listQuery({
+    primaryKey: 'tag_id',
+    sortable: ['tag_id', 'name', 'created_at'],
+    fields: ['tag_id', 'name', 'color', 'created_by', 'created_at'],
+    defaultSort: 'name:asc'
+});
+
+router.get('/', requirePermission('candidate:read'), tagList, tagsController.getTagsController);
+router.post('/', requirePermission('candidate:write'), tagsController.createTagController);
+router.put('/:id', requirePermission('candidate:write'), tagsController.updateTagController);
+router.delete('/:id', requirePermission('candidate:write'), tagsController.deleteTagController);
+router.post('/:id/candidates', requirePermission('candidate:write'), tagsController.tagCandidatesController);
+router.delete('/:id/candidates', requirePermission('candidate:write'), tagsController.untagCandidatesController);
+
+export default router;
@@ -0,0 +1,29 @@
+import { Router } from "express";
+import * as poolsController from '../controllers/TalentPoolsController.js';
+import { requirePermission } from '../middleware/authMiddleware.js';
+import { listQuery } from '../middleware/listQuery.js';
+
+/**
+ * Express router instance for talent pools, named groups of candidates.
+ * The candidates of a pool are listed with GET /api/candidates?pool=<pool_id>.
+ * 
+ * @type {import('express').Router}
+ */
+const router = Router();
+
+const poolList = listQuery({
+    primaryKey: 'pool_id',
+    sortable: ['pool_id', 'name', 'type', 'created_at', 'updated_at'],
+    fields: ['pool_id', 'name', 'description', 'type', 'query', 'created_by', 'created_at', 'updated_at'],
+    defaultSort: 'name:asc'
+});
+
+router.get('/', requirePermission('candidate:read'), poolList, poolsController.getTalentPoolsController);
+router.get('/:id', requirePermission('candidate:read'), poolsController.getTalentPoolController);
+router.post('/', requirePermission('candidate:write'), poolsController.createTalentPoolController);
+router.put('/:id', requirePermission('candidate:write'), poolsController.updateTalentPoolController);
+router.delete('/:id', requirePermission('candidate:write'), poolsController.deleteTalentPoolController);
+router.post('/:id/candidates', requirePermission('candidate:write'), poolsController.addTalentPoolCandidatesController);
+router.delete('/:id/candidates', requirePermission('candidate:write'), poolsController.removeTalentPoolCandidatesController);
+
+export default router;
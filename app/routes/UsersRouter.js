@@ -1,5 +1,7 @@
 import { Router } from "express";
 import * as usersController from '../controllers/UsersController.js';
+import { requirePermission, requireSession } from '../middleware/authMiddleware.js';
+import { listQuery } from '../middleware/listQuery.js';
 
 /**
  * Express router instance for handling user-related routes.
@@ -10,8 +12,37 @@ import * as usersController from '../controllers/UsersController.js';
  */
 const router = Router();
 
-router.get("/", usersController.getAllUsersController);
-router.post("/", usersController.createUserController);
-router.delete("/:id", usersController.deleteUserController);
+const userList = listQuery({
+    primaryKey: 'user_id',
+    sortable: ['user_id', 'name', 'email', 'role_id'],
+    fields: ['user_id', 'name', 'email', 'role_id']
+});
+const apiKeyList = listQuery({
+    primaryKey: 'key_id',
+    sortable: ['key_id', 'name', 'expires_at', 'last_used_at', 'created_at'],
+    fields: ['key_id', 'user_id', 'name', 'prefix', 'scopes', 'expires_at', 'last_used_at', 'revoked_at', 'created_at']
+});
+const invitationList = listQuery({
+    primaryKey: 'invitation_id',
+    sortable: ['invitation_id', 'email', 'expires_at', 'created_at'],
+    fields: ['invitation_id', 'email', 'role_id', 'invited_by', 'expires_at', 'accepted_at', 'revoked_at', 'created_at']
+});
+
+router.get("/", requirePermission('user:read'), userList, usersController.getAllUsersController);
+router.post("/", requirePermission('user:admin'), usersController.createUserController);
+
+// Personal API keys of the logged in user
+router.get("/me/api-keys", requireSession, apiKeyList, usersController.getMyApiKeysController);
+router.post("/me/api-keys", requireSession, usersController.createMyApiKeyController);
+router.delete("/me/api-keys/:keyId", requireSession, usersController.revokeMyApiKeyController);
+
+router.get("/invitations", requirePermission('user:admin'), invitationList, usersController.getAllInvitationsController);
+router.post("/invitations", requirePermission('user:admin'), usersController.createInvitationController);
+router.post("/invitations/:id/resend", requirePermission('user:admin'), usersController.resendInvitationController);
+router.delete("/invitations/:id", requirePermission('user:admin'), usersController.revokeInvitationController);
+
+router.put("/:id/role", requirePermission('user:admin'), usersController.updateUserRoleController);
+router.post("/:id/unlock", requirePermission('user:admin'), usersController.unlockUserController);
+router.delete("/:id", requirePermission('user:admin'), usersController.deleteUserController);
 
 export default router;
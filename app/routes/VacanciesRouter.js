@@ -1,5 +1,7 @@
 import { Router } from "express";
 import * as vacanciesControllers from '../controllers/VacanciesControllers.js';
+import { requirePermission } from '../middleware/authMiddleware.js';
+import { listQuery } from '../middleware/listQuery.js';
 
 /**
  * Express router instance for handling vacancy-related routes.
@@ -11,14 +13,25 @@ import * as vacanciesControllers from '../controllers/VacanciesControllers.js';
  */
 const router = Router();
 
-router.get('/', vacanciesControllers.getAllVacanciesController);
-router.get('/count', vacanciesControllers.getAllVacanciesWithCount);
-router.get('/find', vacanciesControllers.getAllVacanciesByNameController);
-router.get('/:id', vacanciesControllers.getApplicationsByVacancyIdController);
+const vacancyList = listQuery({
+    primaryKey: 'vacancy_id',
+    sortable: ['vacancy_id', 'title', 'salary', 'status', 'creation_date'],
+    fields: ['vacancy_id', 'title', 'description', 'salary', 'status', 'creation_date']
+});
+const applicationList = listQuery({
+    primaryKey: 'application_id',
+    sortable: ['application_id', 'application_date', 'status'],
+    fields: ['application_id', 'application_date', 'status', 'ai_reason', 'candidate_id', 'vacancy_id']
+});
 
-router.post('/', vacanciesControllers.upsertVacancyController);
-router.put('/:id', vacanciesControllers.updateVacancyController);
+router.get('/', requirePermission('vacancy:read'), vacancyList, vacanciesControllers.getAllVacanciesController);
+router.get('/count', requirePermission('vacancy:read'), vacancyList, vacanciesControllers.getAllVacanciesWithCount);
+router.get('/find', requirePermission('vacancy:read'), vacancyList, vacanciesControllers.getAllVacanciesByNameController);
+router.get('/:id', requirePermission('vacancy:read', 'application:read'), applicationList, vacanciesControllers.getApplicationsByVacancyIdController);
 
-router.delete('/:id', vacanciesControllers.deleteVacancyController);
+router.post('/', requirePermission('vacancy:write'), vacanciesControllers.upsertVacancyController);
+router.put('/:id', requirePermission('vacancy:write'), vacanciesControllers.updateVacancyController);
+
+router.delete('/:id', requirePermission('vacancy:write'), vacanciesControllers.deleteVacancyController);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,49 @@
+import createLocalDriver from './drivers/LocalDriver.js';
+import createS3Driver from './drivers/S3Driver.js';
+
+/**
+ * Available storage drivers, selected with the STORAGE_DRIVER environment variable.
+ * Each factory returns an object with async put(key, body, { contentType }), get(key) and remove(key) methods.
+ */
+const drivers = {
+    local: createLocalDriver,
+    s3: createS3Driver
+};
+
+let storage = null;
+
+/**
+ * Registers an additional storage driver (e.g. another object store)
+ * @function registerStorageDriver
+ * @param {string} name - Driver name used in STORAGE_DRIVER
+ * @param {Function} factory - Function returning an object with async put, get and remove methods
+ */
+export const registerStorageDriver = (name, factory) => {
+    drivers[name] = factory;
+};
+
+/**
+ * Replaces the active driver, mainly for tests
+ * @function setFileStorage
+ * @param {{ put: Function, get: Function, remove: Function }|null} customStorage - Driver to use, or null to go back to STORAGE_DRIVER
+ */
+export const setFileStorage = (customStorage) => {
+    storage = customStorage;
+};
+
+/**
+ * Returns the driver selected by STORAGE_DRIVER (default 'local'), created on first use
+ * @function getFileStorage
+ * @returns {{ put: Function, get: Function, remove: Function }} Active storage driver
+ * @throws {Error} Throws error if STORAGE_DRIVER names an unknown driver
+ */
+export const getFileStorage = () => {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || 'local';
+        if (!drivers[driver]) {
+            throw new Error(`Unknown storage driver: ${driver}`);
+        }
+        storage = drivers[driver]();
+    }
+    return storage;
+};
@@ -0,0 +1,37 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Storage driver that keeps files on the local disk, one file per key.
+ * Default driver; not suited to serverless deployments, whose disk does not persist.
+ *
+ * @param {Object} [options] - Driver options
+ * @param {string} [options.directory] - Root directory (STORAGE_DIR, defaults to ./storage)
+ * @returns {{ put: Function, get: Function, remove: Function }} Storage driver
+ */
+export default function createLocalDriver(options = {}) {
+    const directory = path.resolve(options.directory || process.env.STORAGE_DIR || 'storage');
+
+    // Keys are generated by the app, but a key must never reach outside the root directory
+    const resolve = (key) => {
+        const filePath = path.resolve(directory, key);
+        if (!filePath.startsWith(directory + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        async put(key, body) {
+            const filePath = resolve(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, body);
+        },
+        async get(key) {
+            return fs.readFile(resolve(key));
+        },
+        async remove(key) {
+            await fs.rm(resolve(key), { force: true });
+        }
+    };
+}
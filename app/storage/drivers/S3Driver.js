@@ -0,0 +1,43 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+/**
+ * Storage driver for Amazon S3 and S3-compatible object stores such as MinIO.
+ *
+ * Configured with S3_BUCKET, S3_REGION (default 'us-east-1'), S3_ENDPOINT (for a non-AWS store, e.g. http://localhost:9000),
+ * S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and S3_FORCE_PATH_STYLE ('true' by default when S3_ENDPOINT is set, as MinIO expects).
+ * Without the access keys the SDK's default credentials (environment, IAM role...) are used.
+ *
+ * @returns {{ put: Function, get: Function, remove: Function }} Storage driver
+ * @throws {Error} Throws error if S3_BUCKET is not set
+ */
+export default function createS3Driver() {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required by the s3 storage driver');
+    }
+    const endpoint = process.env.S3_ENDPOINT || undefined;
+
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+            ? process.env.S3_FORCE_PATH_STYLE === 'true'
+            : Boolean(endpoint),
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+            : undefined
+    });
+
+    return {
+        async put(key, body, { contentType } = {}) {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+        },
+        async get(key) {
+            const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await result.Body.transformToByteArray());
+        },
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+}
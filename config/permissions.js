@@ -0,0 +1,52 @@
+/**
+ * Catalogue of permissions and the default roles that are seeded with them.
+ * This is the single source used by scripts/seed-roles.mjs; the database
+ * (permissions, role_permissions) is what requirePermission() checks at runtime.
+ */
+
+/**
+ * Every permission known to the API, keyed by name, with a short description
+ * @type {Object<string, string>}
+ */
+export const PERMISSIONS = {
+    'vacancy:read': 'List and view vacancies',
+    'vacancy:write': 'Create, update and delete vacancies',
+    'candidate:read': 'List and view candidate profiles',
+    'candidate:read_pii': 'View candidate contact details (email, phone, date of birth)',
+    'candidate:write': 'Upload CVs and edit candidate profiles, notes, tags and talent pools',
+    'candidate:privacy': 'Export, anonymize and erase the data held about a candidate (data subject requests)',
+    'application:read': 'List and view applications',
+    'application:change_status': 'Change the status of an application',
+    'share:read': 'List candidate shares',
+    'share:write': 'Share candidates with other users',
+    'user:read': 'List users',
+    'user:admin': 'Manage users, roles and permissions'
+};
+
+/**
+ * Default roles and the permissions granted to each of them
+ * @type {Object<string, Array<string>>}
+ */
+export const DEFAULT_ROLES = {
+    admin: Object.keys(PERMISSIONS),
+    recruiter: [
+        'vacancy:read', 'vacancy:write',
+        'candidate:read', 'candidate:read_pii', 'candidate:write',
+        'application:read', 'application:change_status',
+        'share:read', 'share:write',
+        'user:read'
+    ],
+    hiring_manager: [
+        'vacancy:read', 'vacancy:write',
+        'candidate:read', 'candidate:read_pii',
+        'application:read', 'application:change_status',
+        'share:read', 'share:write',
+        'user:read'
+    ],
+    interviewer: [
+        'vacancy:read',
+        'candidate:read',
+        'application:read',
+        'share:read'
+    ]
+};
@@ -1,15 +1,60 @@
 import { API_URL } from '../utils/config.js';
+import { getToken, getUser, setUser } from '../utils/guard.js';
+
+// Authorization header for protected endpoints
+function authHeaders(headers = {}) {
+    const token = getToken();
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+// Exchange the stored refresh token for a new token pair
+async function refreshSession() {
+    const user = getUser();
+    if (!user?.refreshToken) return false;
+
+    const res = await fetch(`${API_URL}/auth/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken: user.refreshToken }),
+    });
+    if (!res.ok) return false;
+
+    const { token, refreshToken } = await res.json();
+    setUser({ ...user, token, refreshToken });
+    return true;
+}
+
+// fetch with the access token, renewing it once when it has expired
+export async function apiFetch(url, options = {}) {
+    const send = () => fetch(url, { ...options, headers: authHeaders(options.headers) });
+
+    const res = await send();
+    if (res.status === 401 && await refreshSession()) {
+        return send();
+    }
+    return res;
+}
 
 // GET (read data)
 export async function fetchData(endpoint) {
-    const res = await fetch(`${API_URL}/${endpoint}`);
+    const res = await apiFetch(`${API_URL}/${endpoint}`);
     if (!res.ok) throw new Error(`Error fetching data: ${res.status}`);
     return res.json();
 }
 
+// GET one page of a list endpoint, e.g. fetchPage("vacancies", { page: 2, limit: 10, status: "open" });
+// resolves to the list envelope { data, meta, links } (empty parameters are left out)
+export function fetchPage(endpoint, params = {}) {
+    const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== "")
+    ).toString();
+    const separator = endpoint.includes("?") ? "&" : "?";
+    return fetchData(query ? `${endpoint}${separator}${query}` : endpoint);
+}
+
 // POST (create)
 export async function createData(endpoint, data) {
-    const res = await fetch(`${API_URL}/${endpoint}`, {
+    const res = await apiFetch(`${API_URL}/${endpoint}`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(data),
@@ -20,7 +65,7 @@ export async function createData(endpoint, data) {
 
 // PUT (update)
 export async function updateData(endpoint, id, data) {
-    const res = await fetch(`${API_URL}/${endpoint}/${id}`, {
+    const res = await apiFetch(`${API_URL}/${endpoint}/${id}`, {
         method: "PUT",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(data),
@@ -31,7 +76,7 @@ export async function updateData(endpoint, id, data) {
 
 // DELETE (delete)
 export async function deleteData(endpoint, id) {
-    const res = await fetch(`${API_URL}/${endpoint}/${id}`, {
+    const res = await apiFetch(`${API_URL}/${endpoint}/${id}`, {
         method: "DELETE",
     });
     if (!res.ok) throw new Error(`Error deleting record: ${res.status}`);
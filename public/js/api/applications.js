@@ -1,11 +1,10 @@
-import { fetchData, createData, updateData, deleteData } from "./api.js";
-import { API_URL } from '../utils/config.js';
+import { fetchPage, createData, updateData, deleteData } from "./api.js";
 
 const ENDPOINT = "applications";
 
-// Get all applications
-export function getApplications() {
-    return fetchData(ENDPOINT);
+// Get a page of applications in the list envelope, e.g. { page: 2, limit: 10 }
+export function getApplications(params = {}) {
+    return fetchPage(ENDPOINT, params);
 }
 
 // Create new application
@@ -23,9 +22,7 @@ export function deleteApplication(id) {
     return deleteData(ENDPOINT, id);
 }
 
-// Get all vacancies with application count
-export async function getAllApplicationsColumn() {
-    const res = await fetch(`${API_URL}/applications/column`);
-    if (!res.ok) throw new Error(`Error fetching data: ${res.status}`);
-    return res.json();
+// Get a page of applications with every column, e.g. { vacancy_id: 4, status: "interview", limit: 1 }
+export function getAllApplicationsColumn(params = {}) {
+    return fetchPage(`${ENDPOINT}/column`, params);
 }
\ No newline at end of file
@@ -0,0 +1,8 @@
+import { fetchPage } from "./api.js";
+
+const ENDPOINT = "audit";
+
+// Get a page of audit log entries (admin only) in the list envelope, e.g. { entity: "candidate", entity_id: 42, page: 2 }
+export function getAuditLogs(filters = {}) {
+    return fetchPage(ENDPOINT, filters);
+}
@@ -1,11 +1,40 @@
-import { fetchData, createData, updateData, deleteData } from "./api.js";
+import { fetchPage, fetchData, createData, updateData, deleteData, apiFetch } from "./api.js";
 import { API_URL } from '../utils/config.js';
 
 const ENDPOINT = "candidates";
 
-// Get all candidates
-export function getCandidates() {
-    return fetchData(ENDPOINT);
+// Get a page of candidates in the list envelope, optionally filtered, e.g. { tag: "3,5", pool: 2, q: "skill:React", page: 2 }
+// (every given tag, members of the pool, matching the query)
+export function getCandidates(params = {}) {
+    return fetchPage(ENDPOINT, params);
+}
+
+// Get the number of candidates, how many applied, and the occupations and skills to filter by
+export function getCandidateFacets() {
+    return fetchData(`${ENDPOINT}/facets`);
+}
+
+// Get one candidate by ID, or null if it does not exist
+export async function getCandidate(id) {
+    const response = await apiFetch(`${API_URL}/${ENDPOINT}/${encodeURIComponent(id)}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Error fetching candidate: ${response.status}`);
+    return response.json();
+}
+
+// Search candidates with a query such as `skill:React AND experience>=3` or a free-text term; resolves to a page
+export function searchCandidates(query, params = {}) {
+    return fetchPage(`${ENDPOINT}/search`, { ...params, q: query });
+}
+
+// Search the occupation, summary, experience and education, most relevant first; each candidate has `score` and `highlights`
+export function fullTextSearchCandidates(text, params = {}) {
+    return fetchPage(`${ENDPOINT}/fulltext`, { ...params, q: text });
+}
+
+// Get a page of the candidates matching every filter, e.g. { skill: "React", language: "English", page: 2 }
+export function filterCandidates(filters) {
+    return fetchPage(`${ENDPOINT}/filter`, filters);
 }
 
 // Create new candidate
@@ -23,18 +52,49 @@ export function deleteCandidate(id) {
     return deleteData(ENDPOINT, id);
 }
 
-// Get candidate notes by ID
-export function getCandidateNotes(id) {
-    return fetchData(`${ENDPOINT}/${id}/notes`);
+// Get a page of the notes of a candidate the user may read, newest first
+export function getCandidateNotes(id, params = {}) {
+    return fetchPage(`${ENDPOINT}/${id}/notes`, params);
 }
 
-// Update candidate notes by ID
-export async function updateCandidateNotes(id, notes) {
-    const response = await fetch(`${API_URL}/${ENDPOINT}/${id}/notes`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ notes }),
-    });
-    if (!response.ok) throw new Error(`Error updating notes: ${response.status}`);
-    return response.json();
-}
\ No newline at end of file
+// Write a note about a candidate: { content, visibility, application_id, vacancy_id, parent_note_id }
+export function createCandidateNote(id, note) {
+    return createData(`${ENDPOINT}/${id}/notes`, note);
+}
+
+// Edit a note; the previous version is kept
+export function updateCandidateNote(id, noteId, note) {
+    return updateData(`${ENDPOINT}/${id}/notes`, noteId, note);
+}
+
+// Delete a note and its replies
+export function deleteCandidateNote(id, noteId) {
+    return deleteData(`${ENDPOINT}/${id}/notes`, noteId);
+}
+
+// Get a page of the files kept for a candidate, such as the CVs it was uploaded from
+export function getCandidateFiles(id, params = {}) {
+    return fetchPage(`${ENDPOINT}/${id}/files`, params);
+}
+
+// Download a file of a candidate as a Blob
+export async function downloadCandidateFile(id, fileId) {
+    const response = await apiFetch(`${API_URL}/${ENDPOINT}/${id}/files/${fileId}`);
+    if (!response.ok) throw new Error(`Error downloading file: ${response.status}`);
+    return response.blob();
+}
+
+// Get the tags of a candidate
+export function getCandidateTags(id) {
+    return fetchData(`${ENDPOINT}/${id}/tags`);
+}
+
+// Tag a candidate with { tag_id } or { name } (a tag is created when none has that name); resolves to its tags
+export function tagCandidate(id, tag) {
+    return createData(`${ENDPOINT}/${id}/tags`, tag);
+}
+
+// Take a tag off a candidate
+export function untagCandidate(id, tagId) {
+    return deleteData(`${ENDPOINT}/${id}/tags`, tagId);
+}
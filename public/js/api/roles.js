@@ -1,10 +1,10 @@
-import { fetchData, createData, updateData, deleteData } from "./api.js";
+import { fetchPage, createData, updateData, deleteData } from "./api.js";
 
 const ENDPOINT = "roles";
 
-// Get all roles
-export function getRoles() {
-    return fetchData(ENDPOINT);
+// Get a page of roles in the list envelope
+export function getRoles(params = {}) {
+    return fetchPage(ENDPOINT, params);
 }
 
 // Create new role
@@ -0,0 +1,40 @@
+import { fetchPage, createData, updateData, deleteData, apiFetch } from "./api.js";
+import { API_URL } from '../utils/config.js';
+
+const ENDPOINT = "tags";
+
+// Get a page of tags, alphabetically, with `candidate_count`
+export function getTags(params = {}) {
+    return fetchPage(ENDPOINT, params);
+}
+
+// Create a tag: { name, color }
+export function createTag(tag) {
+    return createData(ENDPOINT, tag);
+}
+
+// Rename or recolor a tag
+export function updateTag(id, tag) {
+    return updateData(ENDPOINT, id, tag);
+}
+
+// Delete a tag; it is taken off every candidate
+export function deleteTag(id) {
+    return deleteData(ENDPOINT, id);
+}
+
+// Tag many candidates at once; resolves to { tagged, already_tagged, not_found }
+export function tagCandidates(id, candidateIds) {
+    return createData(`${ENDPOINT}/${id}/candidates`, { candidate_ids: candidateIds });
+}
+
+// Take a tag off many candidates at once; resolves to { untagged }
+export async function untagCandidates(id, candidateIds) {
+    const res = await apiFetch(`${API_URL}/${ENDPOINT}/${id}/candidates`, {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ candidate_ids: candidateIds }),
+    });
+    if (!res.ok) throw new Error(`Error untagging candidates: ${res.status}`);
+    return res.json();
+}
@@ -0,0 +1,45 @@
+import { fetchPage, fetchData, createData, updateData, deleteData, apiFetch } from "./api.js";
+import { API_URL } from '../utils/config.js';
+
+const ENDPOINT = "pools";
+
+// Get a page of talent pools, alphabetically
+export function getTalentPools(params = {}) {
+    return fetchPage(ENDPOINT, params);
+}
+
+// Get one talent pool
+export function getTalentPool(id) {
+    return fetchData(`${ENDPOINT}/${id}`);
+}
+
+// Create a pool: { name, description, type: "static" } or { name, type: "query", query: "skill:React" }
+export function createTalentPool(pool) {
+    return createData(ENDPOINT, pool);
+}
+
+// Change the name, description or query of a pool
+export function updateTalentPool(id, pool) {
+    return updateData(ENDPOINT, id, pool);
+}
+
+// Delete a pool; its candidates are not affected
+export function deleteTalentPool(id) {
+    return deleteData(ENDPOINT, id);
+}
+
+// Add candidates to a static pool; resolves to { added, already_in_pool, not_found }
+export function addTalentPoolCandidates(id, candidateIds) {
+    return createData(`${ENDPOINT}/${id}/candidates`, { candidate_ids: candidateIds });
+}
+
+// Remove candidates from a static pool; resolves to { removed }
+export async function removeTalentPoolCandidates(id, candidateIds) {
+    const res = await apiFetch(`${API_URL}/${ENDPOINT}/${id}/candidates`, {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ candidate_ids: candidateIds }),
+    });
+    if (!res.ok) throw new Error(`Error removing candidates from pool: ${res.status}`);
+    return res.json();
+}
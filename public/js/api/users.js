@@ -1,11 +1,12 @@
-import { fetchData, createData, updateData, deleteData } from "./api.js";
+import { fetchPage, createData, updateData, deleteData, apiFetch } from "./api.js";
 import { API_URL } from '../utils/config.js';
+import { getUser } from '../utils/guard.js';
 
 const ENDPOINT = "users";
 
-// Get all users
-export function getUsers() {
-    return fetchData(ENDPOINT);
+// Get a page of users in the list envelope
+export function getUsers(params = {}) {
+    return fetchPage(ENDPOINT, params);
 }
 
 // Create new user
@@ -18,6 +19,46 @@ export function updateUser(id, user) {
     return updateData(ENDPOINT, id, user);
 }
 
+// Reassign the role of a user (admin only)
+export function updateUserRole(id, roleId) {
+    return updateData(ENDPOINT, `${id}/role`, { role_id: roleId });
+}
+
+// Lift the login lockout of a user (admin only)
+export function unlockUser(id) {
+    return createData(`${ENDPOINT}/${id}/unlock`, {});
+}
+
+// Invitations (admin only), a page at a time, e.g. { status: "pending" }
+export function getInvitations(params = {}) {
+    return fetchPage(`${ENDPOINT}/invitations`, params);
+}
+
+export function inviteUser(email, roleId) {
+    return createData(`${ENDPOINT}/invitations`, { email, role_id: roleId });
+}
+
+export function resendInvitation(id) {
+    return createData(`${ENDPOINT}/invitations/${id}/resend`, {});
+}
+
+export function revokeInvitation(id) {
+    return deleteData(`${ENDPOINT}/invitations`, id);
+}
+
+// Personal API keys of the logged in user; the key itself is only returned on creation
+export function getApiKeys(params = {}) {
+    return fetchPage(`${ENDPOINT}/me/api-keys`, params);
+}
+
+export function createApiKey(name, scopes, expiresAt) {
+    return createData(`${ENDPOINT}/me/api-keys`, { name, scopes, expires_at: expiresAt });
+}
+
+export function revokeApiKey(keyId) {
+    return deleteData(`${ENDPOINT}/me/api-keys`, keyId);
+}
+
 // Delete user by ID
 export function deleteUser(id) {
     return deleteData(ENDPOINT, id);
@@ -36,6 +77,10 @@ export async function loginUser(email, password) {
         
         const data = await response.json();
         
+        if (response.status === 429) {
+            throw new Error(`Too many failed login attempts, try again in ${data.retryAfter} seconds`);
+        }
+        
         if (!response.ok) {
             throw new Error(data.message || 'Login failed');
         }
@@ -47,6 +92,33 @@ export async function loginUser(email, password) {
     }
 }
 
+export async function loginWithTwoFactor(challengeToken, { code, recoveryCode }) {
+    try {
+        const response = await fetch(`${API_URL}/auth/login/2fa`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ challengeToken, code, recoveryCode })
+        });
+        
+        const data = await response.json();
+        
+        if (response.status === 429) {
+            throw new Error(`Too many failed login attempts, try again in ${data.retryAfter} seconds`);
+        }
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Login failed');
+        }
+        
+        return data;
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        throw error;
+    }
+}
+
 export async function registerUser(userData) {
     try {
         const response = await fetch(`${API_URL}/auth/register`, {
@@ -70,13 +142,68 @@ export async function registerUser(userData) {
     }
 }
 
+// Details of a pending invitation, shown on the accept page
+export async function getInvitation(token) {
+    const response = await fetch(`${API_URL}/auth/invitations/${encodeURIComponent(token)}`);
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(data.message || 'Invalid or expired invitation');
+    }
+    
+    return data;
+}
+
+export async function acceptInvitation(token, name, password) {
+    try {
+        const response = await fetch(`${API_URL}/auth/invitations/accept`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ token, name, password })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Accepting the invitation failed');
+        }
+        
+        return data;
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        throw error;
+    }
+}
+
 export async function logoutUser() {
     try {
         const response = await fetch(`${API_URL}/auth/logout`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-            }
+            },
+            body: JSON.stringify({ refreshToken: getUser()?.refreshToken })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Logout failed');
+        }
+        
+        return data;
+    } catch (error) {
+        console.error('Logout error:', error);
+        throw error;
+    }
+}
+
+export async function logoutAllSessions() {
+    try {
+        const response = await apiFetch(`${API_URL}/auth/logout-all`, {
+            method: 'POST'
         });
         
         const data = await response.json();
@@ -113,4 +240,93 @@ export async function changePassword(email, currentPassword, newPassword) {
         console.error('Password change error:', error);
         throw error;
     }
-}
\ No newline at end of file
+}
+
+export async function forgotPassword(email) {
+    try {
+        const response = await fetch(`${API_URL}/auth/forgot-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ email })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Password reset request failed');
+        }
+        
+        return data;
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        throw error;
+    }
+}
+
+export async function resetPassword(token, newPassword) {
+    try {
+        const response = await fetch(`${API_URL}/auth/reset-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ token, newPassword })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Password reset failed');
+        }
+        
+        return data;
+    } catch (error) {
+        console.error('Reset password error:', error);
+        throw error;
+    }
+}
+
+// Two-factor endpoints use the session token, or the challenge token of a login that requires setup
+async function postTwoFactor(path, body, errorMessage) {
+    const request = body.challengeToken ? fetch : apiFetch;
+    const response = await request(`${API_URL}/auth/2fa/${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body)
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(data.message || errorMessage);
+    }
+    
+    return data;
+}
+
+export async function getTwoFactorStatus() {
+    const response = await apiFetch(`${API_URL}/auth/2fa`);
+    if (!response.ok) throw new Error(`Error fetching two-factor status: ${response.status}`);
+    return response.json();
+}
+
+// Returns the secret and the otpauth:// URI to show as a QR code
+export function setupTwoFactor(challengeToken) {
+    return postTwoFactor('setup', { challengeToken }, 'Two-factor setup failed');
+}
+
+export function enableTwoFactor(code, challengeToken) {
+    return postTwoFactor('enable', { code, challengeToken }, 'Enabling two-factor authentication failed');
+}
+
+export function disableTwoFactor(password, code) {
+    return postTwoFactor('disable', { password, code }, 'Disabling two-factor authentication failed');
+}
+
+export function regenerateRecoveryCodes(code) {
+    return postTwoFactor('recovery-codes', { code }, 'Regenerating recovery codes failed');
+}
@@ -1,11 +1,10 @@
-import { fetchData, createData, updateData, deleteData } from "./api.js";
-import { API_URL } from '../utils/config.js';
+import { fetchPage, createData, updateData, deleteData } from "./api.js";
 
 const ENDPOINT = "vacancies";
 
-// Get all vacancies
-export function getVacancies() {
-    return fetchData(ENDPOINT);
+// Get a page of vacancies in the list envelope, e.g. { vacancy_id: 4 } or { status: "open", q: "engineer", page: 2 }
+export function getVacancies(params = {}) {
+    return fetchPage(ENDPOINT, params);
 }
 
 // Create new vacancy
@@ -23,16 +22,12 @@ export function deleteVacancy(id) {
     return deleteData(ENDPOINT, id);
 }
 
-// Get all vacancies with application count
-export async function getAllVacanciesWithCount() {
-    const res = await fetch(`${API_URL}/vacancies/count`);
-    if (!res.ok) throw new Error(`Error fetching data: ${res.status}`);
-    return res.json();
+// Get a page of vacancies with their application count, with the filters of getVacancies
+export function getAllVacanciesWithCount(params = {}) {
+    return fetchPage(`${ENDPOINT}/count`, params);
 }
 
-// Get applications for specific vacancy
-export async function getApplicationsByVacancyIdController(id) {
-    const res = await fetch(`${API_URL}/vacancies/${id}`);
-    if (!res.ok) throw new Error(`Error fetching data: ${res.status}`);
-    return res.json();
+// Get a page of the applications for specific vacancy, e.g. { status: "pending", q: "ana", page: 2 }
+export function getApplicationsByVacancyIdController(id, params = {}) {
+    return fetchPage(`${ENDPOINT}/${id}`, params);
 }
@@ -3,6 +3,8 @@
  * Provides consistent header across all pages with navigation and user management
  */
 
+import { logoutUser } from '../../api/users.js';
+
 /**
  * Generate navbar HTML with navigation and user dropdown
  * @param {string} activePage - Current active page identifier
@@ -123,12 +125,15 @@ function setupUserDropdown() {
         logoutBtn.addEventListener('click', function (e) {
             e.preventDefault();
             
-            // Clear session data
-            localStorage.removeItem('currentUser');
-            localStorage.removeItem('returnUrl');
-            
-            // Redirect to index
-            window.location.href = '../index.html';
+            // Revoke the session on the server (ignore network failures)
+            logoutUser().catch(() => {}).finally(() => {
+                // Clear session data
+                localStorage.removeItem('currentUser');
+                localStorage.removeItem('returnUrl');
+                
+                // Redirect to index
+                window.location.href = '../index.html';
+            });
         });
     }
 }
@@ -17,6 +17,17 @@ export function updatePagination(currentPage, totalItems, itemsPerPage, controls
     updatePaginationControls(currentPage, totalPages, controlsContainerId, onPageChange);
 }
 
+/**
+ * Update pagination display from a page of a list endpoint, as the server paginated it
+ * @param {Object} list - List envelope returned by the API ({ data, meta, links })
+ * @param {string} controlsContainerId - Container ID for pagination controls
+ * @param {Function} onPageChange - Callback for page changes, with the number of the page to request
+ */
+export function updatePaginationFromList(list, controlsContainerId, onPageChange) {
+    const { page, total, limit } = list.meta;
+    updatePagination(page, total, limit, controlsContainerId, onPageChange);
+}
+
 /**
  * Update pagination statistics text
  * @param {number} currentPage - Current page number
@@ -9,7 +9,8 @@ export const API_CONFIG = {
         CANDIDATES: 'candidates',
         APPLICATIONS: 'applications',
         AI: 'ai',
-        AUTH: 'auth'
+        AUTH: 'auth',
+        ROLES: 'roles'
     }
 };
 
@@ -28,5 +29,6 @@ export const API_URLS = {
     CANDIDATES: buildApiUrl(API_CONFIG.ENDPOINTS.CANDIDATES),
     APPLICATIONS: buildApiUrl(API_CONFIG.ENDPOINTS.APPLICATIONS),
     AI: buildApiUrl(API_CONFIG.ENDPOINTS.AI),
-    AUTH: buildApiUrl(API_CONFIG.ENDPOINTS.AUTH)
+    AUTH: buildApiUrl(API_CONFIG.ENDPOINTS.AUTH),
+    ROLES: buildApiUrl(API_CONFIG.ENDPOINTS.ROLES)
 };
\ No newline at end of file
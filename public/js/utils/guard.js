@@ -24,6 +24,14 @@ export function getUser() {
     }
 }
 
+/**
+ * Gets the access token of the logged user
+ * @returns {string|null} JWT access token or null if no session
+ */
+export function getToken() {
+    return getUser()?.token || null;
+}
+
 /**
  * Saves user data in LocalStorage
  * @param {Object} userData - User data to save
@@ -37,9 +45,15 @@ export function setUser(userData) {
 }
 
 /**
- * Logs out the user
+ * Logs out the user, revoking the session on the server
  */
-export function logout() {
+export async function logout() {
+    try {
+        const { logoutUser } = await import("../api/users.js");
+        await logoutUser();
+    } catch (error) {
+        console.error("Error revoking session:", error);
+    }
     localStorage.removeItem("currentUser");
     window.location.href = "index.html";
 }
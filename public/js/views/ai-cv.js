@@ -1,4 +1,6 @@
 import { guard } from '../utils/guard.js';
+import { apiFetch } from '../api/api.js';
+import { logoutUser } from '../api/users.js';
 
 const vacancySelect = document.getElementById('vacancy');
 const form = document.getElementById('cv_ai');
@@ -6,18 +8,25 @@ const loadingDiv = document.getElementById('loading');
 
 async function loadVacancies() {
   try {
-    const response = await fetch('http://localhost:9000/api/vacancies');
-    const data = await response.json();
-
-    // Fill in the select with id and title
     vacancySelect.innerHTML = '<option disabled selected>Select a vacancy</option>';
-    data.forEach(v => {
-      vacancySelect.innerHTML += `
-        <option value="${v.vacancy_id}" data-title="${v.title}">
-          ${v.title}
-        </option>
-      `;
-    });
+
+    // The list comes one page at a time: follow links.next until every vacancy is in the select
+    let url = 'http://localhost:9000/api/vacancies?fields=vacancy_id,title&sort=title:asc&limit=100';
+    while (url) {
+      const response = await apiFetch(url);
+      if (!response.ok) throw new Error(`Error fetching vacancies: ${response.status}`);
+      const { data, links } = await response.json();
+
+      // Fill in the select with id and title
+      data.forEach(v => {
+        const option = document.createElement('option');
+        option.value = v.vacancy_id;
+        option.dataset.title = v.title;
+        option.textContent = v.title;
+        vacancySelect.appendChild(option);
+      });
+      url = links.next ? new URL(links.next, url).href : null;
+    }
   } catch (error) {
     console.error('Error when showing vacancies:', error);
     alert('Error when showing vacancies');
@@ -69,9 +78,11 @@ function setupUserDropdown() {
   if (logoutBtn) {
     logoutBtn.addEventListener('click', function (e) {
       e.preventDefault();
-      localStorage.removeItem('currentUser');
-      localStorage.removeItem('returnUrl');
-      window.location.href = '../index.html';
+      logoutUser().catch(() => {}).finally(() => {
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('returnUrl');
+        window.location.href = '../index.html';
+      });
     });
   }
 }
@@ -88,6 +99,122 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 
+// ============================================================================
+// CV PROCESSING PROGRESS
+// ============================================================================
+
+const jobCard = document.getElementById('cv-job');
+const retryButton = document.getElementById('cv-job-retry');
+const STATE_LABELS = {
+  queued: 'Queued',
+  extracting: 'Reading CV',
+  scoring: 'Scoring with AI',
+  saved: 'Saved',
+  failed: 'Failed'
+};
+const STATE_COLORS = {
+  queued: 'text-gray-500',
+  extracting: 'text-blue-600',
+  scoring: 'text-blue-600',
+  saved: 'text-green-600',
+  failed: 'text-red-600'
+};
+const OUTCOME_LABELS = {
+  created: 'Created',
+  updated: 'Updated',
+  duplicate: 'Already uploaded',
+  'skipped-no-email': 'No email found',
+  'extraction-failed': 'Unreadable file',
+  'model-failed': 'AI analysis failed',
+  'save-failed': 'Not saved',
+  'too-many-attempts': 'Processing kept failing'
+};
+const JOB_STATUS_LABELS = {
+  queued: 'Waiting for the worker',
+  processing: 'Processing',
+  completed: 'Completed',
+  completed_with_errors: 'Completed with errors',
+  failed: 'Failed'
+};
+const FINISHED_STATUSES = ['completed', 'completed_with_errors', 'failed'];
+const POLL_INTERVAL_MS = 2000;
+
+let currentJobId = null;
+let pollTimer = null;
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Show the state of a CV job and of each of its files
+ */
+function renderJob(job) {
+  const done = job.counts.saved + job.counts.failed;
+  jobCard.classList.remove('hidden');
+  document.getElementById('cv-job-status').textContent =
+    `${JOB_STATUS_LABELS[job.status] || job.status} · ${done} of ${job.total} CVs`;
+  document.getElementById('cv-job-bar').style.width = `${job.total ? Math.round((done / job.total) * 100) : 0}%`;
+
+  document.getElementById('cv-job-files').innerHTML = job.files.map(file => `
+    <li class="py-3 flex items-center justify-between gap-4">
+      <div class="min-w-0">
+        <p class="text-sm font-medium text-gray-900 truncate">${escapeHtml(file.original_name)}</p>
+        ${file.error ? `<p class="text-xs text-red-600">${escapeHtml(file.error)}</p>` : ''}
+        ${(file.warnings || []).map(warning => `<p class="text-xs text-yellow-700">${escapeHtml(warning)}</p>`).join('')}
+      </div>
+      ${file.candidate_id
+        ? `<a href="candidatePage.html?id=${file.candidate_id}" class="text-sm font-medium ${STATE_COLORS.saved}">${OUTCOME_LABELS[file.outcome] || STATE_LABELS.saved}</a>`
+        : `<span class="text-sm font-medium ${STATE_COLORS[file.state] || ''}">${OUTCOME_LABELS[file.outcome] || STATE_LABELS[file.state] || file.state}</span>`}
+    </li>
+  `).join('');
+
+  retryButton.classList.toggle('hidden', !FINISHED_STATUSES.includes(job.status) || job.counts.failed === 0);
+}
+
+/**
+ * Follow a CV job until every file is saved or failed
+ */
+async function pollJob(jobId) {
+  clearTimeout(pollTimer);
+  currentJobId = jobId;
+  try {
+    const response = await apiFetch(`http://localhost:9000/api/aicv/jobs/${jobId}`);
+    if (!response.ok) throw new Error('Error in request: ' + response.status);
+
+    const job = await response.json();
+    renderJob(job);
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      pollTimer = setTimeout(() => pollJob(jobId), POLL_INTERVAL_MS);
+    }
+  } catch (error) {
+    console.error('Error while checking cv processing:', error);
+    // Keep following the job, less often, in case the server is only briefly unreachable
+    pollTimer = setTimeout(() => pollJob(jobId), POLL_INTERVAL_MS * 5);
+  }
+}
+
+retryButton.addEventListener('click', async () => {
+  retryButton.disabled = true;
+  try {
+    const response = await apiFetch(`http://localhost:9000/api/aicv/jobs/${currentJobId}/retry`, { method: 'POST' });
+    if (!response.ok) throw new Error('Error in request: ' + response.status);
+
+    renderJob(await response.json());
+    pollJob(currentJobId);
+  } catch (error) {
+    console.error('Error while retrying cvs:', error);
+    alert('Error while retrying cvs');
+  } finally {
+    retryButton.disabled = false;
+  }
+});
+
 document.getElementById('cv_ai').addEventListener('submit', async function (e) {
   e.preventDefault();
 
@@ -103,15 +230,18 @@ document.getElementById('cv_ai').addEventListener('submit', async function (e) {
   loadingDiv.classList.remove('hidden');
 
   try {
-    const response = await fetch('http://localhost:9000/api/aicv/', {
+    const response = await apiFetch('http://localhost:9000/api/aicv/', {
       method: 'POST',
       body: formData,
     });
 
     if (!response.ok) throw new Error('Error in request: ' + response.status);
 
-    await response.json();
+    // The CVs are processed in the background: follow the job until it finishes
+    const job = await response.json();
     form.reset();
+    renderJob(job);
+    pollJob(job.job_id);
   } catch (error) {
     console.error('Error while sending cv:', error);
     alert('Error while sending cv');
@@ -1,14 +1,14 @@
 import { guard } from '../utils/guard.js';
-import { getCandidates, getCandidateNotes, updateCandidateNotes } from '../api/candidates.js';
-import { getApplications } from '../api/applications.js'
+import { getCandidate, getCandidateNotes, createCandidateNote, updateCandidateNote, deleteCandidateNote, getCandidateFiles, downloadCandidateFile } from '../api/candidates.js';
 import { renderNavbar } from '../components/ui/navbar.js';
 import { getUser } from '../utils/guard.js';
 import { showSuccess, showError } from '../components/ui/messageToast.js';
 
 // Global state
 let candidate = null;
-let applications = [];
+let notes = [];
 let currentEditingNoteId = null;
+let noteToDeleteId = null;
 
 /**
  * Get URL parameters
@@ -32,11 +32,8 @@ async function loadCandidate() {
             return;
         }
 
-        // Load candidate and applications
-        const candidates = await getCandidates();
-        applications = await getApplications();
-
-        candidate = candidates.find(c => c.candidate_id == params.id);
+        // Load candidate
+        candidate = await getCandidate(params.id);
 
         if (!candidate) {
             showLoadingError('Candidate not found');
@@ -44,6 +41,7 @@ async function loadCandidate() {
         }
 
         renderCandidate();
+        renderFiles();
         initializeNotes();
         hideLoading();
 
@@ -65,10 +63,6 @@ function renderCandidate() {
     document.getElementById('candidate-email').textContent = candidate.email;
     document.getElementById('candidate-phone').textContent = candidate.phone;
 
-    
-
-    // Applications count (for reference but not displayed on this page)
-    const candidateApplications = applications.filter(app => app.candidate_id === candidate.candidate_id);
 
     // Summary
     document.getElementById('candidate-summary').textContent = candidate.summary || 'No professional summary available';
@@ -139,6 +133,58 @@ function renderLanguages() {
     }
 }
 
+/**
+ * Render the CV files kept for the candidate
+ */
+async function renderFiles() {
+    const filesContainer = document.getElementById('candidate-files');
+    if (!filesContainer) return;
+
+    try {
+        const files = (await getCandidateFiles(candidate.candidate_id, { limit: 100 })).data;
+
+        if (files.length === 0) {
+            filesContainer.innerHTML = '<div class="text-gray-500 text-sm">No files stored</div>';
+            return;
+        }
+
+        filesContainer.innerHTML = files.map((item, index) => `
+            <button data-file-index="${index}"
+                    class="w-full flex items-center justify-between text-left text-sm text-blue-600 hover:text-blue-700 hover:bg-blue-50 px-3 py-2 rounded-lg transition-colors">
+                <span class="truncate">${escapeHtml(item.original_name)}</span>
+                <span class="text-xs text-gray-500 ml-2">${Math.ceil(item.file.size / 1024)} KB</span>
+            </button>
+        `).join('');
+
+        filesContainer.querySelectorAll('[data-file-index]').forEach(button => {
+            const item = files[button.dataset.fileIndex];
+            button.addEventListener('click', () => openFile(item.file.file_id, item.original_name));
+        });
+    } catch (error) {
+        filesContainer.innerHTML = '<div class="text-red-500 text-sm">Error loading files</div>';
+    }
+}
+
+/**
+ * Download a file with the user's token and open it in a new tab
+ */
+async function openFile(fileId, fileName) {
+    try {
+        const blob = await downloadCandidateFile(candidate.candidate_id, fileId);
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        // Files the browser cannot show are saved under their original name
+        if (blob.type !== 'application/pdf') link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        console.error('Error opening file:', error);
+        showError(error.message.includes('403') ? 'You are not allowed to open CV files' : 'Error opening file');
+    }
+}
+
 /**
  * Render Experience
  */
@@ -317,6 +363,7 @@ function hideNoteForm() {
     const form = document.getElementById('note-form');
     const addBtn = document.getElementById('add-note-btn');
     const content = document.getElementById('note-content');
+    const isPrivate = document.getElementById('note-private');
     
     if (form) {
         form.classList.add('hidden');
@@ -325,7 +372,10 @@ function hideNoteForm() {
         // Reset form
         if (content) {
             content.value = '';
-            content.placeholder = 'Add your personal notes about this candidate...';
+            content.placeholder = 'Add a note about this candidate...';
+        }
+        if (isPrivate) {
+            isPrivate.checked = false;
         }
         
         // Update button text
@@ -335,7 +385,7 @@ function hideNoteForm() {
         }
     }
     
-    // Don't automatically show Add Note button - let loadAndRenderNotes() handle visibility
+    if (addBtn) addBtn.style.display = 'block';
 }
 
 /**
@@ -343,11 +393,16 @@ function hideNoteForm() {
  */
 async function saveNote() {
     const content = document.getElementById('note-content')?.value.trim();
+    const visibility = document.getElementById('note-private')?.checked ? 'private' : 'team';
     
     if (!content) return;
     
     try {
-        await updateCandidateNotes(candidate.candidate_id, content);
+        if (currentEditingNoteId) {
+            await updateCandidateNote(candidate.candidate_id, currentEditingNoteId, { content, visibility });
+        } else {
+            await createCandidateNote(candidate.candidate_id, { content, visibility });
+        }
         await loadAndRenderNotes();
         hideNoteForm();
         showSuccess('Note saved successfully');
@@ -358,68 +413,50 @@ async function saveNote() {
 }
 
 /**
- * Load and render notes from database
+ * Load and render notes from database, each thread with its replies below it
  */
 async function loadAndRenderNotes() {
     const notesList = document.getElementById('notes-list');
-    const addNoteBtn = document.getElementById('add-note-btn');
     if (!notesList) return;
     
     try {
-        const response = await getCandidateNotes(candidate.candidate_id);
-        const notes = response.notes;
+        notes = (await getCandidateNotes(candidate.candidate_id, { limit: 100 })).data;
         
-        if (!notes || notes.trim() === '') {
-            // Show Add Note button in header
-            if (addNoteBtn) addNoteBtn.style.display = 'block';
-            
+        if (notes.length === 0) {
             notesList.innerHTML = `
                 <div class="text-center text-gray-500 text-sm py-8">
                     <svg class="w-8 h-8 mx-auto mb-2 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 8h10M7 12h4m1 8l-4-4H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012-2h-1.586l-4.707 4.707z"></path>
                     </svg>
-                    No personal notes yet. Click "Add Note" to start.
+                    No notes yet. Click "Add Note" to start.
                 </div>
             `;
             return;
         }
         
-        // Hide Add Note button in header when there are notes
-        if (addNoteBtn) addNoteBtn.style.display = 'none';
-        
-        // Display the note content with Edit/Delete buttons
-        notesList.innerHTML = `
-            <div class="bg-gray-50 border border-gray-200 rounded-lg p-4">
-                <div class="mb-3">
-                    <p class="text-gray-800 text-sm leading-relaxed">${escapeHtml(notes)}</p>
-                </div>
-                <div class="flex items-center justify-between">
-                    <div class="text-xs text-gray-500">
-                        <span>Personal note</span>
-                    </div>
-                    <div class="flex gap-2">
-                        <button id="edit-note-btn" 
-                                class="text-blue-600 hover:text-blue-700 text-xs font-medium hover:bg-blue-50 px-2 py-1 rounded transition-colors">
-                            Edit
-                        </button>
-                        <button id="delete-note-btn" 
-                                class="text-red-600 hover:text-red-700 text-xs font-medium hover:bg-red-50 px-2 py-1 rounded transition-colors">
-                            Delete
-                        </button>
-                    </div>
-                </div>
-            </div>
-        `;
+        // Notes come newest first; replies are shown oldest first under the note they answer
+        const replies = notes.filter(note => note.parent_note_id).reverse();
+        notesList.innerHTML = notes
+            .filter(note => !note.parent_note_id)
+            .map(note => `
+                ${createNoteElement(note)}
+                ${replies
+                    .filter(reply => reply.parent_note_id === note.note_id)
+                    .map(reply => `<div class="ml-6">${createNoteElement(reply)}</div>`)
+                    .join('')}
+            `)
+            .join('');
         
         // Add event listeners
-        document.getElementById('edit-note-btn')?.addEventListener('click', () => editNote(notes));
-        document.getElementById('delete-note-btn')?.addEventListener('click', deleteNote);
+        notesList.querySelectorAll('[data-edit-note]').forEach(button => {
+            button.addEventListener('click', () => editNote(Number(button.dataset.editNote)));
+        });
+        notesList.querySelectorAll('[data-delete-note]').forEach(button => {
+            button.addEventListener('click', () => deleteNote(Number(button.dataset.deleteNote)));
+        });
         
     } catch (error) {
         console.error('Error loading notes:', error);
-        // Show Add Note button on error
-        if (addNoteBtn) addNoteBtn.style.display = 'block';
-        
         notesList.innerHTML = `
             <div class="text-center text-red-500 text-sm py-8">
                 <p>Error loading notes. Please try again.</p>
@@ -432,20 +469,17 @@ async function loadAndRenderNotes() {
  * Create HTML element for a note
  */
 function createNoteElement(note) {
-    const createdDate = new Date(note.createdAt).toLocaleDateString('en-US', {
+    const dateFormat = {
         month: 'short',
         day: 'numeric',
         hour: '2-digit',
         minute: '2-digit'
-    });
+    };
+    const createdDate = new Date(note.created_at).toLocaleDateString('en-US', dateFormat);
+    const updatedDate = note.edited ? new Date(note.updated_at).toLocaleDateString('en-US', dateFormat) : '';
     
-    const wasEdited = note.updatedAt !== note.createdAt;
-    const updatedDate = wasEdited ? new Date(note.updatedAt).toLocaleDateString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    }) : '';
+    // Only the author changes a note; migrated notes have no author
+    const canChange = !note.author_id || note.author_id === getUser()?.user_id;
     
     return `
         <div class="bg-gray-50 border border-gray-200 rounded-lg p-4">
@@ -454,19 +488,21 @@ function createNoteElement(note) {
             </div>
             <div class="flex items-center justify-between">
                 <div class="text-xs text-gray-500">
-                    <span>Added ${createdDate}</span>
-                    ${wasEdited ? `<span class="ml-2">• Edited ${updatedDate}</span>` : ''}
+                    <span>${escapeHtml(note.author?.name || 'Unknown author')} • ${createdDate}</span>
+                    ${note.edited ? `<span class="ml-2">• Edited ${updatedDate}</span>` : ''}
+                    ${note.visibility === 'private' ? '<span class="ml-2 text-amber-600">• Private</span>' : ''}
                 </div>
+                ${canChange ? `
                 <div class="flex gap-2">
-                    <button id="edit-${note.id}" 
+                    <button data-edit-note="${note.note_id}" 
                             class="text-blue-600 hover:text-blue-700 text-xs font-medium hover:bg-blue-50 px-2 py-1 rounded transition-colors">
                         Edit
                     </button>
-                    <button id="delete-${note.id}" 
+                    <button data-delete-note="${note.note_id}" 
                             class="text-red-600 hover:text-red-700 text-xs font-medium hover:bg-red-50 px-2 py-1 rounded transition-colors">
                         Delete
                     </button>
-                </div>
+                </div>` : ''}
             </div>
         </div>
     `;
@@ -475,14 +511,18 @@ function createNoteElement(note) {
 /**
  * Edit note
  */
-function editNote(noteContent) {
+function editNote(noteId) {
+    const note = notes.find(item => item.note_id === noteId);
     // Load existing note content into form
     const content = document.getElementById('note-content');
+    const isPrivate = document.getElementById('note-private');
     const saveBtn = document.getElementById('save-note-btn');
     
-    if (content && saveBtn) {
-        content.value = noteContent;
+    if (note && content && saveBtn) {
+        currentEditingNoteId = noteId;
+        content.value = note.content;
         content.placeholder = 'Edit your note...';
+        if (isPrivate) isPrivate.checked = note.visibility === 'private';
         saveBtn.textContent = 'Update Note';
         
         showNoteForm();
@@ -492,7 +532,8 @@ function editNote(noteContent) {
 /**
  * Delete note - opens confirmation modal
  */
-function deleteNote() {
+function deleteNote(noteId) {
+    noteToDeleteId = noteId;
     openDeleteNoteModal();
 }
 
@@ -514,15 +555,17 @@ function closeDeleteNoteModal() {
     if (modal) {
         modal.classList.add('hidden');
     }
+    noteToDeleteId = null;
 }
 
 /**
  * Confirm note deletion (actual deletion)
  */
 async function confirmDeleteNote() {
+    if (!noteToDeleteId) return;
+    
     try {
-        // Delete by setting notes to empty string
-        await updateCandidateNotes(candidate.candidate_id, '');
+        await deleteCandidateNote(candidate.candidate_id, noteToDeleteId);
         await loadAndRenderNotes();
         showSuccess('Note deleted successfully');
         closeDeleteNoteModal();
@@ -1,35 +1,41 @@
 import { guard } from '../utils/guard.js';
-import { getCandidates } from '../api/candidates.js';
-import { getApplications, getAllApplicationsColumn } from '../api/applications.js';
+import { getCandidates, getCandidateFacets } from '../api/candidates.js';
+import { getTags } from '../api/tags.js';
+import { getTalentPools } from '../api/talentPools.js';
+import { getAllApplicationsColumn } from '../api/applications.js';
 import { renderNavbar } from '../components/ui/navbar.js';
-import { updatePagination } from '../components/ui/pagination.js';
+import { updatePaginationFromList } from '../components/ui/pagination.js';
 
 
 // Global application status
-let candidates = [];
-let applications = [];
-let applicationsColumn = [];
+let facets = { total: 0, with_applications: 0, occupations: [], skills: [] };
+let tags = [];
+let talentPools = [];
 let currentFilters = {
     search: '',
     occupation: '',
-    skill: ''
+    skill: '',
+    tag: '',
+    pool: ''
 };
 let currentPage = 1;
 const itemsPerPage = 4;
+// Number of the last page requested, so an older answer does not replace a newer one
+let lastPageRequest = 0;
 
 /**
- * Load all candidates
+ * Load the first page of candidates, the statistics and the filter options
  */
 async function loadCandidates() {
     try {
-        candidates = await getCandidates();
-        applications = await getApplications();
-        applicationsColumn = await getAllApplicationsColumn();
+        const [tagList, poolList] = await Promise.all([getTags({ limit: 100 }), getTalentPools({ limit: 100 })]);
+        tags = tagList.data;
+        talentPools = poolList.data;
+        facets = await getCandidateFacets();
 
-
-        renderCandidatesCards();
         updateStats();
         setupFilters();
+        await renderCandidatesCards();
     } catch (error) {
         console.error('Error loading candidates:', error);
         // Show error in console, the user will see that the data is not loaded
@@ -41,7 +47,7 @@ async function loadCandidates() {
  */
 function setupFilters() {
     // Unique occupations
-    const occupations = [...new Set(candidates.map(c => c.occupation))];
+    const occupations = facets.occupations;
     const occupationFilter = document.getElementById('occupation-filter');
     if (occupationFilter) {
         occupationFilter.innerHTML = '<option value="">All occupations</option>';
@@ -53,12 +59,8 @@ function setupFilters() {
         });
     }
 
-    // Simple skills extraction
-    const allSkills = candidates.flatMap(c => {
-        const skills = Array.isArray(c.skills) ? c.skills : [];
-        return skills.map(skill => typeof skill === 'string' ? skill : skill.name || 'Unknown');
-    });
-    const uniqueSkills = [...new Set(allSkills)];
+    // Skills of every candidate, for the suggestions of the skill filter
+    const uniqueSkills = facets.skills;
     const skillDatalist = document.getElementById('skills-datalist');
     if (skillDatalist) {
         skillDatalist.innerHTML = '';
@@ -69,15 +71,80 @@ function setupFilters() {
         });
     }
 
+    // Tags and talent pools, resolved by the server
+    fillSelect('tag-filter', 'All tags', tags.map(tag => ({ value: tag.tag_id, label: `${tag.name} (${tag.candidate_count})` })));
+    fillSelect('pool-filter', 'All talent pools', talentPools.map(pool => ({ value: pool.pool_id, label: pool.name })));
+}
+
+/**
+ * Fill a select with an "all" option followed by the given options
+ */
+function fillSelect(id, allLabel, options) {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    select.innerHTML = '';
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = allLabel;
+    select.appendChild(allOption);
+    options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
 }
 
 /**
- * Rendering candidate cards
+ * Quote a value for the candidate search language, e.g. Node.js becomes "Node.js"
  */
-function renderCandidatesCards() {
+function quoteQueryValue(value) {
+    return `"${value.replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Build the query the server filters the candidates with: the search text, occupation and skill
+ */
+function buildCandidateQuery() {
+    const terms = [];
+    const search = currentFilters.search.trim();
+    if (search) terms.push(quoteQueryValue(search));
+    if (currentFilters.occupation) terms.push(`occupation:${quoteQueryValue(currentFilters.occupation)}`);
+    const skill = currentFilters.skill.trim();
+    if (skill) terms.push(`skill:${quoteQueryValue(skill)}`);
+    return terms.join(' ');
+}
+
+/**
+ * Count the applications of each candidate of the page, keyed by candidate ID
+ */
+async function countApplications(candidateList) {
+    const counts = await Promise.all(candidateList.map(candidate =>
+        getAllApplicationsColumn({ candidate_id: candidate.candidate_id, limit: 1, fields: 'application_id' })
+            .then(list => [candidate.candidate_id, list.meta.total])
+    ));
+    return new Map(counts);
+}
+
+/**
+ * Request the current page of candidates, filtered by the server, and render their cards
+ */
+async function renderCandidatesCards() {
     const container = document.getElementById('candidates-container');
     if (!container) return;
 
+    const request = ++lastPageRequest;
+    const list = await getCandidates({
+        page: currentPage,
+        limit: itemsPerPage,
+        q: buildCandidateQuery(),
+        tag: currentFilters.tag,
+        pool: currentFilters.pool
+    });
+    const applicationCounts = await countApplications(list.data);
+    if (request !== lastPageRequest) return;
+
     // Hide loading
     const loadingElement = document.getElementById('loading-candidates');
     if (loadingElement) {
@@ -86,19 +153,16 @@ function renderCandidatesCards() {
 
     container.innerHTML = '';
 
-    // Apply filters
-    let candidatesToShow = applyFilters(candidates);
-
-    // Apply pagination
-    const totalItems = candidatesToShow.length;
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
-
-    candidatesToShow = candidatesToShow.slice(startIndex, endIndex);
+    // Update pagination
+    updatePaginationFromList(list, 'pagination-container', (newPage) => {
+        currentPage = newPage;
+        refreshCandidatesCards();
+    });
 
-    if (candidatesToShow.length === 0) {
+    if (list.data.length === 0) {
         // Show no candidates message
-        const hasActiveFilters = currentFilters.search || currentFilters.occupation || currentFilters.skill;
+        const hasActiveFilters = currentFilters.search || currentFilters.occupation || currentFilters.skill
+            || currentFilters.tag || currentFilters.pool;
         const message = hasActiveFilters
             ? 'No hay candidatos que coincidan con los filtros aplicados'
             : 'No hay candidatos disponibles';
@@ -117,22 +181,28 @@ function renderCandidatesCards() {
         return;
     }
 
-    candidatesToShow.forEach(candidate => {
-        const card = createCandidateCard(candidate);
+    list.data.forEach(candidate => {
+        const card = createCandidateCard(candidate, applicationCounts.get(candidate.candidate_id) ?? 0);
         container.appendChild(card);
     });
+}
 
-    // Update pagination
-    updatePagination(currentPage, totalItems, itemsPerPage, 'pagination-container', (newPage) => {
-        currentPage = newPage;
-        renderCandidatesCards();
-    });
+/**
+ * Render the candidate cards again, e.g. after a filter or the page changes
+ */
+async function refreshCandidatesCards() {
+    try {
+        await renderCandidatesCards();
+    } catch (error) {
+        // e.g. a pool searching contact details the user may not see
+        console.error('Error loading candidates:', error);
+    }
 }
 
 /**
  * Create candidate card
  */
-function createCandidateCard(candidate) {
+function createCandidateCard(candidate, applicationCount) {
     const div = document.createElement('div');
     div.className = 'p-6 hover:bg-gray-50 transition-colors';
 
@@ -151,10 +221,6 @@ function createCandidateCard(candidate) {
         languages = [];
     }
 
-    // Get applications from the candidate
-    const candidateApplications = applicationsColumn.filter(app => app.candidate_id === candidate.candidate_id);
-    const applicationCount = candidateApplications.length;
-
     // Generate Avatar Initials
     const initials = candidate.name.split(' ').map(word => word.charAt(0)).join('').substring(0, 2).toUpperCase();
 
@@ -242,53 +308,13 @@ function createCandidateCard(candidate) {
     return div;
 }
 
-/**
- * Apply filters to candidates
- */
-function applyFilters(candidatesList) {
-    return candidatesList.filter(candidate => {
-        // Search filter by text
-        if (currentFilters.search) {
-            const searchTerm = currentFilters.search.toLowerCase();
-            const nameMatch = (candidate.name ?? "").toLowerCase().includes(searchTerm);
-            const emailMatch = (candidate.email ?? "").toLowerCase().includes(searchTerm);
-            const phoneMatch = (candidate.phone ?? "").toLowerCase().includes(searchTerm);
-            const occupationMatch = (candidate.occupation ?? "").toLowerCase().includes(searchTerm);
-
-            if (!nameMatch && !emailMatch && !occupationMatch && !phoneMatch) {
-                return false;
-            }
-        }
-
-        // Filter by occupation
-        if (currentFilters.occupation && candidate.occupation !== currentFilters.occupation) {
-            return false;
-        }
-
-        // Filter by skill
-        if (currentFilters.skill) {
-            const candidateSkills = Array.isArray(candidate.skills) ? candidate.skills : [];
-            const skillNames = candidateSkills.map(skill => typeof skill === 'string' ? skill : skill.name || '');
-            if (!skillNames.some(skill => skill.toLowerCase().includes(currentFilters.skill.toLowerCase()))) {
-                return false;
-            }
-        }
-
-        return true;
-    });
-}
-
 /**
  * Update statistics
  */
 function updateStats() {
-    const totalCandidates = candidates.length;
-
-    const candidatesWithApps = candidates.filter(candidate =>
-        applicationsColumn.some(app => app.candidate_id === candidate.candidate_id)
-    ).length;
-
-    const uniqueOccupations = [...new Set(candidates.map(c => c.occupation))].length;
+    const totalCandidates = facets.total;
+    const candidatesWithApps = facets.with_applications;
+    const uniqueOccupations = facets.occupations.length;
 
     // Update Stat Cards
     const totalCard = document.getElementById('total-candidates');
@@ -304,10 +330,7 @@ function updateStats() {
  * View details of a candidate
  */
 function viewCandidate(candidateId) {
-    const candidate = candidates.find(c => c.candidate_id === candidateId);
-    if (candidate) {
-        window.location.href = `candidatePage.html?id=${candidateId}`;
-    }
+    window.location.href = `candidatePage.html?id=${candidateId}`;
 }
 
 /**
@@ -317,6 +340,8 @@ function setupEventListeners() {
     const searchInput = document.getElementById('search-input');
     const occupationFilter = document.getElementById('occupation-filter');
     const skillFilter = document.getElementById('skill-filter');
+    const tagFilter = document.getElementById('tag-filter');
+    const poolFilter = document.getElementById('pool-filter');
     const applyButton = document.getElementById('apply-filters');
     const clearButton = document.getElementById('clear-filters');
 
@@ -325,7 +350,7 @@ function setupEventListeners() {
         searchInput.addEventListener('input', (e) => {
             currentFilters.search = e.target.value;
             currentPage = 1; // Reset pagination when you change filter
-            renderCandidatesCards();
+            refreshCandidatesCards();
         });
     }
 
@@ -334,7 +359,7 @@ function setupEventListeners() {
         occupationFilter.addEventListener('change', (e) => {
             currentFilters.occupation = e.target.value;
             currentPage = 1;
-            renderCandidatesCards();
+            refreshCandidatesCards();
         });
     }
 
@@ -343,14 +368,24 @@ function setupEventListeners() {
         skillFilter.addEventListener('input', (e) => {
             currentFilters.skill = e.target.value;
             currentPage = 1;
-            renderCandidatesCards();
+            refreshCandidatesCards();
         });
     }
 
+    // Filter by tag and talent pool
+    [[tagFilter, 'tag'], [poolFilter, 'pool']].forEach(([select, filter]) => {
+        if (!select) return;
+        select.addEventListener('change', (e) => {
+            currentFilters[filter] = e.target.value;
+            currentPage = 1;
+            refreshCandidatesCards();
+        });
+    });
+
     // Button apply filters
     if (applyButton) {
         applyButton.addEventListener('click', () => {
-            renderCandidatesCards();
+            refreshCandidatesCards();
         });
     }
 
@@ -361,15 +396,19 @@ function setupEventListeners() {
             currentFilters.search = '';
             currentFilters.occupation = '';
             currentFilters.skill = '';
+            currentFilters.tag = '';
+            currentFilters.pool = '';
             currentPage = 1;
 
             // Clean UI fields
             if (searchInput) searchInput.value = '';
             if (occupationFilter) occupationFilter.value = '';
             if (skillFilter) skillFilter.value = '';
+            if (tagFilter) tagFilter.value = '';
+            if (poolFilter) poolFilter.value = '';
 
             // Render without filters
-            renderCandidatesCards();
+            refreshCandidatesCards();
         });
     }
 }
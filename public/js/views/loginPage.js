@@ -1,6 +1,6 @@
 import { isEmailValid, isPasswordValid } from "../utils/validators.js";
 import { guard } from "../utils/guard.js";
-import { loginUser } from "../api/users.js";
+import { loginUser, loginWithTwoFactor, setupTwoFactor, enableTwoFactor } from "../api/users.js";
 
 /**
  * Initialize password toggle functionality
@@ -67,9 +67,15 @@ function initLoginForm() {
 
         try {
             // Authentication using new backend API
-            const response = await loginUser(email, password);
+            let response = await loginUser(email, password);
 
-            if (response.success && response.data) {
+            if (response.twoFactorRequired) {
+                response = await completeTwoFactorLogin(response.challengeToken);
+            } else if (response.twoFactorSetupRequired) {
+                response = await completeTwoFactorSetup(response.challengeToken);
+            }
+
+            if (response?.success && response.data) {
                 const user = response.data;
                 
                 // Save Session
@@ -78,6 +84,8 @@ function initLoginForm() {
                     name: user.name,
                     email: user.email,
                     role_id: user.role_id,
+                    token: response.token,
+                    refreshToken: response.refreshToken,
                     loginTime: new Date().toISOString()
                 }));
 
@@ -102,6 +110,36 @@ function initLoginForm() {
     });
 }
 
+/**
+ * Asks for the authenticator code (or a recovery code) of a user with 2FA enabled
+ */
+async function completeTwoFactorLogin(challengeToken) {
+    const input = window.prompt('Enter the 6-digit code from your authenticator app, or one of your recovery codes');
+    if (!input) return null;
+
+    const value = input.trim();
+    return /^\d{6}$/.test(value)
+        ? loginWithTwoFactor(challengeToken, { code: value })
+        : loginWithTwoFactor(challengeToken, { recoveryCode: value });
+}
+
+/**
+ * Enrolls a user whose role requires 2FA before their first login
+ */
+async function completeTwoFactorSetup(challengeToken) {
+    const setup = await setupTwoFactor(challengeToken);
+    const code = window.prompt(
+        'Your role requires two-factor authentication.\n' +
+        `Add this key to your authenticator app: ${setup.data.secret}\n` +
+        'Then enter the 6-digit code it shows'
+    );
+    if (!code) return null;
+
+    const response = await enableTwoFactor(code.trim(), challengeToken);
+    window.alert(`Save these recovery codes somewhere safe, they are shown only once:\n\n${response.recoveryCodes.join('\n')}`);
+    return response;
+}
+
 /**
  * Displays temporary error message
  */
@@ -1,24 +1,21 @@
 import { guard } from '../utils/guard.js';
 import { getVacancies, getApplicationsByVacancyIdController } from '../api/vacancies.js';
-import { getCandidates } from '../api/candidates.js';
-import { getApplications, updateApplication, getAllApplicationsColumn } from '../api/applications.js';
+import { updateApplication, getAllApplicationsColumn } from '../api/applications.js';
 import { renderNavbar } from '../components/ui/navbar.js';
 import { showSuccess, showError } from '../components/ui/messageToast.js';
-import { updatePagination } from '../components/ui/pagination.js';
+import { updatePaginationFromList } from '../components/ui/pagination.js';
 
 // Global state
 let vacancy = null;
-let candidates = [];
-let applications = [];
-let filteredApplications = [];
-let applicationJoin = [];
-let applicationsColumn = [];
+let applicationJoin = []; // Applications of the page on screen, with their candidate
 let currentFilters = {
     search: '',
     status: ''
 };
 let currentPage = 1;
 const itemsPerPage = 5;
+// Number of the last page requested, so an older answer does not replace a newer one
+let lastPageRequest = 0;
 
 // Modal state
 let pendingStatusChange = {
@@ -50,38 +47,16 @@ async function loadVacancyData() {
             return;
         }
 
-        // Load data in parallel
-        const [vacanciesData, candidatesData, applicationsData, applicationJoinData, applicationsColumnData] = await Promise.all([
-            getVacancies(),
-            getCandidates(),
-            getApplications(),
-            getApplicationsByVacancyIdController(params.id),
-            getAllApplicationsColumn()
-        ]);
-        applicationJoin = applicationJoinData;
-        applicationsColumn = applicationsColumnData
-
         // Find specific vacancy
-        vacancy = vacanciesData.find(v => v.vacancy_id === params.id);
+        vacancy = (await getVacancies({ vacancy_id: params.id })).data[0];
 
         if (!vacancy) {
             showVacancyNotFound();
             return;
         }
 
-        candidates = candidatesData;
-        applications = applicationsData;
-
-
-
-
-        // Filter applications for this vacancy   
-        filteredApplications = applicationsColumn.filter(app => app.vacancy_id === params.id);
-
-
         renderVacancy();
-        renderStats();
-        renderCandidates();
+        await Promise.all([renderStats(), renderCandidates()]);
         hideLoading();
 
     } catch (error) {
@@ -120,15 +95,18 @@ function renderVacancy() {
 }
 
 /**
- * Render candidate statistics
+ * Render candidate statistics, from the totals the server counts (one row is requested for each)
  */
-function renderStats() {
-    const total = filteredApplications.length;
-    const pending = filteredApplications.filter(app => app.status === 'pending').length;
-    const interview = filteredApplications.filter(app => app.status === 'interview').length;
-    const offered = filteredApplications.filter(app => app.status === 'offered').length;
-    const accepted = filteredApplications.filter(app => app.status === 'accepted').length;
-    const rejected = filteredApplications.filter(app => app.status === 'rejected').length;
+async function renderStats() {
+    const countApplications = async (status) => (await getAllApplicationsColumn({
+        vacancy_id: vacancy.vacancy_id,
+        status,
+        limit: 1,
+        fields: 'application_id'
+    })).meta.total;
+    const [total, pending, interview, offered, accepted, rejected] = await Promise.all(
+        [undefined, 'pending', 'interview', 'offered', 'accepted', 'rejected'].map(countApplications)
+    );
 
     document.getElementById('total-applications').textContent = total;
     document.getElementById('stat-total').textContent = total;
@@ -140,16 +118,30 @@ function renderStats() {
 }
 
 /**
- * Render candidates list
+ * Request the current page of applications, filtered by the server, and render their candidates
  */
-function renderCandidates() {
+async function renderCandidates() {
     const container = document.getElementById('candidates-container');
+
+    const request = ++lastPageRequest;
+    const list = await getApplicationsByVacancyIdController(vacancy.vacancy_id, {
+        page: currentPage,
+        limit: itemsPerPage,
+        status: currentFilters.status,
+        q: currentFilters.search.trim()
+    });
+    if (request !== lastPageRequest) return;
+
+    applicationJoin = list.data;
     container.innerHTML = '';
 
-    // Apply filters
-    let applicationsToShow = applyFilters(applicationJoin);
+    // Update pagination
+    updatePaginationFromList(list, 'pagination-controls', (newPage) => {
+        currentPage = newPage;
+        refreshCandidates();
+    });
 
-    if (applicationsToShow.length === 0) {
+    if (applicationJoin.length === 0) {
         container.innerHTML = `
             <div class="p-8 text-center text-gray-500">
                 <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" fill="currentColor" viewBox="0 0 256 256" class="mx-auto text-gray-300 mb-4">
@@ -167,35 +159,29 @@ function renderCandidates() {
                 </div>
             </div>
         `;
-        updatePagination(1, 0, itemsPerPage, 'pagination-controls', (newPage) => {
-            currentPage = newPage;
-            renderCandidates();
-        });
         return;
     }
 
-    // Apply pagination
-    const totalItems = applicationsToShow.length;
-    const totalPages = Math.ceil(totalItems / itemsPerPage);
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
-
-    const paginatedApplications = applicationsToShow.slice(startIndex, endIndex);
-
     // Create card for each candidate
-    paginatedApplications.forEach(application => {
+    applicationJoin.forEach(application => {
         const candidate = application.Candidate;
         if (candidate) {
             const candidateCard = createCandidateCard(candidate, application);
             container.appendChild(candidateCard);
         }
     });
+}
 
-    // Update pagination
-    updatePagination(currentPage, totalItems, itemsPerPage, 'pagination-controls', (newPage) => {
-        currentPage = newPage;
-        renderCandidates();
-    });
+/**
+ * Render the candidates list again, e.g. after a filter or the page changes
+ */
+async function refreshCandidates() {
+    try {
+        await renderCandidates();
+    } catch (error) {
+        console.error('Error loading vacancy applications:', error);
+        showError('Error loading vacancy information');
+    }
 }
 
 /**
@@ -234,7 +220,7 @@ function createCandidateCard(candidate, application) {
                         </a>
                     </div>
                     <p class="text-sm text-gray-600 truncate">${candidate.occupation}</p>
-                    <p class="text-xs text-gray-500">${candidate.email}</p>
+                    <p class="text-xs text-gray-500">${candidate.email || 'Unavailable'}</p>
                 </div>
             </div>
 
@@ -264,34 +250,6 @@ function createCandidateCard(candidate, application) {
     return div;
 }
 
-/**
- * Apply filters
- */
-function applyFilters(applicationJoin) {
-    return applicationJoin.filter(application => {
-        const candidate = application.Candidate;
-        if (!candidate) return false;
-
-        // Search filter by name or email
-        if (currentFilters.search) {
-            const searchTerm = currentFilters.search.toLowerCase();
-            const nameMatch = (candidate.name ?? "").toLowerCase().includes(searchTerm);
-            const emailMatch = (candidate.email ?? "").toLowerCase().includes(searchTerm);
-
-            if (!nameMatch && !emailMatch) {
-                return false;
-            }
-        }
-
-        // Application status filter
-        if (currentFilters.status && application.status !== currentFilters.status) {
-            return false;
-        }
-
-        return true;
-    });
-}
-
 /**
  * Show status change modal
  */
@@ -305,7 +263,7 @@ function showStatusChangeModal(applicationId) {
         return;
     }
 
-    const candidate = candidates.find(c => c.candidate_id === application.candidate_id);
+    const candidate = application.Candidate;
     if (!candidate) {
         console.error('Candidate not found with ID:', application.candidate_id);
         showError('No se pudo encontrar el candidato');
@@ -400,14 +358,11 @@ function hideStatusChangeModal() {
  */
 async function updateApplicationStatus(applicationId, newStatus) {
     try {
-        const application = applications.find(app => app.application_id == applicationId); // Use == for type coercion
+        const application = applicationJoin.find(app => app.application_id == applicationId); // Use == for type coercion
         if (!application) return;
 
         // Update in API
-        await updateApplication(applicationId, {
-            ...application,
-            status: newStatus
-        });
+        await updateApplication(applicationId, { status: newStatus });
 
         // Reload all data to ensure consistency - this will also re-render everything
         await loadVacancyData();
@@ -508,7 +463,7 @@ function setupFilters() {
         searchInput.addEventListener('input', (e) => {
             currentFilters.search = e.target.value;
             currentPage = 1; // Reset page when filtering
-            renderCandidates();
+            refreshCandidates();
         });
     }
 
@@ -517,7 +472,7 @@ function setupFilters() {
         statusFilter.addEventListener('change', (e) => {
             currentFilters.status = e.target.value;
             currentPage = 1; // Reset page when filtering
-            renderCandidates();
+            refreshCandidates();
         });
     }
 }
@@ -1,14 +1,13 @@
 import { guard } from '../utils/guard.js';
 import { getVacancies, createVacancy as createVacancyAPI, updateVacancy as updateVacancyAPI, deleteVacancy as deleteVacancyAPI, getAllVacanciesWithCount } from '../api/vacancies.js';
-import { getApplications } from '../api/applications.js';
+import { getAllApplicationsColumn } from '../api/applications.js';
 import { renderNavbar } from '../components/ui/navbar.js';
 import { showSuccess, showError } from '../components/ui/messageToast.js';
-import { updatePagination } from '../components/ui/pagination.js';
+import { updatePaginationFromList } from '../components/ui/pagination.js';
 import { getVacancyStatusConfig } from '../components/ui/statusBadge.js';
 
 // Global application state
-let vacancies = [];
-let applications = [];
+let vacancies = []; // Vacancies of the page on screen
 let currentEditingId = null;
 let currentTab = 'all';
 let currentVacancyToDelete = null;
@@ -18,17 +17,15 @@ let currentFilters = {
 };
 let currentPage = 1;
 const itemsPerPage = 5;
+// Number of the last page requested, so an older answer does not replace a newer one
+let lastPageRequest = 0;
 
 /**
- * Load all vacancies
+ * Load the vacancies page and the statistics
  */
 async function loadVacancies() {
     try {
-        vacancies = await getAllVacanciesWithCount();
-        applications = await getApplications();
-
-        renderVacanciesTable();
-        updateStats();
+        await Promise.all([renderVacanciesTable(), updateStats()]);
     } catch (error) {
         console.error('Error loading vacancies:', error);
         showError('Error loading vacancies. Verify that the server is connected.');
@@ -36,31 +33,45 @@ async function loadVacancies() {
 }
 
 /**
- * Render vacancies table
+ * Status to list: the one of the selected tab and the status filter, or null when they do not agree
+ */
+function getStatusFilter() {
+    if (currentTab !== 'all' && currentFilters.status && currentFilters.status !== currentTab) {
+        return null;
+    }
+    return currentTab !== 'all' ? currentTab : currentFilters.status;
+}
+
+/**
+ * Request the current page of vacancies, filtered by the server, and render it
  */
-function renderVacanciesTable() {
+async function renderVacanciesTable() {
     const tbody = document.querySelector('tbody');
     if (!tbody) return;
 
-    tbody.innerHTML = '';
-
-    // Apply filters
-    let vacanciesToShow = applyFilters(vacancies);
-
-    // Filter vacancies according to current tab
-    if (currentTab !== 'all') {
-        vacanciesToShow = vacanciesToShow.filter(v => v.status === currentTab);
+    const request = ++lastPageRequest;
+    const status = getStatusFilter();
+    const list = status === null
+        ? { data: [], meta: { page: 1, total: 0, limit: itemsPerPage } }
+        : await getAllVacanciesWithCount({ page: currentPage, limit: itemsPerPage, status, q: currentFilters.search.trim() });
+    if (request !== lastPageRequest) return;
+
+    // Past the last page, e.g. after deleting its only vacancy
+    if (list.data.length === 0 && currentPage > 1 && list.meta.total > 0) {
+        currentPage = list.meta.pages;
+        return renderVacanciesTable();
     }
 
-    // Apply pagination
-    const totalItems = vacanciesToShow.length;
-    const totalPages = Math.ceil(totalItems / itemsPerPage);
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
+    vacancies = list.data;
+    tbody.innerHTML = '';
 
-    vacanciesToShow = vacanciesToShow.slice(startIndex, endIndex);
+    // Update pagination
+    updatePaginationFromList(list, 'pagination-container', (newPage) => {
+        currentPage = newPage;
+        refreshVacanciesTable();
+    });
 
-    if (vacanciesToShow.length === 0) {
+    if (vacancies.length === 0) {
         // Determining the appropriate message
         let message = 'There are no vacancies available.';
 
@@ -99,16 +110,22 @@ function renderVacanciesTable() {
         return;
     }
 
-    vacanciesToShow.forEach(vacancy => {
+    vacancies.forEach(vacancy => {
         const row = createVacancyRow(vacancy);
         tbody.appendChild(row);
     });
+}
 
-    // Update pagination
-    updatePagination(currentPage, totalItems, itemsPerPage, 'pagination-container', (newPage) => {
-        currentPage = newPage;
-        renderVacanciesTable();
-    });
+/**
+ * Render the vacancies table again, e.g. after a filter or the page changes
+ */
+async function refreshVacanciesTable() {
+    try {
+        await renderVacanciesTable();
+    } catch (error) {
+        console.error('Error loading vacancies:', error);
+        showError('Error loading vacancies. Verify that the server is connected.');
+    }
 }
 
 /**
@@ -122,10 +139,6 @@ function createVacancyRow(vacancy) {
     const safeTitle = vacancy.title || 'Without title';
     const initials = safeTitle.split(' ').map(word => word.charAt(0)).join('').substring(0, 2).toUpperCase();
 
-    // Count applications for this vacancy 
-    const vacancyApplications = applications.filter(app => app.vacancy_id === vacancy.vacancy_id).length;
-
-
     tr.innerHTML = `
         <td class="px-6 py-4 whitespace-nowrap">
             <div class="flex items-center">
@@ -197,38 +210,17 @@ function formatDate(dateString) {
 }
 
 /**
- * Apply filters to vacancies
- */
-function applyFilters(vacanciesList) {
-    return vacanciesList.filter(vacancy => {
-        // Text search filter
-        if (currentFilters.search) {
-            const searchTerm = currentFilters.search.toLowerCase();
-            const titleMatch = vacancy.title.toLowerCase().includes(searchTerm);
-            const descriptionMatch = vacancy.description.toLowerCase().includes(searchTerm);
-
-            if (!titleMatch && !descriptionMatch) {
-                return false;
-            }
-        }
-
-        // Filter by Status
-        if (currentFilters.status && vacancy.status !== currentFilters.status) {
-            return false;
-        }
-
-        return true;
-    });
-}
-
-/**
- * Update statistics
+ * Update statistics, from the totals the server counts (one row is requested for each)
  */
-function updateStats() {
-    const totalVacancies = vacancies.length;
-    const openVacancies = vacancies.filter(v => v.status === 'open').length;
-    const closedVacancies = vacancies.filter(v => v.status === 'closed').length;
-    const pausedVacancies = vacancies.filter(v => v.status === 'paused').length;
+async function updateStats() {
+    const countVacancies = async (status) => (await getVacancies({ status, limit: 1, fields: 'vacancy_id' })).meta.total;
+    const [totalVacancies, openVacancies, closedVacancies, pausedVacancies, totalApplications] = await Promise.all([
+        countVacancies(),
+        countVacancies('open'),
+        countVacancies('closed'),
+        countVacancies('paused'),
+        getAllApplicationsColumn({ limit: 1, fields: 'application_id' }).then(list => list.meta.total)
+    ]);
 
     // Update statistics cards
     const totalCard = document.getElementById('total-vacancies');
@@ -237,7 +229,7 @@ function updateStats() {
 
     if (totalCard) totalCard.textContent = totalVacancies;
     if (openCard) openCard.textContent = openVacancies;
-    if (applicationsCard) applicationsCard.textContent = applications.length;
+    if (applicationsCard) applicationsCard.textContent = totalApplications;
 
     // Update tab counters
     const tabAllCount = document.getElementById('tab-all-count');
@@ -270,7 +262,7 @@ function showTab(tab, element) {
     element.classList.add('border-blue-600', 'text-blue-600', 'font-bold');
 
     // Render filtered table
-    renderVacanciesTable();
+    refreshVacanciesTable();
 }
 
 /**
@@ -315,9 +307,7 @@ async function updateVacancy(id, vacancyData) {
 async function deleteVacancy(id) {
     try {
         await deleteVacancyAPI(id);
-        vacancies = vacancies.filter(v => v.vacancy_id !== id);
-        renderVacanciesTable();
-        updateStats();
+        await loadVacancies();
         showSuccess('Vacancy successfully deleted');
     } catch (error) {
         console.error('Error deleting vacancy:', error);
@@ -501,7 +491,7 @@ function setupFilters() {
         searchInput.addEventListener('input', (e) => {
             currentFilters.search = e.target.value;
             currentPage = 1; // Reset pagination cuando cambia filtro
-            renderVacanciesTable();
+            refreshVacanciesTable();
         });
     }
 
@@ -510,14 +500,14 @@ function setupFilters() {
         statusFilter.addEventListener('change', (e) => {
             currentFilters.status = e.target.value;
             currentPage = 1; // Reset pagination when you change filter
-            renderVacanciesTable();
+            refreshVacanciesTable();
         });
     }
 
     // Apply filters button (already applied automatically, but for consistency)
     if (applyButton) {
         applyButton.addEventListener('click', () => {
-            renderVacanciesTable();
+            refreshVacanciesTable();
         });
     }
 
@@ -534,7 +524,7 @@ function setupFilters() {
             if (statusFilter) statusFilter.value = '';
 
             // Render table without filters
-            renderVacanciesTable();
+            refreshVacanciesTable();
         });
     }
 }
@@ -0,0 +1,14 @@
+import sequelize from '../config/db_conn.js';
+import { backfillDerivedFields } from '../app/models/services/CandidateServices.js';
+
+// Fills the columns derived from each candidate (years of experience, full-text search text) for
+// candidates saved before those columns existed. Safe to run more than once.
+try {
+    const changed = await backfillDerivedFields();
+    console.log(`✅ Derived fields updated for ${changed} candidate(s)`);
+} catch (error) {
+    console.error('❌ Error backfilling candidates:', error.message);
+    process.exitCode = 1;
+} finally {
+    await sequelize.close();
+}
@@ -0,0 +1,53 @@
+import sequelize from '../config/db_conn.js';
+import { registerAuditHooks } from '../app/models/services/AuditServices.js';
+import { registerRevisionHooks } from '../app/models/services/CandidateRevisionServices.js';
+import { processNextCvBatch } from '../app/models/services/CvJobServices.js';
+
+// CV worker: takes the CVs uploaded with POST /api/aicv from the queue kept in the database, and extracts, scores
+// and saves their candidates five at a time. Runs until stopped, checking the queue every CV_WORKER_POLL_SECONDS
+// (default 5) while it is empty or after an error; with --once it empties the queue and exits (e.g. from cron).
+// Several workers can run side by side.
+const once = process.argv.includes('--once');
+const pollMs = (Number(process.env.CV_WORKER_POLL_SECONDS) || 5) * 1000;
+
+let stopping = false;
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    // The batch in progress is finished first, so no file is left half done
+    process.on(signal, () => {
+        stopping = true;
+    });
+}
+
+// Candidates saved by the worker get audit entries and revisions like those saved by the API
+registerAuditHooks();
+registerRevisionHooks();
+
+const wait = () => new Promise(resolve => setTimeout(resolve, pollMs));
+
+try {
+    while (!stopping) {
+        let batch;
+        try {
+            batch = await processNextCvBatch();
+        } catch (error) {
+            console.error('❌ Error processing CVs:', error.message);
+            if (once) {
+                process.exitCode = 1;
+                break;
+            }
+            // E.g. the database was briefly unreachable: the files of the batch are queued again once their lease
+            // is over, so the worker keeps polling rather than stopping
+            await wait();
+            continue;
+        }
+        if (batch) {
+            console.log(`✅ Job ${batch.job_id}: ${batch.saved} CV(s) saved, ${batch.failed} failed`);
+        } else if (once) {
+            break;
+        } else {
+            await wait();
+        }
+    }
+} finally {
+    await sequelize.close();
+}
@@ -0,0 +1,14 @@
+import sequelize from '../config/db_conn.js';
+import { detectCandidateDuplicates } from '../app/models/services/CandidateDuplicateServices.js';
+
+// Duplicate detection job: refreshes the review queue of candidates that look like the same person.
+// Meant to run periodically (e.g. nightly from cron); safe to run at any time.
+try {
+    const { scanned, pending, created, removed } = await detectCandidateDuplicates();
+    console.log(`✅ Scanned ${scanned} candidate(s): ${created} new possible duplicate(s), ${removed} no longer matching, ${pending} pending review`);
+} catch (error) {
+    console.error('❌ Error detecting duplicates:', error.message);
+    process.exitCode = 1;
+} finally {
+    await sequelize.close();
+}
@@ -0,0 +1,14 @@
+import sequelize from '../config/db_conn.js';
+import { migrateLegacyNotes } from '../app/models/services/CandidateNoteServices.js';
+
+// Moves the former candidates.notes column into candidate_notes, one team note per candidate.
+// Run it before dropping the column; safe to run more than once.
+try {
+    const created = await migrateLegacyNotes();
+    console.log(`✅ ${created} note(s) moved to candidate_notes`);
+} catch (error) {
+    console.error('❌ Error migrating candidate notes:', error.message);
+    process.exitCode = 1;
+} finally {
+    await sequelize.close();
+}
@@ -0,0 +1,14 @@
+import sequelize from '../config/db_conn.js';
+import { seedDefaultRoles } from '../app/models/services/PermissionServices.js';
+
+// Seeds the permissions and default roles (admin, recruiter, hiring_manager, interviewer)
+// defined in config/permissions.js. Safe to run more than once.
+try {
+    const { permissionsCreated, rolesCreated } = await seedDefaultRoles();
+    console.log(`✅ Roles seeded: ${rolesCreated} role(s) and ${permissionsCreated} permission(s) created`);
+} catch (error) {
+    console.error('❌ Error seeding roles:', error.message);
+    process.exitCode = 1;
+} finally {
+    await sequelize.close();
+}